@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Local CLI for re-queuing processed attachments into the pipeline.
+ *
+ * Usage:
+ *   npm run reprocess -- --blob "example-foods/extraction-errors/2025-...(a@b.com)sheet.jpg" [--form-type general]
+ *   npm run reprocess -- --company example-foods [--from 2025-05-01] [--to 2025-05-31]
+ *                        [--folders processed,extraction-errors,extraction-timeout] [--form-type important] [--dry-run]
+ *
+ * Reads hygienemasterstorage_STORAGE (and the Document Intelligence / SharePoint
+ * settings the pipeline modules need at load time) from .env.
+ */
+require('dotenv').config();
+
+const { reprocessBlobs } = require('../src/functions/submissions/reprocess');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// Minimal stand-in for the Azure Functions context used by the pipeline helpers
+const log = (...messages) => console.log(...messages);
+log.error = (...messages) => console.error(...messages);
+log.warn = (...messages) => console.warn(...messages);
+const context = { log };
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.blob && !args.company) {
+    console.error('Specify --blob <path> or --company <name>. See scripts/reprocess.js for options.');
+    process.exit(1);
+  }
+
+  const results = await reprocessBlobs(context, {
+    blobPath: args.blob,
+    container: args.container,
+    company: args.company,
+    from: args.from,
+    to: args.to,
+    folders: typeof args.folders === 'string' ? args.folders.split(',') : undefined,
+    formType: args['form-type'],
+    dryRun: Boolean(args['dry-run'])
+  });
+
+  const requeued = results.filter(result => result.requeued).length;
+  const failed = results.filter(result => result.error);
+  console.log(`\n${args['dry-run'] ? 'Would re-queue' : 'Re-queued'} ${args['dry-run'] ? results.length : requeued} blob(s), ${failed.length} failed.`);
+  failed.forEach(result => console.error(`  ✗ ${result.blobPath}: ${result.error}`));
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const {
+  STATES,
+  CorrectiveActionError,
+  listCorrectiveActions,
+  countCorrectiveActions,
+  getCorrectiveAction,
+  recordActionTaken,
+  closeCorrectiveAction
+} = require('./submissions/correctiveActions');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+async function readJsonBody(request) {
+  try {
+    return (await request.json()) || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /manage/corrective-actions?company=example-foods[&store=nakameguro&month=2025-05&state=open]  (admin key required)
+ * Lists corrective actions for 否 results with their open and closed counts.
+ * `store` is the store id, or the location as read for unresolved stores.
+ */
+app.http('CorrectiveActionList', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/corrective-actions',
+  handler: async (request, context) => {
+    try {
+      const company = request.query.get('company') || undefined;
+      const store = request.query.get('store') || undefined;
+      const month = request.query.get('month') || undefined;
+      const state = request.query.get('state') || undefined;
+
+      if (!company) {
+        return { status: 400, jsonBody: { error: 'Specify "company"' } };
+      }
+      if (month && !MONTH_PATTERN.test(month)) {
+        return { status: 400, jsonBody: { error: '"month" must be in YYYY-MM format' } };
+      }
+      if (state && !STATES.includes(state)) {
+        return { status: 400, jsonBody: { error: `"state" must be one of ${STATES.join(', ')}` } };
+      }
+
+      logMessage(`🔎 Listing corrective actions → company: ${company}, store: ${store || '*'}, month: ${month || '*'}, state: ${state || '*'}`, context);
+      const items = await listCorrectiveActions({ company, store, month, state });
+      return { status: 200, jsonBody: { count: items.length, ...countCorrectiveActions(items), items } };
+    } catch (error) {
+      handleError(error, 'Corrective Action List', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the corrective actions' } };
+    }
+  }
+});
+
+/**
+ * GET /manage/corrective-actions/{id}  (admin key required)
+ * Returns one corrective action with its notes.
+ */
+app.http('CorrectiveActionDetail', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/corrective-actions/{id}',
+  handler: async (request, context) => {
+    const actionId = request.params.id;
+    try {
+      const action = await getCorrectiveAction(actionId);
+      if (!action) {
+        return { status: 404, jsonBody: { error: `Corrective action ${actionId} not found` } };
+      }
+      return { status: 200, jsonBody: action };
+    } catch (error) {
+      handleError(error, 'Corrective Action Detail', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the corrective action' } };
+    }
+  }
+});
+
+/**
+ * POST /manage/corrective-actions/{id}/action  (admin key required)
+ *
+ * Body (JSON): { "by": "manager@example.co.jp", "action": "まな板を色分けし、担当者に再指導" }
+ *
+ * Records the action taken; the record stays open until it is closed.
+ */
+app.http('RecordCorrectiveAction', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/corrective-actions/{id}/action',
+  handler: async (request, context) => {
+    const actionId = request.params.id;
+    try {
+      const body = await readJsonBody(request);
+      if (!body) {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      const action = await recordActionTaken(context, { actionId, by: body.by, action: body.action });
+      if (!action) {
+        return { status: 404, jsonBody: { error: `Corrective action ${actionId} not found` } };
+      }
+      return { status: 200, jsonBody: action };
+    } catch (error) {
+      if (error instanceof CorrectiveActionError) {
+        return { status: 400, jsonBody: { error: error.message } };
+      }
+      handleError(error, 'Record Corrective Action', context);
+      return { status: 500, jsonBody: { error: 'Failed to save the action taken' } };
+    }
+  }
+});
+
+/**
+ * POST /manage/corrective-actions/{id}/close  (admin key required)
+ *
+ * Body (JSON): { "by": "manager@example.co.jp", "action": "..." }
+ *
+ * `action` is optional when the action taken was already recorded.
+ */
+app.http('CloseCorrectiveAction', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/corrective-actions/{id}/close',
+  handler: async (request, context) => {
+    const actionId = request.params.id;
+    try {
+      const body = await readJsonBody(request);
+      if (!body) {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      const action = await closeCorrectiveAction(context, { actionId, by: body.by, action: body.action });
+      if (!action) {
+        return { status: 404, jsonBody: { error: `Corrective action ${actionId} not found` } };
+      }
+      return { status: 200, jsonBody: action };
+    } catch (error) {
+      if (error instanceof CorrectiveActionError) {
+        return { status: 400, jsonBody: { error: error.message } };
+      }
+      handleError(error, 'Close Corrective Action', context);
+      return { status: 500, jsonBody: { error: 'Failed to close the corrective action' } };
+    }
+  }
+});
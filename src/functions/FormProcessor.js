@@ -5,72 +5,34 @@ if (!process.env.WEBSITE_SITE_NAME) {
 const { BlobServiceClient } = require('@azure/storage-blob');
 const { logMessage, handleError, moveBlob } = require('./utils');
 const { app } = require('@azure/functions');
-// Updated to use new extractors (removed /legacy/ path)
-const { extractGeneralManagementData } = require('./docIntelligence/generalManagementFormExtractor');
-const { extractImportantManagementData } = require('./docIntelligence/importantManagementFormExtractor');
 //const { uploadToMondayGeneralManagementBoard } = require('./monday/generalManagementDashboard');
 //const { uploadToMonday } = require('./monday/importantManagementDashboard');
 //const { classifyDocument } = require('./docIntelligence/documentClassifier');
-const { detectTitleFromDocument, GENERAL_MANAGEMENT_FORM, IMPORTANT_MANAGEMENT_FORM } = require('./docIntelligence/ocrTitleDetector');
-const { prepareGeneralManagementReport } = require('./sharepoint/generalManagementReport');
-const { prepareImportantManagementReport } = require('./sharepoint/importantManagementReport');
-const { analyseAndExtract, generateAnnotatedImageToSharePoint } = require('./docIntelligence/generalFormExtractor');
+const { detectDocumentSegments, detectLayoutFromDocument } = require('./docIntelligence/ocrTitleDetector');
+const { AnalyzeTimeoutError, AnalyzeFailedError } = require('./docIntelligence/analyzeOperation');
+const { getConfidenceThreshold, findLowConfidenceFields } = require('./docIntelligence/fieldConfidence');
+// Extractors and report generators are declared per form type in ./formTypes
+const { getFormTypeByTitle, resolveFormType } = require('./formTypes');
 //const { processUnknownDocument } = require('./docIntelligence/generalFormExtractor');
 const { processUnknownDocumentWithTables } = require('./docIntelligence/generalTableExtractor');
 
 // ✅ Add import for HTML report generation at the top of the file
 const { generateHtmlReportToSharePoint } = require('./docIntelligence/generalFormHtmlReport');
-
-const supportedExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.heic'];
-
-const INVALID_ATTACHED_FILE_NAME = 'invalid-filename';
-const UNSUPPORTED_FILE_TYPE = 'invalid-file-type';
-
-function getCustomerID(senderEmail) {
-  const domain = senderEmail.split('@')[1];
-  return { name: domain };
-}
-
-function parseBlobName(blobName, context) {
-  logMessage(`🔍 Parsing blob name: ${blobName}.. Progressing...`, context);
-  const regex = /^(.+?)\((.+?)\)(.+)$/;
-  const match = blobName.match(regex);
-
-  if (!match) {
-    logMessage(`❌ Invalid blob name format: ${blobName}`, context);
-    return { isValid: false, reason: INVALID_ATTACHED_FILE_NAME };
-  }
-
-  const timestamp = match[1];
-  const senderEmail = match[2];
-  const fileNameWithExt = match[3];
-  const extension = fileNameWithExt.slice(fileNameWithExt.lastIndexOf('.')).toLowerCase();
-  const companyName = getCustomerID(senderEmail).name;
-
-  logMessage(`🧩 Parsed values → timestamp: ${timestamp}, senderEmail: ${senderEmail}, fileName: ${fileNameWithExt}, extension: ${extension}, companyName: ${companyName}`, context);
-
-  if (!supportedExtensions.includes(extension)) {
-    logMessage(`❌ Unsupported file type: ${extension}`, context);
-    return {
-      isValid: false,
-      reason: UNSUPPORTED_FILE_TYPE,
-      timestamp,
-      senderEmail,
-      fileName: fileNameWithExt,
-      extension,
-      companyName
-    };
-  }
-
-  return {
-    isValid: true,
-    timestamp,
-    senderEmail,
-    fileName: fileNameWithExt,
-    extension,
-    companyName
-  };
-}
+const {
+  INVALID_ATTACHED_FILE_NAME,
+  parseBlobName,
+  readBlobMetadata
+} = require('./submissions/intake');
+const { getSubmissionId, toReceivedAt, recordSubmissionEvent } = require('./submissions/ledger');
+const { supersedePreviousReports } = require('./submissions/reprocess');
+const { computeContentHash, checkAndClaimContent } = require('./submissions/dedupStore');
+const { preprocessDocument } = require('./imaging/photoPreprocessor');
+const { UNPACKED_FOLDER, unpackContainer } = require('./submissions/unpack');
+const { ContainerFormatError } = require('./archives');
+const { getCustomer } = require('./customers');
+const { getQuarantineReason, quarantineBlob } = require('./submissions/quarantine');
+const { saveSheetForReview } = require('./submissions/review');
+const { openCorrectiveActions } = require('./submissions/correctiveActions');
 
 app.storageBlob('FormProcessor', {
   path: 'incoming-emails/{name}',
@@ -81,6 +43,39 @@ app.storageBlob('FormProcessor', {
       logMessage(`📥 Blob triggered: ${blobName}`, context);
 
       const parsed = parseBlobName(blobName, context);
+      const blobMetadata = readBlobMetadata(context);
+      const submissionId = getSubmissionId(blobName, blobMetadata);
+      logMessage(`🆔 Submission ID: ${submissionId} (source: ${blobMetadata.source || 'email'})`, context);
+      // Uploads from the HTTP route name the customer explicitly; everything else is resolved from the sender
+      const uploadCustomer = parsed.senderEmail ? getCustomer(blobMetadata.company) : null;
+      if (uploadCustomer) {
+        parsed.customer = uploadCustomer;
+        parsed.companyName = uploadCustomer.id;
+      }
+      const receivedAt = toReceivedAt(parsed.timestamp);
+
+      await recordSubmissionEvent(context, submissionId, {
+        state: 'received',
+        blobName,
+        source: blobMetadata.source || 'email',
+        parentSubmissionId: blobMetadata.parentsubmissionid || null,
+        senderEmail: parsed.senderEmail || null,
+        companyName: parsed.companyName || null,
+        customerName: parsed.customer?.displayName || null,
+        fileName: parsed.fileName || null,
+        receivedAt,
+        error: null
+      });
+
+      // Unknown, blocked or non-allowlisted senders wait in quarantine for an operator, unanalyzed
+      const quarantineReason = getQuarantineReason(parsed, blobMetadata);
+      if (quarantineReason) {
+        logMessage(`🚧 Sender ${parsed.senderEmail} not accepted: ${quarantineReason}`, context);
+        const finalLocation = await quarantineBlob(context, { blobName, parsed, submissionId, reason: quarantineReason });
+        await recordSubmissionEvent(context, submissionId, { state: 'quarantined', error: quarantineReason, finalLocation });
+        return;
+      }
+
       if (!parsed?.isValid) {
         logMessage(`📄 Invalid file. Reason: ${parsed.reason}`, context);
 
@@ -95,32 +90,118 @@ app.storageBlob('FormProcessor', {
         });
 
         logMessage(`📦 Moved invalid file to ${targetContainer}/${targetSubfolder}`, context);
+        await recordSubmissionEvent(context, submissionId, {
+          state: 'rejected',
+          error: parsed.reason,
+          finalLocation: { container: targetContainer, path: `${targetSubfolder}/${blobName}` }
+        });
         return;
       }
 
+      // ZIP archives and forwarded emails are unpacked; their files come back through this trigger
+      if (parsed.isContainer) {
+        await processContainerFile(context, { blob, blobName, parsed, blobMetadata, submissionId });
+        return;
+      }
+
+      // Same document from the same company already went through: link to it instead of re-running
+      const contentHash = computeContentHash(blob);
+      const dedup = await checkAndClaimContent(context, {
+        companyName: parsed.companyName,
+        contentHash,
+        submissionId,
+        force: blobMetadata.source === 'reprocess'
+      });
+
+      if (dedup.isDuplicate) {
+        const targetSubfolder = `${parsed.companyName}/duplicates`;
+        await moveBlob(context, blobName, {
+          connectionString: process.env['hygienemasterstorage_STORAGE'],
+          sourceContainerName: 'incoming-emails',
+          targetContainerName: 'processed-attachments',
+          targetSubfolder
+        });
+
+        logMessage(`📦 Moved duplicate file to processed-attachments/${targetSubfolder}`, context);
+        await recordSubmissionEvent(context, submissionId, {
+          state: 'duplicate',
+          contentHash,
+          duplicateOf: dedup.original.submissionId,
+          detectedTitle: dedup.original.detectedTitle || null,
+          finalLocation: { container: 'processed-attachments', path: `${targetSubfolder}/${blobName}` }
+        });
+        return;
+      }
+
+      // Phone photos are converted, straightened and cleaned up; dedup above keys on the bytes as received
+      const document = await preprocessDocument(context, blob, blobName);
+      const documentHash = document.buffer === blob ? contentHash : computeContentHash(document.buffer);
+
       logMessage(`🔍 Starting OCR title detection...`, context);
-      const mimeType = parsed.extension === '.pdf' ? 'application/pdf' : parsed.extension === '.heic' ? 'image/heif' : `image/${parsed.extension.replace('.', '')}`;
+      const mimeType = document.extension === '.pdf' ? 'application/pdf' : document.extension === '.heic' ? 'image/heif' : `image/${document.extension.replace('.', '')}`;
 
-      const detectedTitle = await detectTitleFromDocument(context, blob, mimeType);
+      await recordSubmissionEvent(context, submissionId, { state: 'processing', contentHash, preprocessing: document.steps });
+
+      // Replays can pin the form type and skip title detection
+      const forcedFormType = resolveFormType(blobMetadata.forcedformtype)?.title || null;
+      if (forcedFormType) {
+        logMessage(`📌 Form type forced by reprocess request: ${forcedFormType}`, context);
+      }
+      // Each page is classified on its own; a file can hold several sheets
+      let segments = [{ title: forcedFormType, pages: null }];
+      try {
+        if (forcedFormType) {
+          segments[0].layout = await detectLayoutFromDocument(context, document.buffer, documentHash);
+        } else {
+          segments = await detectDocumentSegments(context, document.buffer, mimeType, documentHash);
+        }
+      } catch (error) {
+        if (await moveAfterAnalyzeError(context, error, { blobName, companyName: parsed.companyName, submissionId })) return;
+        throw error;
+      }
+
+      if (segments.length > 1) {
+        await processMultiSheetDocument(context, {
+          segments,
+          base64Raw: document.buffer.toString('base64'),
+          fileExtension: document.extension.replace('.', ''),
+          blobName,
+          documentName: document.fileName,
+          companyName: parsed.companyName,
+          customer: parsed.customer,
+          receivedAt,
+          submissionId,
+          contentHash: documentHash
+        });
+        return;
+      }
+
+      const detectedTitle = segments[0]?.title || null;
 
       if (detectedTitle) {
-        logMessage(`📘 OCR detected title: ${detectedTitle}`, context);
-        const base64Raw = blob.toString('base64');
-        const fileExtension = parsed.extension.replace('.', '');
+        logMessage(`📘 OCR detected title: ${detectedTitle} (${segments[0].layout} layout)`, context);
+        const base64Raw = document.buffer.toString('base64');
+        const fileExtension = document.extension.replace('.', '');
         const companyName = parsed.companyName;
 
         await processExtractedData(context, {
           title: detectedTitle,
+          layout: segments[0].layout,
           base64Raw,
           fileExtension,
           blobName,
-          companyName
+          documentName: document.fileName,
+          companyName,
+          customer: parsed.customer,
+          receivedAt,
+          submissionId,
+          contentHash: documentHash
         });
         return;
       } else {
         logMessage(`⚠️ OCR failed to detect title. Trying to extract contents from it using general AI.`, context);
-        const base64Raw = blob.toString('base64');
-        const fileExtension = parsed.extension.replace('.', '');
+        const base64Raw = document.buffer.toString('base64');
+        const fileExtension = document.extension.replace('.', '');
         const companyName = parsed.companyName;
         logMessage(`Company name is ${companyName} and fileExtension is ${fileExtension}`, context);
         /*
@@ -137,7 +218,10 @@ app.storageBlob('FormProcessor', {
           base64Raw,
           fileExtension,
           blobName,
-          companyName
+          documentName: document.fileName,
+          companyName,
+          submissionId,
+          contentHash: documentHash
         });
         return;
       }
@@ -149,68 +233,56 @@ app.storageBlob('FormProcessor', {
 
 async function processExtractedData(context, {
   title,
+  layout,
   base64Raw,
   fileExtension,
   blobName,
-  companyName
+  documentName = blobName,
+  companyName,
+  customer = null,
+  receivedAt = null,
+  submissionId,
+  contentHash
 }) {
   try {
     logMessage(`🧠 Starting data extraction for title: ${title}`, context);
-    
-    if (title === GENERAL_MANAGEMENT_FORM) {
-      // Use new structured extractor
-      const structuredData = await extractGeneralManagementData(context, base64Raw, fileExtension);
-      
-      logMessage(`📊 Extracted structured data from 一般管理フォーム:`, context);
-      logMessage(`  - Location: ${structuredData.metadata.location}`, context);
-      logMessage(`  - Year-Month: ${structuredData.metadata.yearMonth}`, context);
-      logMessage(`  - Daily Records: ${structuredData.dailyRecords.length}`, context);
-      logMessage(`  - Categories: ${structuredData.categories.length}`, context);
-
-      logMessage('🚀 Starting report preparation for 一般管理...', context);
-      
-      // Pass structured data directly to report generator
-      await prepareGeneralManagementReport(structuredData, context, base64Raw, blobName);
-
-      logMessage(`✅ Finished generating 一般管理 report`, context);
-      
-      /* Uncomment below to upload to Monday.com (will need legacy conversion)
-      const legacyData = convertStructuredToLegacyFormat(structuredData, 'general');
-      for (const { row, fileName } of legacyData.extractedRows) {
-        logMessage(`📤 Uploading row to Monday.com (一般管理): ${fileName}`, context);
-        await uploadToMondayGeneralManagementBoard(row, context, base64Raw, fileName);
-      }
-      */
-      
-    } else if (title === IMPORTANT_MANAGEMENT_FORM) {
-      // Use new structured extractor
-      const structuredData = await extractImportantManagementData(context, base64Raw, fileExtension);
-      
-      logMessage(`📊 Extracted structured data from 重要管理フォーム:`, context);
-      logMessage(`  - Location: ${structuredData.metadata.location}`, context);
-      logMessage(`  - Year-Month: ${structuredData.metadata.yearMonth}`, context);
-      logMessage(`  - Daily Records: ${structuredData.dailyRecords.length}`, context);
-      logMessage(`  - Menu Items: ${structuredData.menuItems.length}`, context);
+    await recordSubmissionEvent(context, submissionId, { detectedTitle: title });
 
-      logMessage('🚀 Starting report preparation for 重要管理...', context);
-      
-      // Pass structured data directly to report generator
-      await prepareImportantManagementReport(structuredData, context, base64Raw, blobName);
-
-      logMessage(`✅ Finished generating 重要管理 report`, context);
-      
-      /* Uncomment below to upload to Monday.com (will need legacy conversion)
-      const legacyData = convertStructuredToLegacyFormat(structuredData, 'important');
-      for (const { row, fileName } of legacyData.extractedRows) {
-        logMessage(`📤 Uploading row to Monday.com (重要管理): ${fileName}`, context);
-        await uploadToMonday(row, context, base64Raw, fileName);
-      }
-      */
-    } else {
+    const formType = getFormTypeByTitle(title);
+    if (!formType) {
       logMessage(`⚠️ Unknown form title: ${title}. Extraction skipped.`, context);
+      await recordSubmissionEvent(context, submissionId, { state: 'failed', error: `Unknown form title: ${title}` });
       return;
     }
 
+    const { structuredData, sharePoint: reportSharePoint, lowConfidenceFields } = await extractAndReport(context, formType, {
+      layout,
+      base64Raw,
+      fileExtension,
+      blobName,
+      documentName,
+      companyName,
+      customer,
+      receivedAt,
+      submissionId,
+      contentHash
+    });
+    const extractionSummary = summarizeExtraction(structuredData);
+    const reviewReasons = getReviewReasons(structuredData, lowConfidenceFields);
+    await saveSheetForReview(context, {
+      submissionId,
+      formTypeId: formType.id,
+      documentName,
+      structuredData,
+      reviewReasons,
+      lowConfidenceFields
+    });
+
+    logMessage(`✅ Finished generating ${formType.title} report`, context);
+
+    // Monday.com upload is disabled; to re-enable, convert with
+    // convertStructuredToLegacyFormat(structuredData, formType.id) and use the ./monday uploaders
+
     logMessage(`📦 Moving processed blob to processed-attachments/${companyName}`, context);
 
     await moveBlob(context, blobName, {
@@ -221,11 +293,241 @@ async function processExtractedData(context, {
     });
 
     logMessage(`✅ Successfully processed and moved blob: ${blobName} to processed-attachments/${companyName}`, context);
+    const supersededReports = await supersedePreviousReports(context, submissionId, reportSharePoint);
+    await recordSubmissionEvent(context, submissionId, {
+      state: 'processed',
+      extraction: extractionSummary,
+      needsReview: reviewReasons.length > 0,
+      reviewReasons,
+      lowConfidenceFields,
+      sharePoint: reportSharePoint,
+      supersededReports,
+      finalLocation: { container: 'processed-attachments', path: `${companyName}/${blobName}` }
+    });
   } catch (error) {
+    if (await moveAfterAnalyzeError(context, error, { blobName, companyName, submissionId })) return;
     handleError("❌ Error during data extraction/upload", error, context);
+    await recordSubmissionEvent(context, submissionId, { state: 'failed', error: error.message });
   }
 }
 
+/**
+ * Unpacks a .zip/.eml/.msg attachment (see submissions/unpack.js) and archives it
+ * under {company}/unpacked, or under {company}/invalid-attachments when it is
+ * unreadable or holds nothing the pipeline accepts.
+ */
+async function processContainerFile(context, { blob, blobName, parsed, blobMetadata, submissionId }) {
+  const companyName = parsed.companyName;
+  let manifest = null;
+  let rejection = null;
+
+  try {
+    manifest = await unpackContainer(context, { blob, blobName, parsed, blobMetadata, submissionId });
+    if (manifest.accepted.length === 0) rejection = 'empty-container';
+  } catch (error) {
+    if (!(error instanceof ContainerFormatError)) {
+      handleError(error, 'Unpack Container', context);
+      await recordSubmissionEvent(context, submissionId, { state: 'failed', error: error.message });
+      return;
+    }
+    logMessage(`❌ Could not read ${blobName}: ${error.message}`, context);
+    rejection = 'unreadable-container';
+  }
+
+  const targetSubfolder = rejection ? `${companyName}/invalid-attachments` : `${companyName}/${UNPACKED_FOLDER}`;
+  await moveBlob(context, blobName, {
+    connectionString: process.env['hygienemasterstorage_STORAGE'],
+    sourceContainerName: 'incoming-emails',
+    targetContainerName: 'processed-attachments',
+    targetSubfolder
+  });
+
+  logMessage(`📦 Moved container to processed-attachments/${targetSubfolder}`, context);
+  await recordSubmissionEvent(context, submissionId, {
+    state: rejection ? 'rejected' : 'unpacked',
+    error: rejection,
+    manifest: manifest && {
+      path: manifest.manifestPath,
+      accepted: manifest.accepted.map(member => ({ path: member.path, submissionId: member.submissionId })),
+      rejected: manifest.rejected.map(member => ({ path: member.path, reason: member.reason }))
+    },
+    finalLocation: { container: 'processed-attachments', path: `${targetSubfolder}/${blobName}` }
+  });
+}
+
+/**
+ * Handles a file holding several sheets, e.g. a month of weekly sheets scanned
+ * into one PDF. Every sheet is extracted and reported on its own and listed under
+ * `sheets` in the ledger; the attachment itself is archived once, as processed
+ * when at least one sheet reached SharePoint.
+ */
+async function processMultiSheetDocument(context, {
+  segments,
+  base64Raw,
+  fileExtension,
+  blobName,
+  documentName = blobName,
+  companyName,
+  customer = null,
+  receivedAt = null,
+  submissionId,
+  contentHash
+}) {
+  try {
+    logMessage(`📑 Processing ${segments.length} sheets from ${blobName}`, context);
+    const sheets = [];
+
+    for (const segment of segments) {
+      const formType = segment.title ? getFormTypeByTitle(segment.title) : null;
+      if (!formType) {
+        logMessage(`⚠️ Pages ${segment.pages}: no known form title, skipped`, context);
+        sheets.push({ pages: segment.pages, detectedTitle: null, state: 'skipped', error: 'No known form title' });
+        continue;
+      }
+
+      try {
+        const { structuredData, sharePoint, lowConfidenceFields } = await extractAndReport(context, formType, {
+          layout: segment.layout,
+          base64Raw,
+          fileExtension,
+          blobName,
+          documentName,
+          companyName,
+          customer,
+          receivedAt,
+          submissionId,
+          contentHash,
+          pages: segment.pages
+        });
+        const reviewReasons = getReviewReasons(structuredData, lowConfidenceFields);
+        await saveSheetForReview(context, {
+          submissionId,
+          pages: segment.pages,
+          formTypeId: formType.id,
+          documentName,
+          structuredData,
+          reviewReasons,
+          lowConfidenceFields
+        });
+        sheets.push({
+          pages: segment.pages,
+          detectedTitle: formType.title,
+          state: 'processed',
+          extraction: summarizeExtraction(structuredData),
+          reviewReasons,
+          lowConfidenceFields,
+          sharePoint
+        });
+      } catch (error) {
+        // An unreadable sheet does not hold back the others; anything else (e.g. SharePoint) fails the file
+        if (!(error instanceof AnalyzeTimeoutError || error instanceof AnalyzeFailedError)) throw error;
+        logMessage(`❌ Pages ${segment.pages}: ${error.message}`, context);
+        sheets.push({
+          pages: segment.pages,
+          detectedTitle: formType.title,
+          state: error instanceof AnalyzeTimeoutError ? 'extraction-timeout' : 'extraction-error',
+          error: error.message
+        });
+      }
+    }
+
+    const titles = [...new Set(sheets.map(sheet => sheet.detectedTitle).filter(Boolean))];
+    await recordSubmissionEvent(context, submissionId, { detectedTitle: titles.join(' / '), sheets });
+
+    const processed = sheets.filter(sheet => sheet.state === 'processed');
+    if (processed.length === 0) {
+      const onlyTimeouts = sheets.every(sheet => sheet.state !== 'extraction-error');
+      const error = onlyTimeouts
+        ? new AnalyzeTimeoutError(sheets.find(sheet => sheet.error)?.error || 'No sheet could be extracted')
+        : new AnalyzeFailedError(sheets.find(sheet => sheet.state === 'extraction-error').error);
+      await moveAfterAnalyzeError(context, error, { blobName, companyName, submissionId });
+      return;
+    }
+
+    // One attachment, reports in as many folders as there are stores and months
+    const sharePoint = {
+      folderPath: processed[0].sharePoint?.folderPath || null,
+      folders: [...new Set(processed.map(sheet => sheet.sharePoint?.folderPath).filter(Boolean))],
+      files: processed.flatMap(sheet => sheet.sharePoint?.files || [])
+    };
+
+    await moveBlob(context, blobName, {
+      connectionString: process.env['hygienemasterstorage_STORAGE'],
+      sourceContainerName: 'incoming-emails',
+      targetContainerName: 'processed-attachments',
+      targetSubfolder: companyName
+    });
+
+    logMessage(`✅ Processed ${processed.length}/${sheets.length} sheets and moved blob: ${blobName} to processed-attachments/${companyName}`, context);
+    const supersededReports = await supersedePreviousReports(context, submissionId, sharePoint);
+    const reviewReasons = [...new Set(processed.flatMap(sheet => sheet.reviewReasons))];
+    await recordSubmissionEvent(context, submissionId, {
+      state: 'processed',
+      extraction: { sheets: sheets.length, processedSheets: processed.length },
+      needsReview: reviewReasons.length > 0,
+      reviewReasons,
+      sharePoint,
+      supersededReports,
+      finalLocation: { container: 'processed-attachments', path: `${companyName}/${blobName}` }
+    });
+  } catch (error) {
+    handleError(error, 'Multi-Sheet Extraction', context);
+    await recordSubmissionEvent(context, submissionId, { state: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Runs the form type's extractor and report generator for one sheet.
+ * `pages` limits both to part of the file when it holds several sheets;
+ * `layout` ("weekly" or "monthly") selects the custom model.
+ * Values read with less than the customer's confidence threshold are returned
+ * as `lowConfidenceFields` and highlighted in the reports. Items marked 否 open
+ * corrective actions, which the reports list with the rest of the store's month.
+ */
+async function extractAndReport(context, formType, {
+  layout,
+  base64Raw,
+  fileExtension,
+  blobName,
+  documentName = blobName,
+  companyName,
+  customer = null,
+  receivedAt = null,
+  submissionId,
+  contentHash,
+  pages = null
+}) {
+  const structuredData = await formType.extract(context, { base64Raw, fileExtension, blobName, contentHash, pages, layout, customer, receivedAt });
+
+  logMessage(`📊 Extracted structured data from ${formType.title}${pages ? ` (pages ${pages})` : ''}:`, context);
+  logMessage(`  - Location: ${structuredData.metadata.location}${structuredData.metadata.storeMatch ? ` (store: ${structuredData.metadata.storeId || 'unresolved'}, written "${structuredData.metadata.rawLocation}")` : ''}`, context);
+  logMessage(`  - Layout: ${structuredData.metadata.layout || 'weekly'}`, context);
+  logMessage(`  - Year-Month: ${structuredData.metadata.yearMonth}${structuredData.metadata.yearInferred ? ' (year taken from the submission date)' : ''}`, context);
+  logMessage(`  - Daily Records: ${structuredData.dailyRecords.length}`, context);
+  (formType.describe?.(structuredData) || []).forEach(line => logMessage(`  - ${line}`, context));
+
+  const confidenceThreshold = getConfidenceThreshold(customer);
+  const lowConfidenceFields = findLowConfidenceFields(structuredData, confidenceThreshold);
+  if (lowConfidenceFields.length > 0) {
+    logMessage(`  - Low confidence (< ${confidenceThreshold}): ${lowConfidenceFields.length} values`, context);
+  }
+
+  const correctiveActions = await openCorrectiveActions(context, { submissionId, pages, companyName, formType, structuredData });
+
+  logMessage(`🚀 Starting report preparation for ${formType.title}...`, context);
+
+  // Pass structured data directly to report generator
+  const report = await formType.generateReport(structuredData, context, {
+    base64Raw,
+    blobName: documentName,
+    folderTemplate: formType.sharePointFolderTemplate,
+    pages,
+    confidenceThreshold,
+    correctiveActions
+  });
+  return { structuredData, sharePoint: report?.sharePoint || null, lowConfidenceFields };
+}
+
 /**  
  * Simplified function to extract data from any document using the comprehensive pipeline
  */
@@ -368,7 +670,10 @@ async function processUnknownFileTypeWithTables(context, {
   base64Raw,
   fileExtension,
   blobName,
-  companyName
+  documentName = blobName,
+  companyName,
+  submissionId,
+  contentHash
 }) {
   try {
     logMessage(`🧠 Starting general form extraction for unknown file type with tables`, context);
@@ -383,7 +688,7 @@ async function processUnknownFileTypeWithTables(context, {
                     `image/${fileExtension}`;
 
     // Extract original filename from blob name
-    const originalFileName = blobName.split(')')[1] || `unknown_${Date.now()}.${fileExtension}`;
+    const originalFileName = documentName.split(')')[1] || `unknown_${Date.now()}.${fileExtension}`;
 
     // ✅ SIMPLIFIED: Use the comprehensive processing function
     const processingResult = await processUnknownDocumentWithTables(
@@ -392,7 +697,8 @@ async function processUnknownFileTypeWithTables(context, {
       base64Raw,
       originalFileName,
       companyName,
-      context
+      context,
+      contentHash
     );
 
     if (!processingResult.success) {
@@ -411,6 +717,11 @@ async function processUnknownFileTypeWithTables(context, {
       });
       
       logMessage(`📦 Moved file to ${targetSubfolder}`, context);
+      await recordSubmissionEvent(context, submissionId, {
+        state: processingResult.reason === 'no_text_detected' ? 'no-text-detected' : 'extraction-error',
+        error: processingResult.error || processingResult.reason,
+        finalLocation: { container: 'processed-attachments', path: `${targetSubfolder}/${blobName}` }
+      });
       return;
     }
 
@@ -475,8 +786,24 @@ async function processUnknownFileTypeWithTables(context, {
     });
 
     logMessage(`📦 Successfully moved file to processed-attachments/${companyName}/general-extraction`, context);
+    const generalSharePoint = { folderPath: processingResult.sharePointFolder, files: [] };
+    const supersededReports = await supersedePreviousReports(context, submissionId, generalSharePoint);
+    await recordSubmissionEvent(context, submissionId, {
+      state: 'general-extraction',
+      extraction: {
+        tableCells: processingResult.textRegions,
+        tablesDetected: processingResult.tablesDetected
+      },
+      sharePoint: generalSharePoint,
+      supersededReports,
+      finalLocation: { container: 'processed-attachments', path: `${companyName}/general-extraction/${blobName}` }
+    });
 
   } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      await moveAfterAnalyzeError(context, error, { blobName, companyName, submissionId });
+      return;
+    }
     logMessage(`❌ Error during general form extraction: ${error.message}`, context);
     handleError("❌ Error during general form extraction", error, context);
     
@@ -489,12 +816,82 @@ async function processUnknownFileTypeWithTables(context, {
         targetSubfolder: `${companyName}/extraction-errors`
       });
       logMessage(`📦 Moved failed file to extraction-errors folder`, context);
+      await recordSubmissionEvent(context, submissionId, {
+        state: 'extraction-error',
+        error: error.message,
+        finalLocation: { container: 'processed-attachments', path: `${companyName}/extraction-errors/${blobName}` }
+      });
     } catch (moveError) {
       logMessage(`❌ Failed to move error file: ${moveError.message}`, context);
     }
   }
 }
 
+/**
+ * Files a blob whose Document Intelligence call timed out (extraction-timeout) or was
+ * rejected by the service (extraction-errors). Returns false for any other error.
+ */
+async function moveAfterAnalyzeError(context, error, { blobName, companyName, submissionId }) {
+  if (!(error instanceof AnalyzeTimeoutError) && !(error instanceof AnalyzeFailedError)) return false;
+
+  const timedOut = error instanceof AnalyzeTimeoutError;
+  const targetSubfolder = `${companyName}/${timedOut ? 'extraction-timeout' : 'extraction-errors'}`;
+  logMessage(`${timedOut ? '⏱️' : '❌'} ${error.message}`, context);
+
+  await moveBlob(context, blobName, {
+    connectionString: process.env['hygienemasterstorage_STORAGE'],
+    sourceContainerName: 'incoming-emails',
+    targetContainerName: 'processed-attachments',
+    targetSubfolder
+  });
+
+  logMessage(`📦 Moved file to ${targetSubfolder}`, context);
+  await recordSubmissionEvent(context, submissionId, {
+    state: timedOut ? 'extraction-timeout' : 'extraction-error',
+    error: error.message,
+    finalLocation: { container: 'processed-attachments', path: `${targetSubfolder}/${blobName}` }
+  });
+  return true;
+}
+
+/**
+ * Condenses extractor output into the fields the submission ledger keeps
+ */
+function summarizeExtraction(structuredData) {
+  const { storeId, storeMatch, rawLocation } = structuredData.metadata;
+  return {
+    location: structuredData.metadata.location,
+    ...(storeMatch ? { storeId, storeMatch, rawLocation } : {}),
+    yearMonth: structuredData.metadata.yearMonth,
+    ...(structuredData.metadata.layout ? { layout: structuredData.metadata.layout } : {}),
+    ...(structuredData.metadata.yearInferred ? { yearInferred: true } : {}),
+    dailyRecords: structuredData.dailyRecords.length,
+    ...structuredData.summary
+  };
+}
+
+// Statuses read from a 良/否 checkbox pair; "未選択" there means neither box could be read as marked
+const PAIRED_STATUS_FIELD = /^(Cat|Menu)\d+Status$/;
+
+/**
+ * Why a processed sheet should be checked by a person; empty when nothing stands out.
+ */
+function getReviewReasons(structuredData, lowConfidenceFields = []) {
+  const reasons = [];
+  if (structuredData.metadata.storeMatch === 'unresolved') reasons.push('unresolved-store');
+  // Days left blank on a monthly sheet (closed days, the rest of the month) are not unreadable
+  const unreadableStatus = structuredData.dailyRecords.some(record => record.day > 0 && !record.blank && Object.entries(record)
+    .some(([field, value]) => PAIRED_STATUS_FIELD.test(field) && (value === 'エラー' || value === '未選択')));
+  if (unreadableStatus) reasons.push('unreadable-status');
+  // Temperatures written on the sheet that could not be read as a number
+  if (structuredData.dailyRecords.some(record => record.unreadableReadings?.length)) reasons.push('unreadable-reading');
+  // Health check marks that are neither a symptom nor its absence
+  if (structuredData.dailyRecords.some(record => record.unreadableChecks?.length)) reasons.push('unreadable-check');
+  if (structuredData.dailyRecords.some(record => record.dateIssues?.length)) reasons.push('date-issues');
+  if (lowConfidenceFields.length > 0) reasons.push('low-confidence');
+  return reasons;
+}
+
 /**
  * Converts the new structured data format back to legacy format for Monday.com compatibility
  * (Only needed if Monday.com upload is enabled)
@@ -0,0 +1,77 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const { getCustomer } = require('./customers');
+const { UNKNOWN_SENDER, listQuarantinedBlobs, approveQuarantinedBlob } = require('./submissions/quarantine');
+
+/**
+ * GET /manage/quarantine[?reason=unknown-sender]  (admin key required)
+ * Lists attachments held in the quarantine container.
+ */
+app.http('QuarantinedSubmissions', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/quarantine',
+  handler: async (request, context) => {
+    try {
+      const reason = request.query.get('reason') || undefined;
+      logMessage(`🔎 Listing quarantine → reason: ${reason || '*'}`, context);
+
+      const items = await listQuarantinedBlobs({ reason });
+      return { status: 200, jsonBody: { count: items.length, items } };
+    } catch (error) {
+      handleError(error, 'Quarantined Submissions', context);
+      return { status: 500, jsonBody: { error: 'Failed to list the quarantine container' } };
+    }
+  }
+});
+
+/**
+ * POST /manage/quarantine/approve  (admin key required)
+ *
+ * Body (JSON):
+ *   { "blobPath": "unknown-sender/2025-...(a@gmail.com)sheet.jpg", "company": "example-foods", "approvedBy": "ops@example.com" }
+ *
+ * `company` is required for unknown senders and optional otherwise. The blob is
+ * moved back into incoming-emails and processed like any other attachment.
+ */
+app.http('ApproveQuarantinedSubmission', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/quarantine/approve',
+  handler: async (request, context) => {
+    try {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      const { blobPath, company, approvedBy } = body || {};
+      if (!blobPath || !blobPath.includes('/')) {
+        return { status: 400, jsonBody: { error: 'Specify "blobPath" as {reason}/{blobName}' } };
+      }
+      if (company && !getCustomer(company)) {
+        return { status: 400, jsonBody: { error: `Unknown company "${company}"` } };
+      }
+      if (blobPath.startsWith(`${UNKNOWN_SENDER}/`) && !company) {
+        return { status: 400, jsonBody: { error: 'The sender is not in the customer registry; specify "company"' } };
+      }
+
+      logMessage(`✅ Quarantine approval requested → ${blobPath}${company ? ` (company ${company})` : ''}`, context);
+
+      const result = await approveQuarantinedBlob(context, { blobPath, company, approvedBy });
+      return { status: 200, jsonBody: { ...result, status: 'queued' } };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { status: 404, jsonBody: { error: 'Quarantined blob not found' } };
+      }
+      handleError(error, 'Approve Quarantined Submission', context);
+      return { status: 500, jsonBody: { error: error.message } };
+    }
+  }
+});
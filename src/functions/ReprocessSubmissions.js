@@ -0,0 +1,78 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const { reprocessBlobs, resolveFormType } = require('./submissions/reprocess');
+const { getFormTypes } = require('./formTypes');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * POST /manage/reprocess  (admin key required)
+ *
+ * Body (JSON), either a single blob:
+ *   { "blobPath": "example-foods/extraction-errors/2025-...(a@b.com)sheet.jpg", "formType": "general" }
+ * or every blob of a company, optionally within a submission date range:
+ *   { "company": "example-foods", "from": "2025-05-01", "to": "2025-05-31",
+ *     "folders": ["processed", "extraction-errors"], "formType": "important", "dryRun": true }
+ *
+ * Matching blobs are moved back into incoming-emails and processed again.
+ */
+app.http('ReprocessSubmissions', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/reprocess',
+  handler: async (request, context) => {
+    try {
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      const { blobPath, container, company, from, to, folders, formType, dryRun } = body || {};
+
+      if (!blobPath && !company) {
+        return { status: 400, jsonBody: { error: 'Specify "blobPath" or "company"' } };
+      }
+      if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return { status: 400, jsonBody: { error: '"from" and "to" must be in YYYY-MM-DD format' } };
+      }
+      if (formType && !resolveFormType(formType)) {
+        return { status: 400, jsonBody: { error: `Unknown form type "${formType}". Known: ${getFormTypes().map(definition => definition.id).join(', ')}` } };
+      }
+      if (folders !== undefined && !Array.isArray(folders)) {
+        return { status: 400, jsonBody: { error: '"folders" must be an array' } };
+      }
+
+      logMessage(`🔁 Reprocess requested → ${blobPath || `${company} ${from || '*'}..${to || '*'}`}${dryRun ? ' (dry run)' : ''}`, context);
+
+      const results = await reprocessBlobs(context, {
+        blobPath,
+        container,
+        company,
+        from,
+        to,
+        folders,
+        formType,
+        dryRun: Boolean(dryRun)
+      });
+
+      return {
+        status: 200,
+        jsonBody: {
+          dryRun: Boolean(dryRun),
+          requeued: results.filter(result => result.requeued).length,
+          failed: results.filter(result => result.error).length,
+          results
+        }
+      };
+    } catch (error) {
+      handleError(error, 'Reprocess Submissions', context);
+      return { status: 500, jsonBody: { error: error.message } };
+    }
+  }
+});
@@ -0,0 +1,190 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const mime = require('mime-types');
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const {
+  ReviewValidationError,
+  ReviewConflictError,
+  listPendingReviews,
+  getReview,
+  getOriginalDocument,
+  applyCorrections,
+  approveReview
+} = require('./submissions/review');
+
+async function readJsonBody(request) {
+  try {
+    return (await request.json()) || {};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /manage/reviews[?company=example-foods]  (admin key required)
+ * Lists submissions waiting for a reviewer (`needsReview`), newest first.
+ */
+app.http('ReviewQueue', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/reviews',
+  handler: async (request, context) => {
+    try {
+      const company = request.query.get('company') || undefined;
+      logMessage(`🔎 Listing review queue → company: ${company || '*'}`, context);
+
+      const items = await listPendingReviews({ company });
+      return { status: 200, jsonBody: { count: items.length, items } };
+    } catch (error) {
+      handleError(error, 'Review Queue', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the review queue' } };
+    }
+  }
+});
+
+/**
+ * GET /manage/reviews/{id}  (admin key required)
+ * Returns the ledger record, the extracted data of every sheet with its audit
+ * trail, and the URL of the original attachment.
+ */
+app.http('ReviewSubmission', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/reviews/{id}',
+  handler: async (request, context) => {
+    const submissionId = request.params.id;
+    try {
+      const review = await getReview(submissionId);
+      if (!review) {
+        return { status: 404, jsonBody: { error: `Submission ${submissionId} not found` } };
+      }
+      return {
+        status: 200,
+        jsonBody: { ...review, originalUrl: `/api/manage/reviews/${encodeURIComponent(submissionId)}/original` }
+      };
+    } catch (error) {
+      handleError(error, 'Review Submission', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the review data' } };
+    }
+  }
+});
+
+/**
+ * GET /manage/reviews/{id}/original  (admin key required)
+ * Streams the archived attachment so values can be checked against it.
+ */
+app.http('ReviewOriginalDocument', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/reviews/{id}/original',
+  handler: async (request, context) => {
+    const submissionId = request.params.id;
+    try {
+      const review = await getReview(submissionId);
+      if (!review) {
+        return { status: 404, jsonBody: { error: `Submission ${submissionId} not found` } };
+      }
+
+      const { fileName, buffer } = await getOriginalDocument(context, review.submission);
+      return {
+        status: 200,
+        headers: {
+          'Content-Type': mime.lookup(fileName) || 'application/octet-stream',
+          'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        },
+        body: buffer
+      };
+    } catch (error) {
+      if (error instanceof ReviewValidationError) {
+        return { status: 409, jsonBody: { error: error.message } };
+      }
+      if (error.statusCode === 404) {
+        return { status: 404, jsonBody: { error: 'The original attachment is no longer in storage' } };
+      }
+      handleError(error, 'Review Original Document', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the original attachment' } };
+    }
+  }
+});
+
+/**
+ * POST /manage/reviews/{id}/corrections  (admin key required)
+ *
+ * Body (JSON):
+ *   {
+ *     "reviewer": "manager@example.co.jp",
+ *     "pages": "2",                                   // multi-sheet files only
+ *     "corrections": [
+ *       { "field": "location", "value": "恵比寿" },
+ *       { "row": 1, "field": "Cat3Status", "value": "良" },
+ *       { "row": 1, "field": "comment", "value": "まな板を交換" }
+ *     ]
+ *   }
+ *
+ * `row` is the position in dailyRecords; without it the field is a header field
+ * (location, year, month). Statuses accept 良, 否 and 未選択.
+ * Answers 409 when another reviewer saved the sheet at the same time.
+ */
+app.http('ReviewCorrections', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/reviews/{id}/corrections',
+  handler: async (request, context) => {
+    const submissionId = request.params.id;
+    try {
+      const body = await readJsonBody(request);
+      if (!body) {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      const { reviewer, pages, corrections } = body;
+      const sheet = await applyCorrections(context, { submissionId, pages, reviewer, corrections });
+      return { status: 200, jsonBody: sheet };
+    } catch (error) {
+      if (error instanceof ReviewValidationError) {
+        return { status: 400, jsonBody: { error: error.message } };
+      }
+      if (error instanceof ReviewConflictError) {
+        return { status: 409, jsonBody: { error: error.message } };
+      }
+      handleError(error, 'Review Corrections', context);
+      return { status: 500, jsonBody: { error: 'Failed to save the corrections' } };
+    }
+  }
+});
+
+/**
+ * POST /manage/reviews/{id}/approve  (admin key required)
+ *
+ * Body (JSON): { "reviewer": "manager@example.co.jp" }
+ *
+ * Regenerates the JSON/text/HTML reports from the reviewed data, replaces the
+ * previous reports in SharePoint and removes the submission from the queue.
+ */
+app.http('ApproveReview', {
+  methods: ['POST'],
+  authLevel: 'admin',
+  route: 'manage/reviews/{id}/approve',
+  handler: async (request, context) => {
+    const submissionId = request.params.id;
+    try {
+      const body = await readJsonBody(request);
+      if (!body) {
+        return { status: 400, jsonBody: { error: 'Request body must be JSON' } };
+      }
+
+      logMessage(`✅ Review approval requested → ${submissionId} by ${body.reviewer || '?'}`, context);
+      const result = await approveReview(context, { submissionId, reviewer: body.reviewer });
+      return { status: 200, jsonBody: { ...result, status: 'approved' } };
+    } catch (error) {
+      if (error instanceof ReviewValidationError) {
+        return { status: 400, jsonBody: { error: error.message } };
+      }
+      handleError(error, 'Approve Review', context);
+      return { status: 500, jsonBody: { error: error.message } };
+    }
+  }
+});
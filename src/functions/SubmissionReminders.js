@@ -0,0 +1,71 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const { getCustomer } = require('./customers');
+const { getPeriod, findSubmissionGaps, sendSubmissionReminders } = require('./submissions/missingSubmissions');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Daily check for stores that have not sent their sheets (SUBMISSION_REMINDER_SCHEDULE,
+ * default 01:00 UTC = 10:00 Japan time). See submissions/missingSubmissions.js.
+ */
+app.timer('SubmissionReminders', {
+  schedule: process.env.SUBMISSION_REMINDER_SCHEDULE || '0 0 1 * * *',
+  handler: async (timer, context) => {
+    try {
+      logMessage('📅 Checking for missing submissions...', context);
+      const results = await sendSubmissionReminders(context);
+      const gaps = results.reduce((count, result) => count + result.gaps.length, 0);
+      logMessage(`📅 Checked ${results.length} period(s), ${gaps} gap(s) found`, context);
+    } catch (error) {
+      handleError(error, 'Submission Reminders', context);
+    }
+  }
+});
+
+/**
+ * GET /manage/missing-submissions?company=example-foods&month=2025-05  (admin key required)
+ * GET /manage/missing-submissions?company=example-foods&week=2025-05-14
+ *
+ * Lists the gaps of one month or of the week (Monday to Sunday) containing the
+ * date, without sending reminders.
+ */
+app.http('MissingSubmissions', {
+  methods: ['GET'],
+  authLevel: 'admin',
+  route: 'manage/missing-submissions',
+  handler: async (request, context) => {
+    try {
+      const company = request.query.get('company');
+      const month = request.query.get('month');
+      const week = request.query.get('week');
+
+      const customer = getCustomer(company);
+      if (!customer) {
+        return { status: 400, jsonBody: { error: company ? `Unknown company "${company}"` : 'Specify "company"' } };
+      }
+      if (Boolean(month) === Boolean(week)) {
+        return { status: 400, jsonBody: { error: 'Specify one of "month" (YYYY-MM) or "week" (YYYY-MM-DD)' } };
+      }
+      if (month && !MONTH_PATTERN.test(month)) {
+        return { status: 400, jsonBody: { error: '"month" must be in YYYY-MM format' } };
+      }
+      if (week && !DATE_PATTERN.test(week)) {
+        return { status: 400, jsonBody: { error: '"week" must be a date in YYYY-MM-DD format' } };
+      }
+
+      const period = month ? getPeriod('month', `${month}-01`) : getPeriod('week', week);
+      logMessage(`🔎 Checking missing submissions → company: ${customer.id}, period: ${period.label}`, context);
+      const gaps = await findSubmissionGaps(customer, period);
+      return { status: 200, jsonBody: { company: customer.id, period, count: gaps.length, gaps } };
+    } catch (error) {
+      handleError(error, 'Missing Submissions', context);
+      return { status: 500, jsonBody: { error: 'Failed to check for missing submissions' } };
+    }
+  }
+});
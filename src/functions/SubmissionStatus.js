@@ -0,0 +1,74 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { app } = require('@azure/functions');
+const { logMessage, handleError } = require('./utils');
+const { getSubmission, listSubmissions } = require('./submissions/ledger');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * GET /submissions/{id}
+ * Returns the ledger record for one submission, e.g. the ID returned by the upload route.
+ */
+app.http('SubmissionStatus', {
+  methods: ['GET'],
+  authLevel: 'function',
+  route: 'submissions/{id}',
+  handler: async (request, context) => {
+    const submissionId = request.params.id;
+    try {
+      logMessage(`🔎 Submission status requested: ${submissionId}`, context);
+
+      const submission = await getSubmission(submissionId);
+      if (!submission) {
+        return { status: 404, jsonBody: { error: `Submission ${submissionId} not found` } };
+      }
+
+      return { status: 200, jsonBody: submission };
+    } catch (error) {
+      handleError(error, 'Submission Status', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the submission ledger' } };
+    }
+  }
+});
+
+/**
+ * GET /submissions?company=example-foods&month=2025-05
+ * Lists submissions for a company and/or the month they were received, newest first.
+ */
+app.http('SubmissionList', {
+  methods: ['GET'],
+  authLevel: 'function',
+  route: 'submissions',
+  handler: async (request, context) => {
+    try {
+      const company = request.query.get('company') || undefined;
+      const month = request.query.get('month') || undefined;
+
+      if (!company && !month) {
+        return { status: 400, jsonBody: { error: 'Specify at least one of "company" or "month"' } };
+      }
+      if (month && !MONTH_PATTERN.test(month)) {
+        return { status: 400, jsonBody: { error: '"month" must be in YYYY-MM format' } };
+      }
+
+      logMessage(`🔎 Listing submissions → company: ${company || '*'}, month: ${month || '*'}`, context);
+      const submissions = await listSubmissions({ company, month });
+
+      return {
+        status: 200,
+        jsonBody: {
+          company: company || null,
+          month: month || null,
+          count: submissions.length,
+          submissions
+        }
+      };
+    } catch (error) {
+      handleError(error, 'Submission List', context);
+      return { status: 500, jsonBody: { error: 'Failed to read the submission ledger' } };
+    }
+  }
+});
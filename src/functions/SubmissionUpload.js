@@ -0,0 +1,157 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { randomUUID } = require('crypto');
+const mime = require('mime-types');
+const { app } = require('@azure/functions');
+const { logMessage, handleError, uploadBlob } = require('./utils');
+const {
+  INCOMING_CONTAINER,
+  supportedExtensions,
+  getExtension,
+  buildBlobName,
+  encodeBlobMetadata
+} = require('./submissions/intake');
+const { getCustomer } = require('./customers');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || '', 10) || 20 * 1024 * 1024;
+// Room for the multipart boundaries and the other fields around the file
+const MAX_BODY_BYTES = MAX_UPLOAD_BYTES + 64 * 1024;
+const EMAIL_PATTERN = /^[^\s@()]+@[^\s@()]+\.[^\s@()]+$/;
+
+/**
+ * Direct upload endpoint for tablet apps and kiosk scanners.
+ *
+ * Accepts multipart/form-data with:
+ *   - file:        the sheet (PDF or image)
+ *   - senderEmail: who is submitting; used exactly like the email relay sender
+ *   - company:     id of the customer the sheet belongs to (see ./customers)
+ *
+ * The file is written into incoming-emails using the same
+ * `{timestamp}({senderEmail}){fileName}` naming as the email relay, so the
+ * FormProcessor blob trigger picks it up unchanged. Responds 202 with a
+ * submission ID that is stored in the blob metadata and follows the file
+ * through the pipeline.
+ */
+app.http('SubmissionUpload', {
+  methods: ['POST'],
+  authLevel: 'function',
+  route: 'submissions',
+  handler: async (request, context) => {
+    try {
+      logMessage(`📥 Upload request received`, context);
+
+      const body = await readBody(request, MAX_BODY_BYTES);
+      if (!body) {
+        return tooLarge();
+      }
+
+      let formData;
+      try {
+        formData = await new Response(body, { headers: { 'content-type': request.headers.get('content-type') || '' } }).formData();
+      } catch (error) {
+        logMessage(`❌ Failed to parse multipart body: ${error.message}`, context);
+        return badRequest('Request body must be multipart/form-data');
+      }
+
+      const file = formData.get('file');
+      const senderEmail = (formData.get('senderEmail') || '').toString().trim();
+      const company = (formData.get('company') || '').toString().trim();
+
+      if (!file || typeof file === 'string') {
+        return badRequest('Missing "file" field');
+      }
+      if (!EMAIL_PATTERN.test(senderEmail)) {
+        return badRequest('Missing or invalid "senderEmail" field');
+      }
+      if (!company) {
+        return badRequest('Missing "company" field');
+      }
+      if (!getCustomer(company)) {
+        return badRequest(`Unknown company "${company}"`);
+      }
+
+      const fileName = file.name || 'upload';
+      const extension = getExtension(fileName);
+      if (!supportedExtensions.includes(extension)) {
+        return badRequest(`Unsupported file type "${extension}". Supported: ${supportedExtensions.join(', ')}`);
+      }
+
+      const buffer = Buffer.from(await file.arrayBuffer());
+      if (buffer.length === 0) {
+        return badRequest('Uploaded file is empty');
+      }
+      if (buffer.length > MAX_UPLOAD_BYTES) {
+        return tooLarge();
+      }
+
+      const submissionId = randomUUID();
+      const timestamp = new Date().toISOString();
+      const blobName = buildBlobName(timestamp, senderEmail, fileName);
+
+      logMessage(`🧩 Upload → submissionId: ${submissionId}, sender: ${senderEmail}, company: ${company}, file: ${fileName} (${buffer.length} bytes)`, context);
+
+      await uploadBlob(context, blobName, buffer, {
+        connectionString: process.env['hygienemasterstorage_STORAGE'],
+        containerName: INCOMING_CONTAINER,
+        contentType: file.type || mime.lookup(fileName) || 'application/octet-stream',
+        metadata: encodeBlobMetadata({
+          submissionId,
+          company,
+          source: 'http-upload'
+        })
+      });
+
+      logMessage(`✅ Upload queued for processing: ${blobName}`, context);
+
+      return {
+        status: 202,
+        jsonBody: {
+          submissionId,
+          blobName,
+          status: 'queued'
+        }
+      };
+    } catch (error) {
+      handleError(error, 'Submission Upload', context);
+      return {
+        status: 500,
+        jsonBody: { error: 'Failed to store the uploaded file' }
+      };
+    }
+  }
+});
+
+/**
+ * Reads the request body, or returns null as soon as it is known to be over
+ * `limit` bytes: from Content-Length before anything is read, otherwise while
+ * the body streams in. The rest of an oversize body is never buffered.
+ */
+async function readBody(request, limit) {
+  const declaredLength = parseInt(request.headers.get('content-length') || '', 10);
+  if (declaredLength > limit) return null;
+  if (!request.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let length = 0;
+  const reader = request.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return Buffer.concat(chunks, length);
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+}
+
+function badRequest(message) {
+  return { status: 400, jsonBody: { error: message } };
+}
+
+function tooLarge() {
+  return { status: 413, jsonBody: { error: `File exceeds the ${MAX_UPLOAD_BYTES} byte limit` } };
+}
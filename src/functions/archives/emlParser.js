@@ -0,0 +1,197 @@
+const { decodeWithCharset, decodeLegacyText } = require('./textDecoding');
+
+/**
+ * MIME (.eml) parser that only cares about attachments.
+ *
+ * Walks multipart bodies and forwarded messages (message/rfc822) and returns
+ * every part that carries a file name, decoded from base64 or quoted-printable.
+ * File names may be RFC 2047 encoded words (=?ISO-2022-JP?B?...?=) or RFC 2231
+ * parameters (filename*=UTF-8''...), both common in Japanese mail.
+ */
+
+const MAX_NESTING = 5;
+
+/**
+ * Splits a raw message into unfolded headers and the body. The message is
+ * handled as a latin1 string so binary parts survive untouched.
+ */
+function splitMessage(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const headerText = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // Some clients put raw UTF-8 or Shift_JIS in headers instead of encoded words
+    if (!(name in headers)) headers[name] = decodeLegacyText(Buffer.from(line.slice(colon + 1).trim(), 'latin1'));
+  }
+  return { headers, body };
+}
+
+/**
+ * Parses `value; key=value; key*=charset''encoded` header values.
+ */
+function parseHeaderValue(value = '') {
+  const [main, ...rest] = splitOutsideQuotes(value, ';');
+  const params = {};
+  const continuations = {};
+
+  for (const part of rest) {
+    const equals = part.indexOf('=');
+    if (equals <= 0) continue;
+    const rawKey = part.slice(0, equals).trim().toLowerCase();
+    let paramValue = part.slice(equals + 1).trim();
+    if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    // RFC 2231: name*0*=..., name*1*=... are pieces of one value; a trailing * marks percent-encoding
+    const continuation = /^(.+?)\*(\d+)(\*?)$/.exec(rawKey);
+    if (continuation) {
+      const [, key, index, encoded] = continuation;
+      (continuations[key] = continuations[key] || []).push({ index: Number(index), value: paramValue, encoded: Boolean(encoded) });
+    } else if (rawKey.endsWith('*')) {
+      params[rawKey.slice(0, -1)] = decodeExtendedValue(paramValue);
+    } else {
+      params[rawKey] = paramValue;
+    }
+  }
+
+  for (const [key, pieces] of Object.entries(continuations)) {
+    pieces.sort((a, b) => a.index - b.index);
+    if (pieces[0].encoded) {
+      const [charset, , first] = pieces[0].value.split("'");
+      const joined = [first, ...pieces.slice(1).map(piece => piece.value)].join('');
+      params[key] = decodeExtendedValue(`${charset}''${joined}`);
+    } else {
+      params[key] = pieces.map(piece => piece.value).join('');
+    }
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && text[i - 1] !== '\\') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function decodeExtendedValue(value) {
+  const [charset, , encoded = ''] = value.split("'");
+  const bytes = Buffer.from(encoded.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+  return decodeWithCharset(bytes, charset);
+}
+
+/**
+ * Decodes RFC 2047 encoded words; adjacent encoded words are joined without the space between them.
+ */
+function decodeEncodedWords(text) {
+  return text
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : Buffer.from(data.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (__, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeWithCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const lines = body.split(/\r?\n/);
+  let current = null;
+
+  for (const line of lines) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\r\n'));
+      if (line.startsWith(`${delimiter}--`)) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  // Unterminated multipart: keep what was read
+  if (current) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+function collectAttachments(raw, attachments, depth) {
+  if (depth > MAX_NESTING) return;
+  const { headers, body } = splitMessage(raw);
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition'] || '');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    for (const part of splitMultipart(body, contentType.params.boundary)) {
+      collectAttachments(part, attachments, depth + 1);
+    }
+    return;
+  }
+
+  const rawFileName = disposition.params.filename || contentType.params.name;
+  // A forwarded message without a file name is unpacked in place
+  if (contentType.value === 'message/rfc822' && !rawFileName) {
+    collectAttachments(decodeTransferEncoding(body, headers['content-transfer-encoding']).toString('latin1'), attachments, depth + 1);
+    return;
+  }
+
+  if (rawFileName) {
+    attachments.push({
+      path: decodeEncodedWords(rawFileName),
+      contentType: contentType.value,
+      buffer: decodeTransferEncoding(body, headers['content-transfer-encoding'])
+    });
+  }
+}
+
+/**
+ * Returns the attachments of an .eml file.
+ *
+ * @param {Buffer} buffer - raw RFC 822 message
+ * @returns {{ subject: string|null, from: string|null, attachments: Array<{ path, contentType, buffer }> }}
+ */
+function parseEml(buffer) {
+  const raw = buffer.toString('latin1');
+  const { headers } = splitMessage(raw);
+  const attachments = [];
+  collectAttachments(raw, attachments, 0);
+
+  return {
+    subject: headers.subject ? decodeEncodedWords(headers.subject) : null,
+    from: headers.from ? decodeEncodedWords(headers.from) : null,
+    attachments
+  };
+}
+
+module.exports = { parseEml, decodeEncodedWords, parseHeaderValue };
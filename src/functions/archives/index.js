@@ -0,0 +1,58 @@
+const { ZipFormatError, listZipEntries, checkZipEntry, readZipEntry } = require('./zipReader');
+const { parseEml } = require('./emlParser');
+const { MsgFormatError, parseMsg } = require('./msgParser');
+
+/**
+ * Reads the files inside a container attachment: a ZIP archive, a forwarded
+ * email (.eml) or an Outlook message (.msg).
+ */
+
+class ContainerFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContainerFormatError';
+  }
+}
+
+const READERS = {
+  // Not inflated here: the caller checks the declared size first, then reads
+  '.zip': (buffer) => listZipEntries(buffer).map((entry) => {
+    try {
+      checkZipEntry(entry);
+    } catch (error) {
+      return { path: entry.path, error: error.message };
+    }
+    return { path: entry.path, size: entry.size, read: maxBytes => readZipEntry(buffer, entry, { maxBytes }) };
+  }),
+  '.eml': (buffer) => parseEml(buffer).attachments.map(({ path, buffer: content }) => ({ path, buffer: content })),
+  '.msg': (buffer) => parseMsg(buffer).attachments
+};
+
+const CONTAINER_EXTENSIONS = Object.keys(READERS);
+
+/**
+ * Returns the members of a container. A member has `buffer`, or for ZIP archives
+ * its declared `size` and `read(maxBytes)`, which inflates it (and throws when it
+ * is damaged or holds more than maxBytes). A member that cannot be read at all
+ * (encrypted, unsupported compression, ...) has an `error` instead.
+ *
+ * @param {string} extension - ".zip", ".eml" or ".msg"
+ * @param {Buffer} buffer - container content
+ * @returns {Array<{ path: string, buffer?: Buffer, size?: number, read?: Function, error?: string }>}
+ * @throws {ContainerFormatError} when the container itself cannot be read
+ */
+function readContainerMembers(extension, buffer) {
+  const reader = READERS[extension];
+  if (!reader) throw new ContainerFormatError(`Unsupported container type "${extension}"`);
+  try {
+    return reader(buffer);
+  } catch (error) {
+    // RangeError: a length or offset field points outside the buffer
+    if (error instanceof ZipFormatError || error instanceof MsgFormatError || error instanceof RangeError) {
+      throw new ContainerFormatError(error.message);
+    }
+    throw error;
+  }
+}
+
+module.exports = { CONTAINER_EXTENSIONS, ContainerFormatError, readContainerMembers };
@@ -0,0 +1,185 @@
+const { decodeLegacyText } = require('./textDecoding');
+
+/**
+ * Outlook .msg reader. A .msg file is a Compound File Binary (CFB) container;
+ * each attachment is a storage named `__attach_version1.0_#XXXXXXXX` holding
+ * MAPI properties as streams:
+ *
+ *   __substg1.0_3707001F   PR_ATTACH_LONG_FILENAME (UTF-16)
+ *   __substg1.0_3704001F   PR_ATTACH_FILENAME (8.3 name)
+ *   __substg1.0_3001001F   PR_DISPLAY_NAME
+ *   __substg1.0_37010102   PR_ATTACH_DATA_BIN (file content)
+ *
+ * `001E` variants of the name properties are 8-bit strings in the sender's code page.
+ * Attachments that are embedded messages (no data stream) are reported by name only.
+ */
+
+const CFB_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FREE_SECTOR = 0xFFFFFFFF;
+const NO_STREAM = 0xFFFFFFFF;
+const TYPE_STORAGE = 1;
+const TYPE_STREAM = 2;
+const TYPE_ROOT = 5;
+const HEADER_DIFAT_ENTRIES = 109;
+
+const ATTACHMENT_PREFIX = '__attach_version1.0_#';
+const NAME_PROPERTIES = ['3707', '3704', '3001'];
+const DATA_PROPERTY = '__substg1.0_37010102';
+
+class MsgFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MsgFormatError';
+  }
+}
+
+function createCompoundFile(buffer) {
+  if (buffer.length < 512 || !buffer.subarray(0, 8).equals(CFB_SIGNATURE)) {
+    throw new MsgFormatError('Not an Outlook message (compound file signature missing)');
+  }
+
+  const sectorSize = 1 << buffer.readUInt16LE(0x1E);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const firstDirectorySector = buffer.readUInt32LE(0x30);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const firstMiniFatSector = buffer.readUInt32LE(0x3C);
+  let difatSector = buffer.readUInt32LE(0x44);
+  const difatSectorCount = buffer.readUInt32LE(0x48);
+
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+  const readSector = (sector) => {
+    const offset = sectorOffset(sector);
+    if (offset + sectorSize > buffer.length) throw new MsgFormatError(`Sector ${sector} is outside the file`);
+    return buffer.subarray(offset, offset + sectorSize);
+  };
+
+  // FAT sector list: 109 entries in the header, the rest in chained DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    const sector = buffer.readUInt32LE(0x4C + i * 4);
+    if (sector !== FREE_SECTOR) fatSectors.push(sector);
+  }
+  for (let i = 0; i < difatSectorCount && difatSector !== END_OF_CHAIN && difatSector !== FREE_SECTOR; i++) {
+    const data = readSector(difatSector);
+    const entries = sectorSize / 4 - 1;
+    for (let j = 0; j < entries; j++) {
+      const sector = data.readUInt32LE(j * 4);
+      if (sector !== FREE_SECTOR) fatSectors.push(sector);
+    }
+    difatSector = data.readUInt32LE(entries * 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors) {
+    const data = readSector(sector);
+    for (let i = 0; i < sectorSize; i += 4) fat.push(data.readUInt32LE(i));
+  }
+
+  const followChain = (start, table, limit) => {
+    const chain = [];
+    for (let sector = start; sector !== END_OF_CHAIN && sector !== FREE_SECTOR; sector = table[sector]) {
+      if (sector >= table.length || chain.length > limit) throw new MsgFormatError('Sector chain is damaged');
+      chain.push(sector);
+    }
+    return chain;
+  };
+  const maxSectors = Math.ceil(buffer.length / sectorSize);
+  const readChain = start => Buffer.concat(followChain(start, fat, maxSectors).map(readSector));
+
+  // Directory entries are 128 bytes each
+  const directoryData = readChain(firstDirectorySector);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directoryData.length; offset += 128) {
+    const nameLength = directoryData.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directoryData.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: directoryData[offset + 0x42],
+      left: directoryData.readUInt32LE(offset + 0x44),
+      right: directoryData.readUInt32LE(offset + 0x48),
+      child: directoryData.readUInt32LE(offset + 0x4C),
+      start: directoryData.readUInt32LE(offset + 0x74),
+      size: directoryData.readUInt32LE(offset + 0x78)
+    });
+  }
+  const root = entries.find(entry => entry.type === TYPE_ROOT);
+  if (!root) throw new MsgFormatError('Root storage not found');
+
+  let miniStream = null;
+  let miniFat = null;
+  const readStream = (entry) => {
+    if (entry.size >= miniStreamCutoff) {
+      return readChain(entry.start).subarray(0, entry.size);
+    }
+    if (!miniStream) {
+      miniStream = readChain(root.start);
+      const miniFatData = firstMiniFatSector === END_OF_CHAIN ? Buffer.alloc(0) : readChain(firstMiniFatSector);
+      miniFat = [];
+      for (let i = 0; i + 4 <= miniFatData.length; i += 4) miniFat.push(miniFatData.readUInt32LE(i));
+    }
+    const chain = followChain(entry.start, miniFat, Math.ceil(miniStream.length / miniSectorSize));
+    return Buffer.concat(chain.map(sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)))
+      .subarray(0, entry.size);
+  };
+
+  // Children of a storage form a binary tree through left/right siblings
+  const childrenOf = (storage) => {
+    const children = [];
+    const visited = new Set();
+    const stack = [storage.child];
+    while (stack.length > 0) {
+      const index = stack.pop();
+      if (index === NO_STREAM || index >= entries.length || visited.has(index)) continue;
+      visited.add(index);
+      const entry = entries[index];
+      children.push(entry);
+      stack.push(entry.left, entry.right);
+    }
+    return children;
+  };
+
+  return { root, childrenOf, readStream };
+}
+
+function readNameProperty(file, streams, propertyId) {
+  const unicode = streams.get(`__substg1.0_${propertyId}001F`);
+  if (unicode) return file.readStream(unicode).toString('utf16le').replace(/\0+$/, '');
+  const ansi = streams.get(`__substg1.0_${propertyId}001E`);
+  if (ansi) return decodeLegacyText(file.readStream(ansi)).replace(/\0+$/, '');
+  return null;
+}
+
+/**
+ * Returns the file attachments of an Outlook .msg file.
+ *
+ * @param {Buffer} buffer - .msg file content
+ * @returns {{ attachments: Array<{ path, buffer } | { path, error }> }}
+ * @throws {MsgFormatError} when the file is not a readable compound file
+ */
+function parseMsg(buffer) {
+  const file = createCompoundFile(buffer);
+  const attachments = [];
+
+  const storages = file.childrenOf(file.root)
+    .filter(entry => entry.type === TYPE_STORAGE && entry.name.startsWith(ATTACHMENT_PREFIX))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const storage of storages) {
+    const streams = new Map(file.childrenOf(storage)
+      .filter(entry => entry.type === TYPE_STREAM)
+      .map(entry => [entry.name.toUpperCase().replace('__SUBSTG1.0_', '__substg1.0_'), entry]));
+
+    const path = NAME_PROPERTIES.map(id => readNameProperty(file, streams, id)).find(Boolean)
+      || `attachment-${storage.name.slice(ATTACHMENT_PREFIX.length)}`;
+    const data = streams.get(DATA_PROPERTY);
+    if (data) {
+      attachments.push({ path, buffer: file.readStream(data) });
+    } else {
+      attachments.push({ path, error: 'embedded-message' });
+    }
+  }
+
+  return { attachments };
+}
+
+module.exports = { MsgFormatError, parseMsg };
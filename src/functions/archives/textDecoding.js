@@ -0,0 +1,36 @@
+/**
+ * Text decoding for names found inside archives and mail. Japanese senders'
+ * tools often write Shift_JIS or ISO-2022-JP without saying so, so bytes that
+ * are not valid UTF-8 are read as Shift_JIS (Windows "ANSI" on Japanese systems).
+ */
+
+const CHARSET_ALIASES = {
+  'x-sjis': 'shift_jis',
+  sjis: 'shift_jis',
+  cp932: 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'us-ascii': 'utf-8',
+  ascii: 'utf-8'
+};
+
+function decodeWithCharset(buffer, charset) {
+  const label = (charset || 'utf-8').toLowerCase();
+  try {
+    return new TextDecoder(CHARSET_ALIASES[label] || label).decode(buffer);
+  } catch {
+    return decodeLegacyText(buffer);
+  }
+}
+
+/**
+ * UTF-8 when the bytes are valid UTF-8, otherwise Shift_JIS.
+ */
+function decodeLegacyText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('shift_jis').decode(buffer);
+  }
+}
+
+module.exports = { decodeWithCharset, decodeLegacyText };
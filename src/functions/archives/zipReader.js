@@ -0,0 +1,121 @@
+const zlib = require('zlib');
+const { decodeLegacyText } = require('./textDecoding');
+
+/**
+ * Minimal ZIP reader: lists the central directory and inflates stored and
+ * deflated members. Enough for "zip a folder of photos" from Windows, macOS
+ * and phones; ZIP64 and encrypted members are reported rather than read.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8_NAME = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KiB
+  const earliest = Math.max(0, buffer.length - 22 - 0xFFFF);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new ZipFormatError('End of central directory not found');
+}
+
+/**
+ * Lists the file entries of a ZIP archive (directories are left out).
+ *
+ * @returns {Array<{ path, method, flags, compressedSize, size, localHeaderOffset }>}
+ * @throws {ZipFormatError} when the archive structure cannot be read
+ */
+function listZipEntries(buffer) {
+  if (buffer.length < 22) throw new ZipFormatError('File is too small to be a ZIP archive');
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+    throw new ZipFormatError('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new ZipFormatError(`Central directory entry ${i} is damaged`);
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameBytes = buffer.subarray(offset + 46, offset + 46 + nameLength);
+    const path = flags & FLAG_UTF8_NAME ? nameBytes.toString('utf8') : decodeLegacyText(nameBytes);
+
+    if (!path.endsWith('/')) {
+      entries.push({
+        path,
+        flags,
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42)
+      });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Rejects entries that cannot be read whatever their content: encrypted ones and
+ * unsupported compression methods.
+ *
+ * @throws {ZipFormatError}
+ */
+function checkZipEntry(entry) {
+  if (entry.flags & FLAG_ENCRYPTED) throw new ZipFormatError('Member is encrypted');
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+    throw new ZipFormatError(`Compression method ${entry.method} is not supported`);
+  }
+}
+
+/**
+ * Returns the uncompressed content of one entry from listZipEntries().
+ *
+ * @param {Object} [options]
+ *   - maxBytes: the member fails when it holds more than this, whatever its declared size
+ * @throws {ZipFormatError} for encrypted, unsupported, oversize or damaged entries
+ */
+function readZipEntry(buffer, entry, { maxBytes = Infinity } = {}) {
+  checkZipEntry(entry);
+
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    throw new ZipFormatError('Local file header is damaged');
+  }
+  const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+  if (data.length !== entry.compressedSize) throw new ZipFormatError('Member data is truncated');
+
+  if (entry.method === METHOD_STORED) {
+    if (data.length > maxBytes) throw new ZipFormatError(`Member is larger than ${maxBytes} bytes`);
+    return Buffer.from(data);
+  }
+  try {
+    // Neither the declared size nor maxBytes can be exceeded, so a crafted archive cannot inflate without limit
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(Math.min(entry.size, maxBytes + 1), 1) });
+  } catch (error) {
+    throw new ZipFormatError(`Member could not be inflated: ${error.message}`);
+  }
+}
+
+module.exports = { ZipFormatError, listZipEntries, checkZipEntry, readZipEntry };
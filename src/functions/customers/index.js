@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { logMessage } = require('../utils');
+
+/**
+ * Customer registry.
+ *
+ * Maps who sent an attachment to the customer it belongs to. Customers are read
+ * from a JSON file (CUSTOMER_REGISTRY_PATH, default config/customers.json):
+ *
+ * {
+ *   "customers": [{
+ *     "id": "example-foods",                  // folder name under processed-attachments, ledger companyName
+ *     "displayName": "Example Foods",
+ *     "domains": ["example.co.jp"],           // every address at these domains belongs to the customer
+ *     "senders": ["nakameguro.store@gmail.com"],  // single addresses, e.g. franchisees on free mail
+ *     "stores": [{ "id": "nakameguro", "name": "中目黒", "aliases": ["なかめぐろ"],   // store master, see stores.js
+ *                  "expectedSheets": { "temperature": "month" } }],  // optional; replaces settings.expectedSheets
+ *     "settings": {                           // per-customer options read by other features
+ *       "allowedSenders": ["store01@example.co.jp", "*@example.co.jp"],  // optional allowlist
+ *       "blockedSenders": ["former.manager@example.co.jp"],
+ *       "reviewConfidenceThreshold": 0.85,                               // see docIntelligence/fieldConfidence.js
+ *       "temperatureThresholds": { "ワインセラー": { "min": 10, "max": 15 } },  // see docIntelligence/temperatureReadings.js
+ *       "feverThreshold": 37.5,                                          // see docIntelligence/healthCheckExtractor.js
+ *       "expectedSheets": { "general": "week", "important": "week" },   // see submissions/missingSubmissions.js
+ *       "reminderGraceDays": 3,
+ *       "reminderChannels": [{ "type": "email", "to": ["manager@example.co.jp"] }]  // see notifications/index.js
+ *     }
+ *   }]
+ * }
+ *
+ * A sender address listed under `senders` wins over a domain match, so a chain
+ * can own a domain while one store on a shared domain belongs elsewhere.
+ * Senders that match no customer are unknown and get quarantined by FormProcessor,
+ * and so do a customer's blocked senders and, when the customer has an
+ * allowlist, senders not on it (see submissions/quarantine.js).
+ *
+ * Without a registry file every sender domain is its own customer, as before the
+ * registry existed; this keeps local development working without configuration.
+ */
+
+const EXPECTED_SHEET_PERIODS = ['week', 'month'];
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', '..', '..', 'config', 'customers.json');
+
+let registry = null;
+
+function normalizeAddress(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function getDomain(senderEmail) {
+  return normalizeAddress(senderEmail).split('@')[1] || '';
+}
+
+// Form type id → how often the sheet is due
+function validateExpectedSheets(expectedSheets, owner) {
+  for (const [formTypeId, period] of Object.entries(expectedSheets || {})) {
+    if (!EXPECTED_SHEET_PERIODS.includes(period)) {
+      throw new Error(`${owner}: expectedSheets.${formTypeId} must be one of ${EXPECTED_SHEET_PERIODS.join(', ')}`);
+    }
+  }
+}
+
+function normalizeCustomer(definition) {
+  if (!definition.id) throw new Error('Customer registry entry without "id"');
+  if (/[\\/]/.test(definition.id)) throw new Error(`Customer id "${definition.id}" must not contain path separators`);
+  validateExpectedSheets(definition.settings?.expectedSheets, `Customer "${definition.id}"`);
+  (definition.stores || []).forEach(store => validateExpectedSheets(store.expectedSheets, `Store "${store.id}" of "${definition.id}"`));
+
+  return {
+    id: definition.id,
+    displayName: definition.displayName || definition.id,
+    domains: (definition.domains || []).map(normalizeAddress),
+    senders: (definition.senders || []).map(normalizeAddress),
+    stores: definition.stores || [],
+    settings: definition.settings || {}
+  };
+}
+
+/**
+ * Builds the lookup tables and rejects a registry where one address or domain
+ * would belong to two customers.
+ */
+function buildRegistry(definitions) {
+  const customers = new Map();
+  const bySender = new Map();
+  const byDomain = new Map();
+
+  const claim = (index, key, customer, kind) => {
+    const owner = index.get(key);
+    if (owner && owner !== customer) {
+      throw new Error(`${kind} "${key}" is listed for both "${owner.id}" and "${customer.id}"`);
+    }
+    index.set(key, customer);
+  };
+
+  for (const definition of definitions) {
+    const customer = normalizeCustomer(definition);
+    if (customers.has(customer.id)) throw new Error(`Customer "${customer.id}" is listed twice`);
+    customers.set(customer.id, customer);
+    customer.senders.forEach(sender => claim(bySender, sender, customer, 'Sender'));
+    customer.domains.forEach(domain => claim(byDomain, domain, customer, 'Domain'));
+  }
+
+  return { configured: true, customers, bySender, byDomain };
+}
+
+function loadCustomerRegistry() {
+  const registryPath = process.env.CUSTOMER_REGISTRY_PATH || DEFAULT_REGISTRY_PATH;
+  if (!fs.existsSync(registryPath)) {
+    logMessage(`⚠️ No customer registry at ${registryPath}; sender domains are used as customers`);
+    return { configured: false, customers: new Map(), bySender: new Map(), byDomain: new Map() };
+  }
+
+  const content = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  return buildRegistry(content.customers || []);
+}
+
+function getRegistry() {
+  if (!registry) registry = loadCustomerRegistry();
+  return registry;
+}
+
+// Registry-less mode: the domain is the customer, as getCustomerID() used to do
+function domainCustomer(domain) {
+  return normalizeCustomer({ id: domain, domains: [domain] });
+}
+
+/**
+ * Returns the customer a sender belongs to, or null for an unknown sender.
+ *
+ * @param {string} senderEmail
+ * @returns {{ id, displayName, domains, senders, stores, settings }|null}
+ */
+function resolveCustomer(senderEmail) {
+  const current = getRegistry();
+  const address = normalizeAddress(senderEmail);
+  const domain = getDomain(address);
+  if (!domain) return null;
+
+  if (!current.configured) return domainCustomer(domain);
+  return current.bySender.get(address) || current.byDomain.get(domain) || null;
+}
+
+/**
+ * Looks a customer up by id (e.g. the "company" field of an HTTP upload).
+ */
+function getCustomer(customerId) {
+  if (!customerId) return null;
+  const current = getRegistry();
+  if (!current.configured) return domainCustomer(customerId);
+  return current.customers.get(customerId) || null;
+}
+
+// Entries are full addresses or "*@domain"
+function matchesSenderList(list, senderEmail) {
+  const address = normalizeAddress(senderEmail);
+  const domain = getDomain(address);
+  return (list || []).map(normalizeAddress).some(entry => entry === address || entry === `*@${domain}`);
+}
+
+function isSenderBlocked(customer, senderEmail) {
+  return matchesSenderList(customer.settings.blockedSenders, senderEmail);
+}
+
+/**
+ * Customers without `settings.allowedSenders` accept every sender the registry maps to them.
+ */
+function isSenderAllowed(customer, senderEmail) {
+  const allowlist = customer.settings.allowedSenders;
+  if (!Array.isArray(allowlist) || allowlist.length === 0) return true;
+  return matchesSenderList(allowlist, senderEmail);
+}
+
+function getCustomers() {
+  return [...getRegistry().customers.values()];
+}
+
+function isRegistryConfigured() {
+  return getRegistry().configured;
+}
+
+module.exports = {
+  resolveCustomer,
+  getCustomer,
+  getCustomers,
+  isRegistryConfigured,
+  isSenderBlocked,
+  isSenderAllowed,
+  buildRegistry
+};
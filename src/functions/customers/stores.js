@@ -0,0 +1,93 @@
+/**
+ * Store master matching.
+ *
+ * A customer's `stores` in the registry list the canonical store names and the
+ * other ways staff write them:
+ *
+ *   { "id": "nakameguro", "name": "中目黒", "aliases": ["なかめぐろ", "中目黒駅前"] }
+ *
+ * Handwritten locations are compared after normalization, so width (ＡＢＣ/ABC,
+ * ｶﾅ/カナ), katakana vs hiragana, spaces and a trailing 店/店舗/支店 do not
+ * matter; a kanji name and its reading only match through an alias. Remaining
+ * one-character differences (an OCR slip) are accepted when they point at
+ * exactly one store.
+ */
+
+const STORE_SUFFIX = /(支店|店舗|店)$/;
+const MIN_FUZZY_LENGTH = 3;
+
+/**
+ * Comparison key for a store name: "ナカメグロ店 " and "なかめぐろ" give the same key.
+ */
+function normalizeStoreName(text) {
+  const key = String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s・.,、。()（）「」\-_]/g, '')
+    .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+  const withoutSuffix = key.replace(STORE_SUFFIX, '');
+  return withoutSuffix || key;
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the store a handwritten location refers to.
+ *
+ * @param {Array<{ id, name, aliases? }>} stores - the customer's store master
+ * @param {string} location - location as read from the sheet
+ * @returns {{ store, matchedBy: "name"|"alias"|"fuzzy" }|null}
+ */
+function findStore(stores, location) {
+  const key = normalizeStoreName(location);
+  if (!key) return null;
+
+  const candidates = stores.flatMap(store => [
+    { store, matchedBy: 'name', key: normalizeStoreName(store.name) },
+    { store, matchedBy: 'alias', key: normalizeStoreName(store.id) },
+    ...(store.aliases || []).map(alias => ({ store, matchedBy: 'alias', key: normalizeStoreName(alias) }))
+  ]);
+
+  const exact = candidates.find(candidate => candidate.key === key);
+  if (exact) return { store: exact.store, matchedBy: exact.matchedBy };
+
+  if (key.length < MIN_FUZZY_LENGTH) return null;
+  const near = new Set(candidates
+    .filter(candidate => candidate.key.length >= MIN_FUZZY_LENGTH && editDistance(candidate.key, key) <= 1)
+    .map(candidate => candidate.store));
+  return near.size === 1 ? { store: [...near][0], matchedBy: 'fuzzy' } : null;
+}
+
+/**
+ * Metadata fields for an extracted location. Without a store master the
+ * location is kept as written; with one it is replaced by the canonical store
+ * name, or marked `storeMatch: "unresolved"` so it is filed for review instead
+ * of opening a new folder.
+ *
+ * @returns {{ location, rawLocation?, storeId?, storeMatch? }}
+ */
+function resolveStoreLocation(location, stores) {
+  if (!Array.isArray(stores) || stores.length === 0) return { location };
+
+  const match = findStore(stores, location);
+  return {
+    location: match ? match.store.name : location,
+    rawLocation: location,
+    storeId: match ? match.store.id : null,
+    storeMatch: match ? match.matchedBy : 'unresolved'
+  };
+}
+
+module.exports = { normalizeStoreName, findStore, resolveStoreLocation };
@@ -0,0 +1,83 @@
+const { createHash } = require('crypto');
+const { logMessage } = require('../utils');
+
+/**
+ * In-process cache of Document Intelligence results, keyed by the SHA-256 of
+ * the document and the model ID. Title detection, the custom extractors and
+ * the table extractor all ask for analyses of the same blob; with the cache
+ * each model runs on a document once per invocation instead of once per caller.
+ *
+ * Pending analyses are cached as promises, so concurrent callers share a single
+ * request. Failed analyses are evicted so a retry can run again.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES || '', 10) || 20;
+const TTL_MS = (parseInt(process.env.ANALYSIS_CACHE_TTL_MINUTES || '', 10) || 30) * 60 * 1000;
+
+const entries = new Map();
+
+function hashDocument(documentContent) {
+  const buffer = Buffer.isBuffer(documentContent)
+    ? documentContent
+    : Buffer.from(documentContent, 'base64');
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function buildKey(contentHash, modelId, variant) {
+  return variant ? `${contentHash}:${modelId}:${variant}` : `${contentHash}:${modelId}`;
+}
+
+function evictExpired(now) {
+  for (const [key, entry] of entries) {
+    if (now - entry.createdAt > TTL_MS) entries.delete(key);
+  }
+  // Map keeps insertion order, so the first keys are the oldest
+  while (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Returns the cached analysis for (contentHash, modelId[, variant]) or runs `analyze()` once.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} key
+ *   - contentHash: SHA-256 hex of the document (see hashDocument)
+ *   - modelId: Document Intelligence model ID, e.g. "prebuilt-layout"
+ *   - variant: optional extra key part, e.g. a page range
+ * @param {Function} analyze - async function performing the actual analysis
+ */
+async function getOrAnalyze(context, { contentHash, modelId, variant }, analyze) {
+  const key = buildKey(contentHash, modelId, variant);
+  const now = Date.now();
+  const cached = entries.get(key);
+
+  if (cached && now - cached.createdAt <= TTL_MS) {
+    logMessage(`♻️ Reusing ${modelId} analysis for ${contentHash.slice(0, 12)}…`, context);
+    return cached.promise;
+  }
+
+  evictExpired(now);
+  const promise = Promise.resolve().then(analyze);
+  entries.set(key, { promise, createdAt: now });
+
+  try {
+    return await promise;
+  } catch (error) {
+    if (entries.get(key)?.promise === promise) entries.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Drops one cached analysis, e.g. when the operation finished without succeeding.
+ */
+function forgetAnalysis({ contentHash, modelId, variant }) {
+  entries.delete(buildKey(contentHash, modelId, variant));
+}
+
+module.exports = {
+  hashDocument,
+  getOrAnalyze,
+  forgetAnalysis
+};
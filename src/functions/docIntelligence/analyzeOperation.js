@@ -0,0 +1,219 @@
+const axios = require('axios');
+const { logMessage } = require('../utils');
+const { hashDocument } = require('./analysisCache');
+const { getDocumentIntelligenceMode, readFixture, writeFixture } = require('./fixtures');
+
+/**
+ * Shared client for Document Intelligence long-running analyze operations:
+ * submit to `{endpoint}/documentintelligence/{path}:analyze`, then poll
+ * `operation-location` until the operation succeeds, fails or the deadline passes.
+ *
+ * Waits between polls double from DOCUMENT_INTELLIGENCE_POLL_INITIAL_MS up to
+ * DOCUMENT_INTELLIGENCE_POLL_MAX_MS and are never shorter than the service's
+ * Retry-After. 429 and 503 responses are retried on the same schedule, and so are
+ * polls whose connection dropped; a submit is not, as the service may already
+ * have started (and billed) the analysis. No request may outlast the deadline.
+ *
+ * With DOCUMENT_INTELLIGENCE_MODE=fixtures the operation is answered from saved
+ * responses instead (see fixtures.js); "record" saves live responses.
+ */
+
+const DEFAULT_API_VERSION = '2024-11-30';
+const RETRYABLE_STATUS_CODES = [429, 503];
+// What axios reports when the request timeout (the time left before the deadline) ran out
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+class AnalyzeTimeoutError extends Error {
+  constructor(message, { operationLocation = null, elapsedMs = 0 } = {}) {
+    super(message);
+    this.name = 'AnalyzeTimeoutError';
+    this.operationLocation = operationLocation;
+    this.elapsedMs = elapsedMs;
+  }
+}
+
+class AnalyzeFailedError extends Error {
+  constructor(message, { statusCode = null, code = null } = {}) {
+    super(message);
+    this.name = 'AnalyzeFailedError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getPollingOptions() {
+  return {
+    timeoutMs: readIntEnv('DOCUMENT_INTELLIGENCE_TIMEOUT_SECONDS', 120) * 1000,
+    initialDelayMs: readIntEnv('DOCUMENT_INTELLIGENCE_POLL_INITIAL_MS', 1000),
+    maxDelayMs: readIntEnv('DOCUMENT_INTELLIGENCE_POLL_MAX_MS', 10000)
+  };
+}
+
+/**
+ * Reads `retry-after-ms` or `retry-after` (seconds or HTTP date) in milliseconds.
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = parseInt(headers?.['retry-after-ms'] || '', 10);
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers?.['retry-after'];
+  if (!retryAfter) return null;
+  if (/^\d+$/.test(retryAfter)) return parseInt(retryAfter, 10) * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turns a fixture into the outcome a live operation would have had. A fixture may be
+ * a whole operation body or just its analyzeResult; a "running" status stands for a timeout.
+ */
+function replayFixture(fixture, label) {
+  if (!fixture.status) {
+    return { status: 'succeeded', analyzeResult: fixture };
+  }
+  if (fixture.status === 'succeeded') return fixture;
+  if (fixture.status === 'failed' || fixture.status === 'canceled') {
+    throw new AnalyzeFailedError(`${label}: operation ${fixture.status}: ${fixture.error?.message || 'no details'}`, {
+      code: fixture.error?.code || null
+    });
+  }
+  throw new AnalyzeTimeoutError(`${label}: fixture is still "${fixture.status}"`);
+}
+
+function describeHttpError(error) {
+  const serviceError = error.response?.data?.error;
+  return serviceError?.message || error.message;
+}
+
+/**
+ * Runs one analyze operation and returns the final operation body
+ * ({ status: "succeeded", analyzeResult, ... }).
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} request
+ *   - endpoint, apiKey: Document Intelligence resource
+ *   - path: "documentModels/{modelId}" or "documentClassifiers/{classifierId}"
+ *   - body: request body, e.g. { base64Source }
+ *   - pages: optional page range to analyze, e.g. "2" or "3-4" (whole document when omitted)
+ *   - label: name used in log lines and error messages
+ *   - apiVersion: optional, defaults to 2024-11-30
+ *   - timeoutMs, initialDelayMs, maxDelayMs: optional overrides of the env settings
+ * @throws {AnalyzeTimeoutError} when the operation has not finished before the deadline
+ * @throws {AnalyzeFailedError} when the service rejects the request or the operation fails
+ */
+async function runAnalyzeOperation(context, {
+  endpoint,
+  apiKey,
+  path,
+  body,
+  pages = null,
+  label = path,
+  apiVersion = DEFAULT_API_VERSION,
+  ...overrides
+}) {
+  const mode = getDocumentIntelligenceMode();
+  const modelId = path.split('/').pop();
+  const contentHash = body?.base64Source ? hashDocument(body.base64Source) : null;
+  if (mode === 'fixtures') {
+    return replayFixture(readFixture(context, modelId, contentHash, { pages }), label);
+  }
+
+  const { timeoutMs, initialDelayMs, maxDelayMs } = { ...getPollingOptions(), ...overrides };
+  const startedAt = Date.now();
+  const deadline = startedAt + timeoutMs;
+  const headers = { 'Ocp-Apim-Subscription-Key': apiKey };
+  let backoffStep = 0;
+  let operationLocation = null;
+
+  const nextDelay = (response) => {
+    const backoff = Math.min(initialDelayMs * 2 ** backoffStep, maxDelayMs);
+    backoffStep++;
+    return Math.max(backoff, parseRetryAfter(response?.headers) || 0);
+  };
+
+  const timeoutError = () => new AnalyzeTimeoutError(
+    `${label}: analysis did not finish within ${timeoutMs / 1000}s`,
+    { operationLocation, elapsedMs: Date.now() - startedAt }
+  );
+
+  const wait = async (ms) => {
+    if (Date.now() + ms > deadline) throw timeoutError();
+    await new Promise(resolve => setTimeout(resolve, ms));
+  };
+
+  // makeRequest gets the axios options for the time left, so a hung connection cannot outlast the deadline
+  const send = async (makeRequest, { retryConnectionErrors }) => {
+    for (;;) {
+      try {
+        return await makeRequest({ timeout: Math.max(1, deadline - Date.now()) });
+      } catch (error) {
+        const statusCode = error.response?.status;
+        // Sent but never answered: reset, timed out or hung up
+        const connectionError = !error.response && Boolean(error.request);
+        if (connectionError && TIMEOUT_ERROR_CODES.includes(error.code) && Date.now() >= deadline) {
+          throw timeoutError();
+        }
+        if (!(connectionError && retryConnectionErrors) && !RETRYABLE_STATUS_CODES.includes(statusCode)) {
+          throw new AnalyzeFailedError(`${label}: ${describeHttpError(error)}`, {
+            statusCode: statusCode || null,
+            code: error.response?.data?.error?.code || error.code || null
+          });
+        }
+        const delayMs = nextDelay(error.response);
+        const reason = statusCode ? `HTTP ${statusCode}` : error.code || error.message;
+        logMessage(`⏳ ${label}: ${reason}, retrying in ${delayMs}ms`, context);
+        await wait(delayMs);
+      }
+    }
+  };
+
+  const pageQuery = pages ? `&pages=${encodeURIComponent(pages)}` : '';
+  const submitResponse = await send(options => axios.post(
+    `${endpoint}/documentintelligence/${path}:analyze?api-version=${apiVersion}${pageQuery}`,
+    body,
+    { ...options, headers: { ...headers, 'Content-Type': 'application/json' } }
+  ), { retryConnectionErrors: false });
+
+  operationLocation = submitResponse.headers['operation-location'];
+  if (!operationLocation) {
+    throw new AnalyzeFailedError(`${label}: response has no operation-location header`, { statusCode: submitResponse.status });
+  }
+  logMessage(`📍 ${label} operation location: ${operationLocation}`, context);
+
+  // Polling restarts the backoff; retried submits should not slow down the first poll
+  backoffStep = 0;
+  let delayMs = nextDelay(submitResponse);
+  let polls = 0;
+
+  for (;;) {
+    await wait(delayMs);
+    const pollResponse = await send(options => axios.get(operationLocation, { ...options, headers }), { retryConnectionErrors: true });
+    const result = pollResponse.data;
+    polls++;
+    logMessage(`🔁 ${label} poll ${polls}: ${result.status}`, context);
+
+    if (result.status === 'succeeded') {
+      if (mode === 'record' && contentHash) writeFixture(context, modelId, contentHash, result, { pages });
+      return result;
+    }
+    if (result.status === 'failed' || result.status === 'canceled') {
+      throw new AnalyzeFailedError(`${label}: operation ${result.status}: ${result.error?.message || 'no details'}`, {
+        code: result.error?.code || null
+      });
+    }
+    delayMs = nextDelay(pollResponse);
+  }
+}
+
+module.exports = {
+  AnalyzeTimeoutError,
+  AnalyzeFailedError,
+  runAnalyzeOperation,
+  parseRetryAfter
+};
@@ -1,6 +1,6 @@
 
 const mime = require('mime-types');
-const axios = require('axios');
+const { runAnalyzeOperation, AnalyzeTimeoutError } = require('./analyzeOperation');
 
 async function classifyDocument(context, blob, fileName) {
   const mimeType = mime.lookup(fileName) || 'application/pdf';
@@ -10,41 +10,16 @@ async function classifyDocument(context, blob, fileName) {
   const endpoint = process.env.CLASSIFIER_ENDPOINT;
   const apiKey = process.env.CLASSIFIER_ENDPOINT_AZURE_API_KEY;
   const classifierId = process.env.CLASSIFIER_ID;
-  const apiVersion = "2024-11-30";
 
   try {
     context.log("🚀 Submitting document for classification...");
-    const submitResponse = await axios.post(
-      `${endpoint}/documentintelligence/documentClassifiers/${classifierId}:analyze?api-version=${apiVersion}`,
-      { base64Source: base64Raw },
-      {
-        headers: {
-          'Ocp-Apim-Subscription-Key': apiKey,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    const operationLocation = submitResponse.headers['operation-location'];
-    context.log(`📍 Operation location: ${operationLocation}`);
-
-    let result;
-    let attempts = 0;
-    const maxAttempts = 10;
-    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-    context.log("⏳ Polling for classification result...");
-    while (attempts < maxAttempts) {
-      await delay(1000);
-      const pollResponse = await axios.get(operationLocation, {
-        headers: { 'Ocp-Apim-Subscription-Key': apiKey }
-      });
-      result = pollResponse.data;
-      context.log(`🔁 Attempt ${attempts + 1}: Status ${pollResponse.status}`);
-      context.log(`📊 Poll result status: ${result.status}`);
-      if (result.status === "succeeded") break;
-      attempts++;
-    }
+    const result = await runAnalyzeOperation(context, {
+      endpoint,
+      apiKey,
+      path: `documentClassifiers/${classifierId}`,
+      body: { base64Source: base64Raw },
+      label: 'Classification'
+    });
 
     if (result?.analyzeResult?.documents?.length > 0) {
       const doc = result.analyzeResult.documents[0];
@@ -58,6 +33,9 @@ async function classifyDocument(context, blob, fileName) {
     }
     return { result, mimeType, fileExtension, base64Raw };
   } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
     context.log.error("❌ Error during classification:", error.message);
     if (error.response) {
       context.log.error("📥 Response data:", JSON.stringify(error.response.data, null, 2));
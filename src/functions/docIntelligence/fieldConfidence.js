@@ -0,0 +1,73 @@
+/**
+ * Confidence of extracted values.
+ *
+ * Document Intelligence returns a `confidence` (0–1) for every field and
+ * selection mark. The extractors keep it next to each value:
+ *
+ *   metadata.confidence = { year, month, location }
+ *   dailyRecord.confidence = { day, Cat1Status, ..., comment, approverStatus }
+ *
+ * A value derived from several fields (a 良/否 status read from two checkboxes)
+ * gets the lowest of their confidences; null means the field was not returned.
+ *
+ * Values below the review threshold are listed on the submission and highlighted
+ * in the reports. The threshold is the customer's
+ * `settings.reviewConfidenceThreshold`, else REVIEW_CONFIDENCE_THRESHOLD, else 0.8.
+ */
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.8;
+
+/**
+ * @param {...Object} fields - Document Intelligence fields (missing ones are ignored)
+ * @returns {number|null} lowest confidence among the fields
+ */
+function fieldConfidence(...fields) {
+  const values = fields
+    .map(field => field?.confidence)
+    .filter(value => typeof value === 'number');
+  return values.length ? Math.min(...values) : null;
+}
+
+function parseThreshold(value) {
+  const threshold = typeof value === 'number' ? value : parseFloat(value);
+  return threshold >= 0 && threshold <= 1 ? threshold : null;
+}
+
+/**
+ * @param {Object} [customer] - registry entry; its settings may override the threshold
+ * @returns {number}
+ */
+function getConfidenceThreshold(customer) {
+  return parseThreshold(customer?.settings?.reviewConfidenceThreshold)
+    ?? parseThreshold(process.env.REVIEW_CONFIDENCE_THRESHOLD)
+    ?? DEFAULT_CONFIDENCE_THRESHOLD;
+}
+
+function isLowConfidence(confidence, threshold) {
+  return typeof confidence === 'number' && confidence < threshold;
+}
+
+/**
+ * Lists the extracted values that should be checked against the original.
+ *
+ * @returns {Array<{ day: number|null, field: string, confidence: number }>}
+ *   `day` is null for header fields (year, month, location)
+ */
+function findLowConfidenceFields(structuredData, threshold) {
+  const entries = [
+    ...Object.entries(structuredData.metadata.confidence || {}).map(([field, confidence]) => ({ day: null, field, confidence })),
+    ...structuredData.dailyRecords.flatMap(record =>
+      Object.entries(record.confidence || {}).map(([field, confidence]) => ({ day: record.day, field, confidence })))
+  ];
+  return entries
+    .filter(entry => isLowConfidence(entry.confidence, threshold))
+    .map(entry => ({ ...entry, confidence: Math.round(entry.confidence * 100) / 100 }));
+}
+
+module.exports = {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  fieldConfidence,
+  getConfidenceThreshold,
+  isLowConfidence,
+  findLowConfidenceFields
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { logMessage } = require('../utils');
+
+/**
+ * Recorded-fixture stand-in for Document Intelligence and Custom Vision.
+ *
+ * DOCUMENT_INTELLIGENCE_MODE selects how analyze calls are served:
+ *   - "live" (default): call Azure
+ *   - "fixtures": replay saved responses; no endpoint or key is needed
+ *   - "record": call Azure and save every response as a fixture
+ *
+ * Fixtures live in DOCUMENT_INTELLIGENCE_FIXTURE_DIR (default ./fixtures/document-intelligence):
+ *
+ *   {dir}/{modelId}/{sha256 of the document}.pages-{range}.json   response for some pages of a file
+ *   {dir}/{modelId}/{sha256 of the document}.json                 response for one specific file
+ *   {dir}/{modelId}/default.json                                  response for any other file
+ *
+ * {modelId} is "prebuilt-layout", "prebuilt-read", the custom model or classifier ID
+ * from the environment, or "custom-vision" for symbol recognition.
+ */
+
+const MODES = ['live', 'fixtures', 'record'];
+const DEFAULT_FIXTURE_NAME = 'default';
+
+function getDocumentIntelligenceMode() {
+  const mode = (process.env.DOCUMENT_INTELLIGENCE_MODE || 'live').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown DOCUMENT_INTELLIGENCE_MODE "${mode}". Expected one of ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function isFixtureMode() {
+  return getDocumentIntelligenceMode() === 'fixtures';
+}
+
+function isRecordMode() {
+  return getDocumentIntelligenceMode() === 'record';
+}
+
+function getFixtureDir() {
+  return path.resolve(process.env.DOCUMENT_INTELLIGENCE_FIXTURE_DIR || path.join('fixtures', 'document-intelligence'));
+}
+
+function pageFixtureName(contentHash, pages) {
+  return contentHash && pages ? `${contentHash}.pages-${pages}` : null;
+}
+
+/**
+ * Returns the saved response for (modelId, contentHash[, pages]), falling back to
+ * the whole-file response and then the model's default.json. Throws when none
+ * exists so a missing fixture is obvious.
+ */
+function readFixture(context, modelId, contentHash, { pages } = {}) {
+  const modelDir = path.join(getFixtureDir(), modelId);
+  const candidates = [pageFixtureName(contentHash, pages), contentHash, DEFAULT_FIXTURE_NAME]
+    .filter(Boolean)
+    .map(name => path.join(modelDir, `${name}.json`));
+
+  const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+  if (!fixturePath) {
+    throw new Error(`No fixture for ${modelId}. Looked for: ${candidates.join(', ')}`);
+  }
+
+  logMessage(`🧪 Replaying fixture ${path.relative(process.cwd(), fixturePath)}`, context);
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * Saves a live response under {modelId}/{contentHash}[.pages-{range}].json (record mode).
+ * Failing to write a fixture never fails the analysis itself.
+ */
+function writeFixture(context, modelId, contentHash, response, { pages } = {}) {
+  try {
+    const modelDir = path.join(getFixtureDir(), modelId);
+    fs.mkdirSync(modelDir, { recursive: true });
+    const fixturePath = path.join(modelDir, `${pageFixtureName(contentHash, pages) || contentHash}.json`);
+    fs.writeFileSync(fixturePath, JSON.stringify(response, null, 2));
+    logMessage(`💾 Recorded fixture ${path.relative(process.cwd(), fixturePath)}`, context);
+  } catch (error) {
+    logMessage(`⚠️ Could not record fixture for ${modelId}: ${error.message}`, context);
+  }
+}
+
+module.exports = {
+  getDocumentIntelligenceMode,
+  isFixtureMode,
+  isRecordMode,
+  getFixtureDir,
+  readFixture,
+  writeFixture
+};
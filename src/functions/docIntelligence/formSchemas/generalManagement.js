@@ -0,0 +1,46 @@
+const { validateFormSchema } = require('../schemaExtractor');
+
+/**
+ * Weekly 一般管理の実施記録 (7 day columns) read by the general management custom model.
+ *
+ * Output (see schemaExtractor.js for the fields every schema shares):
+ * {
+ *   metadata: { year: "2025", month: "05", location: "中目黒", yearMonth: "2025-05", ... },
+ *   categories: [{ categoryNumber: 1, categoryName: "1 原材料の受入の 確認" }, ...],   // 7 categories
+ *   dailyRecords: [{
+ *     day: 10, date: "2025-05-10", dateIssues: [],
+ *     Cat1Status: "良", ..., Cat7Status: "良",    // "良"|"否"|"未選択"|"エラー"
+ *     comment: "問題なく運営",                      // or "not found"
+ *     approverStatus: "未選択",                     // "良"|"未選択"|"エラー"
+ *     confidence: { day: 0.95, Cat1Status: 0.9, ..., comment: 0.8, approverStatus: 0.95 }
+ *   }, ...],
+ *   summary: { totalDays: 7, recordedDays: 7, daysWithComments: 5, approvedDays: 0 }
+ * }
+ */
+module.exports = validateFormSchema({
+  name: '一般管理',
+  layout: 'weekly',
+  model: {
+    endpointEnv: 'GENERAL_MANAGEMENT_EXTRACTOR_ENDPOINT',
+    apiKeyEnv: 'GENERAL_MANAGEMENT_EXTRACTOR_ENDPOINT_AZURE_API_KEY',
+    modelIdEnv: 'GENERAL_MANAGEMENT_EXTRACTOR_MODEL_ID'
+  },
+  header: { year: 'year', month: 'month', location: 'location' },
+  days: { count: 7, field: 'Day{day}' },
+  items: {
+    count: 7,
+    field: 'Cat{item}',
+    property: 'categories',
+    numberProperty: 'categoryNumber',
+    nameProperty: 'categoryName'
+  },
+  recordFields: [
+    { property: 'Cat{item}Status', type: 'statusPair', good: 'C{item}D{day}G', ng: 'C{item}D{day}NG' },
+    { property: 'comment', type: 'text', field: 'D{day}comment' },
+    { property: 'approverStatus', type: 'check', field: 'D{day}Approver' }
+  ],
+  summary: [
+    { property: 'daysWithComments', field: 'comment' },
+    { property: 'approvedDays', field: 'approverStatus' }
+  ]
+});
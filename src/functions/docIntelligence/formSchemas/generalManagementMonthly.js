@@ -0,0 +1,20 @@
+const { validateFormSchema } = require('../schemaExtractor');
+const weekly = require('./generalManagement');
+
+/**
+ * Monthly 一般管理の実施記録: one printed row per day (1–31) with the same 7
+ * categories, read by its own custom model. The model is labelled like the weekly
+ * one with the row as {day}, so the record fields are shared.
+ *
+ * Output matches the weekly sheet with one record per day of the month;
+ * days left blank carry `blank: true`.
+ */
+module.exports = validateFormSchema({
+  ...weekly,
+  layout: 'monthly',
+  model: {
+    ...weekly.model,
+    modelIdEnv: 'GENERAL_MANAGEMENT_MONTHLY_EXTRACTOR_MODEL_ID'
+  },
+  days: { count: 31, numbered: true }
+});
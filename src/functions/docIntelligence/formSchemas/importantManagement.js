@@ -0,0 +1,49 @@
+const { validateFormSchema } = require('../schemaExtractor');
+
+/**
+ * Weekly 重要管理の実施記録 (7 day columns) read by the important management custom model.
+ *
+ * Output (see schemaExtractor.js for the fields every schema shares):
+ * {
+ *   metadata: { year: "2025", month: "03", location: "府中", yearMonth: "2025-03", ... },
+ *   menuItems: [{ menuNumber: 1, menuName: "重要管理項目1" }, ...],   // 5 menu items
+ *   dailyRecords: [{
+ *     day: 5, date: "2025-03-05", dateIssues: [],
+ *     Menu1Status: "否", ..., Menu5Status: "良",   // "良"|"否"|"未選択"|"エラー"
+ *     dailyCheckStatus: "良",                        // "良"|"未選択"|"エラー"
+ *     comment: "クレームあり",                       // or "not found"
+ *     approverStatus: "良",                          // "良"|"未選択"|"エラー"
+ *     confidence: { day: 0.95, Menu1Status: 0.9, ..., dailyCheckStatus: 0.9, comment: 0.8, approverStatus: 0.95 }
+ *   }, ...],
+ *   summary: { totalDays: 7, recordedDays: 7, daysWithComments: 5, approvedDays: 7, dailyCheckCompletedDays: 7 }
+ * }
+ */
+module.exports = validateFormSchema({
+  name: '重要管理',
+  layout: 'weekly',
+  model: {
+    endpointEnv: 'EXTRACTOR_ENDPOINT',
+    apiKeyEnv: 'EXTRACTOR_ENDPOINT_AZURE_API_KEY',
+    modelIdEnv: 'EXTRACTOR_MODEL_ID'
+  },
+  header: { year: 'year', month: 'month', location: 'location' },
+  days: { count: 7, field: 'day{day}' },
+  items: {
+    count: 5,
+    field: 'menu{item}',
+    property: 'menuItems',
+    numberProperty: 'menuNumber',
+    nameProperty: 'menuName'
+  },
+  recordFields: [
+    { property: 'Menu{item}Status', type: 'statusPair', good: 'd{day}c{item}g', ng: 'd{day}c{item}ng' },
+    { property: 'dailyCheckStatus', type: 'check', field: 'd{day}dailyCheck' },
+    { property: 'comment', type: 'text', field: 'comment{day}' },
+    { property: 'approverStatus', type: 'check', field: 'd{day}approver' }
+  ],
+  summary: [
+    { property: 'daysWithComments', field: 'comment' },
+    { property: 'approvedDays', field: 'approverStatus' },
+    { property: 'dailyCheckCompletedDays', field: 'dailyCheckStatus' }
+  ]
+});
@@ -4,8 +4,11 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
-const { AzureKeyCredential, DocumentAnalysisClient } = require("@azure/ai-form-recognizer");
 const { logMessage, handleError } = require('../utils');
+const { hashDocument } = require('./analysisCache');
+const { analyzeWithPrebuiltModel } = require('./prebuiltAnalyzer');
+const { AnalyzeTimeoutError } = require('./analyzeOperation');
+const { isFixtureMode, isRecordMode, readFixture, writeFixture } = require('./fixtures');
 const axios = require('axios');
 
 /* -----------------------------------------------------------------------------
@@ -25,23 +28,25 @@ logMessage('🔧 Document Intelligence API Key: ' + (apiKey ? '[REDACTED]' : '
 logMessage('🔧 Custom Vision Endpoint: ' + customVisionEndpoint, null);
 logMessage('🔧 Custom Vision API Key: ' + (customVisionKey ? '[REDACTED]' : '❌ Missing API Key'), null);
 
-if (!endpoint || !apiKey) {
-  throw new Error('Missing CLASSIFIER_ENDPOINT or CLASSIFIER_ENDPOINT_AZURE_API_KEY');
-}
-if (!customVisionEndpoint || !customVisionKey) {
-  throw new Error('Missing CUSTOM_VISION_ENDPOINT or CUSTOM_VISION_KEY');
+// Fixture mode replays recorded responses, so no credentials are needed
+if (!isFixtureMode()) {
+  if (!endpoint || !apiKey) {
+    throw new Error('Missing CLASSIFIER_ENDPOINT or CLASSIFIER_ENDPOINT_AZURE_API_KEY');
+  }
+  if (!customVisionEndpoint || !customVisionKey) {
+    throw new Error('Missing CUSTOM_VISION_ENDPOINT or CUSTOM_VISION_KEY');
+  }
 }
 
-const client = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(apiKey));
-
 /* -----------------------------------------------------------------------------
   OCR and Custom Symbol Recognition Functions
 ----------------------------------------------------------------------------- */
 
 /**
- * Run OCR on a specific cell region of the image
+ * Run OCR on a specific cell region of the image.
+ * prebuilt-read runs once per document; every cell filters the cached lines.
  */
-async function runCellOCR(imageBuffer, bbox, context) {
+async function runCellOCR(imageBuffer, bbox, context, contentHash) {
   try {
     if (!bbox) {
       logMessage('⚠️ No bounding box provided for OCR', context);
@@ -50,8 +55,7 @@ async function runCellOCR(imageBuffer, bbox, context) {
 
     logMessage(`🔍 Running OCR on cell region: [${bbox.join(', ')}]`, context);
     
-    const ocrPoller = await client.beginAnalyzeDocument("prebuilt-read", imageBuffer);
-    const ocrResult = await ocrPoller.pollUntilDone();
+    const ocrResult = await analyzeWithPrebuiltModel(context, "prebuilt-read", imageBuffer, { contentHash });
     
     // Find text that intersects with the cell bbox
     let cellText = '';
@@ -86,6 +90,9 @@ async function runCellOCR(imageBuffer, bbox, context) {
     };
 
   } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
     logMessage(`❌ OCR failed: ${error.message}`, context);
     return { success: false, text: '', confidence: 0, error: error.message };
   }
@@ -94,7 +101,7 @@ async function runCellOCR(imageBuffer, bbox, context) {
 /**
  * Run custom symbol recognition on a specific cell region
  */
-async function runCustomSymbolRecognition(imageBuffer, bbox, context) {
+async function runCustomSymbolRecognition(imageBuffer, bbox, context, contentHash = hashDocument(imageBuffer)) {
   try {
     if (!bbox) {
       logMessage('⚠️ No bounding box provided for symbol recognition', context);
@@ -106,15 +113,20 @@ async function runCustomSymbolRecognition(imageBuffer, bbox, context) {
     // ✅ Use environment variables for Custom Vision API
     const customVisionUrl = `${customVisionEndpoint}customvision/v3.0/Prediction/${customVisionProjectId}/classify/iterations/${customVisionIterationName}/image`;
     
-    const response = await axios.post(customVisionUrl, 
-      imageBuffer,
-      {
-        headers: {
-          'Prediction-Key': customVisionKey,
-          'Content-Type': 'application/octet-stream'
+    const response = isFixtureMode()
+      ? { data: readFixture(context, 'custom-vision', contentHash) }
+      : await axios.post(customVisionUrl, 
+        imageBuffer,
+        {
+          headers: {
+            'Prediction-Key': customVisionKey,
+            'Content-Type': 'application/octet-stream'
+          }
         }
-      }
-    );
+      );
+    if (isRecordMode()) {
+      writeFixture(context, 'custom-vision', contentHash, response.data);
+    }
 
     const predictions = response.data.predictions || [];
     
@@ -195,14 +207,13 @@ function isBboxOverlapping(bbox1, bbox2) {
 /* -----------------------------------------------------------------------------
   Analysis pipeline
 ----------------------------------------------------------------------------- */
-async function analyseAndExtract(buffer, mimeType, context) {
+async function analyseAndExtract(buffer, mimeType, context, contentHash = hashDocument(buffer)) {
   try {
     logMessage('Starting analyseAndExtract...', context);
     console.time('analyseAndExtract');
 
-    logMessage('Calling Azure prebuilt-layout...', context);
-    const layoutPoller = await client.beginAnalyzeDocument("prebuilt-layout", buffer, { contentType: mimeType });
-    const layoutResult = await layoutPoller.pollUntilDone();
+    // Reuses the layout from title detection when the same content was already analysed
+    const layoutResult = await analyzeWithPrebuiltModel(context, "prebuilt-layout", buffer, { contentHash });
 
     logMessage('✅ Layout analysis completed', context);
 
@@ -261,11 +272,11 @@ async function analyseAndExtract(buffer, mimeType, context) {
 
             // Run OCR on this cell
             logMessage(`    🔍 Running OCR for cell ${coordinate}...`, context);
-            const ocrResult = await runCellOCR(buffer, bbox, context);
+            const ocrResult = await runCellOCR(buffer, bbox, context, contentHash);
 
             // Run custom symbol recognition on this cell
             logMessage(`    🎯 Running symbol recognition for cell ${coordinate}...`, context);
-            const symbolResult = await runCustomSymbolRecognition(buffer, bbox, context);
+            const symbolResult = await runCustomSymbolRecognition(buffer, bbox, context, contentHash);
 
             // Add cell to merged results
             merged.push({
@@ -367,6 +378,9 @@ async function analyseAndExtract(buffer, mimeType, context) {
     return merged;
 
   } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
     handleError(error, 'analyseAndExtract', context);
     return null;
   }
@@ -375,14 +389,14 @@ async function analyseAndExtract(buffer, mimeType, context) {
 /* -----------------------------------------------------------------------------
   Complete processing pipeline for table documents
 ----------------------------------------------------------------------------- */
-async function processUnknownDocumentWithTables(imageBuffer, mimeType, base64Raw, originalFileName, companyName, context) {
+async function processUnknownDocumentWithTables(imageBuffer, mimeType, base64Raw, originalFileName, companyName, context, contentHash) {
   try {
     logMessage(`🧠 Starting complete table document processing pipeline`, context);
     logMessage(`📄 File: ${originalFileName}, Company: ${companyName}, MIME: ${mimeType}`, context);
 
     // Step 1: Extract and analyze the document
     logMessage(`📖 Starting document analysis...`, context);
-    const analyseOutput = await analyseAndExtract(imageBuffer, mimeType, context);
+    const analyseOutput = await analyseAndExtract(imageBuffer, mimeType, context, contentHash);
 
     if (!analyseOutput || analyseOutput.length === 0) {
       logMessage(`❌ No table structures detected in the document`, context);
@@ -522,6 +536,10 @@ async function processUnknownDocumentWithTables(imageBuffer, mimeType, base64Raw
     };
 
   } catch (error) {
+    // Timeouts get their own outcome in FormProcessor
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
     handleError(error, 'processUnknownDocument', context);
     return {
       success: false,
@@ -0,0 +1,342 @@
+const { logMessage, handleError } = require('../utils');
+const { analyzeWithPrebuiltModel } = require('./prebuiltAnalyzer');
+const { AnalyzeTimeoutError, AnalyzeFailedError } = require('./analyzeOperation');
+const { resolveStoreLocation } = require('../customers/stores');
+const { parseSheetYear, parseSheetMonth, parseSheetDay, buildSheetDates } = require('./sheetDates');
+const { parseTemperature } = require('./temperatureReadings');
+const { cellText, toGrid, columnHeaders, cellConfidence, parsePageNumbers, tablesOnPages, pageText, readSheetHeader } = require('./layoutTables');
+
+/**
+ * Extraction for 従業員健康チェック sheets: whether each employee had a fever,
+ * diarrhea/vomiting or a wound on the hands before handling food.
+ *
+ * Like temperature logs these are printed by the customer and read from the
+ * prebuilt-layout table (see layoutTables.js). The table has a 氏名 column with
+ * one row per employee; every other header names a symptom, and optionally the
+ * day ("1" over "発熱 / 下痢 / 手の傷" on a monthly sheet). A sheet without day
+ * headers covers the day written above the table ("2025年6月12日").
+ *
+ * Marks: ×, 有, あり, 否 mean the symptom is present; ○, レ, ✓, 無, なし, 良 and a dash
+ * mean it is not. A 体温 column is read as a temperature and counts as a fever at
+ * or above the customer's `settings.feverThreshold` (default 37.5℃). An employee
+ * with any symptom on a day is unfit for food handling that day.
+ *
+ * {
+ *   metadata: { year, month, location, yearMonth, layout, ... },
+ *   employees: [{ employeeNumber: 1, name: "山田 太郎" }],
+ *   dailyRecords: [{
+ *     day, date, dateIssues,
+ *     E1Fever: "有" | "無" | "未記入" | "判読不可",   // one per employee and symptom on the sheet
+ *     E1Digestive, E1HandWound,
+ *     E1BodyTemperature: 36.4,                   // only with a 体温 column; null when empty
+ *     unfitEmployees: [1],                       // employees with a symptom
+ *     unreadableChecks: ["E2Digestive"],
+ *     blank: true,                               // only when nothing was written for the day
+ *     confidence: { E1Fever, ... }
+ *   }],
+ *   summary: { totalDays, recordedDays, employees, checkedEntries, unfitEntries, unfitEmployees, unreadableChecks }
+ * }
+ *
+ * Employee names are personal data. They are stored unmasked in the reports
+ * filed in the customer's SharePoint folder and in the sheet's row of the review
+ * table, which the reports are rebuilt from (see submissions/review.js; the
+ * missing-submission check reads those rows for their dates only). Recording
+ * fixtures (DOCUMENT_INTELLIGENCE_MODE=record) also saves the raw analysis.
+ * Logs, the ledger and the review API see maskEmployeeNames() output instead.
+ */
+
+const SYMPTOMS = [
+  { key: 'Fever', label: '発熱', keywords: ['発熱', '熱'] },
+  { key: 'Digestive', label: '下痢・嘔吐', keywords: ['下痢', '嘔吐', '腹痛', '吐き気'] },
+  { key: 'HandWound', label: '手指の傷', keywords: ['傷', '手荒れ', '化膿', 'けが', 'ケガ'] }
+];
+
+const CHECK_VALUES = { present: '有', absent: '無', empty: '未記入', unreadable: '判読不可' };
+const SYMPTOM_FIELD = new RegExp(`^E\\d+(${SYMPTOMS.map(symptom => symptom.key).join('|')})$`);
+
+const PRESENT_MARKS = ['×', '✕', '✗', 'x', '有', 'あり', '有り', '否', '異常', '異常あり'];
+const ABSENT_MARKS = ['○', '〇', '◯', 'o', 'レ', '✓', '✔', '無', 'なし', '無し', '良', '異常なし', '-', 'ー', '―'];
+
+const NAME_HEADERS = ['氏名', '名前', '従業員', 'スタッフ'];
+const TEMPERATURE_HEADERS = ['体温', '検温'];
+const DEFAULT_FEVER_THRESHOLD = 37.5;
+
+/**
+ * "山田 太郎" → "山＊＊＊"; every character after the first is hidden.
+ */
+function maskEmployeeName(name) {
+  const characters = [...String(name || '').replace(/\s+/g, '')];
+  if (characters.length === 0) return '';
+  return characters[0] + '＊'.repeat(Math.max(characters.length - 1, 1));
+}
+
+/**
+ * Copy of the structured data with the employee names masked, for anything that
+ * leaves the customer's SharePoint folder.
+ */
+function maskEmployeeNames(structuredData) {
+  return {
+    ...structuredData,
+    employees: (structuredData.employees || []).map(employee => ({ ...employee, name: maskEmployeeName(employee.name) }))
+  };
+}
+
+function readMark(raw) {
+  const text = String(raw || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+  if (!text) return CHECK_VALUES.empty;
+  if (PRESENT_MARKS.includes(text)) return CHECK_VALUES.present;
+  if (ABSENT_MARKS.includes(text)) return CHECK_VALUES.absent;
+  return CHECK_VALUES.unreadable;
+}
+
+function parseFeverThreshold(value) {
+  const threshold = typeof value === 'number' ? value : parseFloat(value);
+  return threshold >= 35 && threshold <= 42 ? threshold : DEFAULT_FEVER_THRESHOLD;
+}
+
+// Day of a header such as "1", "12日(月)" or "6/12 発熱"; null when the header holds no day
+function headerDay(header) {
+  const token = header.normalize('NFKC').split(/\s+/)
+    .map(part => part.replace(/^\d{1,2}\s*(\/|月)\s*(?=\d)/, ''))
+    .find(part => parseSheetDay(part));
+  return token || null;
+}
+
+/**
+ * Columns of a health check table, or null when the table has no name column.
+ */
+function readTableLayout(table) {
+  const grid = toGrid(table);
+  const nameHeader = (table.cells || []).find(cell => cell.rowIndex < 3 && NAME_HEADERS.some(word => cellText(cell).includes(word)));
+  if (!nameHeader) return null;
+
+  const headerCells = (table.cells || []).filter(cell => cell.kind === 'columnHeader');
+  const firstDataRow = Math.max(nameHeader.rowIndex + (nameHeader.rowSpan || 1),
+    ...headerCells.map(cell => cell.rowIndex + (cell.rowSpan || 1)));
+  const headers = columnHeaders(grid, firstDataRow);
+
+  const columns = [];
+  headers.forEach((header, column) => {
+    if (column === nameHeader.columnIndex || !header) return;
+    const temperature = TEMPERATURE_HEADERS.some(word => header.includes(word));
+    const symptom = temperature ? null : SYMPTOMS.find(candidate => candidate.keywords.some(word => header.includes(word)));
+    if (temperature || symptom) {
+      columns.push({ column, rawDay: headerDay(header), kind: temperature ? 'BodyTemperature' : symptom.key });
+    }
+  });
+  if (columns.length === 0) return null;
+
+  return { grid, nameColumn: nameHeader.columnIndex, firstDataRow, columns };
+}
+
+function findHealthTable(analyzeResult, pageNumbers) {
+  return tablesOnPages(analyzeResult, pageNumbers)
+    .map(readTableLayout)
+    .filter(Boolean)
+    .sort((a, b) => b.columns.length - a.columns.length)[0] || null;
+}
+
+function lowestConfidence(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length ? Math.min(...numbers) : null;
+}
+
+/**
+ * Values of one employee on one day: a status per symptom on the sheet and the
+ * body temperature when there is a 体温 column.
+ *
+ * @returns {Array<{ field, value, raw, confidence, unreadable }>}
+ */
+function readEmployeeDay(row, columns, prefix, { words, feverThreshold }) {
+  const cells = columns.map(column => ({
+    kind: column.kind,
+    raw: cellText(row[column.column]),
+    confidence: cellConfidence(row[column.column], words)
+  }));
+  const values = [];
+
+  // A measured fever counts even when the 発熱 column was left empty
+  const temperatureCell = cells.find(cell => cell.kind === 'BodyTemperature');
+  let measuredFever = null;
+  if (temperatureCell) {
+    const { value, readable } = parseTemperature(temperatureCell.raw);
+    values.push({ field: `${prefix}BodyTemperature`, value, raw: temperatureCell.raw, confidence: temperatureCell.confidence, unreadable: !readable });
+    if (typeof value === 'number') measuredFever = value >= feverThreshold ? CHECK_VALUES.present : CHECK_VALUES.absent;
+  }
+
+  for (const { key } of SYMPTOMS) {
+    const marked = cells.filter(cell => cell.kind === key);
+    if (marked.length === 0 && !(key === 'Fever' && temperatureCell)) continue;
+
+    const marks = marked.map(cell => readMark(cell.raw));
+    let value = [CHECK_VALUES.present, CHECK_VALUES.unreadable, CHECK_VALUES.absent].find(candidate => marks.includes(candidate))
+      || CHECK_VALUES.empty;
+    if (key === 'Fever' && measuredFever && value !== CHECK_VALUES.present) value = measuredFever;
+
+    const sources = key === 'Fever' && temperatureCell ? [...marked, temperatureCell] : marked;
+    values.push({
+      field: `${prefix}${key}`,
+      value,
+      raw: sources.map(cell => cell.raw).filter(Boolean).join(' '),
+      confidence: lowestConfidence(sources.filter(cell => cell.raw).map(cell => cell.confidence)),
+      unreadable: value === CHECK_VALUES.unreadable
+    });
+  }
+  return values;
+}
+
+/**
+ * Works out who was unfit on each day and recounts the summary.
+ * Mutates and returns the structured data.
+ */
+function evaluateHealthChecks(structuredData) {
+  const { employees, dailyRecords } = structuredData;
+  for (const record of dailyRecords) {
+    record.unfitEmployees = employees
+      .filter(({ employeeNumber }) => SYMPTOMS.some(({ key }) => record[`E${employeeNumber}${key}`] === CHECK_VALUES.present))
+      .map(({ employeeNumber }) => employeeNumber);
+  }
+
+  const entries = dailyRecords.flatMap(record => employees.map(({ employeeNumber }) => ({ record, employeeNumber })));
+  const checked = entries.filter(({ record, employeeNumber }) => SYMPTOMS.some(({ key }) =>
+    [CHECK_VALUES.present, CHECK_VALUES.absent].includes(record[`E${employeeNumber}${key}`])));
+  structuredData.summary = {
+    totalDays: dailyRecords.length,
+    recordedDays: dailyRecords.filter(record => record.day > 0 && !record.blank).length,
+    employees: employees.length,
+    checkedEntries: checked.length,
+    unfitEntries: dailyRecords.reduce((count, record) => count + record.unfitEmployees.length, 0),
+    unfitEmployees: new Set(dailyRecords.flatMap(record => record.unfitEmployees)).size,
+    unreadableChecks: dailyRecords.reduce((count, record) => count + (record.unreadableChecks?.length || 0), 0)
+  };
+  return structuredData;
+}
+
+function emptyStructuredData(fileExtension, layout) {
+  return evaluateHealthChecks({
+    metadata: { year: "0000", month: "00", location: "エラー", yearMonth: "0000-00", layout, fileExtension },
+    employees: [],
+    dailyRecords: []
+  });
+}
+
+/**
+ * Builds the structured data of a health check sheet from a prebuilt-layout result.
+ *
+ * @param {Object} analyzeResult - prebuilt-layout result
+ * @param {string} fileExtension
+ * @param {Object} [options] - pages, layout, stores, receivedAt, feverThreshold (see extractHealthCheck)
+ * @param {Object} [context] - Azure Functions context for logging
+ */
+function buildHealthCheck(analyzeResult, fileExtension, options = {}, context = null) {
+  const layout = options.layout || 'weekly';
+  const pageNumbers = parsePageNumbers(options.pages);
+  const table = findHealthTable(analyzeResult, pageNumbers);
+  if (!table) {
+    logMessage('⚠️ No table with a 氏名 column and symptom columns found', context);
+    return emptyStructuredData(fileExtension, layout);
+  }
+
+  const { rawYear, rawMonth, rawDay, location } = readSheetHeader(pageText(analyzeResult, pageNumbers));
+  const month = parseSheetMonth(rawMonth) || "00";
+  const parsedYear = parseSheetYear(rawYear, { month: month !== "00" ? month : null, receivedAt: options.receivedAt });
+  const year = parsedYear?.year || "0000";
+  const feverThreshold = parseFeverThreshold(options.feverThreshold);
+
+  const rows = table.grid.slice(table.firstDataRow).filter(row => cellText(row[table.nameColumn]));
+  const employees = rows.map((row, index) => ({ employeeNumber: index + 1, name: cellText(row[table.nameColumn]) }));
+  // Names stay out of the logs
+  logMessage(`👥 ${employees.length} employees: ${employees.map(employee => maskEmployeeName(employee.name)).join(', ')}`, context);
+
+  // Columns grouped by day, in sheet order; columns without a day belong to the day above the table
+  const days = [];
+  for (const column of table.columns) {
+    const rawColumnDay = column.rawDay || rawDay;
+    let day = days.find(entry => entry.rawDay === rawColumnDay);
+    if (!day) days.push(day = { rawDay: rawColumnDay, columns: [] });
+    day.columns.push(column);
+  }
+  const sheetDates = buildSheetDates(year, month, days.map(entry => entry.rawDay));
+  const words = (analyzeResult.pages || []).flatMap(page => page.words || []);
+
+  const dailyRecords = [];
+  days.forEach((entry, index) => {
+    const values = rows.flatMap((row, employeeIndex) =>
+      readEmployeeDay(row, entry.columns, `E${employeeIndex + 1}`, { words, feverThreshold }));
+
+    const { day, date, dateIssues } = sheetDates[index];
+    const blank = values.every(item => !item.raw);
+    if (blank && dateIssues.includes('invalid-date')) return;
+
+    dailyRecords.push({
+      day,
+      date,
+      dateIssues,
+      ...Object.fromEntries(values.map(item => [item.field, item.value])),
+      unreadableChecks: values.filter(item => item.unreadable).map(item => item.field),
+      ...(blank && { blank: true }),
+      confidence: Object.fromEntries(values.filter(item => item.raw).map(item => [item.field, item.confidence]))
+    });
+  });
+
+  return evaluateHealthChecks({
+    metadata: {
+      year,
+      month,
+      ...(parsedYear?.source === 'submission' && { yearInferred: true }),
+      ...resolveStoreLocation(location, options.stores),
+      yearMonth: `${year}-${month}`,
+      layout,
+      fileExtension,
+      feverThreshold
+    },
+    employees,
+    dailyRecords
+  });
+}
+
+/**
+ * Reads a health check sheet from the document's prebuilt-layout analysis.
+ *
+ * @param {Object} context - Azure Functions execution context for logging
+ * @param {string} base64BinFile - Base64 encoded file content
+ * @param {string} fileExtension - Original file extension (e.g., "pdf")
+ * @param {Object} [options]
+ *   - contentHash: SHA-256 of the file; the layout analysis from title detection is reused
+ *   - pages: page range of one sheet in a multi-sheet PDF, e.g. "3-4" (whole file when omitted)
+ *   - layout: "weekly" or "monthly", recorded in the metadata
+ *   - stores: the customer's store master (see customers/stores.js)
+ *   - receivedAt: submission time (ISO string); used as the year when the sheet has none
+ *   - feverThreshold: the customer's settings.feverThreshold (℃)
+ * @throws {AnalyzeTimeoutError|AnalyzeFailedError} when the analysis times out or the service rejects it
+ * @returns {Promise<Object>} structured data; empty (year "0000") when no health check table was found
+ */
+async function extractHealthCheck(context, base64BinFile, fileExtension, options = {}) {
+  try {
+    logMessage('🩺 Reading health check from the layout analysis...', context);
+    const buffer = Buffer.from(base64BinFile, 'base64');
+    const analyzeResult = await analyzeWithPrebuiltModel(context, 'prebuilt-layout', buffer, { contentHash: options.contentHash });
+
+    const structuredData = buildHealthCheck(analyzeResult || {}, fileExtension, options, context);
+    logMessage(`📊 Extraction complete: ${structuredData.dailyRecords.length} daily records processed`, context);
+    logMessage(`📊 Summary: ${JSON.stringify(structuredData.summary)}`, context);
+    return structuredData;
+  } catch (error) {
+    if (error instanceof AnalyzeTimeoutError || error instanceof AnalyzeFailedError) {
+      throw error;
+    }
+    handleError(error, 'extractHealthCheck', context);
+    return emptyStructuredData(fileExtension, options.layout || 'weekly');
+  }
+}
+
+module.exports = {
+  SYMPTOMS,
+  CHECK_VALUES,
+  SYMPTOM_FIELD,
+  maskEmployeeName,
+  maskEmployeeNames,
+  buildHealthCheck,
+  evaluateHealthChecks,
+  extractHealthCheck
+};
@@ -0,0 +1,100 @@
+/**
+ * Reading customer-printed sheets from a prebuilt-layout result.
+ *
+ * Temperature logs and health checks have no custom model: every customer prints
+ * their own, so they are read from the layout tables instead. These helpers turn
+ * a table into a grid of cells, locate the text of one sheet in a multi-sheet
+ * file and take the confidence of a cell from the OCR words inside it.
+ */
+
+function cellText(cell) {
+  return String(cell?.content || '').replace(/:(un)?selected:/g, '').trim();
+}
+
+/**
+ * Rows of a table as arrays of cells; a header cell spanning several columns is
+ * repeated in each of them.
+ */
+function toGrid(table) {
+  const grid = Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(null));
+  for (const cell of table.cells || []) {
+    const span = cell.kind === 'columnHeader' ? cell.columnSpan || 1 : 1;
+    for (let offset = 0; offset < span; offset++) {
+      if (grid[cell.rowIndex] && cell.columnIndex + offset < table.columnCount) {
+        grid[cell.rowIndex][cell.columnIndex + offset] = cell;
+      }
+    }
+  }
+  return grid;
+}
+
+/**
+ * Text of each column's header rows, joined: "冷蔵庫" above "朝" gives "冷蔵庫 朝".
+ */
+function columnHeaders(grid, headerRowCount) {
+  const columnCount = grid[0]?.length || 0;
+  return Array.from({ length: columnCount }, (_, column) => [...new Set(grid
+    .slice(0, headerRowCount)
+    .map(row => cellText(row[column]))
+    .filter(Boolean))].join(' '));
+}
+
+/**
+ * Lowest confidence of the OCR words inside a cell; null for an empty cell.
+ */
+function cellConfidence(cell, words) {
+  const values = words
+    .filter(word => (cell?.spans || []).some(span =>
+      word.span && word.span.offset >= span.offset && word.span.offset < span.offset + span.length))
+    .map(word => word.confidence)
+    .filter(value => typeof value === 'number');
+  return values.length ? Math.min(...values) : null;
+}
+
+function parsePageNumbers(pages) {
+  if (!pages) return null;
+  const [first, last = first] = String(pages).split('-').map(value => parseInt(value, 10));
+  return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+function tablesOnPages(analyzeResult, pageNumbers) {
+  return (analyzeResult.tables || []).filter(table => !pageNumbers
+    || (table.boundingRegions || []).some(region => pageNumbers.includes(region.pageNumber)));
+}
+
+function pageText(analyzeResult, pageNumbers) {
+  const content = analyzeResult.content || '';
+  const pages = (analyzeResult.pages || []).filter(page => !pageNumbers || pageNumbers.includes(page.pageNumber));
+  if (!pageNumbers || !pages.some(page => page.spans?.length)) return content;
+  return pages.flatMap(page => page.spans || [])
+    .map(span => content.slice(span.offset, span.offset + span.length))
+    .join('\n');
+}
+
+/**
+ * Date and store written above the table: "2025年6月", "令和7年 6月 12日", "店舗名：中目黒店".
+ * Values are returned as written, for sheetDates.js and customers/stores.js.
+ */
+function readSheetHeader(text) {
+  const normalized = text.normalize('NFKC');
+  const yearMonth = /((?:令和|平成|R|H)?\s*(?:\d{1,4}|元))\s*年\s*(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?/i.exec(normalized);
+  const monthOnly = yearMonth ? null : /(?:^|[^\d(])(\d{1,2})\s*月(?!\))/.exec(normalized);
+  const store = /(?:店舗名|店舗|店名)\s*[:：]?\s*([^\s:：]+)/.exec(normalized);
+  return {
+    rawYear: yearMonth ? yearMonth[1].replace(/\s+/g, '') : undefined,
+    rawMonth: yearMonth ? yearMonth[2] : monthOnly?.[1],
+    rawDay: yearMonth?.[3],
+    location: store ? store[1] : 'エラー'
+  };
+}
+
+module.exports = {
+  cellText,
+  toGrid,
+  columnHeaders,
+  cellConfidence,
+  parsePageNumbers,
+  tablesOnPages,
+  pageText,
+  readSheetHeader
+};
@@ -1,30 +1,118 @@
-const { AzureKeyCredential, DocumentAnalysisClient } = require("@azure/ai-form-recognizer");
+const { analyzeWithPrebuiltModel } = require('./prebuiltAnalyzer');
+const { AnalyzeTimeoutError } = require('./analyzeOperation');
+const { resolveFormType, detectFormTypeFromText } = require('../formTypes');
+const { DEFAULT_LAYOUT, detectSheetLayout } = require('./sheetLayout');
 
-const GENERAL_MANAGEMENT_FORM = `一般衛生管理シート`;
-const IMPORTANT_MANAGEMENT_FORM = `重要管理シート`;
+// Kept for callers that still dispatch on the title strings
+const GENERAL_MANAGEMENT_FORM = resolveFormType('general').title;
+const IMPORTANT_MANAGEMENT_FORM = resolveFormType('important').title;
 
-const endpoint = process.env['CLASSIFIER_ENDPOINT'];
-const apiKey = process.env['CLASSIFIER_ENDPOINT_AZURE_API_KEY'];
+/**
+ * The layout result is cached by content hash, so the table extractor reuses it
+ * for documents whose title is not recognised.
+ * Returns null when no form type matches or the analysis fails; a timeout is rethrown.
+ */
+async function detectTitleFromDocument(context, buffer, mimeType, contentHash) {
+  try {
+    const result = await analyzeWithPrebuiltModel(context, "prebuilt-layout", buffer, { contentHash });
+    const fullText = result?.content || "";
+
+    // Detection phrases are declared by each form type in src/functions/formTypes
+    const formType = detectFormTypeFromText(fullText);
+    return formType ? formType.title : null;
+  } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
+    context.log(`❌ OCR title detection failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Text of one page of a layout result, read from the page's spans into the full content.
+ */
+function getPageText(analyzeResult, page) {
+  const content = analyzeResult.content || "";
+  if (page.spans?.length) {
+    return page.spans.map(span => content.slice(span.offset, span.offset + span.length)).join("");
+  }
+  return (page.lines || []).map(line => line.content).join("\n");
+}
 
-const client = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(apiKey));
+function toPageRange(pageNumbers) {
+  const first = pageNumbers[0];
+  const last = pageNumbers[pageNumbers.length - 1];
+  return first === last ? String(first) : `${first}-${last}`;
+}
 
-async function detectTitleFromDocument(context, buffer, mimeType) {
+/**
+ * Splits a document into the sheets it contains. Each page is classified on its
+ * own text: a page with a recognised title starts a new sheet, a page without one
+ * continues the sheet before it (or starts an untitled one at the beginning).
+ *
+ * Returns [{ title, layout, pages: "3-4", pageNumbers: [3, 4] }, ...] with title null
+ * for pages no form type matched and layout "weekly" or "monthly" (see sheetLayout.js).
+ * Single-page documents give one entry titled from the whole text, so they behave
+ * exactly like detectTitleFromDocument().
+ * Returns [] when the analysis fails; a timeout is rethrown.
+ */
+async function detectDocumentSegments(context, buffer, mimeType, contentHash) {
   try {
-    const poller = await client.beginAnalyzeDocument("prebuilt-layout", buffer, {
-      contentType: mimeType,
-    });
+    const result = await analyzeWithPrebuiltModel(context, "prebuilt-layout", buffer, { contentHash });
+    const pages = result?.pages || [];
 
-    const result = await poller.pollUntilDone();
-    const fullText = result?.content || "";
+    if (pages.length <= 1) {
+      const formType = detectFormTypeFromText(result?.content || "");
+      return [{
+        title: formType ? formType.title : null,
+        layout: detectSheetLayout(result),
+        pages: null,
+        pageNumbers: pages.map(page => page.pageNumber)
+      }];
+    }
 
-    if (fullText.includes("一般管理の実施記録")) return GENERAL_MANAGEMENT_FORM;
-    if (fullText.includes("重要管理の実施記録")) return IMPORTANT_MANAGEMENT_FORM;
+    const segments = [];
+    for (const page of pages) {
+      const formType = detectFormTypeFromText(getPageText(result, page));
+      const current = segments[segments.length - 1];
+      if (formType || !current) {
+        segments.push({ title: formType ? formType.title : null, pageNumbers: [page.pageNumber] });
+      } else {
+        current.pageNumbers.push(page.pageNumber);
+      }
+    }
 
-    return null;
+    for (const segment of segments) {
+      segment.layout = detectSheetLayout(result, segment.pageNumbers);
+    }
+
+    context.log(`📑 ${pages.length} pages, ${segments.length} sheet(s): ${segments.map(segment => `${toPageRange(segment.pageNumbers)}=${segment.title || "unknown"}${segment.title ? ` (${segment.layout})` : ""}`).join(", ")}`);
+    return segments.map(segment => ({ ...segment, pages: toPageRange(segment.pageNumbers) }));
   } catch (error) {
-    context.log(`❌ OCR title detection failed: ${error.message}`);
-    return null;
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
+    context.log(`❌ OCR page classification failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Layout of a file whose form type is already known (reprocess requests skip title
+ * detection). Falls back to weekly when the analysis fails; a timeout is rethrown.
+ */
+async function detectLayoutFromDocument(context, buffer, contentHash) {
+  try {
+    const result = await analyzeWithPrebuiltModel(context, "prebuilt-layout", buffer, { contentHash });
+    return detectSheetLayout(result);
+  } catch (error) {
+    if (error instanceof AnalyzeTimeoutError) {
+      throw error;
+    }
+    context.log(`❌ Layout detection failed, assuming ${DEFAULT_LAYOUT}: ${error.message}`);
+    return DEFAULT_LAYOUT;
   }
 }
 
-module.exports = { detectTitleFromDocument, GENERAL_MANAGEMENT_FORM, IMPORTANT_MANAGEMENT_FORM };
+module.exports = { detectTitleFromDocument, detectDocumentSegments, detectLayoutFromDocument, GENERAL_MANAGEMENT_FORM, IMPORTANT_MANAGEMENT_FORM };
@@ -0,0 +1,39 @@
+const { hashDocument, getOrAnalyze } = require('./analysisCache');
+const { runAnalyzeOperation } = require('./analyzeOperation');
+const { isFixtureMode } = require('./fixtures');
+
+/**
+ * Runs a prebuilt model ("prebuilt-layout", "prebuilt-read") on a document, at
+ * most once per document content. Title detection and table extraction both
+ * call this with the same blob, so the second caller gets the cached result.
+ *
+ * Returns the REST `analyzeResult` (content, pages, tables, ...; polygons are
+ * flat [x1, y1, x2, y2, ...] arrays).
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {string} modelId - prebuilt model ID
+ * @param {Buffer} buffer - document content
+ * @param {Object} options
+ *   - contentHash: SHA-256 of the buffer when the caller already has it
+ * @throws {AnalyzeTimeoutError|AnalyzeFailedError} see analyzeOperation.js
+ */
+async function analyzeWithPrebuiltModel(context, modelId, buffer, { contentHash } = {}) {
+  const endpoint = process.env['CLASSIFIER_ENDPOINT'];
+  const apiKey = process.env['CLASSIFIER_ENDPOINT_AZURE_API_KEY'];
+  if ((!endpoint || !apiKey) && !isFixtureMode()) {
+    throw new Error('Missing CLASSIFIER_ENDPOINT or CLASSIFIER_ENDPOINT_AZURE_API_KEY');
+  }
+
+  const key = { contentHash: contentHash || hashDocument(buffer), modelId };
+  const operation = await getOrAnalyze(context, key, () => runAnalyzeOperation(context, {
+    endpoint,
+    apiKey,
+    path: `documentModels/${modelId}`,
+    body: { base64Source: buffer.toString('base64') },
+    label: modelId
+  }));
+
+  return operation.analyzeResult;
+}
+
+module.exports = { analyzeWithPrebuiltModel };
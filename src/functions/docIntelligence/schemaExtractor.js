@@ -0,0 +1,358 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const { logMessage, handleError } = require('../utils');
+const { hashDocument, getOrAnalyze } = require('./analysisCache');
+const { runAnalyzeOperation, AnalyzeTimeoutError, AnalyzeFailedError } = require('./analyzeOperation');
+const { resolveStoreLocation } = require('../customers/stores');
+const { parseSheetYear, parseSheetMonth, buildSheetDates } = require('./sheetDates');
+const { fieldConfidence } = require('./fieldConfidence');
+const { isKnownLayout } = require('./sheetLayout');
+
+/**
+ * Extraction engine for weekly sheets read by a custom-trained Document
+ * Intelligence model.
+ *
+ * The sheets share one layout: a header (year, month, store), a numbered list of
+ * check items (hygiene categories, menus) and one column per day holding a
+ * 良/否 checkbox pair for every item plus comments and single checkboxes. What
+ * differs between models is declared in a form schema (see ./formSchemas):
+ *
+ * {
+ *   name: "一般管理",                        // used in logs and the analysis label
+ *   layout: "weekly",                        // "weekly" | "monthly" (see sheetLayout.js)
+ *   model: {                                // environment variables holding the model settings
+ *     endpointEnv: "GENERAL_MANAGEMENT_EXTRACTOR_ENDPOINT",
+ *     apiKeyEnv: "GENERAL_MANAGEMENT_EXTRACTOR_ENDPOINT_AZURE_API_KEY",
+ *     modelIdEnv: "GENERAL_MANAGEMENT_EXTRACTOR_MODEL_ID"
+ *   },
+ *   header: { year: "year", month: "month", location: "location" },   // header field keys
+ *   days: { count: 7, field: "Day{day}" },   // day-number field of each column, or
+ *                                            // { count: 31, numbered: true } when the days are printed
+ *   items: {
+ *     count: 7,
+ *     field: "Cat{item}",                    // field holding the item's description
+ *     property: "categories",                // output list and its entry properties
+ *     numberProperty: "categoryNumber",
+ *     nameProperty: "categoryName"
+ *   },
+ *   recordFields: [                          // properties of each daily record, in output order
+ *     { property: "Cat{item}Status", type: "statusPair", good: "C{item}D{day}G", ng: "C{item}D{day}NG" },
+ *     { property: "comment", type: "text", field: "D{day}comment" },
+ *     { property: "approverStatus", type: "check", field: "D{day}Approver" }
+ *   ],
+ *   summary: [                               // days counted per record property, after the fixed counts
+ *     { property: "daysWithComments", field: "comment" },
+ *     { property: "approvedDays", field: "approverStatus" }
+ *   ]
+ * }
+ *
+ * Field keys are templates: {day} is the column (1..days.count) and {item} the
+ * item (1..items.count). A record field whose property contains {item} is
+ * repeated for every item. Field types:
+ *   - statusPair: 良/否 checkbox pair → "良" | "否" | "未選択" | "エラー"
+ *   - check: single checkbox → "良" | "未選択" | "エラー"
+ *   - text: handwritten text, "not found" when empty
+ * A summary entry counts the days whose value is "良" (checks) or present (text).
+ *
+ * On a sheet with printed day numbers (the monthly sheet) the row is the day:
+ * rows past the end of the month are dropped, and a row with nothing marked or
+ * written is kept with `blank: true` and not counted as recorded.
+ */
+
+const FIELD_TYPES = ['statusPair', 'check', 'text'];
+
+function fillTemplate(template, { day, item } = {}) {
+  return template.replace(/\{day\}/g, day).replace(/\{item\}/g, item);
+}
+
+/**
+ * Checks a schema when its form type is loaded, so a typo fails at startup
+ * rather than producing empty reports.
+ *
+ * @throws {Error} listing every problem found
+ */
+function validateFormSchema(schema) {
+  const problems = [];
+  const isCount = value => Number.isInteger(value) && value > 0;
+
+  if (!schema.name) problems.push('name is required');
+  for (const key of ['endpointEnv', 'apiKeyEnv', 'modelIdEnv']) {
+    if (!schema.model?.[key]) problems.push(`model.${key} is required`);
+  }
+  for (const key of ['year', 'month', 'location']) {
+    if (!schema.header?.[key]) problems.push(`header.${key} is required`);
+  }
+  if (!isKnownLayout(schema.layout)) problems.push('layout must be "weekly" or "monthly"');
+  if (!isCount(schema.days?.count) || !(schema.days?.numbered || schema.days?.field?.includes('{day}'))) {
+    problems.push('days needs a count and either numbered: true or a field containing {day}');
+  }
+  if (!isCount(schema.items?.count) || !schema.items?.field?.includes('{item}')
+    || !schema.items?.property || !schema.items?.numberProperty || !schema.items?.nameProperty) {
+    problems.push('items needs a count, a field containing {item}, property, numberProperty and nameProperty');
+  }
+
+  const properties = new Set();
+  for (const field of schema.recordFields || []) {
+    if (!FIELD_TYPES.includes(field.type)) problems.push(`${field.property}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    const keys = field.type === 'statusPair' ? [field.good, field.ng] : [field.field];
+    if (keys.some(key => !key?.includes('{day}'))) problems.push(`${field.property}: field keys must contain {day}`);
+    if (properties.has(field.property)) problems.push(`${field.property} is declared twice`);
+    properties.add(field.property);
+  }
+  if (!schema.recordFields?.length) problems.push('recordFields must list at least one field');
+
+  for (const entry of schema.summary || []) {
+    if (!properties.has(entry.field) || entry.field.includes('{item}')) {
+      problems.push(`summary ${entry.property}: ${entry.field} is not a single record field`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid form schema "${schema.name || 'unknown'}": ${problems.join('; ')}`);
+  }
+  return schema;
+}
+
+/**
+ * Determines the status of an item based on Good/NG checkbox states
+ *
+ * @param {Object} gField - Good checkbox field from Azure Document Intelligence
+ * @param {Object} ngField - NG checkbox field from Azure Document Intelligence
+ * @returns {string} Status: "良" (good), "否" (no/bad), "未選択" (unselected), or "エラー" (error)
+ */
+function getStatus(gField, ngField) {
+  const g = gField?.valueSelectionMark || "not found";
+  const ng = ngField?.valueSelectionMark || "not found";
+
+  if (g === "not found" && ng === "not found") return "エラー";    // Both fields missing
+  if (g === "selected" && ng === "selected") return "エラー";      // Both checkboxes selected (invalid)
+  if (g === "unselected" && ng === "unselected") return "未選択";  // Neither checkbox selected
+  if (g === "selected") return "良";   // Good checkbox selected
+  if (ng === "selected") return "否";  // NG checkbox selected
+  return "未選択";                     // Default case
+}
+
+/**
+ * Determines the status of a single checkbox (daily check and approver fields)
+ *
+ * @param {Object} field - Checkbox field from Azure Document Intelligence
+ * @returns {string} Status: "良" (checked), "未選択" (unchecked), or "エラー" (error)
+ */
+function getCheckStatus(field) {
+  const value = field?.valueSelectionMark || "not found";
+  if (value === "selected") return "良";     // Checkbox is checked
+  if (value === "not found") return "エラー";  // Field not found
+  return "未選択";                           // Checkbox is unchecked
+}
+
+// Nothing marked or written: unselected or missing checkboxes and empty text
+function isEmptyValue(value) {
+  return ["未選択", "エラー", "not found"].includes(value);
+}
+
+// One value per record field, expanded over the items for per-item fields
+function readRecordFields(schema, fields, day) {
+  const values = [];
+  for (const recordField of schema.recordFields) {
+    const items = recordField.property.includes('{item}')
+      ? Array.from({ length: schema.items.count }, (_, index) => index + 1)
+      : [undefined];
+
+    for (const item of items) {
+      const property = fillTemplate(recordField.property, { item });
+      if (recordField.type === 'statusPair') {
+        const good = fields[fillTemplate(recordField.good, { day, item })];
+        const ng = fields[fillTemplate(recordField.ng, { day, item })];
+        values.push({ property, value: getStatus(good, ng), confidence: fieldConfidence(good, ng) });
+      } else {
+        const field = fields[fillTemplate(recordField.field, { day, item })];
+        const value = recordField.type === 'check' ? getCheckStatus(field) : field?.valueString || "not found";
+        values.push({ property, value, confidence: fieldConfidence(field) });
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Summary counts for a schema: totalDays, recordedDays, then the schema's own counts.
+ */
+function summarizeRecords(schema, dailyRecords) {
+  const counts = (schema.summary || []).map(entry => {
+    const { type } = schema.recordFields.find(recordField => recordField.property === entry.field);
+    const counted = value => (type === 'text' ? value !== "not found" : value === "良");
+    return [entry.property, dailyRecords.filter(record => counted(record[entry.field])).length];
+  });
+  return {
+    totalDays: dailyRecords.length,
+    recordedDays: dailyRecords.filter(record => record.day > 0 && !record.blank).length,
+    ...Object.fromEntries(counts)
+  };
+}
+
+function emptyStructuredData(schema, fileExtension) {
+  return {
+    metadata: { year: "0000", month: "00", location: "エラー", yearMonth: "0000-00", layout: schema.layout, fileExtension },
+    [schema.items.property]: [],
+    dailyRecords: [],
+    summary: summarizeRecords(schema, [])
+  };
+}
+
+/**
+ * Builds the structured data of a sheet from the fields a custom model returned.
+ *
+ * @param {Object} schema - form schema (see above)
+ * @param {Object} fields - analyzeResult.documents[0].fields
+ * @param {string} fileExtension
+ * @param {Object} [options] - stores, receivedAt (see extractWithSchema)
+ * @param {Object} [context] - Azure Functions context for logging
+ */
+function buildStructuredData(schema, fields, fileExtension, options = {}, context = null) {
+  const { header, days, items } = schema;
+
+  // "令和7年", "R7", "５月" etc. are normalized; a missing year is taken from the submission date
+  const rawYear = fields[header.year]?.valueString;
+  const rawMonth = fields[header.month]?.valueString;
+  const location = fields[header.location]?.valueString || "エラー";
+  const month = parseSheetMonth(rawMonth) || "00";
+  const parsedYear = parseSheetYear(rawYear, { month: month !== "00" ? month : null, receivedAt: options.receivedAt });
+  const year = parsedYear?.year || "0000";
+
+  const itemNames = Array.from({ length: items.count }, (_, index) =>
+    fields[fillTemplate(items.field, { item: index + 1 })]?.valueString || "not found");
+  logMessage(`📊 Extracted ${items.property}:`, context);
+  itemNames.forEach((name, index) => logMessage(`  - ${index + 1}: ${name}`, context));
+
+  // Dates of the day columns; a week running past the month end continues in the next month
+  const columns = Array.from({ length: days.count }, (_, index) => index + 1);
+  const rawDays = days.numbered ? columns.map(String) : columns.map(day => fields[fillTemplate(days.field, { day })]?.valueString);
+  const sheetDates = buildSheetDates(year, month, rawDays);
+
+  const dailyRecords = [];
+  for (const day of columns) {
+    const dayField = days.numbered ? null : fields[fillTemplate(days.field, { day })];
+    if (!days.numbered && !dayField) {
+      logMessage(`⚠️ Missing field: ${fillTemplate(days.field, { day })}`, context);
+      continue;
+    }
+
+    // Day number and calendar date, with any problems found in the sequence
+    const { day: dayNumber, date, dateIssues } = sheetDates[day - 1];
+    if (days.numbered && dateIssues.includes('invalid-date')) {
+      logMessage(`📅 Row ${day} is past the end of ${year}-${month}, skipped`, context);
+      continue;
+    }
+    logMessage(`📅 Processing Day ${day}: ${date}${dateIssues.length ? ` ⚠️ ${dateIssues.join(', ')}` : ''}`, context);
+
+    const values = readRecordFields(schema, fields, day);
+    values.forEach(({ property, value }) => logMessage(`  - ${property}: ${value}`, context));
+
+    dailyRecords.push({
+      day: dayNumber,
+      date,
+      dateIssues,
+      ...Object.fromEntries(values.map(({ property, value }) => [property, value])),
+      ...(days.numbered && values.every(({ value }) => isEmptyValue(value)) && { blank: true }),
+      // Document Intelligence confidence (0-1) behind each value; null when the field was not returned
+      confidence: {
+        day: fieldConfidence(dayField),
+        ...Object.fromEntries(values.map(({ property, confidence }) => [property, confidence]))
+      }
+    });
+  }
+
+  return {
+    metadata: {
+      year,
+      month,
+      ...(parsedYear?.source === 'submission' && { yearInferred: true }),
+      // Canonical store name from the customer's store master, when there is one
+      ...resolveStoreLocation(location, options.stores),
+      yearMonth: `${year}-${month}`,
+      layout: schema.layout,
+      fileExtension,
+      confidence: {
+        year: fieldConfidence(fields[header.year]),
+        month: fieldConfidence(fields[header.month]),
+        location: fieldConfidence(fields[header.location])
+      }
+    },
+    [items.property]: itemNames.map((name, index) => ({
+      [items.numberProperty]: index + 1,
+      [items.nameProperty]: name
+    })),
+    dailyRecords,
+    summary: summarizeRecords(schema, dailyRecords)
+  };
+}
+
+/**
+ * Analyzes a sheet with the schema's custom model and returns its structured data.
+ *
+ * @param {Object} context - Azure Functions execution context for logging
+ * @param {Object} schema - form schema (see above)
+ * @param {string} base64BinFile - Base64 encoded file content
+ * @param {string} fileExtension - Original file extension (e.g., "pdf")
+ * @param {Object} [options]
+ *   - contentHash: SHA-256 of the file; repeated calls for the same content reuse the cached analysis
+ *   - pages: page range of one sheet in a multi-sheet PDF, e.g. "3" (whole file when omitted)
+ *   - stores: the customer's store master; the location is resolved to a store (see customers/stores.js)
+ *   - receivedAt: submission time (ISO string); used as the year when the sheet has none (see sheetDates.js)
+ * @throws {AnalyzeTimeoutError|AnalyzeFailedError} when the analysis times out or the service rejects it
+ * @returns {Promise<Object>} structured data; empty (year "0000") when nothing could be extracted
+ */
+async function extractWithSchema(context, schema, base64BinFile, fileExtension, options = {}) {
+  try {
+    logMessage(`📤 Submitting to custom extraction model for ${schema.name}...`, context);
+
+    const modelId = process.env[schema.model.modelIdEnv];
+    if (!modelId) {
+      throw new AnalyzeFailedError(`${schema.name} (${schema.layout}) extraction: ${schema.model.modelIdEnv} is not set`, { code: 'ModelNotConfigured' });
+    }
+    // The custom model runs once per document content; reprocessing the same file reuses the result
+    const cacheKey = {
+      contentHash: options.contentHash || hashDocument(base64BinFile),
+      modelId,
+      variant: options.pages ? `pages-${options.pages}` : undefined
+    };
+    const result = await getOrAnalyze(context, cacheKey, () => runAnalyzeOperation(context, {
+      endpoint: process.env[schema.model.endpointEnv],
+      apiKey: process.env[schema.model.apiKeyEnv],
+      path: `documentModels/${modelId}`,
+      body: { base64Source: base64BinFile },
+      pages: options.pages,
+      label: `${schema.name} extraction`
+    }));
+
+    const fields = result?.analyzeResult?.documents?.[0]?.fields;
+    if (!fields) {
+      logMessage("⚠️ No fields extracted.", context);
+      return emptyStructuredData(schema, fileExtension);
+    }
+
+    logMessage(`🧾 Extracted ${Object.keys(fields).length} fields`, context);
+    const structuredData = buildStructuredData(schema, fields, fileExtension, options, context);
+    logMessage(`📊 Extraction complete: ${structuredData.dailyRecords.length} daily records processed`, context);
+    logMessage(`📊 Summary: ${JSON.stringify(structuredData.summary)}`, context);
+    return structuredData;
+  } catch (error) {
+    // FormProcessor files timed-out and rejected analyses separately instead of reporting empty data
+    if (error instanceof AnalyzeTimeoutError || error instanceof AnalyzeFailedError) {
+      throw error;
+    }
+    handleError(error, 'extract', context);
+    return emptyStructuredData(schema, fileExtension);
+  }
+}
+
+module.exports = {
+  validateFormSchema,
+  buildStructuredData,
+  summarizeRecords,
+  extractWithSchema,
+  getStatus,
+  getCheckStatus
+};
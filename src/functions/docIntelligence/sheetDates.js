@@ -0,0 +1,223 @@
+/**
+ * Year/month/day parsing for handwritten sheet headers.
+ *
+ * Staff write dates as "2025", "令和7年", "R7", "令和元年", "５月", "五月" or
+ * "12日(月)". Values are normalized to half-width digits (full-width and kanji
+ * numerals included), 年/月/日 suffixes and weekday notes are dropped, and
+ * Japanese era years are converted to the Western calendar.
+ *
+ * buildSheetDates() turns the day columns of a weekly sheet into calendar dates:
+ * a week running past the end of the month (28, 29, 30, 31, 1, 2, 3) continues
+ * in the next month, and days that do not exist, break the sequence or
+ * contradict a written weekday are flagged.
+ */
+
+const ERAS = [
+  { pattern: /^(令和|令|r)/, firstYear: 2019 },
+  { pattern: /^(平成|平|h)/, firstYear: 1989 },
+  { pattern: /^(昭和|昭|s)/, firstYear: 1926 }
+];
+
+const KANJI_DIGITS = { '〇': 0, '零': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// Submission timestamps are UTC; sheets are dated in Japan time
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A smaller day number only starts a new month when the week plausibly wraps (e.g. 29 → 2)
+const ROLLOVER_MIN_PREVIOUS_DAY = 22;
+const ROLLOVER_MAX_NEXT_DAY = 7;
+
+/**
+ * "二〇二五" → "2025", "十二" → "12", "三十一" → "31".
+ */
+function kanjiToDigits(text) {
+  if (!text.includes('十')) {
+    return [...text].map(char => KANJI_DIGITS[char]).join('');
+  }
+  const [tens, ones] = text.split('十');
+  const value = (tens ? KANJI_DIGITS[tens] : 1) * 10 + (ones ? KANJI_DIGITS[ones] : 0);
+  return String(value);
+}
+
+/**
+ * Half-width digits, lower case, no spaces, weekday notes or 年/月/日 suffixes.
+ */
+function normalizeDatePart(raw) {
+  if (raw === undefined || raw === null) return '';
+  return String(raw)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/\(.*?\)/g, '')
+    .replace(/[日月火水木金土]曜日?$/, '')
+    .replace(/[〇零一二三四五六七八九十]+/g, kanjiToDigits)
+    .replace(/(年|月|日|\.)$/, '');
+}
+
+function parseInRange(text, min, max) {
+  if (!/^\d{1,2}$/.test(text)) return null;
+  const value = parseInt(text, 10);
+  return value >= min && value <= max ? String(value).padStart(2, '0') : null;
+}
+
+/**
+ * @returns {string|null} "01".."12"
+ */
+function parseSheetMonth(raw) {
+  return parseInRange(normalizeDatePart(raw), 1, 12);
+}
+
+/**
+ * @returns {string|null} "01".."31" (whether the day exists in the month is not checked here)
+ */
+function parseSheetDay(raw) {
+  return parseInRange(normalizeDatePart(raw), 1, 31);
+}
+
+function toJapanDate(receivedAt) {
+  const date = receivedAt ? new Date(receivedAt) : null;
+  if (!date || isNaN(date.getTime())) return null;
+  return new Date(date.getTime() + JST_OFFSET_MS);
+}
+
+/**
+ * Year a sheet submitted at `receivedAt` most likely belongs to: the submission
+ * year, or the year before for a sheet dated in a later month (December's sheet
+ * sent in January).
+ */
+function inferYear(receivedAt, month) {
+  const japanDate = toJapanDate(receivedAt);
+  if (!japanDate) return null;
+  const receivedYear = japanDate.getUTCFullYear();
+  const receivedMonth = japanDate.getUTCMonth() + 1;
+  return month && parseInt(month, 10) - receivedMonth > 6 ? receivedYear - 1 : receivedYear;
+}
+
+function parseWrittenYear(text, referenceYear) {
+  for (const era of ERAS) {
+    const match = era.pattern.exec(text);
+    if (!match) continue;
+    const rest = text.slice(match[0].length).replace(/^\./, '');
+    const eraYear = rest === '元' ? 1 : /^\d{1,2}$/.test(rest) ? parseInt(rest, 10) : null;
+    return eraYear ? era.firstYear + eraYear - 1 : null;
+  }
+
+  if (/^\d{4}$/.test(text)) {
+    const year = parseInt(text, 10);
+    return year >= 1900 && year <= 2100 ? year : null;
+  }
+
+  // "25" (2025) or "7" (令和7) without an era: take whichever is within a year of the submission
+  if (/^\d{1,2}$/.test(text) && referenceYear) {
+    const value = parseInt(text, 10);
+    return [2000 + value, ERAS[0].firstYear + value - 1]
+      .find(candidate => Math.abs(candidate - referenceYear) <= 1) || null;
+  }
+  return null;
+}
+
+/**
+ * Parses the year field of a sheet, falling back to the submission date when it
+ * is missing or unreadable.
+ *
+ * @param {string} raw - year as read from the sheet
+ * @param {Object} [options]
+ *   - month: the sheet's month ("01".."12"), used when the year has to be inferred
+ *   - receivedAt: submission timestamp (ISO string)
+ * @returns {{ year: string, source: "sheet"|"submission" }|null}
+ */
+function parseSheetYear(raw, { month, receivedAt } = {}) {
+  const referenceYear = inferYear(receivedAt, month);
+  const written = parseWrittenYear(normalizeDatePart(raw), referenceYear);
+  if (written) return { year: String(written), source: 'sheet' };
+  return referenceYear ? { year: String(referenceYear), source: 'submission' } : null;
+}
+
+/**
+ * Weekday written next to a day, "12日(月)" or "12 月曜" → 1; null when there is none.
+ */
+function parseWrittenWeekday(raw) {
+  const match = /\(([日月火水木金土])\)|([日月火水木金土])曜/.exec(String(raw || '').normalize('NFKC'));
+  return match ? WEEKDAYS.indexOf(match[1] || match[2]) : null;
+}
+
+/**
+ * Dates for the day columns of a weekly sheet. The month on the sheet is taken
+ * as the month of the first column; a column whose day number drops from the
+ * end of a month to the start of one moves to the next month (and year).
+ *
+ * Each entry carries `dateIssues`, empty when the date is sound:
+ *   - "unreadable-day": no day number could be read
+ *   - "invalid-date": the day does not exist in its month (e.g. 6/31)
+ *   - "not-consecutive": the date does not follow the previous column
+ *   - "weekday-mismatch": a weekday was written and the date falls on another
+ *
+ * Without a readable year and month only unreadable days are flagged.
+ *
+ * @param {string} year - "2025", or "0000" when unknown
+ * @param {string} month - "05", or "00" when unknown
+ * @param {Array<string|undefined>} rawDays - day values as read, one per column
+ * @returns {Array<{ day: number, date: string, dateIssues: string[] }>}
+ */
+function buildSheetDates(year, month, rawDays) {
+  const calendarKnown = year !== '0000' && month !== '00';
+  let currentYear = parseInt(year, 10);
+  let currentMonth = parseInt(month, 10);
+  let previousDay = null;
+  let previous = null; // last valid date: { time, column }
+
+  return rawDays.map((rawDay, column) => {
+    const dayValue = parseSheetDay(rawDay);
+    if (!dayValue) {
+      return { day: 0, date: `${year}-${month}-00`, dateIssues: ['unreadable-day'] };
+    }
+
+    const day = parseInt(dayValue, 10);
+    if (!calendarKnown) {
+      return { day, date: `${year}-${month}-${dayValue}`, dateIssues: [] };
+    }
+
+    if (previousDay !== null && day < previousDay
+      && previousDay >= ROLLOVER_MIN_PREVIOUS_DAY && day <= ROLLOVER_MAX_NEXT_DAY) {
+      currentMonth++;
+      if (currentMonth > 12) {
+        currentMonth = 1;
+        currentYear++;
+      }
+    }
+    previousDay = day;
+
+    const monthValue = String(currentMonth).padStart(2, '0');
+    const date = `${currentYear}-${monthValue}-${dayValue}`;
+    const daysInMonth = new Date(Date.UTC(currentYear, currentMonth, 0)).getUTCDate();
+    if (day > daysInMonth) {
+      return { day, date, dateIssues: ['invalid-date'] };
+    }
+
+    const dateIssues = [];
+    const time = Date.UTC(currentYear, currentMonth - 1, day);
+    if (previous && time !== previous.time + (column - previous.column) * DAY_MS) {
+      dateIssues.push('not-consecutive');
+    }
+    const writtenWeekday = parseWrittenWeekday(rawDay);
+    if (writtenWeekday !== null && writtenWeekday !== new Date(time).getUTCDay()) {
+      dateIssues.push('weekday-mismatch');
+    }
+    previous = { time, column };
+
+    return { day, date, dateIssues };
+  });
+}
+
+module.exports = {
+  normalizeDatePart,
+  parseSheetYear,
+  parseSheetMonth,
+  parseSheetDay,
+  parseWrittenWeekday,
+  toJapanDate,
+  buildSheetDates
+};
@@ -0,0 +1,50 @@
+/**
+ * Weekly or monthly layout of a sheet.
+ *
+ * The same 実施記録 comes as a weekly sheet (7 day columns) and as the standard
+ * monthly sheet (one row per day, 1–31). Both carry the same title, so the layout
+ * is read from the prebuilt-layout tables instead: a table with at least
+ * MONTHLY_MIN_TABLE_ROWS rows can only be the monthly sheet (weekly sheets have a
+ * row per category). Each layout is extracted by its own custom model; the form
+ * type picks the schema (see formTypes/index.js).
+ */
+
+const LAYOUTS = {
+  weekly: { label: '週間' },
+  monthly: { label: '月間' }
+};
+
+const DEFAULT_LAYOUT = 'weekly';
+
+// 28 day rows (February) plus the header, with room for a missed row
+const MONTHLY_MIN_TABLE_ROWS = 28;
+
+/**
+ * @param {Object} analyzeResult - prebuilt-layout result
+ * @param {number[]} [pageNumbers] - pages of one sheet in a multi-sheet file (all pages when omitted)
+ * @returns {"weekly"|"monthly"}
+ */
+function detectSheetLayout(analyzeResult, pageNumbers = null) {
+  const tables = (analyzeResult?.tables || []).filter(table => !pageNumbers
+    || (table.boundingRegions || []).some(region => pageNumbers.includes(region.pageNumber)));
+  return tables.some(table => table.rowCount >= MONTHLY_MIN_TABLE_ROWS) ? 'monthly' : DEFAULT_LAYOUT;
+}
+
+function isKnownLayout(layout) {
+  return Object.hasOwn(LAYOUTS, layout);
+}
+
+/**
+ * "月間" / "週間" for reports; sheets extracted before layouts existed are weekly.
+ */
+function layoutLabel(layout) {
+  return LAYOUTS[isKnownLayout(layout) ? layout : DEFAULT_LAYOUT].label;
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  MONTHLY_MIN_TABLE_ROWS,
+  detectSheetLayout,
+  isKnownLayout,
+  layoutLabel
+};
@@ -0,0 +1,248 @@
+const { logMessage, handleError } = require('../utils');
+const { analyzeWithPrebuiltModel } = require('./prebuiltAnalyzer');
+const { AnalyzeTimeoutError, AnalyzeFailedError } = require('./analyzeOperation');
+const { resolveStoreLocation } = require('../customers/stores');
+const { parseSheetYear, parseSheetMonth, parseSheetDay, buildSheetDates } = require('./sheetDates');
+const { parseTemperature, getTemperatureThreshold, checkReading } = require('./temperatureReadings');
+const { cellText, toGrid, columnHeaders, cellConfidence, parsePageNumbers, tablesOnPages, pageText, readSheetHeader } = require('./layoutTables');
+
+/**
+ * Extraction for 温度記録 sheets (refrigerator, freezer and core-temperature logs).
+ *
+ * Customers print their own logs, so there is no custom model: the sheet is read
+ * from the prebuilt-layout result that title detection already cached. The
+ * largest table with a 日付 column is the log. Its header rows name the
+ * equipment, one column each ("冷蔵庫①", "冷凍庫 朝"); 備考 and 確認者 columns
+ * are read as the comment and the approver, and every other row is a day.
+ *
+ * {
+ *   metadata: { year, month, location, yearMonth, layout, ... },
+ *   equipment: [{ equipmentNumber: 1, equipmentName: "冷蔵庫①", min: null, max: 10 }],
+ *   dailyRecords: [{
+ *     day, date, dateIssues,
+ *     Temp1Reading: 3.5,                     // ℃; null when empty or unreadable
+ *     comment, approver,                     // "not found" when empty
+ *     rawReadings: { Temp1Reading: "3.5℃" }, // as written, for checking against the original
+ *     unreadableReadings: ["Temp2Reading"],  // written but not a temperature
+ *     deviations: [{ field, equipmentName, value, min, max, type: "above-max"|"below-min" }],
+ *     blank: true,                           // only when nothing was written on the row
+ *     confidence: { day, Temp1Reading, ..., comment, approver }
+ *   }],
+ *   summary: { totalDays, recordedDays, readings, deviations, deviationDays, unreadableReadings, daysWithComments }
+ * }
+ *
+ * Tables are read with layoutTables.js and limits come from temperatureReadings.js;
+ * evaluateReadings() recomputes the deviations and summary after a reviewer
+ * corrects a reading.
+ */
+
+const COMMENT_HEADERS = ['備考', '特記', 'コメント', '異常時の対応'];
+const APPROVER_HEADERS = ['確認', '担当', '記入者', '点検者', 'サイン'];
+
+function readingField(equipmentNumber) {
+  return `Temp${equipmentNumber}Reading`;
+}
+
+// "6/12" and "6月12日" are read as the day; the month comes from the header
+function dayPart(raw) {
+  return String(raw || '').normalize('NFKC').replace(/^\s*\d{1,2}\s*(\/|月)\s*(?=\d)/, '');
+}
+
+/**
+ * Column roles of a log table, or null when the table has no day column.
+ * Header rows are the rows above the first one holding a day number.
+ */
+function readTableLayout(table) {
+  const grid = toGrid(table);
+  const dayColumn = grid.slice(0, 3)
+    .map(row => row.findIndex(cell => /日/.test(cellText(cell))))
+    .find(index => index >= 0);
+  if (dayColumn === undefined) return null;
+
+  const firstDataRow = grid.findIndex(row => parseSheetDay(dayPart(cellText(row[dayColumn]))));
+  if (firstDataRow <= 0) return null;
+
+  const headers = columnHeaders(grid, firstDataRow);
+
+  const equipmentColumns = [];
+  let commentColumn = null;
+  let approverColumn = null;
+  headers.forEach((header, column) => {
+    if (column === dayColumn || !header) return;
+    if (COMMENT_HEADERS.some(word => header.includes(word))) commentColumn ??= column;
+    else if (APPROVER_HEADERS.some(word => header.includes(word))) approverColumn ??= column;
+    else equipmentColumns.push({ column, name: header });
+  });
+  if (equipmentColumns.length === 0) return null;
+
+  return { grid, dayColumn, firstDataRow, equipmentColumns, commentColumn, approverColumn };
+}
+
+function findLogTable(analyzeResult, pageNumbers) {
+  return tablesOnPages(analyzeResult, pageNumbers)
+    .map(readTableLayout)
+    .filter(Boolean)
+    .sort((a, b) => (b.grid.length - b.firstDataRow) - (a.grid.length - a.firstDataRow))[0] || null;
+}
+
+/**
+ * Checks every reading against its equipment's limits and recounts the summary.
+ * Mutates and returns the structured data.
+ */
+function evaluateReadings(structuredData) {
+  const { equipment, dailyRecords } = structuredData;
+  for (const record of dailyRecords) {
+    record.deviations = equipment.flatMap(({ equipmentNumber, equipmentName, min, max }) => {
+      const field = readingField(equipmentNumber);
+      const type = checkReading(record[field], { min, max });
+      return type ? [{ field, equipmentName, value: record[field], min, max, type }] : [];
+    });
+  }
+
+  const recorded = dailyRecords.filter(record => record.day > 0 && !record.blank);
+  const readings = dailyRecords.flatMap(record =>
+    equipment.map(({ equipmentNumber }) => record[readingField(equipmentNumber)]))
+    .filter(value => typeof value === 'number');
+  structuredData.summary = {
+    totalDays: dailyRecords.length,
+    recordedDays: recorded.length,
+    readings: readings.length,
+    deviations: dailyRecords.reduce((count, record) => count + record.deviations.length, 0),
+    deviationDays: dailyRecords.filter(record => record.deviations.length > 0).length,
+    unreadableReadings: dailyRecords.reduce((count, record) => count + (record.unreadableReadings?.length || 0), 0),
+    daysWithComments: dailyRecords.filter(record => record.comment !== 'not found').length
+  };
+  return structuredData;
+}
+
+function emptyStructuredData(fileExtension, layout) {
+  return evaluateReadings({
+    metadata: { year: "0000", month: "00", location: "エラー", yearMonth: "0000-00", layout, fileExtension },
+    equipment: [],
+    dailyRecords: []
+  });
+}
+
+/**
+ * Builds the structured data of a temperature log from a prebuilt-layout result.
+ *
+ * @param {Object} analyzeResult - prebuilt-layout result
+ * @param {string} fileExtension
+ * @param {Object} [options] - pages, layout, stores, receivedAt, thresholds (see extractTemperatureLog)
+ * @param {Object} [context] - Azure Functions context for logging
+ */
+function buildTemperatureLog(analyzeResult, fileExtension, options = {}, context = null) {
+  const layout = options.layout || 'weekly';
+  const pageNumbers = parsePageNumbers(options.pages);
+  const table = findLogTable(analyzeResult, pageNumbers);
+  if (!table) {
+    logMessage('⚠️ No table with a 日付 column and equipment columns found', context);
+    return emptyStructuredData(fileExtension, layout);
+  }
+
+  const { rawYear, rawMonth, location } = readSheetHeader(pageText(analyzeResult, pageNumbers));
+  const month = parseSheetMonth(rawMonth) || "00";
+  const parsedYear = parseSheetYear(rawYear, { month: month !== "00" ? month : null, receivedAt: options.receivedAt });
+  const year = parsedYear?.year || "0000";
+
+  const equipment = table.equipmentColumns.map(({ name }, index) => ({
+    equipmentNumber: index + 1,
+    equipmentName: name,
+    ...getTemperatureThreshold(name, options.thresholds)
+  }));
+  logMessage('🌡️ Equipment columns:', context);
+  equipment.forEach(item => logMessage(`  - ${item.equipmentNumber}: ${item.equipmentName} (min ${item.min ?? '-'}, max ${item.max ?? '-'})`, context));
+
+  const words = (analyzeResult.pages || []).flatMap(page => page.words || []);
+  const rows = table.grid.slice(table.firstDataRow);
+  const sheetDates = buildSheetDates(year, month, rows.map(row => dayPart(cellText(row[table.dayColumn]))));
+
+  const dailyRecords = [];
+  rows.forEach((row, index) => {
+    const readCell = column => (column === null ? '' : cellText(row[column]));
+    const readings = table.equipmentColumns.map(({ column }, position) => {
+      const raw = readCell(column);
+      return { field: readingField(position + 1), raw, ...parseTemperature(raw), confidence: cellConfidence(row[column], words) };
+    });
+    const comment = readCell(table.commentColumn) || 'not found';
+    const approver = readCell(table.approverColumn) || 'not found';
+    const blank = readings.every(reading => !reading.raw) && comment === 'not found' && approver === 'not found';
+
+    const { day, date, dateIssues } = sheetDates[index];
+    if (blank && (day === 0 || dateIssues.includes('invalid-date'))) return;
+
+    dailyRecords.push({
+      day,
+      date,
+      dateIssues,
+      ...Object.fromEntries(readings.map(reading => [reading.field, reading.value])),
+      comment,
+      approver,
+      rawReadings: Object.fromEntries(readings.filter(reading => reading.raw).map(reading => [reading.field, reading.raw])),
+      unreadableReadings: readings.filter(reading => !reading.readable).map(reading => reading.field),
+      ...(blank && { blank: true }),
+      confidence: {
+        day: cellConfidence(row[table.dayColumn], words),
+        ...Object.fromEntries(readings.map(reading => [reading.field, reading.confidence])),
+        comment: table.commentColumn === null ? null : cellConfidence(row[table.commentColumn], words),
+        approver: table.approverColumn === null ? null : cellConfidence(row[table.approverColumn], words)
+      }
+    });
+  });
+
+  return evaluateReadings({
+    metadata: {
+      year,
+      month,
+      ...(parsedYear?.source === 'submission' && { yearInferred: true }),
+      ...resolveStoreLocation(location, options.stores),
+      yearMonth: `${year}-${month}`,
+      layout,
+      fileExtension
+    },
+    equipment,
+    dailyRecords
+  });
+}
+
+/**
+ * Reads a temperature log from the document's prebuilt-layout analysis.
+ *
+ * @param {Object} context - Azure Functions execution context for logging
+ * @param {string} base64BinFile - Base64 encoded file content
+ * @param {string} fileExtension - Original file extension (e.g., "pdf")
+ * @param {Object} [options]
+ *   - contentHash: SHA-256 of the file; the layout analysis from title detection is reused
+ *   - pages: page range of one sheet in a multi-sheet PDF, e.g. "3-4" (whole file when omitted)
+ *   - layout: "weekly" or "monthly", recorded in the metadata
+ *   - stores: the customer's store master (see customers/stores.js)
+ *   - receivedAt: submission time (ISO string); used as the year when the sheet has none
+ *   - thresholds: the customer's settings.temperatureThresholds (see temperatureReadings.js)
+ * @throws {AnalyzeTimeoutError|AnalyzeFailedError} when the analysis times out or the service rejects it
+ * @returns {Promise<Object>} structured data; empty (year "0000") when no log table was found
+ */
+async function extractTemperatureLog(context, base64BinFile, fileExtension, options = {}) {
+  try {
+    logMessage('🌡️ Reading temperature log from the layout analysis...', context);
+    const buffer = Buffer.from(base64BinFile, 'base64');
+    const analyzeResult = await analyzeWithPrebuiltModel(context, 'prebuilt-layout', buffer, { contentHash: options.contentHash });
+
+    const structuredData = buildTemperatureLog(analyzeResult || {}, fileExtension, options, context);
+    logMessage(`📊 Extraction complete: ${structuredData.dailyRecords.length} daily records processed`, context);
+    logMessage(`📊 Summary: ${JSON.stringify(structuredData.summary)}`, context);
+    return structuredData;
+  } catch (error) {
+    if (error instanceof AnalyzeTimeoutError || error instanceof AnalyzeFailedError) {
+      throw error;
+    }
+    handleError(error, 'extractTemperatureLog', context);
+    return emptyStructuredData(fileExtension, options.layout || 'weekly');
+  }
+}
+
+module.exports = {
+  readingField,
+  buildTemperatureLog,
+  evaluateReadings,
+  extractTemperatureLog
+};
@@ -0,0 +1,110 @@
+/**
+ * Handwritten temperature readings and the limits they are checked against.
+ *
+ * Readings are written as "3.5", "3.5℃", "-18", "−18°C", "▲18" (the accounting
+ * minus sign), "マイナス18" or with full-width digits; a comma is read as a
+ * decimal point.
+ *
+ * Limits are matched to equipment by name. A customer's
+ * `settings.temperatureThresholds` is checked first, then the defaults below
+ * (冷蔵 ≤ 10℃, 冷凍 ≤ -15℃, 中心温度/加熱 ≥ 75℃, 温蔵 ≥ 65℃):
+ *
+ *   "temperatureThresholds": { "ワインセラー": { "min": 10, "max": 15 }, "冷凍庫": { "max": -18 } }
+ *
+ * The longest key contained in the equipment name wins ("冷凍冷蔵庫" matches
+ * "冷凍冷蔵庫" before "冷蔵"); equipment matching no key is recorded without limits.
+ */
+
+const DEFAULT_TEMPERATURE_THRESHOLDS = {
+  冷蔵: { max: 10 },
+  冷凍: { max: -15 },
+  中心: { min: 75 },
+  加熱: { min: 75 },
+  温蔵: { min: 65 }
+};
+
+// Anything outside this range is a misread rather than a temperature
+const PLAUSIBLE_RANGE = { min: -60, max: 300 };
+
+const MINUS_SIGNS = /^(-|−|ー|‐|–|—|▲|△|マイナス)/;
+
+function normalizeName(value) {
+  return String(value || '').normalize('NFKC').replace(/\s+/g, '');
+}
+
+/**
+ * @param {string} raw - reading as written
+ * @returns {{ value: number|null, readable: boolean }}
+ *   value null and readable true for an empty cell; readable false for text that is not a temperature
+ */
+function parseTemperature(raw) {
+  let text = String(raw ?? '').normalize('NFKC').replace(/\s+/g, '');
+  if (!text) return { value: null, readable: true };
+
+  text = text.replace(/(°C|℃|°|度|c)$/i, '');
+  let sign = 1;
+  const minus = MINUS_SIGNS.exec(text);
+  if (minus) {
+    sign = -1;
+    text = text.slice(minus[0].length);
+  } else {
+    text = text.replace(/^\+/, '');
+  }
+  text = text.replace(/,/g, '.');
+
+  if (!/^\d+(\.\d+)?$/.test(text)) return { value: null, readable: false };
+  const value = sign * parseFloat(text);
+  if (value < PLAUSIBLE_RANGE.min || value > PLAUSIBLE_RANGE.max) return { value: null, readable: false };
+  return { value, readable: true };
+}
+
+function findThreshold(equipmentName, thresholds) {
+  const name = normalizeName(equipmentName);
+  const keys = Object.keys(thresholds || {})
+    .filter(key => name.includes(normalizeName(key)))
+    .sort((a, b) => normalizeName(b).length - normalizeName(a).length);
+  return keys.length ? thresholds[keys[0]] : null;
+}
+
+/**
+ * @param {string} equipmentName - column header, e.g. "冷蔵庫① 朝"
+ * @param {Object} [customerThresholds] - the customer's settings.temperatureThresholds
+ * @returns {{ min: number|null, max: number|null }}
+ */
+function getTemperatureThreshold(equipmentName, customerThresholds) {
+  const threshold = findThreshold(equipmentName, customerThresholds)
+    || findThreshold(equipmentName, DEFAULT_TEMPERATURE_THRESHOLDS)
+    || {};
+  return {
+    min: typeof threshold.min === 'number' ? threshold.min : null,
+    max: typeof threshold.max === 'number' ? threshold.max : null
+  };
+}
+
+/**
+ * @returns {"above-max"|"below-min"|null}
+ */
+function checkReading(value, { min, max }) {
+  if (typeof value !== 'number') return null;
+  if (max !== null && value > max) return 'above-max';
+  if (min !== null && value < min) return 'below-min';
+  return null;
+}
+
+/**
+ * "≤ 10℃", "≥ 75℃", "10〜15℃" or "" for the reports.
+ */
+function formatThreshold({ min, max }) {
+  if (min !== null && max !== null) return `${min}〜${max}℃`;
+  if (max !== null) return `≤ ${max}℃`;
+  if (min !== null) return `≥ ${min}℃`;
+  return '';
+}
+
+module.exports = {
+  DEFAULT_TEMPERATURE_THRESHOLDS,
+  parseTemperature,
+  getTemperatureThreshold,
+  checkReading,
+  formatThreshold
+};
@@ -0,0 +1,25 @@
+const { extractWithSchema } = require('../docIntelligence/schemaExtractor');
+const schemas = {
+  weekly: require('../docIntelligence/formSchemas/generalManagement'),
+  monthly: require('../docIntelligence/formSchemas/generalManagementMonthly')
+};
+const { prepareGeneralManagementReport } = require('../sharepoint/generalManagementReport');
+
+/**
+ * 一般管理の実施記録 — weekly or monthly sheet with 7 hygiene categories (良/否 per day).
+ */
+module.exports = {
+  id: 'general',
+  title: '一般衛生管理シート',
+  detectionPhrases: ['一般管理の実施記録'],
+  schemas,
+  sharePointFolderTemplate: '一般衛生管理の実施記録/{year}/{month}/{location}',
+
+  extract: (context, { base64Raw, fileExtension, contentHash, pages, layout, customer, receivedAt }) =>
+    extractWithSchema(context, schemas[layout] || schemas.weekly, base64Raw, fileExtension, { contentHash, pages, stores: customer?.stores, receivedAt }),
+
+  generateReport: (structuredData, context, { base64Raw, blobName, folderTemplate, pages, confidenceThreshold, correctiveActions }) =>
+    prepareGeneralManagementReport(structuredData, context, base64Raw, blobName, { folderTemplate, pages, confidenceThreshold, correctiveActions }),
+
+  describe: (structuredData) => [`Categories: ${structuredData.categories.length}`]
+};
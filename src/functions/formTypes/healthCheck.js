@@ -0,0 +1,35 @@
+const { extractHealthCheck, evaluateHealthChecks, maskEmployeeNames } = require('../docIntelligence/healthCheckExtractor');
+const { prepareHealthCheckReport } = require('../sharepoint/healthCheckReport');
+
+/**
+ * 従業員健康チェック — fever, diarrhea/vomiting and hand wounds per employee and day.
+ * Employee names only appear in the SharePoint reports (see healthCheckExtractor.js).
+ */
+module.exports = {
+  id: 'health',
+  title: '従業員健康チェック表',
+  detectionPhrases: ['健康チェック', '健康状態チェック', '健康管理点検表', '従業員の衛生管理点検表'],
+  sharePointFolderTemplate: '従業員健康チェック/{year}/{month}/{location}',
+
+  extract: (context, { base64Raw, fileExtension, contentHash, pages, layout, customer, receivedAt }) =>
+    extractHealthCheck(context, base64Raw, fileExtension, {
+      contentHash,
+      pages,
+      layout,
+      stores: customer?.stores,
+      receivedAt,
+      feverThreshold: customer?.settings?.feverThreshold
+    }),
+
+  generateReport: (structuredData, context, { base64Raw, blobName, folderTemplate, pages, confidenceThreshold }) =>
+    prepareHealthCheckReport(structuredData, context, base64Raw, blobName, { folderTemplate, pages, confidenceThreshold }),
+
+  recalculate: (structuredData) => evaluateHealthChecks(structuredData),
+
+  redact: (structuredData) => maskEmployeeNames(structuredData),
+
+  describe: (structuredData) => [
+    `Employees: ${structuredData.employees.length}`,
+    `Unfit entries: ${structuredData.summary.unfitEntries}`
+  ]
+};
@@ -0,0 +1,25 @@
+const { extractWithSchema } = require('../docIntelligence/schemaExtractor');
+const schemas = {
+  weekly: require('../docIntelligence/formSchemas/importantManagement'),
+  monthly: require('../docIntelligence/formSchemas/importantManagementMonthly')
+};
+const { prepareImportantManagementReport } = require('../sharepoint/importantManagementReport');
+
+/**
+ * 重要管理の実施記録 — weekly or monthly sheet with 5 menu items plus a daily check.
+ */
+module.exports = {
+  id: 'important',
+  title: '重要管理シート',
+  detectionPhrases: ['重要管理の実施記録'],
+  schemas,
+  sharePointFolderTemplate: '重要衛生管理の実施記録/{year}/{month}/{location}',
+
+  extract: (context, { base64Raw, fileExtension, contentHash, pages, layout, customer, receivedAt }) =>
+    extractWithSchema(context, schemas[layout] || schemas.weekly, base64Raw, fileExtension, { contentHash, pages, stores: customer?.stores, receivedAt }),
+
+  generateReport: (structuredData, context, { base64Raw, blobName, folderTemplate, pages, confidenceThreshold, correctiveActions }) =>
+    prepareImportantManagementReport(structuredData, context, base64Raw, blobName, { folderTemplate, pages, confidenceThreshold, correctiveActions }),
+
+  describe: (structuredData) => [`Menu Items: ${structuredData.menuItems.length}`]
+};
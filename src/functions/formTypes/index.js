@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Form-type registry.
+ *
+ * Every other `.js` file in this folder defines one HACCP sheet type and is
+ * loaded automatically, so supporting a new sheet means adding one module.
+ * A sheet read by a custom-trained model needs a schema in
+ * docIntelligence/formSchemas rather than an extractor of its own.
+ * A definition exports:
+ *
+ * {
+ *   id: "general",                           // short name used by APIs (e.g. reprocess formType)
+ *   title: "一般衛生管理シート",               // title recorded in the ledger and logs
+ *   detectionPhrases: ["一般管理の実施記録"],  // any phrase found in the OCR text selects this type
+ *   priority: 100,                           // optional; lower values are checked first (default 100)
+ *   schemas: { weekly, monthly },            // optional; form schema per layout of a custom-model sheet
+ *                                          //   (docIntelligence/formSchemas), extracted with extractWithSchema
+ *   sharePointFolderTemplate: "一般衛生管理の実施記録/{year}/{month}/{location}",
+ *   extract: async (context, { base64Raw, fileExtension, blobName, contentHash, pages, layout, customer, receivedAt }) => structuredData,
+ *                                          // pages: "3" or "3-4" when the file holds several sheets
+ *                                          // layout: "weekly" or "monthly", detected from the tables
+ *                                          // customer: registry entry of the sender (stores, settings)
+ *                                          // receivedAt: submission time, for sheets without a readable year
+ *   generateReport: async (structuredData, context, { base64Raw, blobName, folderTemplate, pages, confidenceThreshold, correctiveActions })
+ *                   => { sharePoint: { folderPath, files } },
+ *                                          // confidenceThreshold: highlight values read with less confidence
+ *                                          // correctiveActions: the store's month of 否 follow-ups
+ *                                          //   (submissions/correctiveActions.js); schema types list them
+ *   recalculate: (structuredData) => structuredData,   // optional; recomputes derived values (summary,
+ *                                          //   deviations) after review corrections; schema types recount by schema
+ *   redact: (structuredData) => copy,        // optional; masks personal data (employee names) in review API responses
+ *   describe: (structuredData) => ["Categories: 7", ...]   // optional extra log lines
+ * }
+ */
+
+const REQUIRED_FIELDS = ['id', 'title', 'detectionPhrases', 'sharePointFolderTemplate', 'extract', 'generateReport'];
+
+const formTypes = [];
+
+function registerFormType(definition) {
+  const missing = REQUIRED_FIELDS.filter(field => !definition[field]);
+  if (missing.length > 0) {
+    throw new Error(`Form type "${definition.id || 'unknown'}" is missing: ${missing.join(', ')}`);
+  }
+  if (formTypes.some(formType => formType.id === definition.id || formType.title === definition.title)) {
+    throw new Error(`Form type "${definition.id}" is already registered`);
+  }
+
+  formTypes.push({ priority: 100, ...definition });
+  formTypes.sort((a, b) => a.priority - b.priority);
+  return definition;
+}
+
+function loadFormTypeModules() {
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+  for (const file of files) {
+    registerFormType(require(path.join(__dirname, file)));
+  }
+}
+
+function getFormTypes() {
+  return [...formTypes];
+}
+
+function getFormTypeByTitle(title) {
+  return formTypes.find(formType => formType.title === title) || null;
+}
+
+/**
+ * Accepts either the short id ("general") or the title and returns the definition.
+ */
+function resolveFormType(idOrTitle) {
+  if (!idOrTitle) return null;
+  return formTypes.find(formType => formType.id === idOrTitle || formType.title === idOrTitle) || null;
+}
+
+/**
+ * Picks the form type whose detection phrase appears in the OCR text.
+ */
+function detectFormTypeFromText(text) {
+  if (!text) return null;
+  return formTypes.find(formType => formType.detectionPhrases.some(phrase => text.includes(phrase))) || null;
+}
+
+loadFormTypeModules();
+
+module.exports = {
+  registerFormType,
+  getFormTypes,
+  getFormTypeByTitle,
+  resolveFormType,
+  detectFormTypeFromText
+};
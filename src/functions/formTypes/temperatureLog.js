@@ -0,0 +1,33 @@
+const { extractTemperatureLog, evaluateReadings } = require('../docIntelligence/temperatureLogExtractor');
+const { prepareTemperatureLogReport } = require('../sharepoint/temperatureLogReport');
+
+/**
+ * 温度記録 — daily refrigerator/freezer/core temperatures, one column per piece of
+ * equipment, checked against the limits in docIntelligence/temperatureReadings.js.
+ */
+module.exports = {
+  id: 'temperature',
+  title: '温度記録表',
+  detectionPhrases: ['温度記録', '温度管理記録', '温度チェック表', '温度点検表'],
+  sharePointFolderTemplate: '温度管理記録/{year}/{month}/{location}',
+
+  extract: (context, { base64Raw, fileExtension, contentHash, pages, layout, customer, receivedAt }) =>
+    extractTemperatureLog(context, base64Raw, fileExtension, {
+      contentHash,
+      pages,
+      layout,
+      stores: customer?.stores,
+      receivedAt,
+      thresholds: customer?.settings?.temperatureThresholds
+    }),
+
+  generateReport: (structuredData, context, { base64Raw, blobName, folderTemplate, pages, confidenceThreshold }) =>
+    prepareTemperatureLogReport(structuredData, context, base64Raw, blobName, { folderTemplate, pages, confidenceThreshold }),
+
+  recalculate: (structuredData) => evaluateReadings(structuredData),
+
+  describe: (structuredData) => [
+    `Equipment: ${structuredData.equipment.length}`,
+    `Deviations: ${structuredData.summary.deviations}`
+  ]
+};
@@ -0,0 +1,132 @@
+/**
+ * Cheap structural checks on JPEG and PNG files, done before handing them to
+ * the native image decoder.
+ *
+ * The decoder aborts the whole process on some malformed files (a JPEG header
+ * followed by garbage, a PNG cut off inside a chunk), so anything that does not
+ * look complete is never decoded.
+ */
+
+const JPEG_START_OF_SCAN = 0xDA;
+const JPEG_END_OF_IMAGE = 0xD9;
+const JPEG_APP1 = 0xE1;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const ORIENTATION_TAG = 0x0112;
+
+function isJpeg(buffer) {
+  return buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF;
+}
+
+function isPng(buffer) {
+  return buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Walks the JPEG segments up to the start of the image data, calling
+ * visit(marker, segment) for each. Returns false when the segment chain is broken.
+ */
+function walkJpegSegments(buffer, visit) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) return false;
+    const marker = buffer[offset + 1];
+    // Fill bytes may pad markers
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (marker === JPEG_END_OF_IMAGE) return false;
+
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+    if (segmentLength < 2 || offset + 2 + segmentLength > buffer.length) return false;
+    if (visit(marker, buffer.subarray(offset + 4, offset + 2 + segmentLength)) === false) return true;
+    if (marker === JPEG_START_OF_SCAN) return true;
+    offset += 2 + segmentLength;
+  }
+  return false;
+}
+
+function isStartOfFrame(marker) {
+  // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC) which share the range
+  return marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+}
+
+function hasCompleteJpegHeader(buffer) {
+  let hasFrame = false;
+  let hasScan = false;
+  const intact = walkJpegSegments(buffer, (marker) => {
+    if (isStartOfFrame(marker)) hasFrame = true;
+    if (marker === JPEG_START_OF_SCAN) hasScan = true;
+  });
+  return intact && hasFrame && hasScan;
+}
+
+function hasCompletePngChunks(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  let hasHeader = false;
+  let hasData = false;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > buffer.length) return false;
+    if (type === 'IHDR') hasHeader = true;
+    if (type === 'IDAT') hasData = true;
+    if (type === 'IEND') return hasHeader && hasData;
+    offset += 12 + length;
+  }
+  return false;
+}
+
+/**
+ * True when the buffer is a JPEG or PNG whose structure is intact enough to decode.
+ */
+function isDecodableImage(buffer) {
+  if (!Buffer.isBuffer(buffer)) return false;
+  if (isJpeg(buffer)) return hasCompleteJpegHeader(buffer);
+  if (isPng(buffer)) return hasCompletePngChunks(buffer);
+  return false;
+}
+
+/**
+ * Reads the EXIF orientation tag (0x0112) of a JPEG.
+ *
+ * Phones store photos in sensor orientation and record how to turn them in this
+ * tag (1 = upright, 3 = 180°, 6 = 90° clockwise, 8 = 90° counter-clockwise;
+ * 2, 4, 5 and 7 are the mirrored variants). Returns 1 when the file is not a
+ * JPEG or carries no orientation.
+ */
+function readExifOrientation(buffer) {
+  if (!Buffer.isBuffer(buffer) || !isJpeg(buffer)) return 1;
+
+  let orientation = 1;
+  walkJpegSegments(buffer, (marker, segment) => {
+    if (marker === JPEG_APP1 && segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+      orientation = readOrientationFromTiff(segment.subarray(6));
+      return false;
+    }
+  });
+  return orientation;
+}
+
+function readOrientationFromTiff(tiff) {
+  if (tiff.length < 8) return 1;
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const readUInt16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifdOffset = readUInt32(4);
+  if (ifdOffset + 2 > tiff.length) return 1;
+
+  const entryCount = readUInt16(ifdOffset);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (readUInt16(entry) === ORIENTATION_TAG) {
+      const orientation = readUInt16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+module.exports = { isDecodableImage, readExifOrientation };
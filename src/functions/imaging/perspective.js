@@ -0,0 +1,119 @@
+/**
+ * Perspective correction for photographed sheets: maps the page quadrilateral
+ * found in a photo onto an upright rectangle.
+ *
+ * Points are { x, y } in pixels; quadrilaterals are ordered
+ * [topLeft, topRight, bottomRight, bottomLeft].
+ */
+
+/**
+ * Solves the 3x3 homography H (with H[8] = 1) that maps each `from` point onto
+ * the matching `to` point. Returns H as a flat row-major array of 9 numbers.
+ */
+function computeHomography(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+
+  // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) {
+      throw new Error('Degenerate quadrilateral: points are collinear');
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  const h = rows.map((row, i) => row[8] / row[i]);
+  h.push(1);
+  return h;
+}
+
+function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return {
+    x: (h[0] * x + h[1] * y + h[2]) / w,
+    y: (h[3] * x + h[4] * y + h[5]) / w
+  };
+}
+
+/**
+ * Output size for a quadrilateral: the longer of each pair of opposite edges.
+ */
+function rectifiedSize(quad) {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+  return {
+    width: Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight))),
+    height: Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)))
+  };
+}
+
+/**
+ * Warps the `quad` region of an RGBA image onto a width x height rectangle with
+ * bilinear sampling. Pixels that fall outside the source are white.
+ *
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} source - RGBA pixels
+ * @param {Array<{x: number, y: number}>} quad - page corners in source pixels
+ * @returns {Uint8ClampedArray} RGBA pixels of the rectified page
+ */
+function warpPerspective(source, quad, width, height) {
+  const target = [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height }
+  ];
+  // Inverse mapping: for every output pixel, find where it comes from
+  const h = computeHomography(target, quad);
+  const output = new Uint8ClampedArray(width * height * 4);
+  const { data, width: sourceWidth, height: sourceHeight } = source;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const point = applyHomography(h, x + 0.5, y + 0.5);
+      const sx = point.x - 0.5;
+      const sy = point.y - 0.5;
+      const out = (y * width + x) * 4;
+
+      if (sx < 0 || sy < 0 || sx > sourceWidth - 1 || sy > sourceHeight - 1) {
+        output[out] = output[out + 1] = output[out + 2] = output[out + 3] = 255;
+        continue;
+      }
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, sourceWidth - 1);
+      const y1 = Math.min(y0 + 1, sourceHeight - 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * sourceWidth + x0) * 4;
+      const i10 = (y0 * sourceWidth + x1) * 4;
+      const i01 = (y1 * sourceWidth + x0) * 4;
+      const i11 = (y1 * sourceWidth + x1) * 4;
+
+      for (let c = 0; c < 3; c++) {
+        const top = data[i00 + c] * (1 - fx) + data[i10 + c] * fx;
+        const bottom = data[i01 + c] * (1 - fx) + data[i11 + c] * fx;
+        output[out + c] = top * (1 - fy) + bottom * fy;
+      }
+      output[out + 3] = 255;
+    }
+  }
+  return output;
+}
+
+module.exports = { computeHomography, applyHomography, rectifiedSize, warpPerspective };
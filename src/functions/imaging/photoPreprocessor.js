@@ -0,0 +1,434 @@
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { logMessage, convertHeicToJpegIfNeeded } = require('../utils');
+const { isDecodableImage, readExifOrientation } = require('./imageHeaders');
+const { rectifiedSize, warpPerspective } = require('./perspective');
+
+/**
+ * Cleans up phone photos of paper forms before they reach Document Intelligence
+ * and SharePoint:
+ *
+ *   1. HEIC is converted to JPEG
+ *   2. EXIF orientation is applied (the decoder rotates the pixels; the re-encoded
+ *      JPEG carries no tag, so every viewer sees the same upright image)
+ *   3. The sheet is found as the largest bright region and perspective-corrected
+ *      to a rectangle; when the sheet fills the frame, text-line skew is corrected instead
+ *   4. Contrast is stretched so faint pencil and dim lighting survive OCR
+ *
+ * PDFs and other scans are passed through untouched, as is any image where
+ * nothing needed correcting. Settings:
+ *   - PHOTO_PREPROCESSING: "off" disables all of the above
+ *   - PHOTO_PREPROCESSING_MAX_DIMENSION: longest side of a corrected image (default 3000)
+ */
+
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic'];
+const ANALYSIS_MAX_DIMENSION = 800;
+const MIN_PAGE_AREA_RATIO = 0.2;
+const FULL_FRAME_AREA_RATIO = 0.9;
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 0.25;
+const MIN_SKEW_DEGREES = 0.5;
+const MAX_SKEW_SAMPLES = 40000;
+const JPEG_QUALITY = 90;
+
+function isPreprocessingEnabled() {
+  return (process.env.PHOTO_PREPROCESSING || 'on').toLowerCase() !== 'off';
+}
+
+function getMaxDimension() {
+  const value = parseInt(process.env.PHOTO_PREPROCESSING_MAX_DIMENSION || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : 3000;
+}
+
+/**
+ * Downscaled grayscale copy of the photo used to find the page and its skew.
+ */
+function toAnalysisImage(image) {
+  const scale = Math.min(1, ANALYSIS_MAX_DIMENSION / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { gray, width, height, scale };
+}
+
+/**
+ * Box blur (radius 2) so paper grain and thin ruled lines do not split the page region.
+ */
+function blur(gray, width, height) {
+  const radius = 2;
+  const horizontal = new Uint8Array(gray.length);
+  const output = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+        sum += gray[y * width + k];
+        count++;
+      }
+      horizontal[y * width + x] = sum / count;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+        sum += horizontal[k * width + x];
+        count++;
+      }
+      output[y * width + x] = sum / count;
+    }
+  }
+  return output;
+}
+
+/**
+ * Otsu's method: the gray level that best separates the histogram into two classes.
+ */
+function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+  const total = gray.length;
+  let sumAll = 0;
+  for (let level = 0; level < 256; level++) sumAll += level * histogram[level];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let threshold = 127;
+  for (let level = 0; level < 256; level++) {
+    weightBackground += histogram[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += level * histogram[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Pixel indexes of the largest 4-connected region where mask is set.
+ */
+function largestComponent(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let best = { label: 0, size: 0 };
+  let nextLabel = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    nextLabel++;
+    labels[start] = nextLabel;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index >= width ? index - width : -1,
+        index < width * (height - 1) ? index + width : -1
+      ];
+      for (const neighbour of neighbours) {
+        if (neighbour >= 0 && mask[neighbour] && !labels[neighbour]) {
+          labels[neighbour] = nextLabel;
+          queue[tail++] = neighbour;
+        }
+      }
+    }
+    if (tail > best.size) best = { label: nextLabel, size: tail };
+  }
+
+  return { labels, label: best.label, size: best.size };
+}
+
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Finds the sheet of paper as the largest bright region and returns its corners
+ * [topLeft, topRight, bottomRight, bottomLeft] in analysis-image pixels, or null
+ * when there is no clear sheet or it already fills the frame.
+ */
+function findPageQuadrilateral({ gray, width, height }) {
+  const smoothed = blur(gray, width, height);
+  const threshold = otsuThreshold(smoothed);
+  const mask = new Uint8Array(smoothed.length);
+  for (let i = 0; i < smoothed.length; i++) mask[i] = smoothed[i] > threshold ? 1 : 0;
+
+  const imageArea = width * height;
+  const { labels, label, size } = largestComponent(mask, width, height);
+  if (size < imageArea * MIN_PAGE_AREA_RATIO) return null;
+
+  // The corners are the extremes along the two diagonals
+  let topLeft = null;
+  let topRight = null;
+  let bottomRight = null;
+  let bottomLeft = null;
+  for (let index = 0; index < labels.length; index++) {
+    if (labels[index] !== label) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    if (!topLeft || x + y < topLeft.x + topLeft.y) topLeft = { x, y };
+    if (!bottomRight || x + y > bottomRight.x + bottomRight.y) bottomRight = { x, y };
+    if (!topRight || x - y > topRight.x - topRight.y) topRight = { x, y };
+    if (!bottomLeft || x - y < bottomLeft.x - bottomLeft.y) bottomLeft = { x, y };
+  }
+
+  // Outer pixel edges rather than pixel centres, so a full-width sheet maps to the full width
+  const quad = [
+    topLeft,
+    { x: topRight.x + 1, y: topRight.y },
+    { x: bottomRight.x + 1, y: bottomRight.y + 1 },
+    { x: bottomLeft.x, y: bottomLeft.y + 1 }
+  ];
+  const quadArea = polygonArea(quad);
+  if (quadArea < imageArea * MIN_PAGE_AREA_RATIO || quadArea > imageArea * FULL_FRAME_AREA_RATIO) {
+    return null;
+  }
+  // A blob that covers little of its own bounding quadrilateral is not a sheet
+  if (size < quadArea * 0.5) return null;
+  return quad;
+}
+
+/**
+ * Projection-profile skew estimate: the angle at which rows of dark (text and
+ * ruled-line) pixels line up best. Returns degrees, positive for clockwise
+ * tilt, or 0 when the tilt is negligible.
+ */
+function estimateSkewAngle({ gray, width, height }) {
+  const threshold = otsuThreshold(gray);
+  let darkCount = 0;
+  for (let i = 0; i < gray.length; i++) if (gray[i] < threshold) darkCount++;
+  if (darkCount < 50) return 0;
+
+  const stride = Math.max(1, Math.ceil(darkCount / MAX_SKEW_SAMPLES));
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let index = 0; index < gray.length; index++) {
+    if (gray[index] >= threshold) continue;
+    if (seen++ % stride !== 0) continue;
+    const x = index % width;
+    xs.push(x);
+    ys.push((index - x) / width);
+  }
+
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const bins = new Int32Array(diagonal * 2 + 1);
+  const sharpness = (degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + diagonal]++;
+    }
+    let score = 0;
+    for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+    return score;
+  };
+
+  let bestAngle = 0;
+  let bestScore = sharpness(0);
+  for (let degrees = -MAX_SKEW_DEGREES; degrees <= MAX_SKEW_DEGREES; degrees += SKEW_STEP_DEGREES) {
+    const score = sharpness(degrees);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = degrees;
+    }
+  }
+  return Math.abs(bestAngle) < MIN_SKEW_DEGREES ? 0 : bestAngle;
+}
+
+function rectify(source, quad, maxDimension) {
+  const size = rectifiedSize(quad);
+  const scale = Math.min(1, maxDimension / Math.max(size.width, size.height));
+  const width = Math.max(1, Math.round(size.width * scale));
+  const height = Math.max(1, Math.round(size.height * scale));
+
+  const sourceData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  const pixels = warpPerspective(sourceData, quad, width, height);
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+function rotate(source, degrees) {
+  const canvas = createCanvas(source.width, source.height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(degrees * Math.PI / 180);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
+
+function limitSize(source, maxDimension) {
+  const scale = maxDimension / Math.max(source.width, source.height);
+  if (scale >= 1) return source;
+  const canvas = createCanvas(Math.round(source.width * scale), Math.round(source.height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Stretches the 1st-99th luminance percentile range to the full 0-255 range.
+ * Returns false (and leaves the pixels alone) when the image already uses the
+ * full range or is nearly uniform, where stretching would only amplify noise.
+ */
+function stretchContrast(imageData) {
+  const { data } = imageData;
+  const pixelCount = data.length / 4;
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+  }
+
+  const percentile = (fraction) => {
+    const target = pixelCount * fraction;
+    let cumulative = 0;
+    for (let level = 0; level < 256; level++) {
+      cumulative += histogram[level];
+      if (cumulative >= target) return level;
+    }
+    return 255;
+  };
+  const low = percentile(0.01);
+  const high = percentile(0.99);
+  if (high - low < 32 || (low <= 8 && high >= 247)) return false;
+
+  const scale = 255 / (high - low);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = (data[i] - low) * scale;
+    data[i + 1] = (data[i + 1] - low) * scale;
+    data[i + 2] = (data[i + 2] - low) * scale;
+  }
+  return true;
+}
+
+function replaceExtension(fileName, extension, newExtension) {
+  return fileName.slice(0, fileName.length - extension.length) + newExtension;
+}
+
+/**
+ * Applies the corrections above to a photographed form.
+ *
+ * Never throws: if the image cannot be decoded the original bytes are returned
+ * and Document Intelligence gets to try them as they are.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Buffer} buffer - file content
+ * @param {string} fileName - used for the extension; the result carries the renamed file
+ * @returns {Promise<{ buffer: Buffer, fileName: string, extension: string, steps: string[] }>}
+ *   steps lists what was done, e.g. ["exif-orientation:6", "perspective", "contrast"];
+ *   it is empty (and buffer is the input) when the file was left alone
+ */
+async function preprocessDocument(context, buffer, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  const unchanged = { buffer, fileName, extension, steps: [] };
+  if (!isPreprocessingEnabled() || !PHOTO_EXTENSIONS.includes(extension)) {
+    return unchanged;
+  }
+
+  try {
+    const steps = [];
+    let source = buffer;
+    if (extension === '.heic') {
+      ({ buffer: source } = await convertHeicToJpegIfNeeded(buffer, fileName, context));
+      steps.push('heic-to-jpeg');
+    }
+
+    if (!isDecodableImage(source)) {
+      logMessage(`⚠️ ${fileName} is not a complete JPEG or PNG; skipping photo preprocessing`, context);
+      return unchanged;
+    }
+
+    const orientation = readExifOrientation(source);
+    if (orientation !== 1) steps.push(`exif-orientation:${orientation}`);
+
+    const image = await loadImage(source);
+    const maxDimension = getMaxDimension();
+    let canvas = createCanvas(image.width, image.height);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    const analysis = toAnalysisImage(image);
+    const quad = findPageQuadrilateral(analysis);
+    if (quad) {
+      const fullSizeQuad = quad.map(point => ({ x: point.x / analysis.scale, y: point.y / analysis.scale }));
+      canvas = rectify(canvas, fullSizeQuad, maxDimension);
+      steps.push('perspective');
+    } else {
+      const skew = estimateSkewAngle(analysis);
+      if (skew) {
+        canvas = rotate(canvas, -skew);
+        steps.push(`deskew:${skew}`);
+      }
+    }
+
+    canvas = limitSize(canvas, maxDimension);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    if (stretchContrast(imageData)) {
+      ctx.putImageData(imageData, 0, 0);
+      steps.push('contrast');
+    }
+
+    // Re-encoding an untouched photo would only lose quality
+    if (steps.length === 0) {
+      logMessage(`🖼️ ${fileName}: no photo corrections needed`, context);
+      return unchanged;
+    }
+
+    const output = await canvas.encode('jpeg', JPEG_QUALITY);
+    logMessage(`🖼️ Preprocessed ${fileName} (${canvas.width}x${canvas.height}): ${steps.join(', ')}`, context);
+    return {
+      buffer: output,
+      fileName: replaceExtension(fileName, extension, '.jpg'),
+      extension: '.jpg',
+      steps
+    };
+  } catch (error) {
+    logMessage(`⚠️ Photo preprocessing skipped for ${fileName}: ${error.message}`, context);
+    return unchanged;
+  }
+}
+
+module.exports = {
+  preprocessDocument,
+  findPageQuadrilateral,
+  estimateSkewAngle,
+  stretchContrast
+};
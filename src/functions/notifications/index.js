@@ -0,0 +1,110 @@
+const fs = require('fs');
+const axios = require('axios');
+const { logMessage } = require('../utils');
+const { sendMail } = require('./smtp');
+
+/**
+ * Notifications for operators (quarantined attachments, ...) and customers
+ * (submission reminders, see submissions/missingSubmissions.js).
+ *
+ * Every notification is logged, then delivered to each of its channels:
+ *
+ *   { "type": "log" }                          // nothing more; appended to NOTIFICATION_LOG_FILE as a
+ *                                              //   JSON line when set, for local testing
+ *   { "type": "teams", "url": "https://..." }  // incoming webhook posted as { "text": ... } (Slack accepts it too);
+ *                                              //   url defaults to NOTIFICATION_WEBHOOK_URL
+ *   { "type": "line", "to": "Uxxxxxxxx" }      // LINE Messaging API push to a user or group (LINE_CHANNEL_ACCESS_TOKEN)
+ *   { "type": "email", "to": ["manager@example.co.jp"] }  // SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD, SMTP_FROM
+ *
+ * A notification that cannot be delivered is logged and otherwise ignored: it
+ * must never hold up the file or the check that caused it.
+ */
+
+const TIMEOUT_MS = 10000;
+const LINE_PUSH_URL = 'https://api.line.me/v2/bot/message/push';
+const LINE_MAX_TEXT = 5000;
+
+const NOTIFIERS = {
+  log: async (channel, { subject, message }) => {
+    const logFile = process.env.NOTIFICATION_LOG_FILE;
+    if (logFile) {
+      fs.appendFileSync(logFile, `${JSON.stringify({ at: new Date().toISOString(), subject, message })}\n`, 'utf8');
+    }
+  },
+
+  teams: async (channel, { subject, message }) => {
+    const url = channel.url || process.env.NOTIFICATION_WEBHOOK_URL;
+    if (!url) throw new Error('No webhook URL configured');
+    await axios.post(url, { text: `**${subject}**\n\n${message}` }, { timeout: TIMEOUT_MS });
+  },
+
+  line: async (channel, { subject, message }) => {
+    const token = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+    if (!token) throw new Error('LINE_CHANNEL_ACCESS_TOKEN is not set');
+    if (!channel.to) throw new Error('LINE channel without "to"');
+    await axios.post(LINE_PUSH_URL, {
+      to: channel.to,
+      messages: [{ type: 'text', text: `${subject}\n\n${message}`.slice(0, LINE_MAX_TEXT) }]
+    }, { headers: { Authorization: `Bearer ${token}` }, timeout: TIMEOUT_MS });
+  },
+
+  email: async (channel, { subject, message }) => {
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    await sendMail({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      username: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.SMTP_FROM,
+      to: [].concat(channel.to || []),
+      subject,
+      text: message
+    });
+  }
+};
+
+/**
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Array<Object>} channels - where to deliver it, see above
+ * @param {Object} notification
+ *   - subject: one-line summary
+ *   - message: details for the reader
+ * @returns {Promise<Array<{ type, delivered }>>} one entry per channel
+ */
+async function notify(context, channels, { subject, message }) {
+  logMessage(`🔔 ${subject}: ${message}`, context);
+
+  const results = [];
+  for (const channel of channels) {
+    const notifier = NOTIFIERS[channel.type];
+    try {
+      if (!notifier) throw new Error(`Unknown notification channel "${channel.type}"`);
+      await notifier(channel, { subject, message });
+      results.push({ type: channel.type, delivered: true });
+    } catch (error) {
+      logMessage(`⚠️ Notification could not be delivered (${channel.type}): ${error.message}`, context);
+      results.push({ type: channel.type, delivered: false });
+    }
+  }
+  return results;
+}
+
+/**
+ * Operator notification: logged, and posted to NOTIFICATION_WEBHOOK_URL when set.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} notification - { subject, message }
+ * @returns {Promise<boolean>} true when the webhook accepted it
+ */
+async function sendNotification(context, notification) {
+  const webhookUrl = process.env.NOTIFICATION_WEBHOOK_URL;
+  const results = await notify(context, webhookUrl ? [{ type: 'teams', url: webhookUrl }] : [], notification);
+  return results.some(result => result.delivered);
+}
+
+module.exports = {
+  NOTIFIERS,
+  notify,
+  sendNotification
+};
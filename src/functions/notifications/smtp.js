@@ -0,0 +1,193 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { randomUUID } = require('crypto');
+
+/**
+ * Minimal SMTP client for plain-text notification mail.
+ *
+ * Connects with implicit TLS (port 465) or upgrades with STARTTLS when the
+ * server offers it, authenticates with AUTH PLAIN when a user is given and
+ * sends one UTF-8 message. Credentials are only sent over TLS: a server that
+ * offers no STARTTLS gets no AUTH and the message fails. The body is base64 encoded, so no line of it can
+ * end the DATA section early.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const LINE_LENGTH = 76;
+
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP server ${host}:${port} did not answer in time`)));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Reads replies ("250-first line", "250 last line") from a socket, one reply per read().
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const deliver = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+    deliver();
+  };
+  const onClose = error => {
+    failure = failure || (error instanceof Error ? error : new SmtpError('SMTP connection closed'));
+    deliver();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onClose);
+  socket.on('close', onClose);
+
+  return {
+    read: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      deliver();
+    }),
+    // Before STARTTLS: the TLS socket takes over the connection
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onClose);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+async function expectReply(reader, expected, command) {
+  const reply = await reader.read();
+  if (!expected.includes(reply.code)) {
+    throw new SmtpError(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+  }
+  return reply;
+}
+
+function sendCommand(socket, reader, line, expected) {
+  socket.write(`${line}\r\n`);
+  return expectReply(reader, expected, line.split(' ')[0]);
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// "HygieneMaster <noreply@example.co.jp>" → "noreply@example.co.jp"
+function mailAddress(value) {
+  return (/<([^>]+)>/.exec(value)?.[1] || value).trim();
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = mailAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || [];
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Sends one plain-text message.
+ *
+ * @param {Object} mail
+ *   - host, port (default 587), secure: implicit TLS (default when port is 465)
+ *   - username, password: AUTH PLAIN credentials (optional)
+ *   - from: "HygieneMaster <noreply@example.co.jp>", to: ["manager@example.co.jp"]
+ *   - subject, text
+ *   - timeoutMs: idle time before the connection is given up (default 15s)
+ * @throws {SmtpError} when the server rejects a command or the connection fails, or
+ *   credentials are given and the connection is not encrypted
+ */
+async function sendMail({ host, port = 587, secure = port === 465, username, password, from, to, subject, text, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  if (!host) throw new SmtpError('No SMTP host configured');
+  if (!from || !to?.length) throw new SmtpError('A message needs a sender and at least one recipient');
+
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = createReplyReader(socket);
+  try {
+    await expectReply(reader, [220], 'greeting');
+    const greeting = `EHLO ${os.hostname() || 'localhost'}`;
+    const ehlo = await sendCommand(socket, reader, greeting, [250]);
+
+    if (!secure && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await sendCommand(socket, reader, 'STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP server ${host}:${port} did not answer in time`)));
+      reader = createReplyReader(socket);
+      await sendCommand(socket, reader, greeting, [250]);
+    }
+
+    if (username) {
+      if (!socket.encrypted) {
+        throw new SmtpError(`SMTP server ${host}:${port} does not offer STARTTLS; credentials are not sent over an unencrypted connection`);
+      }
+      const credentials = Buffer.from(`\u0000${username}\u0000${password || ''}`, 'utf8').toString('base64');
+      await sendCommand(socket, reader, `AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await sendCommand(socket, reader, `MAIL FROM:<${mailAddress(from)}>`, [250]);
+    for (const recipient of to) {
+      await sendCommand(socket, reader, `RCPT TO:<${mailAddress(recipient)}>`, [250, 251]);
+    }
+    await sendCommand(socket, reader, 'DATA', [354]);
+    socket.write(`${buildMessage({ from, to, subject, text })}\r\n.\r\n`);
+    await expectReply(reader, [250], 'DATA');
+    await sendCommand(socket, reader, 'QUIT', [221]).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = {
+  SmtpError,
+  sendMail
+};
@@ -0,0 +1,41 @@
+/**
+ * SharePoint folder helpers shared by the report generators.
+ *
+ * Folder templates are relative to SHAREPOINT_FOLDER_PATH and use `{name}`
+ * placeholders filled from the structured data metadata, e.g.
+ * "一般衛生管理の実施記録/{year}/{month}/{location}".
+ */
+
+// Folder that takes the place of {location} for sheets whose store could not be matched
+const UNRESOLVED_STORE_FOLDER = '店舗未確認';
+
+function getReportBasePath() {
+  return process.env.SHAREPOINT_FOLDER_PATH?.replace(/^\/+|\/+$/g, '') || '衛生管理日誌';
+}
+
+function buildReportFolderPath(template, values) {
+  const relativePath = template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const value = values[key];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Missing value for folder placeholder ${placeholder} in "${template}"`);
+    }
+    // Keep a single path segment per placeholder
+    return String(value).replace(/[\\/]/g, '_');
+  });
+  return `${getReportBasePath()}/${relativePath.replace(/^\/+|\/+$/g, '')}`;
+}
+
+/**
+ * Value for the {location} placeholder: the (canonical) store name, or the
+ * review folder when the customer has a store master and nothing matched.
+ */
+function getLocationFolder(metadata) {
+  return metadata.storeMatch === 'unresolved' ? UNRESOLVED_STORE_FOLDER : metadata.location;
+}
+
+module.exports = {
+  UNRESOLVED_STORE_FOLDER,
+  getReportBasePath,
+  getLocationFolder,
+  buildReportFolderPath
+};
@@ -1,19 +1,34 @@
-const { logMessage, handleError, convertHeicToJpegIfNeeded } = require('../utils');
-const {
-  uploadJsonToSharePoint,
-  uploadTextToSharePoint,
-  uploadOriginalDocumentToSharePoint,
-  ensureSharePointFolder,
-  uploadHtmlToSharePoint
-} = require('./sendToSharePoint');
+const { logMessage, handleError } = require('../utils');
 const { analyzeComment, getLanguageNameInJapanese, formatInlineConfidenceDetails, supportedLanguages } = require('../analytics/sentimentAnalysis');
 const axios = require('axios');
 const { getReportStyles, getReportScripts } = require('./styles/sharedStyles');
+const { ACTION_STATE_LABELS, escapeHtml, uploadReportsToSharePoint, cellAttributes, markLowConfidence, listLowConfidenceCells, countActionStates, listCorrectiveActionEntries } = require('./reportHelpers');
+const { getConfidenceThreshold, findLowConfidenceFields } = require('../docIntelligence/fieldConfidence');
+const { layoutLabel } = require('../docIntelligence/sheetLayout');
+
+const DEFAULT_FOLDER_TEMPLATE = '一般衛生管理の実施記録/{year}/{month}/{location}';
+
+// Report column of each extracted value, for pointing at values read with low confidence
+const CONFIDENCE_COLUMNS = {
+    year: '年月',
+    month: '年月',
+    location: '店舗名',
+    day: '日付',
+    Cat1Status: 'Cat 1',
+    Cat2Status: 'Cat 2',
+    Cat3Status: 'Cat 3',
+    Cat4Status: 'Cat 4',
+    Cat5Status: 'Cat 5',
+    Cat6Status: 'Cat 6',
+    Cat7Status: 'Cat 7',
+    comment: '特記事項',
+    approverStatus: '確認者'
+};
 
 /**
  * Prepares general management reports from structured data and uploads to SharePoint
  */
-async function prepareGeneralManagementReport(structuredData, context, base64BinFile, originalFileName) {
+async function prepareGeneralManagementReport(structuredData, context, base64BinFile, originalFileName, options = {}) {
     logMessage("🚀 prepareGeneralManagementReport() called with structured data", context);
     
     try {
@@ -27,26 +42,39 @@ async function prepareGeneralManagementReport(structuredData, context, base64Bin
         logMessage("🧠 Starting sentiment analysis for comments...", context);
         await addSentimentAnalysisToStructuredData(structuredData, context);
         logMessage("✅ Sentiment analysis completed", context);
+
+        // Values read below this confidence are highlighted for checking against the original
+        const confidenceThreshold = options.confidenceThreshold ?? getConfidenceThreshold();
+        // Follow-ups of the 否 results in this store's month (see submissions/correctiveActions.js)
+        const correctiveActions = options.correctiveActions || [];
         
         // Generate reports using structured data (now with sentiment analysis)
-        const jsonReport = generateJsonReport(structuredData, originalFileName, context);
+        const jsonReport = generateJsonReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ JSON report generated", context);
 
-        const textReport = generateTextReport(structuredData, originalFileName, context);
+        const textReport = generateTextReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ Text report generated", context);
 
-        const htmlReport = generateHtmlReport(structuredData, originalFileName, context);
+        const htmlReport = generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ HTML report generated", context);
 
         // Upload to SharePoint
         logMessage("📤 Starting SharePoint upload...", context);
-        await uploadReportsToSharePoint(jsonReport, textReport, htmlReport, base64BinFile, originalFileName, structuredData, context);
+        const sharePoint = await uploadReportsToSharePoint({ json: jsonReport, text: textReport, html: htmlReport }, {
+            reportName: '一般衛生管理レポート',
+            folderTemplate: options.folderTemplate || DEFAULT_FOLDER_TEMPLATE,
+            base64BinFile,
+            originalFileName,
+            structuredData,
+            pages: options.pages
+        }, context);
         logMessage("✅ SharePoint upload completed", context);
 
         return {
             json: jsonReport,
             text: textReport,
-            html: htmlReport
+            html: htmlReport,
+            sharePoint
         };
         
     } catch (error) {
@@ -112,44 +140,7 @@ async function addSentimentAnalysisToStructuredData(structuredData, context) {
     }
 }
 
-async function uploadReportsToSharePoint(jsonReport, textReport, htmlReport, base64BinFile, originalFileName, structuredData, context) {
-    try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const baseFileName = originalFileName.replace(/\.[^/.]+$/, "");
-        
-        // Use form data for folder structure
-        const location = structuredData.metadata.location;
-        const [year, month] = structuredData.metadata.yearMonth.split('-');
-        
-        logMessage(`📋 Using structured data for folder: ${location}, ${year}-${month}`, context);
-        
-        const basePath = process.env.SHAREPOINT_FOLDER_PATH?.replace(/^\/+|\/+$/g, '') || '衛生管理日誌';
-        const folderPath = `${basePath}/一般衛生管理の実施記録/${year}/${month}/${location}`;
-        
-        logMessage(`📁 Target SharePoint folder: ${folderPath}`, context);
-        await ensureSharePointFolder(folderPath, context);
-
-        // Use Japanese naming convention like legacy format
-        const jsonFileName = `一般衛生管理レポート-${baseFileName}-${timestamp}.json`;
-        const textFileName = `一般衛生管理レポート-${baseFileName}-${timestamp}.txt`;
-        const htmlFileName = `一般衛生管理レポート-${baseFileName}-${timestamp}.html`;
-        const originalDocFileName = `original-${originalFileName}`;
-
-        await uploadJsonToSharePoint(jsonReport, jsonFileName, folderPath, context);
-        await uploadTextToSharePoint(textReport, textFileName, folderPath, context);
-        await uploadOriginalDocumentToSharePoint(base64BinFile, originalDocFileName, folderPath, context);
-        await uploadHtmlToSharePoint(htmlReport, htmlFileName, folderPath, context);
-
-        logMessage("✅ All general management reports uploaded to SharePoint successfully", context);
-        
-    } catch (error) {
-        logMessage(`❌ SharePoint upload process failed: ${error.message}`, context);
-        handleError(error, 'SharePoint Upload', context);
-        throw error;
-    }
-}
-
-function generateJsonReport(structuredData, originalFileName, context) {
+function generateJsonReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
     
     const reportData = {
@@ -158,7 +149,11 @@ function generateJsonReport(structuredData, originalFileName, context) {
         submitter: fileNameParts.senderEmail,
         originalFileName: fileNameParts.originalFileName,
         storeName: structuredData.metadata.location,
+        storeId: structuredData.metadata.storeId || null,
         yearMonth: structuredData.metadata.yearMonth,
+        layout: structuredData.metadata.layout || 'weekly',
+        confidenceThreshold,
+        lowConfidenceCells: listLowConfidenceCells(structuredData, confidenceThreshold, field => CONFIDENCE_COLUMNS[field]),
         
         categories: structuredData.categories.map((cat, index) => ({
             id: `Cat ${index + 1}`,
@@ -179,7 +174,8 @@ function generateJsonReport(structuredData, originalFileName, context) {
             "Cat 6": record.Cat6Status,
             "Cat 7": record.Cat7Status,
             特記事項: record.comment !== "not found" ? record.comment : "--",
-            確認者: record.approverStatus
+            確認者: record.approverStatus,
+            ...(record.blank && { 未記入: true })
         })),
         
         summary: {
@@ -189,6 +185,11 @@ function generateJsonReport(structuredData, originalFileName, context) {
             approvedDays: structuredData.summary.approvedDays,
             sentimentSummary: generateSentimentSummary(structuredData.dailyRecords)
         },
+
+        correctiveActions: {
+            ...countActionStates(correctiveActions),
+            items: listCorrectiveActionEntries(correctiveActions, 'Cat')
+        },
         
         footer: {
             generatedBy: "HygienMaster システム",
@@ -200,7 +201,7 @@ function generateJsonReport(structuredData, originalFileName, context) {
     return reportData;
 }
 
-function generateTextReport(structuredData, originalFileName, context) {
+function generateTextReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
     
     let textReport = `
@@ -209,8 +210,8 @@ function generateTextReport(structuredData, originalFileName, context) {
 提出者：${fileNameParts.senderEmail}  
 ファイル名：${fileNameParts.originalFileName}
 
-店舗名：${structuredData.metadata.location}
-年月：${structuredData.metadata.yearMonth}
+店舗名：${markLowConfidence(structuredData.metadata, 'location', structuredData.metadata.location, confidenceThreshold)}
+年月：${structuredData.metadata.yearMonth}（${layoutLabel(structuredData.metadata.layout)}シート）
 
 管理カテゴリ：
 `;
@@ -227,21 +228,34 @@ function generateTextReport(structuredData, originalFileName, context) {
 
     structuredData.dailyRecords.forEach(record => {
         const dataRow = [
-            String(record.day).padStart(2, '0').padEnd(4),
-            record.Cat1Status.padEnd(6),
-            record.Cat2Status.padEnd(6),
-            record.Cat3Status.padEnd(6),
-            record.Cat4Status.padEnd(6),
-            record.Cat5Status.padEnd(6),
-            record.Cat6Status.padEnd(6),
-            record.Cat7Status.padEnd(6),
-            (record.comment !== "not found" ? record.comment.substring(0, 8) : '--').padEnd(8),
-            record.approverStatus
+            markLowConfidence(record, 'day', String(record.day).padStart(2, '0'), confidenceThreshold).padEnd(4),
+            markLowConfidence(record, 'Cat1Status', record.Cat1Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat2Status', record.Cat2Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat3Status', record.Cat3Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat4Status', record.Cat4Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat5Status', record.Cat5Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat6Status', record.Cat6Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'Cat7Status', record.Cat7Status, confidenceThreshold).padEnd(6),
+            markLowConfidence(record, 'comment', record.comment !== "not found" ? record.comment.substring(0, 8) : '--', confidenceThreshold).padEnd(8),
+            markLowConfidence(record, 'approverStatus', record.approverStatus, confidenceThreshold)
         ].join('| ');
         
         textReport += dataRow + '\n';
     });
 
+    if (findLowConfidenceFields(structuredData, confidenceThreshold).length > 0) {
+        textReport += `\n? … 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値です。原本で確認してください。\n`;
+    }
+
+    if (correctiveActions.length > 0) {
+        const { open, closed } = countActionStates(correctiveActions);
+        textReport += `
+========================================
+改善措置（${structuredData.metadata.yearMonth}）：対応中 ${open}件 / 完了 ${closed}件
+${listCorrectiveActionEntries(correctiveActions, 'Cat').map(entry => `${entry.日付}日 ${entry.項目}: ${entry.状態}${entry.対応内容 ? ` 対応: ${entry.対応内容}` : ''}${entry.完了日 ? `（${entry.完了日} 完了）` : ''}`).join('\n')}
+`;
+    }
+
     const sentimentSummary = generateSentimentSummary(structuredData.dailyRecords);
     textReport += `
 ========================================
@@ -259,7 +273,7 @@ function generateTextReport(structuredData, originalFileName, context) {
     return textReport;
 }
 
-function generateHtmlReport(structuredData, originalFileName, context) {
+function generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
 
     const tableRows = structuredData.dailyRecords.map(record => {
@@ -273,17 +287,17 @@ function generateHtmlReport(structuredData, originalFileName, context) {
         };
 
         return `
-        <tr class="data-row">
-            <td class="date-cell">${String(record.day).padStart(2, '0')}</td>
-            <td><span class="status-badge ${statusClass(record.Cat1Status)}">${record.Cat1Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat2Status)}">${record.Cat2Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat3Status)}">${record.Cat3Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat4Status)}">${record.Cat4Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat5Status)}">${record.Cat5Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat6Status)}">${record.Cat6Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Cat7Status)}">${record.Cat7Status}</span></td>
-            <td class="comment-cell">${record.comment !== "not found" ? record.comment : '--'}</td>
-            <td><span class="status-badge ${statusClass(record.approverStatus)}">${record.approverStatus}</span></td>
+        <tr class="data-row${record.blank ? ' blank-day' : ''}">
+            <td${cellAttributes(record, 'day', confidenceThreshold, 'date-cell')}>${String(record.day).padStart(2, '0')}</td>
+            <td${cellAttributes(record, 'Cat1Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat1Status)}">${record.Cat1Status}</span></td>
+            <td${cellAttributes(record, 'Cat2Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat2Status)}">${record.Cat2Status}</span></td>
+            <td${cellAttributes(record, 'Cat3Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat3Status)}">${record.Cat3Status}</span></td>
+            <td${cellAttributes(record, 'Cat4Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat4Status)}">${record.Cat4Status}</span></td>
+            <td${cellAttributes(record, 'Cat5Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat5Status)}">${record.Cat5Status}</span></td>
+            <td${cellAttributes(record, 'Cat6Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat6Status)}">${record.Cat6Status}</span></td>
+            <td${cellAttributes(record, 'Cat7Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Cat7Status)}">${record.Cat7Status}</span></td>
+            <td${cellAttributes(record, 'comment', confidenceThreshold, 'comment-cell')}>${record.comment !== "not found" ? escapeHtml(record.comment) : '--'}</td>
+            <td${cellAttributes(record, 'approverStatus', confidenceThreshold)}><span class="status-badge ${statusClass(record.approverStatus)}">${record.approverStatus}</span></td>
         </tr>
         `;
     }).join('\n');
@@ -312,11 +326,11 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 return `
         <tr class="sentiment-row">
             <td class="date-cell">${day}</td>
-            <td class="comment-text">${sentiment.originalComment}</td>
+            <td class="comment-text">${escapeHtml(sentiment.originalComment)}</td>
             <td class="language-tag">
                 <span class="language-badge">${getLanguageNameInJapanese(sentiment.detectedLanguage)}</span>
             </td>
-            <td class="translation-text">${translationDisplay}</td>
+            <td class="translation-text">${escapeHtml(translationDisplay)}</td>
             <td class="language-tag">
                 <span class="language-badge">${getLanguageNameInJapanese(sentiment.analysisLanguage)}</span>
             </td>
@@ -343,13 +357,25 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 return `
         <tr class="sentiment-row no-analysis">
             <td class="date-cell">${day}</td>
-            <td class="comment-text">${record.comment !== "not found" ? record.comment : '--'}</td>
+            <td class="comment-text">${record.comment !== "not found" ? escapeHtml(record.comment) : '--'}</td>
             <td colspan="5" class="no-analysis-reason">${reason}</td>
         </tr>`;
             }
         }).join('\n');
 
+    const correctiveActionRows = listCorrectiveActionEntries(correctiveActions, 'Cat').map(entry => `
+        <tr>
+            <td class="date-cell">${entry.日付}</td>
+            <td title="${escapeHtml(entry.項目名)}">${entry.項目}</td>
+            <td><span class="status-badge ${entry.状態 === ACTION_STATE_LABELS.closed ? 'status-good' : 'status-bad'}">${entry.状態}</span></td>
+            <td class="comment-text">${entry.特記事項 ? escapeHtml(entry.特記事項) : '--'}</td>
+            <td class="comment-text">${entry.対応内容 ? escapeHtml(entry.対応内容) : '--'}</td>
+            <td>${entry.完了日 || '--'}</td>
+        </tr>`).join('\n');
+    const actionCounts = countActionStates(correctiveActions);
+
     const sentimentSummary = generateSentimentSummary(structuredData.dailyRecords);
+    const lowConfidenceCount = findLowConfidenceFields(structuredData, confidenceThreshold).length;
     const complianceRate = Math.round((sentimentSummary.positive + sentimentSummary.neutral + sentimentSummary.negative) / structuredData.summary.recordedDays * 100);
 
     // Count analysis results for summary info
@@ -378,7 +404,7 @@ function generateHtmlReport(structuredData, originalFileName, context) {
         <!-- Professional Header -->
         <header class="header">
             <h1>一般衛生管理レポート</h1>
-            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth}</div>
+            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth} | ${layoutLabel(structuredData.metadata.layout)}シート</div>
         </header>
 
         <!-- Executive Summary Cards -->
@@ -427,7 +453,7 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                     <div><strong>提出日時:</strong> ${fileNameParts.submissionDate}</div>
                     <div><strong>提出者:</strong> ${fileNameParts.senderEmail}</div>
                     <div><strong>ファイル名:</strong> ${fileNameParts.originalFileName}</div>
-                    <div><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
+                    <div${cellAttributes(structuredData.metadata, 'location', confidenceThreshold)}><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
                 </div>
             </div>
         </div>
@@ -451,6 +477,11 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 </div>
 
                 <!-- Daily Records Table -->
+                ${lowConfidenceCount > 0 ? `
+                <div class="low-confidence-note">
+                    ⚠️ 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値が${lowConfidenceCount}件あります。枠で囲まれた値は原本で確認してください。
+                </div>
+                ` : ''}
                 <table style="margin-top: 25px;">
                     <thead>
                         <tr>
@@ -473,6 +504,35 @@ function generateHtmlReport(structuredData, originalFileName, context) {
             </div>
         </div>
 
+        <!-- Corrective Actions for the month's 否 results -->
+        ${correctiveActionRows ? `
+        <div class="section">
+            <div class="section-header">
+                <h3>🛠️ 改善措置</h3>
+                <div class="section-description">
+                    ${structuredData.metadata.yearMonth}に「否」となった項目の改善措置です（対応中 ${actionCounts.open}件・完了 ${actionCounts.closed}件）
+                </div>
+            </div>
+            <div class="section-content">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>日付</th>
+                            <th>項目</th>
+                            <th>状態</th>
+                            <th>特記事項</th>
+                            <th>対応内容</th>
+                            <th>完了日</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${correctiveActionRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        ` : ''}
+
         <!-- Sentiment Analysis Section -->
         ${sentimentRows ? `
         <div class="section">
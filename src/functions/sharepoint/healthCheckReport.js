@@ -0,0 +1,429 @@
+const { logMessage, handleError } = require('../utils');
+const { getReportStyles, getReportScripts } = require('./styles/sharedStyles');
+const { uploadReportsToSharePoint, cellAttributes, listLowConfidenceCells } = require('./reportHelpers');
+const { getConfidenceThreshold, isLowConfidence, findLowConfidenceFields } = require('../docIntelligence/fieldConfidence');
+const { SYMPTOMS, CHECK_VALUES } = require('../docIntelligence/healthCheckExtractor');
+
+const DEFAULT_FOLDER_TEMPLATE = '従業員健康チェック/{year}/{month}/{location}';
+
+// Outcome of one employee on one day, with its symbol and badge in the HTML matrix
+const OUTCOMES = {
+    unfit: { label: '就業不可', symbol: '✕', badge: 'status-bad' },
+    check: { label: '要確認', symbol: '?', badge: 'status-neutral' },
+    fit: { label: '就業可', symbol: '○', badge: 'status-good' },
+    empty: { label: '未記入', symbol: '-', badge: 'status-none' }
+};
+
+/**
+ * Prepares employee health check reports from structured data and uploads to SharePoint.
+ * These reports go to the customer's own folder and are the only output that
+ * carries the employees' names.
+ */
+async function prepareHealthCheckReport(structuredData, context, base64BinFile, originalFileName, options = {}) {
+    logMessage("🚀 prepareHealthCheckReport() called with structured data", context);
+
+    try {
+        logMessage("📊 Processing structured data:", context);
+        logMessage(`  - Store: ${structuredData.metadata.location}`, context);
+        logMessage(`  - Year-Month: ${structuredData.metadata.yearMonth}`, context);
+        logMessage(`  - Daily Records: ${structuredData.dailyRecords.length}`, context);
+        logMessage(`  - Employees: ${structuredData.employees.length}`, context);
+        logMessage(`  - Unfit entries: ${structuredData.summary.unfitEntries}`, context);
+
+        // Values read below this confidence are highlighted for checking against the original
+        const confidenceThreshold = options.confidenceThreshold ?? getConfidenceThreshold();
+
+        const jsonReport = generateJsonReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ JSON report generated", context);
+
+        const textReport = generateTextReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ Text report generated", context);
+
+        const htmlReport = generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ HTML report generated", context);
+
+        logMessage("📤 Starting SharePoint upload...", context);
+        const sharePoint = await uploadReportsToSharePoint({ json: jsonReport, text: textReport, html: htmlReport }, {
+            reportName: '健康チェックレポート',
+            folderTemplate: options.folderTemplate || DEFAULT_FOLDER_TEMPLATE,
+            base64BinFile,
+            originalFileName,
+            structuredData,
+            pages: options.pages
+        }, context);
+        logMessage("✅ SharePoint upload completed", context);
+
+        return {
+            json: jsonReport,
+            text: textReport,
+            html: htmlReport,
+            sharePoint
+        };
+
+    } catch (error) {
+        handleError(error, 'Health Check Report Generation', context);
+        throw error;
+    }
+}
+
+// Symptoms the sheet has columns for (and Fever when only 体温 was measured)
+function symptomsOnSheet(structuredData) {
+    const fields = new Set(structuredData.dailyRecords.flatMap(record => Object.keys(record)));
+    return SYMPTOMS.filter(({ key }) => structuredData.employees.some(({ employeeNumber }) => fields.has(`E${employeeNumber}${key}`)));
+}
+
+function hasTemperatures(structuredData) {
+    return structuredData.dailyRecords.some(record => Object.keys(record).some(field => /^E\d+BodyTemperature$/.test(field)));
+}
+
+function employeeOutcome(record, employeeNumber) {
+    if ((record.unfitEmployees || []).includes(employeeNumber)) return OUTCOMES.unfit;
+    const prefix = `E${employeeNumber}`;
+    if ((record.unreadableChecks || []).some(field => field.startsWith(prefix) && /^\D+$/.test(field.slice(prefix.length)))) return OUTCOMES.check;
+    const values = SYMPTOMS.map(({ key }) => record[`${prefix}${key}`]).filter(Boolean);
+    return values.some(value => value === CHECK_VALUES.absent) ? OUTCOMES.fit : OUTCOMES.empty;
+}
+
+function formatTemperature(value) {
+    return typeof value === 'number' ? `${value}℃` : '--';
+}
+
+function listUnfitEmployees(structuredData) {
+    return structuredData.dailyRecords.flatMap(record => (record.unfitEmployees || []).map(employeeNumber => {
+        const employee = structuredData.employees.find(item => item.employeeNumber === employeeNumber);
+        return {
+            日付: String(record.day).padStart(2, '0'),
+            氏名: employee?.name || `従業員${employeeNumber}`,
+            症状: SYMPTOMS.filter(({ key }) => record[`E${employeeNumber}${key}`] === CHECK_VALUES.present).map(({ label }) => label),
+            体温: record[`E${employeeNumber}BodyTemperature`] ?? null
+        };
+    }));
+}
+
+function generateJsonReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const symptoms = symptomsOnSheet(structuredData);
+    const temperatures = hasTemperatures(structuredData);
+
+    return {
+        title: "従業員健康チェック表",
+        submissionDate: fileNameParts.submissionDate,
+        submitter: fileNameParts.senderEmail,
+        originalFileName: fileNameParts.originalFileName,
+        storeName: structuredData.metadata.location,
+        storeId: structuredData.metadata.storeId || null,
+        yearMonth: structuredData.metadata.yearMonth,
+        feverThreshold: structuredData.metadata.feverThreshold,
+        confidenceThreshold,
+        lowConfidenceCells: listLowConfidenceCells(structuredData, confidenceThreshold, confidenceColumns(structuredData)),
+
+        employees: structuredData.employees.map(employee => ({ 番号: employee.employeeNumber, 氏名: employee.name })),
+
+        dailyData: structuredData.dailyRecords.map(record => ({
+            日付: String(record.day).padStart(2, '0'),
+            従業員: structuredData.employees.map(({ employeeNumber, name }) => ({
+                氏名: name,
+                ...Object.fromEntries(symptoms.map(({ key, label }) => [label, record[`E${employeeNumber}${key}`] || CHECK_VALUES.empty])),
+                ...(temperatures && { 体温: record[`E${employeeNumber}BodyTemperature`] ?? null }),
+                判定: employeeOutcome(record, employeeNumber).label
+            })),
+            ...(record.blank && { 未記入: true })
+        })),
+
+        unfitForWork: listUnfitEmployees(structuredData),
+
+        summary: {
+            totalDays: structuredData.summary.totalDays,
+            recordedDays: structuredData.summary.recordedDays,
+            employees: structuredData.summary.employees,
+            unfitEntries: structuredData.summary.unfitEntries,
+            unfitEmployees: structuredData.summary.unfitEmployees,
+            unreadableChecks: structuredData.summary.unreadableChecks
+        },
+
+        footer: {
+            generatedBy: "HygienMaster システム",
+            generatedAt: new Date().toISOString(),
+            note: "このレポートは HygienMaster システムにより自動生成されました。従業員の個人情報を含むため、取り扱いに注意してください"
+        }
+    };
+}
+
+function generateTextReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const days = structuredData.dailyRecords;
+
+    let textReport = `
+従業員健康チェック表
+提出日：${fileNameParts.submissionDate}
+提出者：${fileNameParts.senderEmail}
+ファイル名：${fileNameParts.originalFileName}
+
+店舗名：${structuredData.metadata.location}
+年月：${structuredData.metadata.yearMonth}
+発熱の基準：${structuredData.metadata.feverThreshold}℃以上
+
+`;
+
+    const headerRow = ['氏名'.padEnd(8), ...days.map(record => String(record.day).padStart(2, '0'))].join(' | ');
+    textReport += headerRow + '\n';
+    textReport += ''.padEnd(headerRow.length, '-') + '\n';
+
+    structuredData.employees.forEach(({ employeeNumber, name }) => {
+        const cells = days.map(record => {
+            const prefix = `E${employeeNumber}`;
+            const low = Object.keys(record.confidence || {}).some(field => field.startsWith(prefix)
+                && /^\D+$/.test(field.slice(prefix.length)) && isLowConfidence(record.confidence[field], confidenceThreshold));
+            return `${employeeOutcome(record, employeeNumber).symbol}${low ? '?' : ''}`.padStart(2);
+        });
+        textReport += [name.padEnd(8), ...cells].join(' | ') + '\n';
+    });
+
+    textReport += `\n○ 就業可　✕ 就業不可　? 要確認（判読不可）　- 未記入\n`;
+    if (findLowConfidenceFields(structuredData, confidenceThreshold).length > 0) {
+        textReport += `記号の後の ? … 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値です。原本で確認してください。\n`;
+    }
+
+    const unfit = listUnfitEmployees(structuredData);
+    textReport += `
+========================================
+就業不可（食品の取り扱い不可）：${unfit.length}件
+${unfit.map(entry => `${entry.日付}日 ${entry.氏名}: ${entry.症状.join('・')}${entry.体温 !== null ? `（体温 ${entry.体温}℃）` : ''}`).join('\n')}
+判読不可: ${structuredData.summary.unreadableChecks}件
+========================================
+このレポートは HygienMaster システムにより自動生成されました
+従業員の個人情報を含むため、取り扱いに注意してください
+生成日時: ${new Date().toISOString()}
+========================================
+`;
+
+    return textReport;
+}
+
+function generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const { summary } = structuredData;
+    const days = structuredData.dailyRecords;
+
+    const matrixRows = structuredData.employees.map(({ employeeNumber, name }) => {
+        const cells = days.map(record => {
+            const outcome = employeeOutcome(record, employeeNumber);
+            const prefix = `E${employeeNumber}`;
+            const fields = [...SYMPTOMS.map(({ key }) => `${prefix}${key}`), `${prefix}BodyTemperature`];
+            const lowField = fields.find(field => isLowConfidence(record.confidence?.[field], confidenceThreshold));
+            const details = [
+                ...SYMPTOMS.filter(({ key }) => record[`${prefix}${key}`]).map(({ key, label }) => `${label}: ${record[`${prefix}${key}`]}`),
+                ...(`${prefix}BodyTemperature` in record ? [`体温: ${formatTemperature(record[`${prefix}BodyTemperature`])}`] : [])
+            ].join(' / ');
+            const attributes = lowField
+                ? cellAttributes(record, lowField, confidenceThreshold, 'health-cell').replace(/ title="([^"]*)"/, ` title="${details} (\$1)"`)
+                : ` class="health-cell" title="${details}"`;
+            return `<td${attributes}><span class="status-badge ${outcome.badge}">${outcome.symbol}</span></td>`;
+        }).join('\n            ');
+
+        return `
+        <tr class="data-row">
+            <td class="employee-cell">${name}</td>
+            ${cells}
+        </tr>
+        `;
+    }).join('\n');
+
+    const unfitRows = listUnfitEmployees(structuredData).map(entry => `
+        <tr>
+            <td class="date-cell">${entry.日付}</td>
+            <td class="employee-cell">${entry.氏名}</td>
+            <td><span class="status-badge status-bad">${entry.症状.join('・')}</span></td>
+            <td class="reading-cell">${formatTemperature(entry.体温)}</td>
+        </tr>`).join('\n');
+
+    const lowConfidenceCount = findLowConfidenceFields(structuredData, confidenceThreshold).length;
+
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>健康チェックレポート - ${structuredData.metadata.location}</title>
+    <style>
+        ${getReportStyles('health')}
+
+        :root {
+            --deviation-color: ${summary.unfitEntries === 0 ? '#27ae60' : '#e74c3c'};
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>従業員健康チェックレポート</h1>
+            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth}</div>
+        </header>
+
+        <div class="summary-cards">
+            <div class="summary-card deviations">
+                <div class="card-header">
+                    <div class="card-icon">🩺</div>
+                    <div class="card-title">就業不可</div>
+                </div>
+                <div class="card-value">${summary.unfitEntries}</div>
+                <div class="card-description">${summary.unfitEmployees}/${summary.employees}名に症状の記録</div>
+            </div>
+
+            <div class="summary-card comments">
+                <div class="card-header">
+                    <div class="card-icon">📝</div>
+                    <div class="card-title">記録日数</div>
+                </div>
+                <div class="card-value">${summary.recordedDays}</div>
+                <div class="card-description">${summary.totalDays}日中・判読不可 ${summary.unreadableChecks}件</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-header">
+                <h3>📋 提出情報</h3>
+            </div>
+            <div class="section-content">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px;">
+                    <div><strong>提出日時:</strong> ${fileNameParts.submissionDate}</div>
+                    <div><strong>提出者:</strong> ${fileNameParts.senderEmail}</div>
+                    <div><strong>ファイル名:</strong> ${fileNameParts.originalFileName}</div>
+                    <div><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
+                </div>
+            </div>
+        </div>
+
+        ${unfitRows ? `
+        <div class="section">
+            <div class="section-header">
+                <h3>🚫 就業不可（食品の取り扱い不可）</h3>
+                <div class="section-description">
+                    発熱（${structuredData.metadata.feverThreshold}℃以上）・下痢や嘔吐・手指の傷が記録された従業員です
+                </div>
+            </div>
+            <div class="section-content">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>日付</th>
+                            <th>氏名</th>
+                            <th>症状</th>
+                            <th>体温</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${unfitRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        ` : ''}
+
+        <div class="section">
+            <div class="section-header">
+                <h3>📅 日次健康チェック</h3>
+                <div class="section-description">
+                    ○ 就業可　✕ 就業不可　? 要確認　- 未記入（セルにカーソルを合わせると詳細を表示）
+                </div>
+            </div>
+            <div class="section-content">
+                ${lowConfidenceCount > 0 ? `
+                <div class="low-confidence-note">
+                    ⚠️ 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値が${lowConfidenceCount}件あります。枠で囲まれた値は原本で確認してください。
+                </div>
+                ` : ''}
+                <table style="margin-top: 25px;">
+                    <thead>
+                        <tr>
+                            <th>氏名</th>
+                            ${days.map(record => `<th>${String(record.day).padStart(2, '0')}</th>`).join('\n                            ')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${matrixRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        <footer class="footer">
+            <div>このレポートは <strong>HygienMaster システム</strong> により自動生成されました</div>
+            <div>従業員の個人情報を含むため、取り扱いに注意してください</div>
+            <div class="timestamp">生成日時: ${new Date().toLocaleString('ja-JP')}</div>
+        </footer>
+    </div>
+
+    <script>
+        ${getReportScripts()}
+    </script>
+</body>
+</html>`;
+}
+
+// Report column of each value, "山田 太郎 発熱", for pointing at values read with low confidence
+function confidenceColumns(structuredData) {
+    const names = Object.fromEntries(structuredData.employees.map(employee => [`E${employee.employeeNumber}`, employee.name]));
+    const labels = Object.fromEntries([...SYMPTOMS.map(({ key, label }) => [key, label]), ['BodyTemperature', '体温']]);
+    return (field) => {
+        const [, prefix, key] = /^(E\d+)(\D+)$/.exec(field) || [];
+        return prefix ? `${names[prefix]} ${labels[key] || key}` : field;
+    };
+}
+
+function parseFileName(fileName, context) {
+    logMessage(`🔍 Parsing filename: ${fileName}`, context);
+
+    try {
+        let submissionTime = '';
+        let senderEmail = '';
+        let originalFileName = fileName;
+
+        const emailMatch = fileName.match(/\(([^)]*@[^)]*)\)/);
+        if (emailMatch) {
+            senderEmail = emailMatch[1];
+            const emailEndIndex = fileName.indexOf(emailMatch[0]) + emailMatch[0].length;
+            originalFileName = fileName.substring(emailEndIndex).replace(/^\W+/, '').trim();
+        }
+
+        const timeMatch = fileName.match(/^([^(]+)/);
+        if (timeMatch) {
+            submissionTime = timeMatch[1];
+            if (submissionTime.includes('T')) {
+                const cleanTime = submissionTime.replace(/[^\d]/g, '');
+                if (cleanTime.length >= 8) {
+                    const isoString = `${cleanTime.substring(0, 4)}-${cleanTime.substring(4, 6)}-${cleanTime.substring(6, 8)}T${cleanTime.substring(8, 10) || '00'}:${cleanTime.substring(10, 12) || '00'}:00`;
+                    const date = new Date(isoString);
+                    if (!isNaN(date.getTime())) {
+                        submissionTime = date.toLocaleDateString('ja-JP', {
+                            year: 'numeric',
+                            month: '2-digit',
+                            day: '2-digit',
+                            hour: '2-digit',
+                            minute: '2-digit'
+                        });
+                    }
+                }
+            }
+        }
+
+        return {
+            submissionDate: submissionTime || 'Unknown',
+            senderEmail: senderEmail || 'Unknown',
+            originalFileName: originalFileName || fileName
+        };
+
+    } catch (error) {
+        logMessage(`❌ Filename parsing error: ${error.message}`, context);
+        return {
+            submissionDate: 'Unknown',
+            senderEmail: 'Unknown',
+            originalFileName: fileName
+        };
+    }
+}
+
+module.exports = {
+    prepareHealthCheckReport
+};
@@ -1,24 +1,41 @@
-const { logMessage, handleError, convertHeicToJpegIfNeeded } = require('../utils');
-const {
-    uploadJsonToSharePoint,
-    uploadTextToSharePoint,
-    uploadOriginalDocumentToSharePoint,
-    ensureSharePointFolder,
-    uploadHtmlToSharePoint
-} = require('./sendToSharePoint');
+const { logMessage, handleError } = require('../utils');
 const { analyzeComment, getLanguageNameInJapanese, formatInlineConfidenceDetails, supportedLanguages } = require('../analytics/sentimentAnalysis');
 const axios = require('axios');
 const { getReportStyles, getReportScripts } = require('./styles/sharedStyles');
+const { ACTION_STATE_LABELS, escapeHtml, uploadReportsToSharePoint, cellAttributes, markLowConfidence, listLowConfidenceCells, countActionStates, listCorrectiveActionEntries } = require('./reportHelpers');
+const { getConfidenceThreshold, findLowConfidenceFields } = require('../docIntelligence/fieldConfidence');
+const { layoutLabel } = require('../docIntelligence/sheetLayout');
+
+const DEFAULT_FOLDER_TEMPLATE = '重要衛生管理の実施記録/{year}/{month}/{location}';
+
+// Report column of each extracted value, for pointing at values read with low confidence
+const CONFIDENCE_COLUMNS = {
+    year: '年月',
+    month: '年月',
+    location: '店舗名',
+    day: '日付',
+    Menu1Status: 'Menu 1',
+    Menu2Status: 'Menu 2',
+    Menu3Status: 'Menu 3',
+    Menu4Status: 'Menu 4',
+    Menu5Status: 'Menu 5',
+    dailyCheckStatus: '日常点検',
+    comment: '特記事項',
+    approverStatus: '確認者'
+};
 
 /**
  * Prepares important management reports from structured data and uploads to SharePoint
  * 
- * @param {Object} structuredData - New structured data format from importantManagementFormExtractor
+ * @param {Object} structuredData - Structured data extracted with the important management schema
  * @param {Object} context - Azure Functions execution context
  * @param {string} base64BinFile - Base64 encoded original file
  * @param {string} originalFileName - Original filename for submission info
+ * @param {Object} [options] - { folderTemplate } overrides the SharePoint folder layout;
+ *                              { confidenceThreshold } sets which values are highlighted as low confidence
+ *                              { correctiveActions } are listed with their open/closed state
  */
-async function prepareImportantManagementReport(structuredData, context, base64BinFile, originalFileName) {
+async function prepareImportantManagementReport(structuredData, context, base64BinFile, originalFileName, options = {}) {
     logMessage("🚀 prepareImportantManagementReport() called with structured data", context);
     
     try {
@@ -32,23 +49,36 @@ async function prepareImportantManagementReport(structuredData, context, base64B
         await addSentimentAnalysisToStructuredData(structuredData, context);
         logMessage("✅ Sentiment analysis completed", context);
 
-        const jsonReport = generateJsonReport(structuredData, originalFileName, context);
+        // Values read below this confidence are highlighted for checking against the original
+        const confidenceThreshold = options.confidenceThreshold ?? getConfidenceThreshold();
+        // Follow-ups of the 否 results in this store's month (see submissions/correctiveActions.js)
+        const correctiveActions = options.correctiveActions || [];
+
+        const jsonReport = generateJsonReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ JSON report generated", context);
 
-        const textReport = generateTextReport(structuredData, originalFileName, context);
+        const textReport = generateTextReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ Text report generated", context);
 
-        const htmlReport = generateHtmlReport(structuredData, originalFileName, context);
+        const htmlReport = generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold, correctiveActions);
         logMessage("✅ HTML report generated", context);
 
         logMessage("📤 Starting SharePoint upload...", context);
-        await uploadReportsToSharePoint(jsonReport, textReport, htmlReport, base64BinFile, originalFileName, structuredData, context);
+        const sharePoint = await uploadReportsToSharePoint({ json: jsonReport, text: textReport, html: htmlReport }, {
+            reportName: '重要衛生管理レポート',
+            folderTemplate: options.folderTemplate || DEFAULT_FOLDER_TEMPLATE,
+            base64BinFile,
+            originalFileName,
+            structuredData,
+            pages: options.pages
+        }, context);
         logMessage("✅ SharePoint upload completed", context);
 
         return {
             json: jsonReport,
             text: textReport,
-            html: htmlReport
+            html: htmlReport,
+            sharePoint
         };
         
     } catch (error) {
@@ -117,43 +147,7 @@ async function addSentimentAnalysisToStructuredData(structuredData, context) {
     }
 }
 
-async function uploadReportsToSharePoint(jsonReport, textReport, htmlReport, base64BinFile, originalFileName, structuredData, context) {
-    try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const baseFileName = originalFileName.replace(/\.[^/.]+$/, "");
-        
-        const location = structuredData.metadata.location;
-        const [year, month] = structuredData.metadata.yearMonth.split('-');
-        
-        logMessage(`📋 Using structured data for folder: ${location}, ${year}-${month}`, context);
-        
-        const basePath = process.env.SHAREPOINT_FOLDER_PATH?.replace(/^\/+|\/+$/g, '') || '衛生管理日誌';
-        const folderPath = `${basePath}/重要衛生管理の実施記録/${year}/${month}/${location}`;
-        
-        logMessage(`📁 Target SharePoint folder: ${folderPath}`, context);
-        await ensureSharePointFolder(folderPath, context);
-
-        // Use Japanese naming convention like legacy format
-        const jsonFileName = `重要衛生管理レポート-${baseFileName}-${timestamp}.json`;
-        const textFileName = `重要衛生管理レポート-${baseFileName}-${timestamp}.txt`;
-        const htmlFileName = `重要衛生管理レポート-${baseFileName}-${timestamp}.html`;
-        const originalDocFileName = `original-${originalFileName}`;
-
-        await uploadJsonToSharePoint(jsonReport, jsonFileName, folderPath, context);
-        await uploadTextToSharePoint(textReport, textFileName, folderPath, context);
-        await uploadOriginalDocumentToSharePoint(base64BinFile, originalDocFileName, folderPath, context);
-        await uploadHtmlToSharePoint(htmlReport, htmlFileName, folderPath, context);
-
-        logMessage("✅ All important management reports uploaded to SharePoint successfully", context);
-        
-    } catch (error) {
-        logMessage(`❌ SharePoint upload process failed: ${error.message}`, context);
-        handleError(error, 'SharePoint Upload', context);
-        throw error;
-    }
-}
-
-function generateJsonReport(structuredData, originalFileName, context) {
+function generateJsonReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
     
     return {
@@ -162,7 +156,11 @@ function generateJsonReport(structuredData, originalFileName, context) {
         submitter: fileNameParts.senderEmail,
         originalFileName: fileNameParts.originalFileName,
         storeName: structuredData.metadata.location,
+        storeId: structuredData.metadata.storeId || null,
         yearMonth: structuredData.metadata.yearMonth,
+        layout: structuredData.metadata.layout || 'weekly',
+        confidenceThreshold,
+        lowConfidenceCells: listLowConfidenceCells(structuredData, confidenceThreshold, field => CONFIDENCE_COLUMNS[field]),
         
         menuItems: structuredData.menuItems.map((item, index) => ({
             id: `Menu ${index + 1}`,
@@ -182,7 +180,8 @@ function generateJsonReport(structuredData, originalFileName, context) {
             "Menu 5": record.Menu5Status,
             日常点検: record.dailyCheckStatus,
             特記事項: record.comment !== "not found" ? record.comment : "--",
-            確認者: record.approverStatus
+            確認者: record.approverStatus,
+            ...(record.blank && { 未記入: true })
         })),
         
         summary: {
@@ -193,6 +192,11 @@ function generateJsonReport(structuredData, originalFileName, context) {
             dailyCheckCompletedDays: structuredData.summary.dailyCheckCompletedDays,
             sentimentSummary: generateSentimentSummary(structuredData.dailyRecords)
         },
+
+        correctiveActions: {
+            ...countActionStates(correctiveActions),
+            items: listCorrectiveActionEntries(correctiveActions, 'Menu')
+        },
         
         footer: {
             generatedBy: "HygienMaster システム",
@@ -202,7 +206,7 @@ function generateJsonReport(structuredData, originalFileName, context) {
     };
 }
 
-function generateTextReport(structuredData, originalFileName, context) {
+function generateTextReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
     
     let textReport = `
@@ -211,8 +215,8 @@ function generateTextReport(structuredData, originalFileName, context) {
 提出者：${fileNameParts.senderEmail}  
 ファイル名：${fileNameParts.originalFileName}
 
-店舗名：${structuredData.metadata.location}
-年月：${structuredData.metadata.yearMonth}
+店舗名：${markLowConfidence(structuredData.metadata, 'location', structuredData.metadata.location, confidenceThreshold)}
+年月：${structuredData.metadata.yearMonth}（${layoutLabel(structuredData.metadata.layout)}シート）
 
 重要管理項目：
 `;
@@ -229,20 +233,33 @@ function generateTextReport(structuredData, originalFileName, context) {
 
     structuredData.dailyRecords.forEach(record => {
         const dataRow = [
-            String(record.day).padStart(2, '0').padEnd(4),
-            record.Menu1Status.padEnd(7),
-            record.Menu2Status.padEnd(7),
-            record.Menu3Status.padEnd(7),
-            record.Menu4Status.padEnd(7),
-            record.Menu5Status.padEnd(7),
-            record.dailyCheckStatus.padEnd(8),
-            (record.comment !== "not found" ? record.comment.substring(0, 8) : '--').padEnd(8),
-            record.approverStatus
+            markLowConfidence(record, 'day', String(record.day).padStart(2, '0'), confidenceThreshold).padEnd(4),
+            markLowConfidence(record, 'Menu1Status', record.Menu1Status, confidenceThreshold).padEnd(7),
+            markLowConfidence(record, 'Menu2Status', record.Menu2Status, confidenceThreshold).padEnd(7),
+            markLowConfidence(record, 'Menu3Status', record.Menu3Status, confidenceThreshold).padEnd(7),
+            markLowConfidence(record, 'Menu4Status', record.Menu4Status, confidenceThreshold).padEnd(7),
+            markLowConfidence(record, 'Menu5Status', record.Menu5Status, confidenceThreshold).padEnd(7),
+            markLowConfidence(record, 'dailyCheckStatus', record.dailyCheckStatus, confidenceThreshold).padEnd(8),
+            markLowConfidence(record, 'comment', record.comment !== "not found" ? record.comment.substring(0, 8) : '--', confidenceThreshold).padEnd(8),
+            markLowConfidence(record, 'approverStatus', record.approverStatus, confidenceThreshold)
         ].join('| ');
         
         textReport += dataRow + '\n';
     });
 
+    if (findLowConfidenceFields(structuredData, confidenceThreshold).length > 0) {
+        textReport += `\n? … 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値です。原本で確認してください。\n`;
+    }
+
+    if (correctiveActions.length > 0) {
+        const { open, closed } = countActionStates(correctiveActions);
+        textReport += `
+========================================
+改善措置（${structuredData.metadata.yearMonth}）：対応中 ${open}件 / 完了 ${closed}件
+${listCorrectiveActionEntries(correctiveActions, 'Menu').map(entry => `${entry.日付}日 ${entry.項目}: ${entry.状態}${entry.対応内容 ? ` 対応: ${entry.対応内容}` : ''}${entry.完了日 ? `（${entry.完了日} 完了）` : ''}`).join('\n')}
+`;
+    }
+
     const sentimentSummary = generateSentimentSummary(structuredData.dailyRecords);
     textReport += `
 ========================================
@@ -260,7 +277,7 @@ function generateTextReport(structuredData, originalFileName, context) {
     return textReport;
 }
 
-function generateHtmlReport(structuredData, originalFileName, context) {
+function generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold(), correctiveActions = []) {
     const fileNameParts = parseFileName(originalFileName, context);
 
     const tableRows = structuredData.dailyRecords.map(record => {
@@ -274,16 +291,16 @@ function generateHtmlReport(structuredData, originalFileName, context) {
         };
 
         return `
-        <tr class="data-row">
-            <td class="date-cell">${String(record.day).padStart(2, '0')}</td>
-            <td><span class="status-badge ${statusClass(record.Menu1Status)}">${record.Menu1Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Menu2Status)}">${record.Menu2Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Menu3Status)}">${record.Menu3Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Menu4Status)}">${record.Menu4Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.Menu5Status)}">${record.Menu5Status}</span></td>
-            <td><span class="status-badge ${statusClass(record.dailyCheckStatus)}">${record.dailyCheckStatus}</span></td>
-            <td class="comment-cell">${record.comment !== "not found" ? record.comment : '--'}</td>
-            <td><span class="status-badge ${statusClass(record.approverStatus)}">${record.approverStatus}</span></td>
+        <tr class="data-row${record.blank ? ' blank-day' : ''}">
+            <td${cellAttributes(record, 'day', confidenceThreshold, 'date-cell')}>${String(record.day).padStart(2, '0')}</td>
+            <td${cellAttributes(record, 'Menu1Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Menu1Status)}">${record.Menu1Status}</span></td>
+            <td${cellAttributes(record, 'Menu2Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Menu2Status)}">${record.Menu2Status}</span></td>
+            <td${cellAttributes(record, 'Menu3Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Menu3Status)}">${record.Menu3Status}</span></td>
+            <td${cellAttributes(record, 'Menu4Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Menu4Status)}">${record.Menu4Status}</span></td>
+            <td${cellAttributes(record, 'Menu5Status', confidenceThreshold)}><span class="status-badge ${statusClass(record.Menu5Status)}">${record.Menu5Status}</span></td>
+            <td${cellAttributes(record, 'dailyCheckStatus', confidenceThreshold)}><span class="status-badge ${statusClass(record.dailyCheckStatus)}">${record.dailyCheckStatus}</span></td>
+            <td${cellAttributes(record, 'comment', confidenceThreshold, 'comment-cell')}>${record.comment !== "not found" ? escapeHtml(record.comment) : '--'}</td>
+            <td${cellAttributes(record, 'approverStatus', confidenceThreshold)}><span class="status-badge ${statusClass(record.approverStatus)}">${record.approverStatus}</span></td>
         </tr>
         `;
     }).join('\n');
@@ -313,11 +330,11 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 return `
         <tr class="sentiment-row">
             <td class="date-cell">${day}</td>
-            <td class="comment-text">${sentiment.originalComment}</td>
+            <td class="comment-text">${escapeHtml(sentiment.originalComment)}</td>
             <td class="language-tag">
                 <span class="language-badge">${getLanguageNameInJapanese(sentiment.detectedLanguage)}</span>
             </td>
-            <td class="translation-text">${translationDisplay}</td>
+            <td class="translation-text">${escapeHtml(translationDisplay)}</td>
             <td class="language-tag">
                 <span class="language-badge">${getLanguageNameInJapanese(sentiment.analysisLanguage)}</span>
             </td>
@@ -342,7 +359,7 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 return `
         <tr class="sentiment-row no-analysis">
             <td class="date-cell">${day}</td>
-            <td class="comment-text">${record.comment}</td>
+            <td class="comment-text">${escapeHtml(record.comment)}</td>
             <td colspan="5" class="no-analysis-reason">${reason}</td>
         </tr>`;
             }
@@ -352,7 +369,19 @@ function generateHtmlReport(structuredData, originalFileName, context) {
         .join('\n');
 
     const menuSummary = calculateMenuSummary(structuredData);
+    const correctiveActionRows = listCorrectiveActionEntries(correctiveActions, 'Menu').map(entry => `
+        <tr>
+            <td class="date-cell">${entry.日付}</td>
+            <td title="${escapeHtml(entry.項目名)}">${entry.項目}</td>
+            <td><span class="status-badge ${entry.状態 === ACTION_STATE_LABELS.closed ? 'status-good' : 'status-bad'}">${entry.状態}</span></td>
+            <td class="comment-text">${entry.特記事項 ? escapeHtml(entry.特記事項) : '--'}</td>
+            <td class="comment-text">${entry.対応内容 ? escapeHtml(entry.対応内容) : '--'}</td>
+            <td>${entry.完了日 || '--'}</td>
+        </tr>`).join('\n');
+    const actionCounts = countActionStates(correctiveActions);
+
     const sentimentSummary = generateSentimentSummary(structuredData.dailyRecords);
+    const lowConfidenceCount = findLowConfidenceFields(structuredData, confidenceThreshold).length;
     const complianceRate = Math.round((menuSummary.allGoodDays / structuredData.summary.recordedDays) * 100);
     const dailyCheckRate = Math.round((structuredData.summary.dailyCheckCompletedDays / structuredData.summary.recordedDays) * 100);
 
@@ -383,7 +412,7 @@ function generateHtmlReport(structuredData, originalFileName, context) {
         <!-- Professional Header -->
         <header class="header">
             <h1>重要衛生管理レポート</h1>
-            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth}</div>
+            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth} | ${layoutLabel(structuredData.metadata.layout)}シート</div>
         </header>
 
         <!-- Executive Summary Cards -->
@@ -445,7 +474,7 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                     <div><strong>提出日時:</strong> ${fileNameParts.submissionDate}</div>
                     <div><strong>提出者:</strong> ${fileNameParts.senderEmail}</div>
                     <div><strong>ファイル名:</strong> ${fileNameParts.originalFileName}</div>
-                    <div><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
+                    <div${cellAttributes(structuredData.metadata, 'location', confidenceThreshold)}><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
                 </div>
             </div>
         </div>
@@ -469,6 +498,11 @@ function generateHtmlReport(structuredData, originalFileName, context) {
                 </div>
 
                 <!-- Daily Records Table -->
+                ${lowConfidenceCount > 0 ? `
+                <div class="low-confidence-note">
+                    ⚠️ 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値が${lowConfidenceCount}件あります。枠で囲まれた値は原本で確認してください。
+                </div>
+                ` : ''}
                 <table style="margin-top: 25px;">
                     <thead>
                         <tr>
@@ -490,6 +524,35 @@ function generateHtmlReport(structuredData, originalFileName, context) {
             </div>
         </div>
 
+        <!-- Corrective Actions for the month's 否 results -->
+        ${correctiveActionRows ? `
+        <div class="section">
+            <div class="section-header">
+                <h3>🛠️ 改善措置</h3>
+                <div class="section-description">
+                    ${structuredData.metadata.yearMonth}に「否」となった項目の改善措置です（対応中 ${actionCounts.open}件・完了 ${actionCounts.closed}件）
+                </div>
+            </div>
+            <div class="section-content">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>日付</th>
+                            <th>項目</th>
+                            <th>状態</th>
+                            <th>特記事項</th>
+                            <th>対応内容</th>
+                            <th>完了日</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${correctiveActionRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        ` : ''}
+
         <!-- Sentiment Analysis Section -->
         ${sentimentRows ? `
         <div class="section">
@@ -540,7 +603,6 @@ function generateHtmlReport(structuredData, originalFileName, context) {
 </html>`;
 }
 
-// Helper functions that were missing
 function getSentimentIcon(sentiment) {
     switch (sentiment) {
         case 'positive': return '😊';
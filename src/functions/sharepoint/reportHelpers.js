@@ -0,0 +1,149 @@
+const { logMessage, handleError } = require('../utils');
+const {
+  uploadJsonToSharePoint,
+  uploadTextToSharePoint,
+  uploadOriginalDocumentToSharePoint,
+  ensureSharePointFolder,
+  uploadHtmlToSharePoint
+} = require('./sendToSharePoint');
+const { buildReportFolderPath, getLocationFolder } = require('./folderPaths');
+const { isLowConfidence, findLowConfidenceFields } = require('../docIntelligence/fieldConfidence');
+
+/**
+ * Report code shared by the report generators: the SharePoint upload of the
+ * JSON/text/HTML reports, HTML escaping, low-confidence highlighting and the
+ * corrective action entries.
+ */
+
+const ACTION_STATE_LABELS = { open: '対応中', closed: '完了' };
+
+// Text written on the sheet or entered by a manager or reviewer, for use in HTML
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Uploads the three reports and the original document to the sheet's folder:
+ * `{reportName}-{file name}[-p{pages}]-{timestamp}.json|txt|html` and `original-{file name}`.
+ *
+ * @param {Object} reports - { json, text, html }
+ * @param {Object} target
+ *   - reportName: file name prefix, e.g. "一般衛生管理レポート"
+ *   - folderTemplate: see folderPaths.js
+ *   - base64BinFile, originalFileName, structuredData
+ *   - pages: page range of a sheet split out of a multi-sheet file
+ * @returns {Promise<{ folderPath, files }>}
+ */
+async function uploadReportsToSharePoint(reports, { reportName, folderTemplate, base64BinFile, originalFileName, structuredData, pages }, context) {
+  try {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // Sheets split out of one file share the original name; the page range keeps their reports apart
+    const pageSuffix = pages ? `-p${pages}` : '';
+    const baseFileName = originalFileName.replace(/\.[^/.]+$/, '') + pageSuffix;
+
+    // Unmatched stores go to one review folder instead of a new folder per spelling
+    const location = getLocationFolder(structuredData.metadata);
+    const [year, month] = structuredData.metadata.yearMonth.split('-');
+
+    const folderPath = buildReportFolderPath(folderTemplate, {
+      ...structuredData.metadata,
+      year,
+      month,
+      location
+    });
+
+    logMessage(`📁 Target SharePoint folder: ${folderPath}`, context);
+    await ensureSharePointFolder(folderPath, context);
+
+    const jsonFileName = `${reportName}-${baseFileName}-${timestamp}.json`;
+    const textFileName = `${reportName}-${baseFileName}-${timestamp}.txt`;
+    const htmlFileName = `${reportName}-${baseFileName}-${timestamp}.html`;
+    const originalDocFileName = `original-${originalFileName}`;
+
+    await uploadJsonToSharePoint(reports.json, jsonFileName, folderPath, context);
+    await uploadTextToSharePoint(reports.text, textFileName, folderPath, context);
+    await uploadOriginalDocumentToSharePoint(base64BinFile, originalDocFileName, folderPath, context);
+    await uploadHtmlToSharePoint(reports.html, htmlFileName, folderPath, context);
+
+    logMessage(`✅ All ${reportName} files uploaded to SharePoint successfully`, context);
+    return {
+      folderPath,
+      files: [jsonFileName, textFileName, originalDocFileName, htmlFileName].map(name => `${folderPath}/${name}`)
+    };
+  } catch (error) {
+    logMessage(`❌ SharePoint upload process failed: ${error.message}`, context);
+    handleError(error, 'SharePoint Upload', context);
+    throw error;
+  }
+}
+
+/**
+ * Table cell attributes; cells read with low confidence get the "low-confidence"
+ * class and a tooltip with the confidence.
+ */
+function cellAttributes(source, field, confidenceThreshold, className = '') {
+  const confidence = source.confidence?.[field];
+  const low = isLowConfidence(confidence, confidenceThreshold);
+  const classes = [className, low ? 'low-confidence' : ''].filter(Boolean).join(' ');
+  const title = low ? ` title="読み取り信頼度 ${Math.round(confidence * 100)}% - 原本で確認してください"` : '';
+  return `${classes ? ` class="${classes}"` : ''}${title}`;
+}
+
+// Text report: "?" after a value read with low confidence
+function markLowConfidence(record, field, value, confidenceThreshold) {
+  return isLowConfidence(record.confidence?.[field], confidenceThreshold) ? `${value}?` : value;
+}
+
+/**
+ * JSON report `lowConfidenceCells`: [{ 日付, column, confidence }].
+ *
+ * @param {Function} columnName - field → column heading of the report
+ */
+function listLowConfidenceCells(structuredData, confidenceThreshold, columnName) {
+  return findLowConfidenceFields(structuredData, confidenceThreshold).map(({ day, field, confidence }) => ({
+    日付: day === null ? null : String(day).padStart(2, '0'),
+    column: columnName(field) || field,
+    confidence
+  }));
+}
+
+function countActionStates(correctiveActions) {
+  return {
+    open: correctiveActions.filter(action => action.state === 'open').length,
+    closed: correctiveActions.filter(action => action.state === 'closed').length
+  };
+}
+
+/**
+ * Corrective actions as report entries (see submissions/correctiveActions.js).
+ *
+ * @param {string} itemPrefix - how the sheet numbers its items, "Cat" or "Menu"
+ */
+function listCorrectiveActionEntries(correctiveActions, itemPrefix) {
+  return correctiveActions.map(action => ({
+    actionId: action.actionId,
+    日付: String(action.day).padStart(2, '0'),
+    項目: `${itemPrefix} ${action.itemNumber}`,
+    項目名: action.itemName,
+    状態: ACTION_STATE_LABELS[action.state] || action.state,
+    特記事項: action.notes?.find(note => note.type === 'comment')?.text || null,
+    対応内容: action.actionTaken || null,
+    完了日: action.closedAt ? action.closedAt.slice(0, 10) : null
+  }));
+}
+
+module.exports = {
+  ACTION_STATE_LABELS,
+  escapeHtml,
+  uploadReportsToSharePoint,
+  cellAttributes,
+  markLowConfidence,
+  listLowConfidenceCells,
+  countActionStates,
+  listCorrectiveActionEntries
+};
@@ -8,11 +8,6 @@ const SHAREPOINT_CLIENT_SECRET = process.env.SHAREPOINT_CLIENT_SECRET;
 const SHAREPOINT_TENANT_ID = process.env.SHAREPOINT_TENANT_ID;
 const SHAREPOINT_DOCUMENT_LIBRARY = process.env.SHAREPOINT_DOCUMENT_LIBRARY || 'Documents';
 
-// Extract site info from URL for Graph API
-const siteUrl = new URL(SHAREPOINT_SITE_URL);
-const hostname = siteUrl.hostname; // yysolutions.sharepoint.com
-const sitePath = siteUrl.pathname; // /sites/ATEMS
-
 // Get access token for Microsoft Graph API
 async function getSharePointAccessToken(context) {
     try {
@@ -59,6 +54,11 @@ async function getDriveId(context) {
 
     const accessToken = await getSharePointAccessToken(context);
     
+    // Site info for Graph API, parsed here so the module loads without SharePoint settings
+    const siteUrl = new URL(SHAREPOINT_SITE_URL);
+    const hostname = siteUrl.hostname; // yysolutions.sharepoint.com
+    const sitePath = siteUrl.pathname; // /sites/ATEMS
+
     // Get siteId
     const siteResponse = await axios.get(`https://graph.microsoft.com/v1.0/sites/${hostname}:${sitePath}`, {
         headers: { Authorization: `Bearer ${accessToken}` }
@@ -293,8 +293,41 @@ async function ensureSharePointFolder(folderPath, context) {
     }
 }
 
+// Delete a file or folder by path using Microsoft Graph API (missing items are ignored)
+async function deleteSharePointItem(itemPath, context) {
+    try {
+        logMessage(`🗑️ Deleting SharePoint item: ${itemPath}`, context);
+
+        const accessToken = await getSharePointAccessToken(context);
+        const driveId = await getDriveId(context);
+
+        const graphItemUrl = `https://graph.microsoft.com/v1.0/drives/${driveId}/root:/${itemPath}`;
+        await axios.delete(graphItemUrl, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            },
+            timeout: 30000
+        });
+
+        logMessage(`✅ SharePoint item deleted: ${itemPath}`, context);
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            logMessage(`ℹ️ SharePoint item already gone: ${itemPath}`, context);
+            return false;
+        }
+        logMessage(`❌ SharePoint delete failed: ${itemPath} - ${error.message}`, context);
+        if (error.response) {
+            logMessage(`❌ Response status: ${error.response.status}`, context);
+            logMessage(`❌ Response data: ${JSON.stringify(error.response.data)}`, context);
+        }
+        throw error;
+    }
+}
+
 module.exports = {
     getSharePointAccessToken,
+    deleteSharePointItem,
     uploadJsonToSharePoint,
     uploadTextToSharePoint,
     uploadOriginalDocumentToSharePoint,
@@ -1,6 +1,6 @@
 /**
  * Shared CSS styles for hygiene management reports
- * @param {string} theme - 'general' or 'important' for theme-specific colors
+ * @param {string} theme - 'general', 'important', 'temperature' or 'health' for theme-specific colors
  * @returns {string} CSS styles as string
  */
 function getReportStyles(theme = 'general') {
@@ -16,6 +16,18 @@ function getReportStyles(theme = 'general') {
             thColor: 'linear-gradient(135deg, #2e7d32 0%, #388e3c 100%)',
             borderColor: '#4caf50',
             headerIcon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="white" opacity="0.1"><path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>'
+        },
+        temperature: {
+            headerGradient: 'linear-gradient(135deg, #1565c0 0%, #0097a7 100%)',
+            thColor: 'linear-gradient(135deg, #1565c0 0%, #0097a7 100%)',
+            borderColor: '#00acc1',
+            headerIcon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="white" opacity="0.1"><path d="M15 13V5a3 3 0 0 0-6 0v8a5 5 0 1 0 6 0zm-3-9a1 1 0 0 1 1 1v3h-2V5a1 1 0 0 1 1-1z"/></svg>'
+        },
+        health: {
+            headerGradient: 'linear-gradient(135deg, #ad1457 0%, #6a1b9a 100%)',
+            thColor: 'linear-gradient(135deg, #ad1457 0%, #6a1b9a 100%)',
+            borderColor: '#ec407a',
+            headerIcon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="white" opacity="0.1"><path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/></svg>'
         }
     };
 
@@ -117,6 +129,10 @@ function getReportStyles(theme = 'general') {
             border-left-color: #1abc9c;
         }
 
+        .summary-card.deviations {
+            border-left-color: var(--deviation-color);
+        }
+
         .card-header {
             display: flex;
             align-items: center;
@@ -306,6 +322,64 @@ function getReportStyles(theme = 'general') {
             border: 1px solid #ffeaa7;
         }
 
+        /* Days left blank on a monthly sheet */
+        .data-row.blank-day {
+            color: #95a5a6;
+            background: #fafafa;
+        }
+
+        /* Temperature readings outside the equipment's limits, and unreadable ones */
+        .reading-cell {
+            text-align: right;
+            font-variant-numeric: tabular-nums;
+        }
+
+        .reading-deviation {
+            background: #f8d7da;
+            color: #721c24;
+            font-weight: 700;
+        }
+
+        .reading-unreadable {
+            background: #fff3cd;
+            color: #856404;
+        }
+
+        .threshold-label {
+            display: block;
+            font-size: 0.75em;
+            font-weight: 400;
+            opacity: 0.85;
+        }
+
+        /* Health check matrix: one row per employee, one cell per day */
+        .employee-cell {
+            font-weight: 600;
+            white-space: nowrap;
+        }
+
+        .health-cell {
+            text-align: center;
+            cursor: help;
+        }
+
+        /* Values read with low confidence */
+        .low-confidence {
+            outline: 2px dashed #f39c12;
+            outline-offset: -3px;
+            background: #fffaf0;
+            cursor: help;
+        }
+
+        .low-confidence-note {
+            margin-top: 25px;
+            padding: 12px 16px;
+            border-left: 4px solid #f39c12;
+            background: #fff3cd;
+            color: #856404;
+            border-radius: 4px;
+        }
+
         /* Sentiment Styling */
         .sentiment-badge {
             display: inline-flex;
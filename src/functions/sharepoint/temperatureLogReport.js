@@ -0,0 +1,425 @@
+const { logMessage, handleError } = require('../utils');
+const { getReportStyles, getReportScripts } = require('./styles/sharedStyles');
+const { escapeHtml, uploadReportsToSharePoint, cellAttributes, markLowConfidence, listLowConfidenceCells } = require('./reportHelpers');
+const { getConfidenceThreshold, findLowConfidenceFields } = require('../docIntelligence/fieldConfidence');
+const { layoutLabel } = require('../docIntelligence/sheetLayout');
+const { formatThreshold } = require('../docIntelligence/temperatureReadings');
+const { readingField } = require('../docIntelligence/temperatureLogExtractor');
+
+const DEFAULT_FOLDER_TEMPLATE = '温度管理記録/{year}/{month}/{location}';
+
+const DEVIATION_LABELS = {
+    'above-max': '上限超過',
+    'below-min': '下限未満'
+};
+
+/**
+ * Prepares temperature log reports from structured data and uploads to SharePoint.
+ * Readings outside their equipment's limits are marked as deviations.
+ */
+async function prepareTemperatureLogReport(structuredData, context, base64BinFile, originalFileName, options = {}) {
+    logMessage("🚀 prepareTemperatureLogReport() called with structured data", context);
+
+    try {
+        logMessage("📊 Processing structured data:", context);
+        logMessage(`  - Store: ${structuredData.metadata.location}`, context);
+        logMessage(`  - Year-Month: ${structuredData.metadata.yearMonth}`, context);
+        logMessage(`  - Daily Records: ${structuredData.dailyRecords.length}`, context);
+        logMessage(`  - Equipment: ${structuredData.equipment.length}`, context);
+        logMessage(`  - Deviations: ${structuredData.summary.deviations}`, context);
+
+        // Values read below this confidence are highlighted for checking against the original
+        const confidenceThreshold = options.confidenceThreshold ?? getConfidenceThreshold();
+
+        const jsonReport = generateJsonReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ JSON report generated", context);
+
+        const textReport = generateTextReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ Text report generated", context);
+
+        const htmlReport = generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold);
+        logMessage("✅ HTML report generated", context);
+
+        logMessage("📤 Starting SharePoint upload...", context);
+        const sharePoint = await uploadReportsToSharePoint({ json: jsonReport, text: textReport, html: htmlReport }, {
+            reportName: '温度記録レポート',
+            folderTemplate: options.folderTemplate || DEFAULT_FOLDER_TEMPLATE,
+            base64BinFile,
+            originalFileName,
+            structuredData,
+            pages: options.pages
+        }, context);
+        logMessage("✅ SharePoint upload completed", context);
+
+        return {
+            json: jsonReport,
+            text: textReport,
+            html: htmlReport,
+            sharePoint
+        };
+
+    } catch (error) {
+        handleError(error, 'Temperature Log Report Generation', context);
+        throw error;
+    }
+}
+
+// "3.5", "判読不可" (written but unreadable) or "--" (empty)
+function formatReading(record, field) {
+    if (typeof record[field] === 'number') return String(record[field]);
+    return (record.unreadableReadings || []).includes(field) ? '判読不可' : '--';
+}
+
+function findDeviation(record, field) {
+    return (record.deviations || []).find(deviation => deviation.field === field) || null;
+}
+
+function listDeviations(structuredData) {
+    return structuredData.dailyRecords.flatMap(record => (record.deviations || []).map(deviation => ({
+        日付: String(record.day).padStart(2, '0'),
+        機器: deviation.equipmentName,
+        温度: deviation.value,
+        基準: formatThreshold(deviation),
+        判定: DEVIATION_LABELS[deviation.type],
+        備考: record.comment !== "not found" ? record.comment : null
+    })));
+}
+
+function generateJsonReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const { equipment } = structuredData;
+
+    return {
+        title: "温度記録表",
+        submissionDate: fileNameParts.submissionDate,
+        submitter: fileNameParts.senderEmail,
+        originalFileName: fileNameParts.originalFileName,
+        storeName: structuredData.metadata.location,
+        storeId: structuredData.metadata.storeId || null,
+        yearMonth: structuredData.metadata.yearMonth,
+        layout: structuredData.metadata.layout || 'weekly',
+        confidenceThreshold,
+        lowConfidenceCells: listLowConfidenceCells(structuredData, confidenceThreshold, confidenceColumns(structuredData)),
+
+        equipment: equipment.map(item => ({
+            name: item.equipmentName,
+            min: item.min,
+            max: item.max,
+            threshold: formatThreshold(item) || null
+        })),
+
+        tableHeaders: ["日付", ...equipment.map(item => item.equipmentName), "備考", "確認者"],
+
+        dailyData: structuredData.dailyRecords.map(record => ({
+            日付: String(record.day).padStart(2, '0'),
+            ...Object.fromEntries(equipment.map(item => [item.equipmentName, formatReading(record, readingField(item.equipmentNumber))])),
+            備考: record.comment !== "not found" ? record.comment : "--",
+            確認者: record.approver !== "not found" ? record.approver : "--",
+            ...(record.deviations.length > 0 && { 逸脱: record.deviations.map(deviation => deviation.equipmentName) }),
+            ...(record.blank && { 未記入: true })
+        })),
+
+        deviations: listDeviations(structuredData),
+
+        summary: {
+            totalDays: structuredData.summary.totalDays,
+            recordedDays: structuredData.summary.recordedDays,
+            readings: structuredData.summary.readings,
+            deviations: structuredData.summary.deviations,
+            deviationDays: structuredData.summary.deviationDays,
+            unreadableReadings: structuredData.summary.unreadableReadings
+        },
+
+        footer: {
+            generatedBy: "HygienMaster システム",
+            generatedAt: new Date().toISOString(),
+            note: "このレポートは HygienMaster システムにより自動生成されました"
+        }
+    };
+}
+
+function generateTextReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const { equipment } = structuredData;
+
+    let textReport = `
+温度記録表
+提出日：${fileNameParts.submissionDate}
+提出者：${fileNameParts.senderEmail}
+ファイル名：${fileNameParts.originalFileName}
+
+店舗名：${structuredData.metadata.location}
+年月：${structuredData.metadata.yearMonth}（${layoutLabel(structuredData.metadata.layout)}シート）
+
+管理機器：
+`;
+
+    equipment.forEach(item => {
+        textReport += `T${item.equipmentNumber}: ${item.equipmentName}${formatThreshold(item) ? `（基準 ${formatThreshold(item)}）` : ''}\n`;
+    });
+
+    textReport += '\n';
+
+    const headerRow = ['日付', ...equipment.map(item => `T${item.equipmentNumber}`), '備考', '確認者'].join(' | ');
+    textReport += headerRow + '\n';
+    textReport += ''.padEnd(headerRow.length, '-') + '\n';
+
+    structuredData.dailyRecords.forEach(record => {
+        const readings = equipment.map(item => {
+            const field = readingField(item.equipmentNumber);
+            const value = `${formatReading(record, field)}${findDeviation(record, field) ? '!' : ''}`;
+            return markLowConfidence(record, field, value, confidenceThreshold).padEnd(6);
+        });
+        const dataRow = [
+            markLowConfidence(record, 'day', String(record.day).padStart(2, '0'), confidenceThreshold).padEnd(4),
+            ...readings,
+            markLowConfidence(record, 'comment', record.comment !== "not found" ? record.comment.substring(0, 12) : '--', confidenceThreshold).padEnd(12),
+            markLowConfidence(record, 'approver', record.approver !== "not found" ? record.approver : '--', confidenceThreshold)
+        ].join('| ');
+
+        textReport += dataRow + '\n';
+    });
+
+    textReport += `\n! … 基準を外れた温度（逸脱）です。\n`;
+    if (findLowConfidenceFields(structuredData, confidenceThreshold).length > 0) {
+        textReport += `? … 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値です。原本で確認してください。\n`;
+    }
+
+    const deviations = listDeviations(structuredData);
+    textReport += `
+========================================
+逸脱一覧：${deviations.length}件
+${deviations.map(deviation => `${deviation.日付}日 ${deviation.機器}: ${deviation.温度}℃（基準 ${deviation.基準}・${deviation.判定}）${deviation.備考 ? ` 備考: ${deviation.備考}` : ''}`).join('\n')}
+判読不可: ${structuredData.summary.unreadableReadings}件
+========================================
+このレポートは HygienMaster システムにより自動生成されました
+生成日時: ${new Date().toISOString()}
+========================================
+`;
+
+    return textReport;
+}
+
+function generateHtmlReport(structuredData, originalFileName, context, confidenceThreshold = getConfidenceThreshold()) {
+    const fileNameParts = parseFileName(originalFileName, context);
+    const { equipment, summary } = structuredData;
+
+    const tableRows = structuredData.dailyRecords.map(record => {
+        const readingCells = equipment.map(item => {
+            const field = readingField(item.equipmentNumber);
+            const deviation = findDeviation(record, field);
+            const unreadable = (record.unreadableReadings || []).includes(field);
+            const className = ['reading-cell', deviation ? 'reading-deviation' : '', unreadable ? 'reading-unreadable' : ''].filter(Boolean).join(' ');
+            // A deviation's tooltip wins over the confidence tooltip; the dashed outline still shows
+            const attributes = deviation
+                ? cellAttributes(record, field, confidenceThreshold, className).replace(/ title="[^"]*"/, '') + ` title="${DEVIATION_LABELS[deviation.type]}（基準 ${formatThreshold(deviation)}）"`
+                : cellAttributes(record, field, confidenceThreshold, className);
+            return `<td${attributes}>${formatReading(record, field)}</td>`;
+        }).join('\n            ');
+
+        return `
+        <tr class="data-row${record.blank ? ' blank-day' : ''}">
+            <td${cellAttributes(record, 'day', confidenceThreshold, 'date-cell')}>${String(record.day).padStart(2, '0')}</td>
+            ${readingCells}
+            <td${cellAttributes(record, 'comment', confidenceThreshold, 'comment-cell')}>${record.comment !== "not found" ? escapeHtml(record.comment) : '--'}</td>
+            <td${cellAttributes(record, 'approver', confidenceThreshold)}>${record.approver !== "not found" ? record.approver : '--'}</td>
+        </tr>
+        `;
+    }).join('\n');
+
+    const deviationRows = listDeviations(structuredData).map(deviation => `
+        <tr>
+            <td class="date-cell">${deviation.日付}</td>
+            <td>${deviation.機器}</td>
+            <td class="reading-cell reading-deviation">${deviation.温度}℃</td>
+            <td>${deviation.基準}</td>
+            <td><span class="status-badge status-bad">${deviation.判定}</span></td>
+            <td class="comment-cell">${deviation.備考 ? escapeHtml(deviation.備考) : '--'}</td>
+        </tr>`).join('\n');
+
+    const lowConfidenceCount = findLowConfidenceFields(structuredData, confidenceThreshold).length;
+
+    return `
+<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>温度記録レポート - ${structuredData.metadata.location}</title>
+    <style>
+        ${getReportStyles('temperature')}
+
+        :root {
+            --deviation-color: ${summary.deviations === 0 ? '#27ae60' : '#e74c3c'};
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="header">
+            <h1>温度記録レポート</h1>
+            <div class="subtitle">${structuredData.metadata.location} | ${structuredData.metadata.yearMonth} | ${layoutLabel(structuredData.metadata.layout)}シート</div>
+        </header>
+
+        <div class="summary-cards">
+            <div class="summary-card deviations">
+                <div class="card-header">
+                    <div class="card-icon">🌡️</div>
+                    <div class="card-title">逸脱件数</div>
+                </div>
+                <div class="card-value">${summary.deviations}</div>
+                <div class="card-description">${summary.deviationDays}/${summary.recordedDays}日で基準外の温度</div>
+            </div>
+
+            <div class="summary-card comments">
+                <div class="card-header">
+                    <div class="card-icon">📝</div>
+                    <div class="card-title">記録数</div>
+                </div>
+                <div class="card-value">${summary.readings}</div>
+                <div class="card-description">${summary.recordedDays}日分・判読不可 ${summary.unreadableReadings}件</div>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-header">
+                <h3>📋 提出情報</h3>
+            </div>
+            <div class="section-content">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px;">
+                    <div><strong>提出日時:</strong> ${fileNameParts.submissionDate}</div>
+                    <div><strong>提出者:</strong> ${fileNameParts.senderEmail}</div>
+                    <div><strong>ファイル名:</strong> ${fileNameParts.originalFileName}</div>
+                    <div><strong>店舗名:</strong> ${structuredData.metadata.location}</div>
+                </div>
+            </div>
+        </div>
+
+        <div class="section">
+            <div class="section-header">
+                <h3>📅 日次温度記録</h3>
+            </div>
+            <div class="section-content">
+                ${lowConfidenceCount > 0 ? `
+                <div class="low-confidence-note">
+                    ⚠️ 読み取り信頼度が${Math.round(confidenceThreshold * 100)}%未満の値が${lowConfidenceCount}件あります。枠で囲まれた値は原本で確認してください。
+                </div>
+                ` : ''}
+                <table style="margin-top: 25px;">
+                    <thead>
+                        <tr>
+                            <th>日付</th>
+                            ${equipment.map(item => `<th>${item.equipmentName}${formatThreshold(item) ? `<span class="threshold-label">${formatThreshold(item)}</span>` : ''}</th>`).join('\n                            ')}
+                            <th>備考</th>
+                            <th>確認者</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tableRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        ${deviationRows ? `
+        <div class="section">
+            <div class="section-header">
+                <h3>🚨 逸脱一覧</h3>
+                <div class="section-description">
+                    基準を外れた温度と、その日の備考です
+                </div>
+            </div>
+            <div class="section-content">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>日付</th>
+                            <th>機器</th>
+                            <th>温度</th>
+                            <th>基準</th>
+                            <th>判定</th>
+                            <th>備考</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${deviationRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        ` : ''}
+
+        <footer class="footer">
+            <div>このレポートは <strong>HygienMaster システム</strong> により自動生成されました</div>
+            <div class="timestamp">生成日時: ${new Date().toLocaleString('ja-JP')}</div>
+        </footer>
+    </div>
+
+    <script>
+        ${getReportScripts()}
+    </script>
+</body>
+</html>`;
+}
+
+// Report column of each value, for pointing at values read with low confidence
+function confidenceColumns(structuredData) {
+    const columns = Object.fromEntries(structuredData.equipment.map(item => [readingField(item.equipmentNumber), item.equipmentName]));
+    return field => ({ day: '日付', comment: '備考', approver: '確認者', ...columns })[field];
+}
+
+function parseFileName(fileName, context) {
+    logMessage(`🔍 Parsing filename: ${fileName}`, context);
+
+    try {
+        let submissionTime = '';
+        let senderEmail = '';
+        let originalFileName = fileName;
+
+        const emailMatch = fileName.match(/\(([^)]*@[^)]*)\)/);
+        if (emailMatch) {
+            senderEmail = emailMatch[1];
+            const emailEndIndex = fileName.indexOf(emailMatch[0]) + emailMatch[0].length;
+            originalFileName = fileName.substring(emailEndIndex).replace(/^\W+/, '').trim();
+        }
+
+        const timeMatch = fileName.match(/^([^(]+)/);
+        if (timeMatch) {
+            submissionTime = timeMatch[1];
+            if (submissionTime.includes('T')) {
+                const cleanTime = submissionTime.replace(/[^\d]/g, '');
+                if (cleanTime.length >= 8) {
+                    const isoString = `${cleanTime.substring(0, 4)}-${cleanTime.substring(4, 6)}-${cleanTime.substring(6, 8)}T${cleanTime.substring(8, 10) || '00'}:${cleanTime.substring(10, 12) || '00'}:00`;
+                    const date = new Date(isoString);
+                    if (!isNaN(date.getTime())) {
+                        submissionTime = date.toLocaleDateString('ja-JP', {
+                            year: 'numeric',
+                            month: '2-digit',
+                            day: '2-digit',
+                            hour: '2-digit',
+                            minute: '2-digit'
+                        });
+                    }
+                }
+            }
+        }
+
+        return {
+            submissionDate: submissionTime || 'Unknown',
+            senderEmail: senderEmail || 'Unknown',
+            originalFileName: originalFileName || fileName
+        };
+
+    } catch (error) {
+        logMessage(`❌ Filename parsing error: ${error.message}`, context);
+        return {
+            submissionDate: 'Unknown',
+            senderEmail: 'Unknown',
+            originalFileName: fileName
+        };
+    }
+}
+
+module.exports = {
+    prepareTemperatureLogReport
+};
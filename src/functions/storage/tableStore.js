@@ -0,0 +1,230 @@
+if (!process.env.WEBSITE_SITE_NAME) {
+  require('dotenv').config();
+}
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TableClient, odata } = require('@azure/data-tables');
+
+/**
+ * Minimal key/value record store used for pipeline bookkeeping.
+ *
+ * Backed by Azure Table Storage (same storage account as the blobs). When
+ * LOCAL_TABLE_STORE_DIR is set, records are kept in one JSON file per table
+ * instead, so the functions can run on a developer machine without Azurite.
+ *
+ * Records are plain objects with `partitionKey` and `rowKey`. Object and array
+ * properties are stored as JSON strings and restored on read; only scalar
+ * properties can be used in `list()` filters.
+ *
+ * `getVersioned()` and `replace()` give optimistic concurrency: `replace()`
+ * only writes when the record is still as it was read, and throws
+ * RecordChangedError otherwise.
+ */
+
+const JSON_COLUMNS = '_jsonColumns';
+const stores = new Map();
+
+class RecordChangedError extends Error {
+  constructor(partitionKey, rowKey) {
+    super(`${partitionKey}/${rowKey} was changed or removed after it was read`);
+    this.name = 'RecordChangedError';
+  }
+}
+
+function getTableStore(tableName) {
+  if (!stores.has(tableName)) {
+    const localDir = process.env.LOCAL_TABLE_STORE_DIR;
+    stores.set(tableName, localDir
+      ? createLocalFileStore(tableName, localDir)
+      : createAzureTableStore(tableName));
+  }
+  return stores.get(tableName);
+}
+
+function serializeRecord(record) {
+  const entity = {};
+  const jsonColumns = [];
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined) continue;
+    if (value !== null && typeof value === 'object') {
+      entity[key] = JSON.stringify(value);
+      jsonColumns.push(key);
+    } else {
+      entity[key] = value;
+    }
+  }
+  if (jsonColumns.length > 0) {
+    entity[JSON_COLUMNS] = jsonColumns.join(',');
+  }
+  return entity;
+}
+
+function deserializeEntity(entity) {
+  if (!entity) return null;
+  const jsonColumns = entity[JSON_COLUMNS] ? entity[JSON_COLUMNS].split(',') : [];
+  const record = {};
+  for (const [key, value] of Object.entries(entity)) {
+    if (key === JSON_COLUMNS || key === 'etag' || key === 'timestamp' || key === 'odata.metadata') continue;
+    record[key] = jsonColumns.includes(key) ? JSON.parse(value) : value;
+  }
+  return record;
+}
+
+function matchesFilter(record, filter) {
+  return Object.entries(filter || {}).every(([key, value]) => value === undefined || record[key] === value);
+}
+
+function createAzureTableStore(tableName) {
+  let clientPromise = null;
+
+  // Table names are created lazily on first use so a fresh storage account works out of the box
+  function getClient() {
+    if (!clientPromise) {
+      const client = TableClient.fromConnectionString(process.env['hygienemasterstorage_STORAGE'], tableName);
+      clientPromise = client.createTable()
+        .catch(error => {
+          if (error.statusCode !== 409) throw error;
+        })
+        .then(() => client)
+        .catch(error => {
+          clientPromise = null;
+          throw error;
+        });
+    }
+    return clientPromise;
+  }
+
+  return {
+    async upsert(record) {
+      const client = await getClient();
+      await client.upsertEntity(serializeRecord(record), 'Replace');
+      return record;
+    },
+
+    async get(partitionKey, rowKey) {
+      const client = await getClient();
+      try {
+        return deserializeEntity(await client.getEntity(partitionKey, rowKey));
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async getVersioned(partitionKey, rowKey) {
+      const client = await getClient();
+      try {
+        const entity = await client.getEntity(partitionKey, rowKey);
+        return { record: deserializeEntity(entity), etag: entity.etag };
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async replace(record, etag) {
+      const client = await getClient();
+      try {
+        await client.updateEntity(serializeRecord(record), 'Replace', { etag });
+      } catch (error) {
+        if (error.statusCode === 412 || error.statusCode === 404) throw new RecordChangedError(record.partitionKey, record.rowKey);
+        throw error;
+      }
+      return record;
+    },
+
+    async list({ partitionKey, filter } = {}) {
+      const client = await getClient();
+      const clauses = [];
+      if (partitionKey !== undefined) {
+        clauses.push(odata`PartitionKey eq ${partitionKey}`);
+      }
+      for (const [key, value] of Object.entries(filter || {})) {
+        if (value === undefined) continue;
+        // Column names come from code, never from request input; only the value needs escaping
+        clauses.push(`${key} ${odata`eq ${value}`}`);
+      }
+
+      const records = [];
+      const query = clauses.length > 0 ? { queryOptions: { filter: clauses.join(' and ') } } : undefined;
+      for await (const entity of client.listEntities(query)) {
+        records.push(deserializeEntity(entity));
+      }
+      return records;
+    },
+
+    async remove(partitionKey, rowKey) {
+      const client = await getClient();
+      try {
+        await client.deleteEntity(partitionKey, rowKey);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+    }
+  };
+}
+
+function createLocalFileStore(tableName, directory) {
+  const filePath = path.join(directory, `${tableName}.json`);
+
+  function load() {
+    if (!fs.existsSync(filePath)) return {};
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  function save(rows) {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(rows, null, 2), 'utf8');
+  }
+
+  const keyOf = (partitionKey, rowKey) => `${partitionKey}\u0000${rowKey}`;
+  // The stored content stands in for Azure's etag
+  const etagOf = row => crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex');
+
+  return {
+    async upsert(record) {
+      const rows = load();
+      rows[keyOf(record.partitionKey, record.rowKey)] = serializeRecord(record);
+      save(rows);
+      return record;
+    },
+
+    async get(partitionKey, rowKey) {
+      return deserializeEntity(load()[keyOf(partitionKey, rowKey)]);
+    },
+
+    async getVersioned(partitionKey, rowKey) {
+      const row = load()[keyOf(partitionKey, rowKey)];
+      return row ? { record: deserializeEntity(row), etag: etagOf(row) } : null;
+    },
+
+    async replace(record, etag) {
+      const rows = load();
+      const key = keyOf(record.partitionKey, record.rowKey);
+      if (!rows[key] || etagOf(rows[key]) !== etag) throw new RecordChangedError(record.partitionKey, record.rowKey);
+      rows[key] = serializeRecord(record);
+      save(rows);
+      return record;
+    },
+
+    async list({ partitionKey, filter } = {}) {
+      return Object.values(load())
+        .map(deserializeEntity)
+        .filter(record => partitionKey === undefined || record.partitionKey === partitionKey)
+        .filter(record => matchesFilter(record, filter));
+    },
+
+    async remove(partitionKey, rowKey) {
+      const rows = load();
+      delete rows[keyOf(partitionKey, rowKey)];
+      save(rows);
+    }
+  };
+}
+
+module.exports = {
+  RecordChangedError,
+  getTableStore
+};
@@ -0,0 +1,269 @@
+const { createHash } = require('crypto');
+const { logMessage } = require('../utils');
+const { getTableStore } = require('../storage/tableStore');
+
+/**
+ * Corrective actions (改善措置) for check items marked 否.
+ *
+ * Every 否 on a schema-driven sheet (Cat{n}Status on 一般管理, Menu{n}Status on
+ * 重要管理) opens one record in the corrective action table
+ * (CORRECTIVE_ACTION_TABLE, default "correctiveActions"), keyed by company,
+ * store, day and check item, so the same 否 sent twice (a resubmitted photo, a
+ * reprocessed file, an approved review) stays one record and keeps its history.
+ * The day's comment is attached as the first note.
+ *
+ * A manager records the action taken and closes the record through the
+ * /manage/corrective-actions routes (see CorrectiveActions.js). When a reviewer
+ * corrects a 否 that opened a record to another value, the record is withdrawn.
+ *
+ * Record shape:
+ * {
+ *   actionId,
+ *   companyName, storeKey,                  // storeKey: store id, or the location as read when unresolved
+ *   location, storeId,
+ *   yearMonth: "2025-05", day: 11, date: "2025-05-11",
+ *   formTypeId: "general", field: "Cat3Status", itemNumber: 3, itemName: "3 交差汚染・二次汚染の防止",
+ *   submissionId, pages,                    // the latest sheet that reported the 否
+ *   state: "open" | "closed" | "withdrawn",
+ *   notes: [{ at, by, type: "comment" | "action" | "close" | "withdraw", text }],
+ *   actionTaken,                            // text of the latest "action" note
+ *   openedAt, closedAt, closedBy
+ * }
+ */
+
+const CORRECTIVE_ACTION_TABLE = process.env.CORRECTIVE_ACTION_TABLE || 'correctiveActions';
+const CORRECTIVE_ACTION_PARTITION = 'correctiveAction';
+const STATES = ['open', 'closed', 'withdrawn'];
+
+class CorrectiveActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CorrectiveActionError';
+  }
+}
+
+function getCorrectiveActionStore() {
+  return getTableStore(CORRECTIVE_ACTION_TABLE);
+}
+
+function getStoreKey(metadata) {
+  return metadata.storeId || metadata.location;
+}
+
+function getActionId({ companyName, storeKey, yearMonth, day, field }) {
+  return createHash('sha256').update([companyName, storeKey, yearMonth, day, field].join('\n')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Check items marked 否 on a sheet, in day order. Only form types with a schema
+ * have 良/否 check items; other sheets have none.
+ *
+ * @returns {Array<{ day, date, field, itemNumber, itemName, comment }>}
+ */
+function findNgResults(formType, structuredData) {
+  const schema = formType?.schemas?.[structuredData.metadata.layout || 'weekly'];
+  const statusField = schema?.recordFields.find(recordField => recordField.type === 'statusPair' && recordField.property.includes('{item}'));
+  if (!statusField) return [];
+
+  const items = structuredData[schema.items.property] || [];
+  return structuredData.dailyRecords
+    .filter(record => record.day > 0)
+    .flatMap(record => items
+      .map(item => ({ item, field: statusField.property.replace('{item}', item[schema.items.numberProperty]) }))
+      .filter(({ field }) => record[field] === '否')
+      .map(({ item, field }) => ({
+        day: record.day,
+        date: record.date,
+        field,
+        itemNumber: item[schema.items.numberProperty],
+        itemName: item[schema.items.nameProperty],
+        comment: record.comment && record.comment !== 'not found' ? record.comment : null
+      })));
+}
+
+/**
+ * Opens a corrective action for every 否 on a sheet and withdraws the ones this
+ * sheet opened whose 否 is gone. Failures are logged and never interrupt processing.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} sheet - { submissionId, pages, companyName, formType, structuredData }
+ * @returns {Promise<Array<Object>>} the store's corrective actions for the sheet's form type
+ *   and month (see listCorrectiveActions), for the reports; empty when they could not be read
+ */
+async function openCorrectiveActions(context, { submissionId, pages = null, companyName, formType, structuredData }) {
+  const { metadata } = structuredData;
+  const storeKey = getStoreKey(metadata);
+  try {
+    const store = getCorrectiveActionStore();
+    const at = new Date().toISOString();
+    const results = findNgResults(formType, structuredData);
+
+    const actionIds = [];
+    for (const result of results) {
+      const actionId = getActionId({ companyName, storeKey, yearMonth: metadata.yearMonth, day: result.day, field: result.field });
+      actionIds.push(actionId);
+      const existing = await store.get(CORRECTIVE_ACTION_PARTITION, actionId);
+      if (existing && existing.state !== 'withdrawn') {
+        // The latest sheet reporting the 否 owns the record, so correcting that sheet on review withdraws it
+        if (existing.state === 'open' && (existing.submissionId !== submissionId || (existing.pages || null) !== pages)) {
+          await store.upsert({ ...existing, submissionId, pages });
+        }
+        continue;
+      }
+
+      await store.upsert({
+        ...(existing || {
+          actionId,
+          openedAt: at,
+          notes: result.comment ? [{ at, by: null, type: 'comment', text: result.comment }] : []
+        }),
+        partitionKey: CORRECTIVE_ACTION_PARTITION,
+        rowKey: actionId,
+        companyName,
+        storeKey,
+        location: metadata.location,
+        storeId: metadata.storeId || null,
+        yearMonth: metadata.yearMonth,
+        day: result.day,
+        date: result.date,
+        formTypeId: formType.id,
+        field: result.field,
+        itemNumber: result.itemNumber,
+        itemName: result.itemName,
+        submissionId,
+        pages,
+        state: 'open'
+      });
+      logMessage(`🛠️ Corrective action opened: ${metadata.location} ${result.date || result.day} ${result.field}`, context);
+    }
+
+    // A 否 this sheet reported earlier and a reviewer has since corrected
+    const opened = await store.list({ partitionKey: CORRECTIVE_ACTION_PARTITION, filter: { submissionId, state: 'open' } });
+    for (const action of opened.filter(item => (item.pages || null) === pages && !actionIds.includes(item.actionId))) {
+      await store.upsert({
+        ...action,
+        state: 'withdrawn',
+        notes: [...(action.notes || []), { at, by: null, type: 'withdraw', text: '否 was corrected on review' }]
+      });
+      logMessage(`🛠️ Corrective action withdrawn: ${action.location} ${action.date || action.day} ${action.field}`, context);
+    }
+
+    return await listCorrectiveActions({ company: companyName, store: storeKey, month: metadata.yearMonth, formTypeId: formType.id });
+  } catch (error) {
+    logMessage(`⚠️ Failed to open corrective actions for ${submissionId}${pages ? ` (pages ${pages})` : ''}: ${error.message}`, context);
+    return [];
+  }
+}
+
+function toPublicRecord(record) {
+  const { partitionKey, rowKey, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Corrective actions, oldest day first. Withdrawn records are only listed when asked for by state.
+ *
+ * @param {Object} [filter] - { company, store (store id or location), month ("2025-05"), state, formTypeId }
+ */
+async function listCorrectiveActions({ company, store, month, state, formTypeId } = {}) {
+  const records = await getCorrectiveActionStore().list({
+    partitionKey: CORRECTIVE_ACTION_PARTITION,
+    filter: { companyName: company, storeKey: store, yearMonth: month, state, formTypeId }
+  });
+  return records
+    .map(toPublicRecord)
+    .filter(record => state || record.state !== 'withdrawn')
+    .sort((a, b) => `${a.yearMonth}-${String(a.day).padStart(2, '0')}`.localeCompare(`${b.yearMonth}-${String(b.day).padStart(2, '0')}`)
+      || a.field.localeCompare(b.field, undefined, { numeric: true }));
+}
+
+/**
+ * Open and closed counts of a list of corrective actions.
+ */
+function countCorrectiveActions(actions) {
+  return {
+    open: actions.filter(action => action.state === 'open').length,
+    closed: actions.filter(action => action.state === 'closed').length
+  };
+}
+
+async function getCorrectiveAction(actionId) {
+  const record = await getCorrectiveActionStore().get(CORRECTIVE_ACTION_PARTITION, actionId);
+  return record ? toPublicRecord(record) : null;
+}
+
+async function updateOpenAction(actionId, update) {
+  const store = getCorrectiveActionStore();
+  const record = await store.get(CORRECTIVE_ACTION_PARTITION, actionId);
+  if (!record) return null;
+  if (record.state !== 'open') throw new CorrectiveActionError(`The corrective action is ${record.state}`);
+
+  const updated = update(record);
+  await store.upsert(updated);
+  return toPublicRecord(updated);
+}
+
+/**
+ * Records what was done about a 否; can be called several times before closing.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} request - { actionId, by, action: "まな板を色分けし、担当者に再指導" }
+ * @throws {CorrectiveActionError} when by or action is missing, or the record is not open
+ * @returns {Promise<Object|null>} the updated record, or null when the action ID is unknown
+ */
+async function recordActionTaken(context, { actionId, by, action }) {
+  if (!by) throw new CorrectiveActionError('Specify "by"');
+  if (typeof action !== 'string' || !action.trim()) throw new CorrectiveActionError('Specify "action" as the action taken');
+
+  const at = new Date().toISOString();
+  const result = await updateOpenAction(actionId, record => ({
+    ...record,
+    actionTaken: action.trim(),
+    notes: [...(record.notes || []), { at, by, type: 'action', text: action.trim() }]
+  }));
+  if (result) logMessage(`🛠️ ${by} recorded an action on ${actionId}`, context);
+  return result;
+}
+
+/**
+ * Closes a corrective action. An action taken must have been recorded, or be given here.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} request - { actionId, by, action? }
+ * @throws {CorrectiveActionError} when by is missing, no action was recorded or the record is not open
+ * @returns {Promise<Object|null>} the closed record, or null when the action ID is unknown
+ */
+async function closeCorrectiveAction(context, { actionId, by, action }) {
+  if (!by) throw new CorrectiveActionError('Specify "by"');
+  if (action !== undefined && (typeof action !== 'string' || !action.trim())) {
+    throw new CorrectiveActionError('"action" must be the action taken');
+  }
+
+  const at = new Date().toISOString();
+  const result = await updateOpenAction(actionId, record => {
+    const actionTaken = action?.trim() || record.actionTaken;
+    if (!actionTaken) throw new CorrectiveActionError('Record the action taken before closing');
+    return {
+      ...record,
+      state: 'closed',
+      actionTaken,
+      closedAt: at,
+      closedBy: by,
+      notes: [...(record.notes || []), { at, by, type: 'close', text: action?.trim() || null }]
+    };
+  });
+  if (result) logMessage(`✅ ${by} closed corrective action ${actionId}`, context);
+  return result;
+}
+
+module.exports = {
+  STATES,
+  CorrectiveActionError,
+  findNgResults,
+  openCorrectiveActions,
+  listCorrectiveActions,
+  countCorrectiveActions,
+  getCorrectiveAction,
+  recordActionTaken,
+  closeCorrectiveAction
+};
@@ -0,0 +1,73 @@
+const { createHash } = require('crypto');
+const { logMessage } = require('../utils');
+const { getTableStore } = require('../storage/tableStore');
+const { getSubmission } = require('./ledger');
+
+/**
+ * Content-hash deduplication for attachments.
+ *
+ * Each (company, SHA-256 of the file) pair is claimed by the first submission
+ * that carries it. A later submission with the same content is a duplicate
+ * unless the claiming submission failed or has been stuck for too long, in
+ * which case the new submission takes the claim over.
+ */
+
+const DEDUP_TABLE = process.env.DEDUP_TABLE || 'contenthashes';
+const STALE_CLAIM_MINUTES = parseInt(process.env.DEDUP_STALE_CLAIM_MINUTES || '', 10) || 30;
+
+// Ledger states that mean the original never produced a usable result
+const UNSUCCESSFUL_STATES = ['failed', 'extraction-error', 'extraction-timeout', 'no-text-detected', 'rejected'];
+
+function computeContentHash(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function isClaimStillValid(original) {
+  if (!original) return false;
+  if (UNSUCCESSFUL_STATES.includes(original.state)) return false;
+  if (original.isFinal) return true;
+
+  // Still in flight: honour the claim unless it has not moved for a while
+  const lastUpdate = Date.parse(original.updatedAt || '');
+  return !isNaN(lastUpdate) && Date.now() - lastUpdate < STALE_CLAIM_MINUTES * 60 * 1000;
+}
+
+/**
+ * Looks up the content hash and claims it for `submissionId` when nobody holds
+ * a valid claim. Lookup failures are logged and treated as "not a duplicate"
+ * so dedup problems never block processing.
+ *
+ * @returns {Promise<{ isDuplicate: boolean, original?: Object }>}
+ *   original is the ledger record of the submission that already holds the content
+ */
+async function checkAndClaimContent(context, { companyName, contentHash, submissionId, force = false }) {
+  try {
+    const store = getTableStore(DEDUP_TABLE);
+    const existing = await store.get(companyName, contentHash);
+
+    if (existing && existing.submissionId !== submissionId && !force) {
+      const original = await getSubmission(existing.submissionId);
+      if (isClaimStillValid(original)) {
+        logMessage(`♻️ Duplicate content: ${contentHash.slice(0, 12)}… already submitted as ${existing.submissionId} (${original.state})`, context);
+        return { isDuplicate: true, original };
+      }
+      logMessage(`🔓 Taking over content claim from ${existing.submissionId} (${original?.state || 'missing'})`, context);
+    }
+
+    await store.upsert({
+      partitionKey: companyName,
+      rowKey: contentHash,
+      submissionId,
+      claimedAt: new Date().toISOString()
+    });
+    return { isDuplicate: false };
+  } catch (error) {
+    logMessage(`⚠️ Dedup lookup failed, processing anyway: ${error.message}`, context);
+    return { isDuplicate: false };
+  }
+}
+
+module.exports = {
+  computeContentHash,
+  checkAndClaimContent
+};
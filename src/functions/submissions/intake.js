@@ -0,0 +1,144 @@
+const { logMessage } = require('../utils');
+const { CONTAINER_EXTENSIONS } = require('../archives');
+const { resolveCustomer } = require('../customers');
+
+/**
+ * Naming contract for blobs landing in the incoming-emails container.
+ *
+ * Every attachment is stored as `{timestamp}({senderEmail}){fileName}` so the
+ * blob trigger can recover who sent it and when without a separate lookup.
+ * Both the email relay and the HTTP upload route write blobs in this format,
+ * and so does unpacking (see unpack.js): files found in a ZIP, .eml or .msg
+ * keep the timestamp and sender of the attachment they came from.
+ */
+
+const INCOMING_CONTAINER = 'incoming-emails';
+
+const supportedExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.heic'];
+// ZIP archives and forwarded emails are unpacked and their files re-submitted one by one
+const containerExtensions = CONTAINER_EXTENSIONS;
+
+const INVALID_ATTACHED_FILE_NAME = 'invalid-filename';
+const UNSUPPORTED_FILE_TYPE = 'invalid-file-type';
+
+/**
+ * Customer the sender belongs to (see ../customers), or null for an unknown sender.
+ */
+function getCustomerID(senderEmail) {
+  return resolveCustomer(senderEmail);
+}
+
+function getExtension(fileName) {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex >= 0 ? fileName.slice(dotIndex).toLowerCase() : '';
+}
+
+function parseBlobName(blobName, context) {
+  logMessage(`🔍 Parsing blob name: ${blobName}.. Progressing...`, context);
+  const regex = /^(.+?)\((.+?)\)(.+)$/;
+  const match = blobName.match(regex);
+
+  if (!match) {
+    logMessage(`❌ Invalid blob name format: ${blobName}`, context);
+    return { isValid: false, reason: INVALID_ATTACHED_FILE_NAME };
+  }
+
+  const timestamp = match[1];
+  const senderEmail = match[2];
+  const fileNameWithExt = match[3];
+  const extension = getExtension(fileNameWithExt);
+  const customer = getCustomerID(senderEmail);
+  const companyName = customer ? customer.id : null;
+
+  logMessage(`🧩 Parsed values → timestamp: ${timestamp}, senderEmail: ${senderEmail}, fileName: ${fileNameWithExt}, extension: ${extension}, companyName: ${companyName}`, context);
+
+  if (containerExtensions.includes(extension)) {
+    return {
+      isValid: true,
+      isContainer: true,
+      timestamp,
+      senderEmail,
+      fileName: fileNameWithExt,
+      extension,
+      companyName,
+      customer
+    };
+  }
+
+  if (!supportedExtensions.includes(extension)) {
+    logMessage(`❌ Unsupported file type: ${extension}`, context);
+    return {
+      isValid: false,
+      reason: UNSUPPORTED_FILE_TYPE,
+      timestamp,
+      senderEmail,
+      fileName: fileNameWithExt,
+      extension,
+      companyName,
+      customer
+    };
+  }
+
+  return {
+    isValid: true,
+    timestamp,
+    senderEmail,
+    fileName: fileNameWithExt,
+    extension,
+    companyName,
+    customer
+  };
+}
+
+/**
+ * Builds a blob name that parseBlobName() can read back.
+ * Path separators are replaced so the file never lands in a virtual sub-folder.
+ */
+function buildBlobName(timestamp, senderEmail, fileName) {
+  const safeFileName = fileName.replace(/[\\/]/g, '_').trim();
+  return `${timestamp}(${senderEmail})${safeFileName}`;
+}
+
+/**
+ * Blob metadata values must be ASCII, so everything is URI-encoded on the way
+ * in and decoded when the trigger reads it back.
+ */
+function encodeBlobMetadata(metadata) {
+  const encoded = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null || value === '') continue;
+    encoded[key.toLowerCase()] = encodeURIComponent(String(value));
+  }
+  return encoded;
+}
+
+/**
+ * Reads the metadata of the blob that fired the trigger. Keys are lower-cased
+ * by the storage service, so lookups should use lower-case names.
+ */
+function readBlobMetadata(context) {
+  const raw = context?.triggerMetadata?.metadata || {};
+  const decoded = {};
+  for (const [key, value] of Object.entries(raw)) {
+    try {
+      decoded[key.toLowerCase()] = decodeURIComponent(String(value));
+    } catch {
+      decoded[key.toLowerCase()] = String(value);
+    }
+  }
+  return decoded;
+}
+
+module.exports = {
+  INCOMING_CONTAINER,
+  supportedExtensions,
+  containerExtensions,
+  INVALID_ATTACHED_FILE_NAME,
+  UNSUPPORTED_FILE_TYPE,
+  getCustomerID,
+  getExtension,
+  parseBlobName,
+  buildBlobName,
+  encodeBlobMetadata,
+  readBlobMetadata
+};
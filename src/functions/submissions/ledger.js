@@ -0,0 +1,151 @@
+const { createHash } = require('crypto');
+const { logMessage } = require('../utils');
+const { getTableStore } = require('../storage/tableStore');
+
+/**
+ * Processing ledger: one record per submission describing what the pipeline
+ * did with it (detected title, extraction summary, SharePoint output and the
+ * final blob location). Backs the GET /submissions status routes.
+ *
+ * Record shape:
+ * {
+ *   submissionId: "9c1ab500-...",          // upload ID, or a hash of the blob name for email submissions
+ *   blobName: "2025-05-10T03:21:45.123Z(store@example.co.jp)sheet.jpg",
+ *   source: "email" | "http-upload" | "reprocess" | "archive",
+ *   parentSubmissionId,                    // archive: the .zip/.eml/.msg submission the file came from
+ *   senderEmail,
+ *   companyName, customerName,             // customer id (folder name) and display name from the customer registry
+ *   receivedAt: "2025-05-10T03:21:45.123Z",
+ *   receivedMonth: "2025-05",              // used by the company/month listing
+ *   state: "received" | "processing" | "requeued" | "processed" | "general-extraction"
+ *        | "extraction-error" | "extraction-timeout" | "no-text-detected" | "unpacked" | "quarantined"
+ *        | "rejected" | "duplicate" | "failed",
+ *   detectedTitle, extraction: { location, storeId, storeMatch, rawLocation, yearMonth, layout, yearInferred, dailyRecords, ... },
+ *   needsReview, reviewReasons: ["unresolved-store", "unreadable-status", "unreadable-reading", "unreadable-check", "date-issues", "low-confidence"],  // something in the extracted data should be checked by a person
+ *   lowConfidenceFields: [{ day, field, confidence }],  // values below the confidence threshold (day null for header fields);
+ *   lowConfidenceCount,                    //   the first 20 only, the review table has them all
+ *   reviewState: "corrected" | "approved", review: { approvedBy, approvedAt, corrections },  // see review.js
+ *   manifest: { path, accepted: [{ path, submissionId }], rejected: [{ path, reason }] },  // unpacked containers
+ *   sheets: [{ pages: "2-3", detectedTitle, state, extraction, lowConfidenceFields, lowConfidenceCount, sharePoint, error }],  // files holding several sheets
+ *   sharePoint: { folderPath, files: [...] },
+ *   finalLocation: { container, path },
+ *   quarantineApproval: { reason, company, approvedBy, approvedAt },  // released from quarantine by an operator
+ *   contentHash, duplicateOf,              // duplicates link to the submission that already holds the content
+ *   preprocessing: ["exif-orientation:6", "perspective", "contrast"],  // photo corrections applied before analysis
+ *   error, history: [{ state, at }], updatedAt  // the latest 50 state changes
+ * }
+ *
+ * A table entity holds at most 1 MB and a property about 32K characters, so
+ * lists that grow with the sheet or with every retry are capped.
+ */
+
+const LEDGER_TABLE = process.env.SUBMISSION_LEDGER_TABLE || 'submissions';
+const LEDGER_PARTITION = 'submission';
+
+const MAX_LOW_CONFIDENCE_FIELDS = 20;
+const MAX_HISTORY_ENTRIES = 50;
+
+// States after which the pipeline has finished with the blob
+const FINAL_STATES = ['processed', 'general-extraction', 'extraction-error', 'extraction-timeout', 'no-text-detected', 'unpacked', 'quarantined', 'rejected', 'duplicate', 'failed'];
+
+function getLedgerStore() {
+  return getTableStore(LEDGER_TABLE);
+}
+
+/**
+ * Resolves the submission ID for a blob: uploads carry one in the blob
+ * metadata, email submissions get a stable ID derived from the blob name so
+ * trigger retries update the same record.
+ */
+function getSubmissionId(blobName, blobMetadata = {}) {
+  if (blobMetadata.submissionid) return blobMetadata.submissionid;
+  return createHash('sha256').update(blobName).digest('hex').slice(0, 32);
+}
+
+/**
+ * Turns the timestamp part of the blob name into an ISO string when possible.
+ */
+function toReceivedAt(timestamp) {
+  const parsed = timestamp ? new Date(timestamp) : null;
+  if (parsed && !isNaN(parsed.getTime())) return parsed.toISOString();
+  return new Date().toISOString();
+}
+
+function capLowConfidenceFields(entry) {
+  if (!Array.isArray(entry.lowConfidenceFields)) return entry;
+  return {
+    ...entry,
+    lowConfidenceFields: entry.lowConfidenceFields.slice(0, MAX_LOW_CONFIDENCE_FIELDS),
+    lowConfidenceCount: entry.lowConfidenceFields.length
+  };
+}
+
+/**
+ * Merges `update` into the submission record and appends a history entry when
+ * the state changes. Ledger failures are logged and never interrupt processing.
+ */
+async function recordSubmissionEvent(context, submissionId, update) {
+  if (!submissionId) return null;
+
+  try {
+    const store = getLedgerStore();
+    const existing = await store.get(LEDGER_PARTITION, submissionId);
+    const now = new Date().toISOString();
+
+    const record = {
+      ...(existing || { submissionId, history: [] }),
+      ...capLowConfidenceFields(update),
+      partitionKey: LEDGER_PARTITION,
+      rowKey: submissionId,
+      updatedAt: now
+    };
+
+    if (!record.receivedAt) {
+      record.receivedAt = now;
+    }
+    record.receivedMonth = record.receivedAt.slice(0, 7);
+
+    if (Array.isArray(update.sheets)) {
+      record.sheets = update.sheets.map(capLowConfidenceFields);
+    }
+    if (update.state && update.state !== existing?.state) {
+      record.history = [...(record.history || []), { state: update.state, at: now }].slice(-MAX_HISTORY_ENTRIES);
+    }
+
+    await store.upsert(record);
+    logMessage(`📒 Ledger updated: ${submissionId} → ${record.state}`, context);
+    return record;
+  } catch (error) {
+    logMessage(`⚠️ Failed to update submission ledger for ${submissionId}: ${error.message}`, context);
+    return null;
+  }
+}
+
+async function getSubmission(submissionId) {
+  const record = await getLedgerStore().get(LEDGER_PARTITION, submissionId);
+  return record ? toPublicRecord(record) : null;
+}
+
+async function listSubmissions({ company, month, needsReview } = {}) {
+  const records = await getLedgerStore().list({
+    partitionKey: LEDGER_PARTITION,
+    filter: { companyName: company, receivedMonth: month, needsReview }
+  });
+  return records
+    .map(toPublicRecord)
+    .sort((a, b) => (b.receivedAt || '').localeCompare(a.receivedAt || ''));
+}
+
+function toPublicRecord(record) {
+  const { partitionKey, rowKey, ...rest } = record;
+  return { ...rest, isFinal: FINAL_STATES.includes(rest.state) };
+}
+
+module.exports = {
+  FINAL_STATES,
+  getSubmissionId,
+  toReceivedAt,
+  recordSubmissionEvent,
+  getSubmission,
+  listSubmissions
+};
@@ -0,0 +1,224 @@
+const { logMessage } = require('../utils');
+const formTypes = require('../formTypes');
+const { getCustomers } = require('../customers');
+const { toJapanDate } = require('../docIntelligence/sheetDates');
+const { notify } = require('../notifications');
+const { listSubmissions } = require('./ledger');
+const { getReviewSheets } = require('./review');
+
+/**
+ * Missing submissions and missing days.
+ *
+ * The store master says which sheets each store sends and how often: the
+ * customer's `settings.expectedSheets` applies to every store, and a store's own
+ * `expectedSheets` replaces it (`{}` for a store that sends nothing).
+ *
+ *   "expectedSheets": { "general": "week", "temperature": "month" }   // form type id → "week" | "month"
+ *
+ * A week runs Monday to Sunday (Japan time). A store has a gap for a period when
+ * no processed sheet of the form type has a day in it (`missing-submission`),
+ * or when the sheets it sent leave days of the period blank or out
+ * (`missing-days`): days between the first and last day of a sheet that have no
+ * daily record with something written on it.
+ *
+ * Sheets are found through the ledger (processed submissions received since the
+ * period started) and the review table, which keeps the daily records of every
+ * processed sheet. A sheet whose store could not be matched counts for no store
+ * until a reviewer corrects it.
+ *
+ * sendSubmissionReminders() runs on a timer: each period is checked once, the
+ * customer's `settings.reminderGraceDays` (default 3) after it ended, and the
+ * gaps are sent to the customer's `settings.reminderChannels` (see notifications;
+ * only logged when there are none).
+ */
+
+const PERIOD_TYPES = ['week', 'month'];
+const DEFAULT_GRACE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// "2025-05-21" in Japan time
+function japanToday(now = new Date()) {
+  return toJapanDate(now).toISOString().slice(0, 10);
+}
+
+/**
+ * The week (Monday to Sunday) or month containing a date.
+ *
+ * @param {string} type - "week" or "month"
+ * @param {string} date - "2025-05-14"
+ * @returns {{ type, start, end, label }}
+ */
+function getPeriod(type, date) {
+  if (type === 'month') {
+    const [year, month] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const yearMonth = date.slice(0, 7);
+    return { type, start: `${yearMonth}-01`, end: `${yearMonth}-${String(lastDay).padStart(2, '0')}`, label: yearMonth };
+  }
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const start = addDays(date, -((weekday + 6) % 7));
+  const end = addDays(start, 6);
+  return { type, start, end, label: `${start}〜${end}` };
+}
+
+/**
+ * The period of a type whose reminder is due today, or null: reminders go out
+ * the day after the grace days that follow the end of the period.
+ */
+function getDuePeriod(type, today, graceDays = DEFAULT_GRACE_DAYS) {
+  const lastDay = addDays(today, -(graceDays + 1));
+  const period = getPeriod(type, lastDay);
+  return period.end === lastDay ? period : null;
+}
+
+/**
+ * Sheets a store is expected to send: [{ formTypeId, period }].
+ */
+function getExpectedSheets(customer, store) {
+  const expected = store.expectedSheets || customer.settings?.expectedSheets || {};
+  return Object.entries(expected).map(([formTypeId, period]) => ({ formTypeId, period }));
+}
+
+// Months from the period's start to today: sheets for a period arrive during it or after it
+function monthsSince(start, today) {
+  const months = [];
+  for (let month = start.slice(0, 7); month <= today.slice(0, 7); month = addDays(`${month}-28`, 4).slice(0, 7)) {
+    months.push(month);
+  }
+  return months;
+}
+
+async function listProcessedSheets(customer, period, today) {
+  const submissions = [];
+  for (const month of monthsSince(period.start, today)) {
+    submissions.push(...await listSubmissions({ company: customer.id, month }));
+  }
+
+  const sheets = [];
+  for (const submission of submissions.filter(item => item.state === 'processed')) {
+    sheets.push(...await getReviewSheets(submission.submissionId));
+  }
+  return sheets;
+}
+
+// Daily records with a real calendar date
+function datedRecords(sheet) {
+  return (sheet.structuredData?.dailyRecords || []).filter(record => DATE_PATTERN.test(record.date || '')
+    && !record.date.endsWith('-00') && !(record.dateIssues || []).includes('invalid-date'));
+}
+
+/**
+ * Days of a period inside the sheets' date ranges that have nothing written,
+ * up to yesterday.
+ */
+function findMissingDays(sheets, period, today) {
+  const recorded = new Set(sheets.flatMap(sheet => datedRecords(sheet).filter(record => !record.blank).map(record => record.date)));
+  const missing = new Set();
+  for (const sheet of sheets) {
+    const dates = datedRecords(sheet).map(record => record.date).sort();
+    if (dates.length === 0) continue;
+    for (let date = dates[0]; date <= dates[dates.length - 1]; date = addDays(date, 1)) {
+      if (date >= period.start && date <= period.end && date < today && !recorded.has(date)) missing.add(date);
+    }
+  }
+  return [...missing].sort();
+}
+
+/**
+ * Gaps of a customer's stores for one period.
+ *
+ * @param {Object} customer - registry entry (see customers/index.js)
+ * @param {Object} period - getPeriod() result; only expectations of its type are checked
+ * @param {Object} [options] - { today: "2025-05-21" } (Japan time; defaults to now)
+ * @returns {Promise<Array<{ storeId, storeName, formTypeId, title, type: "missing-submission"|"missing-days", missingDays }>>}
+ */
+async function findSubmissionGaps(customer, period, { today = japanToday() } = {}) {
+  const expectations = (customer.stores || []).flatMap(store => getExpectedSheets(customer, store)
+    .filter(expected => expected.period === period.type)
+    .map(expected => ({ store, ...expected })));
+  if (expectations.length === 0) return [];
+
+  const sheets = await listProcessedSheets(customer, period, today);
+  const gaps = [];
+  for (const { store, formTypeId } of expectations) {
+    const storeSheets = sheets.filter(sheet => sheet.formTypeId === formTypeId
+      && sheet.structuredData?.metadata?.storeId === store.id
+      && datedRecords(sheet).some(record => record.date >= period.start && record.date <= period.end));
+    const gap = {
+      storeId: store.id,
+      storeName: store.name,
+      formTypeId,
+      title: formTypes.resolveFormType(formTypeId)?.title || formTypeId
+    };
+
+    if (storeSheets.length === 0) {
+      gaps.push({ ...gap, type: 'missing-submission', missingDays: [] });
+      continue;
+    }
+    const missingDays = findMissingDays(storeSheets, period, today);
+    if (missingDays.length > 0) gaps.push({ ...gap, type: 'missing-days', missingDays });
+  }
+  return gaps;
+}
+
+function formatReminder(customer, period, gaps) {
+  const lines = gaps.map(gap => (gap.type === 'missing-submission'
+    ? `・${gap.storeName} ${gap.title}: 未提出`
+    : `・${gap.storeName} ${gap.title}: 記入漏れ ${gap.missingDays.map(date => `${Number(date.slice(5, 7))}/${Number(date.slice(8))}`).join(', ')}`));
+  return {
+    subject: `提出漏れのお知らせ（${customer.displayName} ${period.label}）`,
+    message: [`${period.label} の衛生管理記録に提出漏れがあります。`, ...lines].join('\n')
+  };
+}
+
+/**
+ * Checks every customer's periods that are due today and sends the gaps as reminders.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} [options] - { now: Date } (defaults to the current time)
+ * A customer that fails is logged and skipped.
+ *
+ * @returns {Promise<Array<{ company, period, gaps, delivery }>>} one entry per checked period
+ */
+async function sendSubmissionReminders(context, { now = new Date() } = {}) {
+  const today = japanToday(now);
+  const results = [];
+
+  for (const customer of getCustomers()) {
+    // One customer's broken settings or data must not hold back the other customers' reminders
+    try {
+      const graceDays = customer.settings?.reminderGraceDays ?? DEFAULT_GRACE_DAYS;
+      const periodTypes = new Set((customer.stores || []).flatMap(store => getExpectedSheets(customer, store).map(expected => expected.period)));
+
+      for (const type of PERIOD_TYPES.filter(periodType => periodTypes.has(periodType))) {
+        const period = getDuePeriod(type, today, graceDays);
+        if (!period) continue;
+
+        const gaps = await findSubmissionGaps(customer, period, { today });
+        logMessage(`📅 ${customer.id} ${period.label}: ${gaps.length} gap(s)`, context);
+        let delivery = [];
+        if (gaps.length > 0) {
+          delivery = await notify(context, customer.settings?.reminderChannels || [], formatReminder(customer, period, gaps));
+        }
+        results.push({ company: customer.id, period, gaps, delivery });
+      }
+    } catch (error) {
+      logMessage(`❌ Failed to check submissions of ${customer.id}: ${error.message}`, context);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  getPeriod,
+  getDuePeriod,
+  getExpectedSheets,
+  findSubmissionGaps,
+  sendSubmissionReminders
+};
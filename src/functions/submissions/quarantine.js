@@ -0,0 +1,156 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { logMessage, moveBlob } = require('../utils');
+const { INCOMING_CONTAINER, encodeBlobMetadata } = require('./intake');
+const { getSubmissionId, recordSubmissionEvent } = require('./ledger');
+const { getCustomer, isSenderBlocked, isSenderAllowed } = require('../customers');
+const { sendNotification } = require('../notifications');
+
+/**
+ * Quarantine for attachments that must not be processed as they are.
+ *
+ * A quarantined blob is moved to the `quarantine` container under a folder
+ * named after the reason (e.g. quarantine/unknown-sender/{blobName}), without
+ * calling Document Intelligence or creating a company folder, and an operator
+ * is notified.
+ *
+ * An operator can approve an item (POST /manage/quarantine/approve): it is moved
+ * back into incoming-emails with `quarantineapproved` metadata, which lets it
+ * past the sender checks so it is processed like any other attachment.
+ */
+
+const QUARANTINE_CONTAINER = 'quarantine';
+const UNKNOWN_SENDER = 'unknown-sender';
+const BLOCKED_SENDER = 'blocked-sender';
+const SENDER_NOT_ALLOWED = 'sender-not-allowed';
+
+function getBlobServiceClient() {
+  return BlobServiceClient.fromConnectionString(process.env['hygienemasterstorage_STORAGE']);
+}
+
+/**
+ * Why an attachment has to wait for an operator, or null when it can be processed.
+ *
+ * @param {Object} parsed - parseBlobName result (with the resolved customer)
+ * @param {Object} blobMetadata - readBlobMetadata result
+ */
+function getQuarantineReason(parsed, blobMetadata) {
+  if (!parsed.senderEmail || blobMetadata.quarantineapproved) return null;
+  if (!parsed.customer) return UNKNOWN_SENDER;
+  if (isSenderBlocked(parsed.customer, parsed.senderEmail)) return BLOCKED_SENDER;
+  if (!isSenderAllowed(parsed.customer, parsed.senderEmail)) return SENDER_NOT_ALLOWED;
+  return null;
+}
+
+/**
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} item
+ *   - blobName, parsed (parseBlobName result), submissionId
+ *   - reason: one of the reasons from getQuarantineReason()
+ * @returns {Promise<{ container, path }>} where the blob now is
+ */
+async function quarantineBlob(context, { blobName, parsed, submissionId, reason }) {
+  await moveBlob(context, blobName, {
+    connectionString: process.env['hygienemasterstorage_STORAGE'],
+    sourceContainerName: INCOMING_CONTAINER,
+    targetContainerName: QUARANTINE_CONTAINER,
+    targetSubfolder: reason
+  });
+  logMessage(`🚧 Quarantined ${blobName} (${reason})`, context);
+
+  await sendNotification(context, {
+    subject: `Attachment quarantined: ${reason}`,
+    message: `"${parsed.fileName}" from ${parsed.senderEmail} was moved to ${QUARANTINE_CONTAINER}/${reason}. Submission: ${submissionId}`
+  });
+
+  return { container: QUARANTINE_CONTAINER, path: `${reason}/${blobName}` };
+}
+
+/**
+ * Lists quarantined blobs, optionally for one reason.
+ *
+ * @returns {Promise<Array<{ blobPath, reason, blobName, submissionId, size, quarantinedAt }>>}
+ */
+async function listQuarantinedBlobs({ reason } = {}) {
+  const containerClient = getBlobServiceClient().getContainerClient(QUARANTINE_CONTAINER);
+  const items = [];
+  for await (const blob of containerClient.listBlobsFlat({ prefix: reason ? `${reason}/` : undefined, includeMetadata: true })) {
+    const [itemReason] = blob.name.split('/');
+    const blobName = blob.name.slice(itemReason.length + 1);
+    const submissionId = blob.metadata?.submissionid
+      ? decodeURIComponent(blob.metadata.submissionid)
+      : getSubmissionId(blobName);
+    items.push({
+      blobPath: blob.name,
+      reason: itemReason,
+      blobName,
+      submissionId,
+      size: blob.properties.contentLength,
+      quarantinedAt: blob.properties.lastModified?.toISOString() || null
+    });
+  }
+  return items;
+}
+
+/**
+ * Moves a quarantined blob back into incoming-emails so it is processed.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} approval
+ *   - blobPath: path inside the quarantine container, e.g. "unknown-sender/2025-...(a@gmail.com)sheet.jpg"
+ *   - company: customer id to file it under; required for unknown senders
+ *   - approvedBy: optional, recorded in the ledger
+ * @returns {Promise<{ blobPath, blobName, submissionId, company }>}
+ */
+async function approveQuarantinedBlob(context, { blobPath, company, approvedBy }) {
+  const [reason] = blobPath.split('/');
+  const blobName = blobPath.slice(reason.length + 1);
+  if (!blobName) throw new Error(`"${blobPath}" is not a quarantined blob path`);
+
+  const customer = company ? getCustomer(company) : null;
+  if (company && !customer) throw new Error(`Unknown company: ${company}`);
+  if (reason === UNKNOWN_SENDER && !customer) {
+    throw new Error('The sender is not in the customer registry; specify the company to file it under');
+  }
+
+  const blobServiceClient = getBlobServiceClient();
+  const sourceBlobClient = blobServiceClient.getContainerClient(QUARANTINE_CONTAINER).getBlobClient(blobPath);
+  const existingMetadata = (await sourceBlobClient.getProperties()).metadata || {};
+  const submissionId = existingMetadata.submissionid
+    ? decodeURIComponent(existingMetadata.submissionid)
+    : getSubmissionId(blobName);
+
+  const approvedAt = new Date().toISOString();
+  const metadata = {
+    ...existingMetadata,
+    ...encodeBlobMetadata({
+      submissionId,
+      company: customer?.id,
+      quarantineApproved: approvedAt
+    })
+  };
+
+  const targetBlobClient = blobServiceClient.getContainerClient(INCOMING_CONTAINER).getBlobClient(blobName);
+  const copyPoller = await targetBlobClient.beginCopyFromURL(sourceBlobClient.url, { metadata });
+  await copyPoller.pollUntilDone();
+  await sourceBlobClient.delete();
+
+  await recordSubmissionEvent(context, submissionId, {
+    state: 'requeued',
+    requeuedFrom: `${QUARANTINE_CONTAINER}/${blobPath}`,
+    quarantineApproval: { reason, company: customer?.id || null, approvedBy: approvedBy || null, approvedAt }
+  });
+
+  logMessage(`✅ Approved ${blobPath} → ${INCOMING_CONTAINER}/${blobName}`, context);
+  return { blobPath, blobName, submissionId, company: customer?.id || null };
+}
+
+module.exports = {
+  QUARANTINE_CONTAINER,
+  UNKNOWN_SENDER,
+  BLOCKED_SENDER,
+  SENDER_NOT_ALLOWED,
+  getQuarantineReason,
+  quarantineBlob,
+  listQuarantinedBlobs,
+  approveQuarantinedBlob
+};
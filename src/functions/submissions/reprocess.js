@@ -0,0 +1,213 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { logMessage } = require('../utils');
+const formTypes = require('../formTypes');
+const { deleteSharePointItem } = require('../sharepoint/sendToSharePoint');
+const { INCOMING_CONTAINER, parseBlobName, encodeBlobMetadata } = require('./intake');
+const { getSubmissionId, getSubmission, recordSubmissionEvent } = require('./ledger');
+
+/**
+ * Re-queues already processed attachments into incoming-emails so they run
+ * through the pipeline again, e.g. after retraining a custom model.
+ *
+ * The blob keeps its original name (so sender and timestamp are preserved and
+ * the ledger record is reused) and gets `source=reprocess` metadata, plus
+ * `forcedformtype` when the caller wants to skip title detection.
+ */
+
+const PROCESSED_CONTAINER = 'processed-attachments';
+
+// Sub-folders of processed-attachments/{company} that can be replayed
+const REPROCESSABLE_FOLDERS = {
+  processed: '',
+  'extraction-errors': 'extraction-errors/',
+  'extraction-timeout': 'extraction-timeout/',
+  'general-extraction': 'general-extraction/',
+  'no-text-detected': 'no-text-detected/',
+  duplicates: 'duplicates/'
+};
+const DEFAULT_FOLDERS = ['processed', 'extraction-errors', 'extraction-timeout'];
+
+/**
+ * Maps a form type id ("general", "important", ...) or title to the title
+ * FormProcessor dispatches on. Returns null for unknown values.
+ */
+function resolveFormType(formType) {
+  return formTypes.resolveFormType(formType)?.title || null;
+}
+
+function getBlobServiceClient() {
+  return BlobServiceClient.fromConnectionString(process.env['hygienemasterstorage_STORAGE']);
+}
+
+/**
+ * Moves one blob back into incoming-emails.
+ *
+ * @param {Object} context - Azure Functions context (or a console-backed stand-in for the CLI)
+ * @param {Object} options
+ *   - blobPath: path inside the source container, e.g. "example.co.jp/extraction-errors/2025-...(a@b)sheet.jpg"
+ *   - container: source container (default "processed-attachments")
+ *   - formType: optional forced form type id from src/functions/formTypes, e.g. "general"
+ *   - dryRun: only report what would happen
+ * @returns {Promise<{ blobPath, blobName, submissionId, requeued: boolean }>}
+ */
+async function requeueBlob(context, { blobPath, container = PROCESSED_CONTAINER, formType, dryRun = false }) {
+  const blobName = blobPath.split('/').pop();
+  const forcedFormType = formType ? resolveFormType(formType) : null;
+  if (formType && !forcedFormType) {
+    throw new Error(`Unknown form type: ${formType}`);
+  }
+
+  const blobServiceClient = getBlobServiceClient();
+  const sourceBlobClient = blobServiceClient.getContainerClient(container).getBlobClient(blobPath);
+  const properties = await sourceBlobClient.getProperties();
+
+  const existingMetadata = properties.metadata || {};
+  const submissionId = existingMetadata.submissionid
+    ? decodeURIComponent(existingMetadata.submissionid)
+    : getSubmissionId(blobName);
+
+  logMessage(`🔁 Re-queue ${container}/${blobPath} → ${INCOMING_CONTAINER}/${blobName} (submission ${submissionId}${forcedFormType ? `, form type ${forcedFormType}` : ''})`, context);
+
+  if (dryRun) {
+    return { blobPath, blobName, submissionId, requeued: false };
+  }
+
+  // Keep the original metadata (company, submission ID) and mark the blob as a replay
+  const metadata = {
+    ...existingMetadata,
+    ...encodeBlobMetadata({
+      submissionId,
+      source: 'reprocess',
+      forcedFormType,
+      reprocessedFrom: `${container}/${blobPath}`
+    })
+  };
+  if (!forcedFormType) {
+    delete metadata.forcedformtype;
+  }
+
+  const targetBlobClient = blobServiceClient.getContainerClient(INCOMING_CONTAINER).getBlobClient(blobName);
+  const copyPoller = await targetBlobClient.beginCopyFromURL(sourceBlobClient.url, { metadata });
+  await copyPoller.pollUntilDone();
+  await sourceBlobClient.delete();
+
+  await recordSubmissionEvent(context, submissionId, {
+    state: 'requeued',
+    requeuedFrom: `${container}/${blobPath}`,
+    forcedFormType
+  });
+
+  logMessage(`✅ Re-queued ${blobName}`, context);
+  return { blobPath, blobName, submissionId, requeued: true };
+}
+
+/**
+ * Lists the blobs of a company that can be re-queued, optionally limited to a
+ * submission date range (inclusive, based on the timestamp in the blob name).
+ *
+ * @param {Object} options
+ *   - company: company folder name in processed-attachments
+ *   - from / to: "YYYY-MM-DD" bounds, both optional
+ *   - folders: which sub-folders to include (default: processed, extraction-errors, extraction-timeout)
+ */
+async function findReprocessCandidates(context, { company, from, to, folders = DEFAULT_FOLDERS }) {
+  const containerClient = getBlobServiceClient().getContainerClient(PROCESSED_CONTAINER);
+  const fromTime = from ? Date.parse(`${from}T00:00:00Z`) : null;
+  const toTime = to ? Date.parse(`${to}T23:59:59.999Z`) : null;
+  const candidates = [];
+
+  for (const folder of folders) {
+    if (!(folder in REPROCESSABLE_FOLDERS)) {
+      throw new Error(`Unknown folder: ${folder}. Expected one of ${Object.keys(REPROCESSABLE_FOLDERS).join(', ')}`);
+    }
+
+    const prefix = `${company}/${REPROCESSABLE_FOLDERS[folder]}`;
+    for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+      const relativeName = blob.name.slice(prefix.length);
+      // Direct children only; deeper paths belong to another folder
+      if (relativeName.includes('/')) continue;
+
+      const parsed = parseBlobName(relativeName, null);
+      const submittedAt = parsed.timestamp ? Date.parse(parsed.timestamp) : NaN;
+      if ((fromTime !== null || toTime !== null) && isNaN(submittedAt)) continue;
+      if (fromTime !== null && submittedAt < fromTime) continue;
+      if (toTime !== null && submittedAt > toTime) continue;
+
+      candidates.push(blob.name);
+    }
+  }
+
+  logMessage(`📋 Found ${candidates.length} blob(s) to re-queue for ${company}`, context);
+  return candidates;
+}
+
+/**
+ * Re-queues either a single blob (`blobPath`) or every candidate for a company/date range.
+ */
+async function reprocessBlobs(context, { blobPath, container, company, from, to, folders, formType, dryRun = false }) {
+  if (formType && !resolveFormType(formType)) {
+    throw new Error(`Unknown form type: ${formType}`);
+  }
+
+  const blobPaths = blobPath
+    ? [blobPath]
+    : await findReprocessCandidates(context, { company, from, to, folders });
+
+  const results = [];
+  for (const path of blobPaths) {
+    try {
+      results.push(await requeueBlob(context, { blobPath: path, container, formType, dryRun }));
+    } catch (error) {
+      logMessage(`❌ Failed to re-queue ${path}: ${error.message}`, context);
+      results.push({ blobPath: path, requeued: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Deletes the SharePoint output of a previous run once the new reports are in
+ * place, so replays replace reports instead of piling up timestamped copies.
+ * Files that the new run wrote under the same name are kept.
+ *
+ * @returns {Promise<string[]>} paths that were removed
+ */
+async function supersedePreviousReports(context, submissionId, newSharePoint) {
+  const previous = (await getSubmission(submissionId).catch(() => null))?.sharePoint;
+  if (!previous?.folderPath) return [];
+
+  const keep = new Set(newSharePoint?.files || []);
+  let targets;
+  if (previous.files?.length > 0) {
+    targets = previous.files.filter(file => !keep.has(file));
+  } else if (previous.folderPath !== newSharePoint?.folderPath) {
+    // Runs without a file list (general extraction) write into their own folder
+    targets = [previous.folderPath];
+  } else {
+    targets = [];
+  }
+
+  const removed = [];
+  for (const target of targets) {
+    try {
+      await deleteSharePointItem(target, context);
+      removed.push(target);
+    } catch (error) {
+      logMessage(`⚠️ Could not remove superseded report ${target}: ${error.message}`, context);
+    }
+  }
+
+  if (removed.length > 0) {
+    logMessage(`🧹 Superseded ${removed.length} report file(s) from the previous run`, context);
+  }
+  return removed;
+}
+
+module.exports = {
+  REPROCESSABLE_FOLDERS,
+  resolveFormType,
+  requeueBlob,
+  findReprocessCandidates,
+  reprocessBlobs,
+  supersedePreviousReports
+};
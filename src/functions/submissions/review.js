@@ -0,0 +1,405 @@
+const { logMessage, downloadBlob } = require('../utils');
+const { getTableStore, RecordChangedError } = require('../storage/tableStore');
+const formTypes = require('../formTypes');
+const { getCustomer } = require('../customers');
+const { resolveStoreLocation } = require('../customers/stores');
+const { buildSheetDates } = require('../docIntelligence/sheetDates');
+const { getConfidenceThreshold } = require('../docIntelligence/fieldConfidence');
+const { summarizeRecords } = require('../docIntelligence/schemaExtractor');
+const { parseTemperature } = require('../docIntelligence/temperatureReadings');
+const { SYMPTOM_FIELD, CHECK_VALUES } = require('../docIntelligence/healthCheckExtractor');
+const { getSubmission, listSubmissions, recordSubmissionEvent } = require('./ledger');
+const { supersedePreviousReports } = require('./reprocess');
+const { openCorrectiveActions } = require('./correctiveActions');
+
+/**
+ * Human review of extracted sheets.
+ *
+ * FormProcessor keeps the structured data of every processed sheet in the
+ * review table (REVIEW_TABLE, default "reviews"): one row per sheet, keyed by
+ * submission ID and page range ("all" for single-sheet files). Submissions
+ * with `needsReview` form the review queue.
+ *
+ * A reviewer corrects values (statuses, temperature readings, health checks,
+ * comments, days, store, year/month);
+ * every change is appended to the sheet's `audit` with who made it and the
+ * old and new value. Approving regenerates the SharePoint reports from the
+ * corrected data, replaces the previous reports and clears `needsReview`;
+ * corrective actions follow the corrected 否 results.
+ *
+ * The stored data is what the reports are rebuilt from, so it keeps personal
+ * data such as employee names; responses go through the form type's `redact`.
+ *
+ * Row shape:
+ * {
+ *   submissionId, pages,                   // pages: null for single-sheet files
+ *   formTypeId: "general",
+ *   documentName,                          // name the reports were generated under
+ *   structuredData,                        // extractor output, with corrections applied
+ *   reviewReasons, lowConfidenceFields,    // as found by the pipeline
+ *   state: "pending" | "corrected" | "approved",
+ *   audit: [{ at, reviewer, action: "correct", row, day, field, from, to }
+ *         | { at, reviewer, action: "approve" }]
+ * }
+ */
+
+const REVIEW_TABLE = process.env.REVIEW_TABLE || 'reviews';
+const WHOLE_FILE = 'all';
+const PROCESSED_CONTAINER = 'processed-attachments';
+
+// Values a reviewer may set for a status read from a checkbox, and for a health check symptom
+const STATUS_VALUES = ['良', '否', '未選択'];
+const CHECK_CORRECTION_VALUES = [CHECK_VALUES.present, CHECK_VALUES.absent, CHECK_VALUES.empty];
+
+class ReviewValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewValidationError';
+  }
+}
+
+// Another reviewer saved the sheet between reading and writing it
+class ReviewConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewConflictError';
+  }
+}
+
+function getReviewStore() {
+  return getTableStore(REVIEW_TABLE);
+}
+
+// Sentiment results are added while the reports are generated and recomputed on every run
+function withoutSentiment(structuredData) {
+  return {
+    ...structuredData,
+    dailyRecords: structuredData.dailyRecords.map(({ sentimentAnalysis, ...record }) => record)
+  };
+}
+
+/**
+ * Keeps a processed sheet for review. Failures are logged and never interrupt processing.
+ */
+async function saveSheetForReview(context, { submissionId, pages = null, formTypeId, documentName, structuredData, reviewReasons = [], lowConfidenceFields = [] }) {
+  try {
+    await getReviewStore().upsert({
+      partitionKey: submissionId,
+      rowKey: pages || WHOLE_FILE,
+      submissionId,
+      pages,
+      formTypeId,
+      documentName,
+      structuredData: withoutSentiment(structuredData),
+      reviewReasons,
+      lowConfidenceFields,
+      state: 'pending',
+      audit: [],
+      savedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    logMessage(`⚠️ Failed to keep ${submissionId}${pages ? ` (pages ${pages})` : ''} for review: ${error.message}`, context);
+  }
+}
+
+// What the review API may show of a sheet: personal data is masked by the form type
+function redactSheet(sheet) {
+  const redact = formTypes.resolveFormType(sheet.formTypeId)?.redact;
+  return redact ? { ...sheet, structuredData: redact(sheet.structuredData) } : sheet;
+}
+
+/**
+ * Stored sheets of a submission, in page order. Unredacted: for internal checks only.
+ */
+async function getReviewSheets(submissionId) {
+  const rows = await getReviewStore().list({ partitionKey: submissionId });
+  return rows
+    .map(({ partitionKey, rowKey, ...sheet }) => sheet)
+    .sort((a, b) => String(a.pages || '').localeCompare(String(b.pages || ''), undefined, { numeric: true }));
+}
+
+/**
+ * Submissions waiting for a reviewer, newest first.
+ */
+async function listPendingReviews({ company } = {}) {
+  const submissions = await listSubmissions({ company, needsReview: true });
+  return submissions.map(submission => ({
+    submissionId: submission.submissionId,
+    companyName: submission.companyName,
+    senderEmail: submission.senderEmail,
+    fileName: submission.fileName,
+    receivedAt: submission.receivedAt,
+    detectedTitle: submission.detectedTitle,
+    reviewReasons: submission.reviewReasons || [],
+    reviewState: submission.reviewState || 'pending'
+  }));
+}
+
+/**
+ * The ledger record and the reviewable sheets of a submission, or null when it is unknown.
+ */
+async function getReview(submissionId) {
+  const submission = await getSubmission(submissionId);
+  if (!submission) return null;
+  const sheets = await getReviewSheets(submissionId);
+  return { submission, sheets: sheets.map(redactSheet) };
+}
+
+/**
+ * Downloads the archived attachment the sheets were read from.
+ *
+ * @returns {Promise<{ fileName, buffer }>}
+ */
+async function getOriginalDocument(context, submission) {
+  if (submission.finalLocation?.container !== PROCESSED_CONTAINER) {
+    throw new ReviewValidationError(`Submission ${submission.submissionId} has no processed attachment`);
+  }
+  const buffer = await downloadBlob(context, submission.finalLocation.path, {
+    connectionString: process.env['hygienemasterstorage_STORAGE'],
+    containerName: PROCESSED_CONTAINER
+  });
+  return { fileName: submission.fileName || submission.finalLocation.path.split('/').pop(), buffer };
+}
+
+function parseDay(value) {
+  const day = Number(value);
+  if (!Number.isInteger(day) || day < 1 || day > 31) throw new ReviewValidationError(`"${value}" is not a day of the month`);
+  return day;
+}
+
+// Header fields: the store and the year/month the sheet is filed under
+function applyHeaderCorrection(structuredData, { field, value }, customer) {
+  const metadata = structuredData.metadata;
+  const from = metadata[field] ?? null;
+
+  if (field === 'location') {
+    if (typeof value !== 'string' || !value.trim()) throw new ReviewValidationError('"location" must be a store name');
+    delete metadata.rawLocation;
+    delete metadata.storeId;
+    delete metadata.storeMatch;
+    Object.assign(metadata, resolveStoreLocation(value.trim(), customer?.stores));
+  } else if (field === 'year') {
+    if (!/^\d{4}$/.test(String(value))) throw new ReviewValidationError('"year" must have four digits');
+    metadata.year = String(value);
+    delete metadata.yearInferred;
+  } else if (field === 'month') {
+    const month = Number(value);
+    if (!Number.isInteger(month) || month < 1 || month > 12) throw new ReviewValidationError(`"${value}" is not a month`);
+    metadata.month = String(month).padStart(2, '0');
+  } else {
+    throw new ReviewValidationError(`"${field}" cannot be corrected; use location, year or month`);
+  }
+
+  metadata.yearMonth = `${metadata.year}-${metadata.month}`;
+  if (metadata.confidence && field in metadata.confidence) metadata.confidence[field] = 1;
+  return { from, to: metadata[field] };
+}
+
+// A corrected temperature: a number, text as written ("-18℃") or null to clear the cell
+function parseReadingCorrection(field, value) {
+  if (value === null || value === '') return null;
+  const { value: reading, readable } = typeof value === 'number' ? { value, readable: Number.isFinite(value) } : parseTemperature(value);
+  if (!readable || reading === null) throw new ReviewValidationError(`"${field}" must be a temperature in ℃, or null to clear it`);
+  return reading;
+}
+
+// Daily fields: day number, comment and any status, temperature reading or symptom present on the record
+function applyRecordCorrection(structuredData, { row, field, value }) {
+  if (typeof field !== 'string') throw new ReviewValidationError('Every correction needs a "field"');
+  const record = Number.isInteger(row) ? structuredData.dailyRecords[row] : undefined;
+  if (!record) throw new ReviewValidationError(`Row ${row} does not exist; the sheet has ${structuredData.dailyRecords.length} rows`);
+
+  const from = record[field] ?? null;
+  if (field === 'day') {
+    record.day = parseDay(value);
+  } else if (field === 'comment') {
+    if (typeof value !== 'string') throw new ReviewValidationError('"comment" must be text');
+    record.comment = value.trim() || 'not found';
+  } else if (field.endsWith('Status') && field in record) {
+    if (!STATUS_VALUES.includes(value)) throw new ReviewValidationError(`"${field}" must be one of ${STATUS_VALUES.join(', ')}`);
+    record[field] = value;
+  } else if (field.endsWith('Reading') && field in record) {
+    record[field] = parseReadingCorrection(field, value);
+    record.unreadableReadings = (record.unreadableReadings || []).filter(name => name !== field);
+  } else if (SYMPTOM_FIELD.test(field) && field in record) {
+    if (!CHECK_CORRECTION_VALUES.includes(value)) throw new ReviewValidationError(`"${field}" must be one of ${CHECK_CORRECTION_VALUES.join(', ')}`);
+    record[field] = value;
+    record.unreadableChecks = (record.unreadableChecks || []).filter(name => name !== field);
+  } else {
+    throw new ReviewValidationError(`"${field}" cannot be corrected on this sheet`);
+  }
+
+  // A value a person entered is certain
+  if (record.confidence && field in record.confidence) record.confidence[field] = 1;
+  return { from, to: record[field] };
+}
+
+// Dates (when a day, year or month changed) and summary counts follow the corrected values;
+// a form type without a schema recalculates its own (temperature deviations, unfit staff)
+function refreshDerivedValues(structuredData, { redate, formType }) {
+  const { metadata, dailyRecords } = structuredData;
+  if (redate) {
+    const dates = buildSheetDates(metadata.year, metadata.month, dailyRecords.map(record => (record.day ? String(record.day) : '')));
+    dailyRecords.forEach((record, index) => {
+      record.date = dates[index].date;
+      record.dateIssues = dates[index].dateIssues;
+    });
+  }
+
+  const schema = formType?.schemas?.[metadata.layout || 'weekly'];
+  if (formType?.recalculate) {
+    formType.recalculate(structuredData);
+  } else if (schema && structuredData.summary) {
+    structuredData.summary = summarizeRecords(schema, dailyRecords);
+  }
+}
+
+/**
+ * Applies a reviewer's corrections to one sheet and records them in its audit trail.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} request
+ *   - submissionId
+ *   - pages: page range of the sheet in a multi-sheet file (omit for single-sheet files)
+ *   - reviewer: who made the corrections
+ *   - corrections: [{ field: "location", value: "恵比寿" }, { row: 1, field: "Cat3Status", value: "良" },
+ *       { row: 2, field: "Temp1Reading", value: -18.5 }, ...]
+ *     `row` is the position in dailyRecords (0-based); without it the field is a header field
+ * @throws {ReviewValidationError} for an unknown sheet, row or field, or a value that is not allowed
+ * @throws {ReviewConflictError} when the sheet was changed by someone else in the meantime
+ * @returns {Promise<Object>} the updated sheet
+ */
+async function applyCorrections(context, { submissionId, pages = null, reviewer, corrections }) {
+  if (!reviewer) throw new ReviewValidationError('Specify "reviewer"');
+  if (!Array.isArray(corrections) || corrections.length === 0) throw new ReviewValidationError('Specify at least one correction');
+
+  const store = getReviewStore();
+  const { record: sheet, etag } = await store.getVersioned(submissionId, pages || WHOLE_FILE) || {};
+  if (!sheet) throw new ReviewValidationError(`No reviewable sheet for ${submissionId}${pages ? ` pages ${pages}` : ''}`);
+  if (sheet.state === 'approved') throw new ReviewValidationError('The sheet has already been approved');
+
+  const submission = await getSubmission(submissionId);
+  const customer = getCustomer(submission?.companyName);
+  const at = new Date().toISOString();
+  const entries = corrections.map(correction => {
+    const hasRow = correction.row !== undefined && correction.row !== null;
+    const change = hasRow
+      ? applyRecordCorrection(sheet.structuredData, correction)
+      : applyHeaderCorrection(sheet.structuredData, correction, customer);
+    return {
+      at,
+      reviewer,
+      action: 'correct',
+      row: hasRow ? correction.row : null,
+      day: hasRow ? sheet.structuredData.dailyRecords[correction.row].day : null,
+      field: correction.field,
+      ...change
+    };
+  });
+  refreshDerivedValues(sheet.structuredData, {
+    redate: entries.some(entry => ['day', 'year', 'month'].includes(entry.field)),
+    formType: formTypes.resolveFormType(sheet.formTypeId)
+  });
+
+  const updated = { ...sheet, state: 'corrected', audit: [...(sheet.audit || []), ...entries] };
+  try {
+    await store.replace(updated, etag);
+  } catch (error) {
+    if (!(error instanceof RecordChangedError)) throw error;
+    throw new ReviewConflictError(`The sheet of ${submissionId}${pages ? ` pages ${pages}` : ''} was changed by someone else; reload it and apply the corrections again`);
+  }
+  await recordSubmissionEvent(context, submissionId, { reviewState: 'corrected' });
+
+  logMessage(`✏️ ${reviewer} corrected ${entries.length} value(s) on ${submissionId}${pages ? ` (pages ${pages})` : ''}`, context);
+  const { partitionKey, rowKey, ...result } = updated;
+  return redactSheet(result);
+}
+
+/**
+ * Regenerates the reports of every sheet from the reviewed data, replaces the
+ * previous reports and takes the submission out of the review queue.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} request - { submissionId, reviewer }
+ * @throws {ReviewValidationError} when the submission has nothing to approve
+ * @returns {Promise<{ submissionId, sheets: number, sharePoint, supersededReports }>}
+ */
+async function approveReview(context, { submissionId, reviewer }) {
+  if (!reviewer) throw new ReviewValidationError('Specify "reviewer"');
+
+  const submission = await getSubmission(submissionId);
+  if (!submission) throw new ReviewValidationError(`Submission ${submissionId} not found`);
+  const sheets = await getReviewSheets(submissionId);
+  if (sheets.length === 0) throw new ReviewValidationError(`Submission ${submissionId} has no reviewable sheets`);
+
+  const { buffer } = await getOriginalDocument(context, submission);
+  const base64Raw = buffer.toString('base64');
+  const confidenceThreshold = getConfidenceThreshold(getCustomer(submission.companyName));
+
+  const files = [];
+  const folders = [];
+  for (const sheet of sheets) {
+    const formType = formTypes.resolveFormType(sheet.formTypeId);
+    if (!formType) throw new ReviewValidationError(`Unknown form type "${sheet.formTypeId}"`);
+
+    const correctiveActions = await openCorrectiveActions(context, {
+      submissionId,
+      pages: sheet.pages,
+      companyName: submission.companyName,
+      formType,
+      structuredData: sheet.structuredData
+    });
+
+    logMessage(`🔁 Regenerating ${formType.title} reports for ${submissionId}${sheet.pages ? ` (pages ${sheet.pages})` : ''}`, context);
+    const report = await formType.generateReport(structuredClone(sheet.structuredData), context, {
+      base64Raw,
+      blobName: sheet.documentName,
+      folderTemplate: formType.sharePointFolderTemplate,
+      pages: sheet.pages,
+      confidenceThreshold,
+      correctiveActions
+    });
+    files.push(...(report?.sharePoint?.files || []));
+    if (report?.sharePoint?.folderPath) folders.push(report.sharePoint.folderPath);
+  }
+
+  const sharePoint = { folderPath: folders[0] || null, files };
+  if (sheets.length > 1) sharePoint.folders = [...new Set(folders)];
+  const supersededReports = await supersedePreviousReports(context, submissionId, sharePoint);
+
+  const approvedAt = new Date().toISOString();
+  const store = getReviewStore();
+  for (const sheet of sheets) {
+    await store.upsert({
+      ...sheet,
+      partitionKey: submissionId,
+      rowKey: sheet.pages || WHOLE_FILE,
+      state: 'approved',
+      audit: [...(sheet.audit || []), { at: approvedAt, reviewer, action: 'approve' }]
+    });
+  }
+
+  const corrections = sheets.reduce((count, sheet) => count + (sheet.audit || []).filter(entry => entry.action === 'correct').length, 0);
+  await recordSubmissionEvent(context, submissionId, {
+    needsReview: false,
+    reviewState: 'approved',
+    review: { approvedBy: reviewer, approvedAt, corrections },
+    sharePoint,
+    supersededReports
+  });
+
+  logMessage(`✅ ${reviewer} approved ${submissionId} (${corrections} correction(s), ${files.length} report file(s))`, context);
+  return { submissionId, sheets: sheets.length, sharePoint, supersededReports };
+}
+
+module.exports = {
+  ReviewValidationError,
+  ReviewConflictError,
+  saveSheetForReview,
+  getReviewSheets,
+  listPendingReviews,
+  getReview,
+  getOriginalDocument,
+  applyCorrections,
+  approveReview
+};
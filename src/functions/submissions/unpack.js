@@ -0,0 +1,153 @@
+const path = require('path');
+const mime = require('mime-types');
+const { logMessage, uploadBlob } = require('../utils');
+const { readContainerMembers } = require('../archives');
+const {
+  INCOMING_CONTAINER,
+  supportedExtensions,
+  containerExtensions,
+  UNSUPPORTED_FILE_TYPE,
+  getExtension,
+  buildBlobName,
+  encodeBlobMetadata
+} = require('./intake');
+const { getSubmissionId } = require('./ledger');
+
+/**
+ * Unpacks container attachments (.zip, .eml, .msg) into the pipeline.
+ *
+ * Every PDF or image inside is written back to incoming-emails as its own blob,
+ * named with the container's timestamp and sender, so it is processed and
+ * tracked like a directly attached file. Containers inside containers are
+ * re-emitted too and unpacked in turn, up to ARCHIVE_MAX_DEPTH levels.
+ *
+ * What was re-emitted and what was rejected (and why) is written to one
+ * manifest per container: processed-attachments/{company}/unpacked/{blobName}.manifest.json
+ */
+
+const MAX_MEMBERS = parseInt(process.env.ARCHIVE_MAX_MEMBERS || '', 10) || 50;
+const MAX_MEMBER_BYTES = parseInt(process.env.ARCHIVE_MAX_MEMBER_BYTES || '', 10) || 20 * 1024 * 1024;
+const MAX_DEPTH = parseInt(process.env.ARCHIVE_MAX_DEPTH || '', 10) || 3;
+const UNPACKED_FOLDER = 'unpacked';
+
+// Files that archiving tools add on their own
+const SYSTEM_FILE_PATTERN = /(^|\/)(__MACOSX\/|\._|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * Blob-safe, unique name for a member: "{container name}-{path inside the container}".
+ */
+function buildMemberFileName(containerFileName, memberPath, usedNames) {
+  const stem = containerFileName.replace(/\.[^/.]+$/, '');
+  const flattened = memberPath.replace(/^\/+/, '').replace(/[\\/]/g, '_');
+  const extension = path.extname(flattened);
+  const base = `${stem}-${flattened.slice(0, flattened.length - extension.length)}`;
+
+  let candidate = `${base}${extension}`;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base}-${n}${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function getRejectionReason(member, { depth, acceptedCount }) {
+  if (member.error) return member.error;
+  if (SYSTEM_FILE_PATTERN.test(member.path)) return 'system-file';
+
+  const extension = getExtension(member.path);
+  const isContainer = containerExtensions.includes(extension);
+  if (!supportedExtensions.includes(extension) && !isContainer) return UNSUPPORTED_FILE_TYPE;
+  if (isContainer && depth + 1 >= MAX_DEPTH) return 'nested-too-deep';
+  const size = member.buffer ? member.buffer.length : member.size;
+  if (size === 0) return 'empty-file';
+  if (size > MAX_MEMBER_BYTES) return 'too-large';
+  if (acceptedCount >= MAX_MEMBERS) return 'too-many-files';
+  return null;
+}
+
+// ZIP members are inflated only after their declared size has passed the checks
+function readMember(member) {
+  try {
+    return { ...member, buffer: member.read(MAX_MEMBER_BYTES) };
+  } catch (error) {
+    return { ...member, error: error.message };
+  }
+}
+
+function getManifestPath(companyName, blobName) {
+  return `${companyName}/${UNPACKED_FOLDER}/${blobName}.manifest.json`;
+}
+
+/**
+ * Re-emits the members of a container blob and writes its manifest.
+ *
+ * @param {Object} context - Azure Functions context for logging
+ * @param {Object} container
+ *   - blob: container content
+ *   - blobName, parsed (parseBlobName result), blobMetadata, submissionId
+ * @returns {Promise<Object>} the manifest: { container, submissionId, accepted: [...], rejected: [...] }
+ * @throws {ContainerFormatError} when the container cannot be read at all
+ */
+async function unpackContainer(context, { blob, blobName, parsed, blobMetadata, submissionId }) {
+  const depth = parseInt(blobMetadata.containerdepth || '0', 10) || 0;
+  const members = readContainerMembers(parsed.extension, blob);
+  logMessage(`📦 ${blobName}: ${members.length} file(s) inside`, context);
+
+  const manifest = {
+    container: blobName,
+    submissionId,
+    senderEmail: parsed.senderEmail,
+    companyName: parsed.companyName,
+    unpackedAt: new Date().toISOString(),
+    accepted: [],
+    rejected: []
+  };
+  const usedNames = new Set();
+
+  for (const listed of members) {
+    let member = listed;
+    let reason = getRejectionReason(member, { depth, acceptedCount: manifest.accepted.length });
+    if (!reason && !member.buffer) {
+      member = readMember(member);
+      reason = getRejectionReason(member, { depth, acceptedCount: manifest.accepted.length });
+    }
+    if (reason) {
+      logMessage(`🚫 ${member.path}: ${reason}`, context);
+      manifest.rejected.push({ path: member.path, size: member.buffer?.length ?? member.size ?? null, reason });
+      continue;
+    }
+
+    const memberBlobName = buildBlobName(parsed.timestamp, parsed.senderEmail, buildMemberFileName(parsed.fileName, member.path, usedNames));
+    await uploadBlob(context, memberBlobName, member.buffer, {
+      connectionString: process.env['hygienemasterstorage_STORAGE'],
+      containerName: INCOMING_CONTAINER,
+      contentType: mime.lookup(member.path) || 'application/octet-stream',
+      metadata: encodeBlobMetadata({
+        company: blobMetadata.company,
+        source: 'archive',
+        parentSubmissionId: submissionId,
+        containerDepth: depth + 1,
+        // Files from an approved container are approved too
+        quarantineApproved: blobMetadata.quarantineapproved
+      })
+    });
+    manifest.accepted.push({
+      path: member.path,
+      size: member.buffer.length,
+      blobName: memberBlobName,
+      submissionId: getSubmissionId(memberBlobName)
+    });
+  }
+
+  const manifestPath = getManifestPath(parsed.companyName, blobName);
+  await uploadBlob(context, manifestPath, Buffer.from(JSON.stringify(manifest, null, 2)), {
+    connectionString: process.env['hygienemasterstorage_STORAGE'],
+    containerName: 'processed-attachments',
+    contentType: 'application/json'
+  });
+  logMessage(`🧾 Manifest written to processed-attachments/${manifestPath}: ${manifest.accepted.length} accepted, ${manifest.rejected.length} rejected`, context);
+
+  return { ...manifest, manifestPath };
+}
+
+module.exports = { UNPACKED_FOLDER, unpackContainer, buildMemberFileName };
@@ -64,6 +64,52 @@ async function moveBlob(context, blobName, {
   }
 }
 
+async function uploadBlob(context, blobName, buffer, {
+  connectionString,
+  containerName,
+  contentType,
+  metadata
+}) {
+  try {
+    context.log(`📤 Uploading blob "${blobName}" to ${containerName} (${buffer.length} bytes)`);
+
+    const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
+    const containerClient = blobServiceClient.getContainerClient(containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+    await blockBlobClient.uploadData(buffer, {
+      blobHTTPHeaders: { blobContentType: contentType || 'application/octet-stream' },
+      metadata
+    });
+
+    context.log(`✅ Uploaded blob "${blobName}" to ${containerName}`);
+    return blockBlobClient.url;
+  } catch (error) {
+    context.log(`❌ uploadBlob failed for "${blobName}"`);
+    context.log(`❌ Error message: ${error.message}`);
+    context.log(`❌ Stack trace: ${error.stack}`);
+    throw error;
+  }
+}
+
+async function downloadBlob(context, blobPath, {
+  connectionString,
+  containerName
+}) {
+  try {
+    const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
+    const blobClient = blobServiceClient.getContainerClient(containerName).getBlobClient(blobPath);
+    const buffer = await blobClient.downloadToBuffer();
+
+    context.log(`📥 Downloaded blob "${blobPath}" from ${containerName} (${buffer.length} bytes)`);
+    return buffer;
+  } catch (error) {
+    context.log(`❌ downloadBlob failed for "${blobPath}"`);
+    context.log(`❌ Error message: ${error.message}`);
+    throw error;
+  }
+}
+
 // Add HEIC to JPEG conversion utility
 async function convertHeicToJpegIfNeeded(buffer, originalFileName, context) {
   if (originalFileName.toLowerCase().endsWith('.heic')) {
@@ -84,5 +130,7 @@ module.exports = {
     logMessage,
     handleError,
     moveBlob,
+    uploadBlob,
+    downloadBlob,
     convertHeicToJpegIfNeeded
 };
\ No newline at end of file
@@ -5,4 +5,11 @@ app.setup({
 });
 
 
-require('./functions/FormProcessor');
\ No newline at end of file
+require('./functions/FormProcessor');
+require('./functions/SubmissionUpload');
+require('./functions/SubmissionStatus');
+require('./functions/ReprocessSubmissions');
+require('./functions/QuarantinedSubmissions');
+require('./functions/ReviewQueue');
+require('./functions/CorrectiveActions');
+require('./functions/SubmissionReminders');
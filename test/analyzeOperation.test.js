@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  runAnalyzeOperation,
+  parseRetryAfter,
+  AnalyzeTimeoutError,
+  AnalyzeFailedError
+} = require('../src/functions/docIntelligence/analyzeOperation');
+
+// Answers each request with the next scripted reply: { status, headers, body }, "reset" or "hang"
+function startAnalyzeServer(replies) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer((request, response) => {
+    requests.push(`${request.method} ${request.url}`);
+    const reply = replies.shift() || { status: 500 };
+    if (reply === 'reset') return request.socket.destroy();
+    if (reply === 'hang') return;
+    response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+    response.end(JSON.stringify(reply.body || {}));
+  });
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  const close = () => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  };
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ requests, close, endpoint: `http://127.0.0.1:${server.address().port}` })));
+}
+
+function analyze(endpoint, logs, overrides = {}) {
+  return runAnalyzeOperation({ log: line => logs.push(line) }, {
+    endpoint,
+    apiKey: 'key',
+    path: 'documentModels/prebuilt-layout',
+    body: { base64Source: Buffer.from('sheet').toString('base64') },
+    label: 'layout',
+    initialDelayMs: 5,
+    maxDelayMs: 20,
+    timeoutMs: 5000,
+    ...overrides
+  });
+}
+
+const retryDelays = logs => logs.map(line => line.match(/retrying in (\d+)ms/)?.[1]).filter(Boolean).map(Number);
+
+test('Retry-After is read in milliseconds, seconds or as an HTTP date', () => {
+  assert.equal(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '3' }), 250);
+  assert.equal(parseRetryAfter({ 'retry-after': '3' }), 3000);
+  const later = parseRetryAfter({ 'retry-after': new Date(Date.now() + 60000).toUTCString() });
+  assert.ok(later > 55000 && later <= 60000);
+  assert.equal(parseRetryAfter({ 'retry-after': new Date(Date.now() - 60000).toUTCString() }), 0);
+  assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null);
+  assert.equal(parseRetryAfter({}), null);
+  assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('429/503 responses and dropped polls are retried with backoff', async () => {
+  const running = { status: 200, body: { status: 'running' } };
+  const replies = [
+    { status: 503, headers: { 'retry-after-ms': '30' } },
+    { status: 429 },
+    null,
+    'reset',
+    running,
+    running,
+    { status: 200, body: { status: 'succeeded', analyzeResult: { content: '一般衛生管理' } } }
+  ];
+  const { endpoint, requests, close } = await startAnalyzeServer(replies);
+  // The accepted submit sends polling back to the same server
+  replies[2] = { status: 202, headers: { 'operation-location': `${endpoint}/operations/1` } };
+  const logs = [];
+  try {
+    const result = await analyze(endpoint, logs);
+    assert.equal(result.analyzeResult.content, '一般衛生管理');
+  } finally {
+    close();
+  }
+  assert.ok(logs.some(line => line.includes('ECONNRESET')));
+  // 503 waits for Retry-After, 429 for the doubled backoff; polling starts over at 5ms, so the reset poll waits 10ms
+  assert.deepEqual(retryDelays(logs), [30, 10, 10]);
+  assert.equal(requests.filter(line => line.startsWith('POST')).length, 3);
+  assert.equal(requests.filter(line => line.startsWith('GET')).length, 4);
+});
+
+test('a hung connection times out at the deadline and other errors are not retried', async () => {
+  const { endpoint, requests, close } = await startAnalyzeServer([
+    'hang',
+    'reset',
+    { status: 400, body: { error: { code: 'InvalidRequest', message: 'bad image' } } }
+  ]);
+  try {
+    const startedAt = Date.now();
+    await assert.rejects(analyze(endpoint, [], { timeoutMs: 300 }), AnalyzeTimeoutError);
+    assert.ok(Date.now() - startedAt < 2000);
+
+    // A dropped submit may have started an analysis already, so it is not sent again
+    await assert.rejects(analyze(endpoint, []), error => error instanceof AnalyzeFailedError && error.code === 'ECONNRESET');
+    assert.equal(requests.length, 2);
+
+    await assert.rejects(analyze(endpoint, []), error => error instanceof AnalyzeFailedError
+      && error.statusCode === 400 && error.code === 'InvalidRequest' && error.message === 'layout: bad image');
+  } finally {
+    close();
+  }
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readContainerMembers, ContainerFormatError } = require('../src/functions/archives');
+const { parseEml } = require('../src/functions/archives/emlParser');
+const { buildMemberFileName } = require('../src/functions/submissions/unpack');
+const { buildZip, buildEml, buildMsg, base64Lines } = require('./helpers/containers');
+
+const PDF = Buffer.from('%PDF-1.4 sheet');
+// "検温" in Shift_JIS, as written by the Windows "Send to compressed folder" tool
+const SHIFT_JIS_NAME = Buffer.concat([Buffer.from([0x8c, 0x9f, 0x89, 0xb7]), Buffer.from('.pdf')]);
+
+test('zip members are inflated on read and legacy file names are decoded', () => {
+  const zip = buildZip([
+    { path: 'scans/' },
+    { path: 'scans/一般衛生管理.pdf', data: PDF },
+    { path: 'photo.jpg', data: Buffer.from('jpeg bytes'), stored: true },
+    { path: 'ignored', nameBytes: SHIFT_JIS_NAME, data: PDF }
+  ]);
+
+  const members = readContainerMembers('.zip', zip);
+
+  assert.deepEqual(members.map(member => member.path), ['scans/一般衛生管理.pdf', 'photo.jpg', '検温.pdf']);
+  assert.equal(members[0].size, PDF.length);
+  assert.deepEqual(members[0].read(), PDF);
+  assert.equal(members[1].read().toString(), 'jpeg bytes');
+});
+
+test('zip members are listed without inflating and never inflate past the limit', () => {
+  const zeros = Buffer.alloc(8 * 1024 * 1024);
+  // The second member declares 1 KiB but holds 8 MiB
+  const zip = buildZip([{ path: 'large.pdf', data: zeros }, { path: 'understated.pdf', data: zeros, size: 1024 }]);
+  assert.ok(zip.length < 64 * 1024);
+
+  const [large, understated] = readContainerMembers('.zip', zip);
+
+  assert.equal(large.size, zeros.length);
+  assert.equal(large.buffer, undefined);
+  assert.throws(() => large.read(1024 * 1024), /could not be inflated/);
+  assert.equal(large.read(zeros.length).length, zeros.length);
+  assert.equal(understated.size, 1024);
+  assert.throws(() => understated.read(zeros.length), /could not be inflated/);
+});
+
+test('an encrypted zip member is reported instead of read', () => {
+  const zip = buildZip([{ path: 'secret.pdf', data: PDF, encrypted: true }]);
+
+  const [member] = readContainerMembers('.zip', zip);
+
+  assert.equal(member.path, 'secret.pdf');
+  assert.equal(member.buffer, undefined);
+  assert.match(member.error, /encrypted/);
+});
+
+test('a file that is not a zip archive raises ContainerFormatError', () => {
+  assert.throws(() => readContainerMembers('.zip', Buffer.from('PK but not really a zip archive')), ContainerFormatError);
+  assert.throws(() => readContainerMembers('.msg', Buffer.alloc(600)), ContainerFormatError);
+});
+
+test('eml attachments are decoded, including encoded Japanese file names and forwarded messages', () => {
+  const forwarded = [
+    'From: manager@example.co.jp',
+    'Subject: Fwd',
+    'Content-Type: application/pdf; name="forwarded.pdf"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(PDF)
+  ].join('\r\n');
+
+  const eml = buildEml({
+    subject: '=?UTF-8?B?5pyI5qyh5aCx5ZGK?=',
+    parts: [
+      { headers: ['Content-Type: text/plain; charset=utf-8'], body: 'See attached.' },
+      {
+        headers: [
+          'Content-Type: application/pdf; name="=?ISO-2022-JP?B?GyRCOCEyORsoQi5wZGY=?="',
+          'Content-Disposition: attachment;',
+          ' filename="=?ISO-2022-JP?B?GyRCOCEyORsoQi5wZGY=?="',
+          'Content-Transfer-Encoding: base64'
+        ],
+        body: base64Lines(PDF)
+      },
+      {
+        headers: [
+          'Content-Type: image/jpeg',
+          "Content-Disposition: attachment; filename*=UTF-8''%E5%86%99%E7%9C%9F.jpg",
+          'Content-Transfer-Encoding: quoted-printable'
+        ],
+        body: 'jpeg=3Dbytes'
+      },
+      { headers: ['Content-Type: message/rfc822'], body: forwarded }
+    ]
+  });
+
+  const parsed = parseEml(eml);
+
+  assert.equal(parsed.subject, '月次報告');
+  assert.deepEqual(parsed.attachments.map(attachment => attachment.path), ['検温.pdf', '写真.jpg', 'forwarded.pdf']);
+  assert.deepEqual(parsed.attachments[0].buffer, PDF);
+  assert.equal(parsed.attachments[1].buffer.toString(), 'jpeg=bytes');
+  assert.deepEqual(parsed.attachments[2].buffer, PDF);
+});
+
+test('msg attachments are read from the compound file', () => {
+  const large = Buffer.alloc(1500, 7);
+  const msg = buildMsg([
+    { name: '衛生管理.pdf', data: PDF },
+    { name: 'large.png', data: large },
+    { name: 'Re: 先月の報告' }
+  ]);
+
+  const members = readContainerMembers('.msg', msg);
+
+  assert.deepEqual(members.map(member => member.path), ['衛生管理.pdf', 'large.png', 'Re: 先月の報告']);
+  assert.deepEqual(members[0].buffer, PDF);
+  assert.deepEqual(members[1].buffer, large);
+  assert.equal(members[2].error, 'embedded-message');
+});
+
+test('member file names are flattened, prefixed with the container name and kept unique', () => {
+  const used = new Set();
+
+  assert.equal(buildMemberFileName('May.zip', 'scans/week1/sheet.pdf', used), 'May-scans_week1_sheet.pdf');
+  assert.equal(buildMemberFileName('May.zip', 'scans_week1/sheet.pdf', used), 'May-scans_week1_sheet-2.pdf');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPipelineHarness } = require('./helpers/pipelineHarness');
+
+const harness = createPipelineHarness();
+const {
+  CorrectiveActionError,
+  listCorrectiveActions,
+  recordActionTaken,
+  closeCorrectiveAction
+} = require(path.join(__dirname, '..', 'src', 'functions', 'submissions', 'correctiveActions'));
+const { applyCorrections, approveReview } = require(path.join(__dirname, '..', 'src', 'functions', 'submissions', 'review'));
+
+const MANAGER = 'manager@example.co.jp';
+const context = { log: () => {} };
+
+let sequence = 0;
+
+// Submits the general management fixture, whose Cat 3 is 否 on 5/11 (row 1), read as the given store
+async function processGeneralSheet(location, fields = {}) {
+  sequence++;
+  const buffer = Buffer.from(`corrective action #${sequence}`);
+  const response = structuredClone(require('../fixtures/document-intelligence/general-management-extractor/default.json'));
+  const documentFields = response.analyzeResult.documents[0].fields;
+  Object.assign(documentFields.location, { valueString: location, content: location });
+  for (const [name, value] of Object.entries(fields)) Object.assign(documentFields[name], value);
+  harness.addFixture('general-management-extractor', buffer, response);
+  const name = `2025-05-11T08:00:00.${String(sequence).padStart(3, '0')}Z(store01@example.co.jp)sheet.jpg`;
+  const { submission } = await harness.processBlob(name, buffer);
+  return submission;
+}
+
+test.beforeEach(() => harness.reset());
+
+test('a 否 opens a corrective action that a manager records and closes', async () => {
+  await processGeneralSheet('中目黒');
+
+  const [action] = await listCorrectiveActions({ company: 'example-foods', store: 'nakameguro' });
+  assert.equal(action.state, 'open');
+  assert.equal(action.date, '2025-05-11');
+  assert.equal(action.field, 'Cat3Status');
+  assert.equal(action.itemName, '3 交差汚染・二次汚染の防止');
+  assert.deepEqual(action.notes.map(({ type, text }) => ({ type, text })), [{ type: 'comment', text: 'まな板の使い分けを再指導' }]);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.deepEqual(json.content.correctiveActions, {
+    open: 1,
+    closed: 0,
+    items: [{
+      actionId: action.actionId,
+      日付: '11',
+      項目: 'Cat 3',
+      項目名: '3 交差汚染・二次汚染の防止',
+      状態: '対応中',
+      特記事項: 'まな板の使い分けを再指導',
+      対応内容: null,
+      完了日: null
+    }]
+  });
+  const [html] = harness.uploadsOfKind('html');
+  assert.match(html.content, /改善措置/);
+
+  await assert.rejects(closeCorrectiveAction(context, { actionId: action.actionId, by: MANAGER }), CorrectiveActionError);
+  await recordActionTaken(context, { actionId: action.actionId, by: MANAGER, action: 'まな板を色分けし、担当者に再指導' });
+  const closed = await closeCorrectiveAction(context, { actionId: action.actionId, by: MANAGER });
+  assert.equal(closed.state, 'closed');
+  assert.equal(closed.actionTaken, 'まな板を色分けし、担当者に再指導');
+  assert.deepEqual(closed.notes.map(note => note.type), ['comment', 'action', 'close']);
+  await assert.rejects(recordActionTaken(context, { actionId: action.actionId, by: MANAGER, action: '再確認' }), CorrectiveActionError);
+  assert.equal(await closeCorrectiveAction(context, { actionId: 'unknown', by: MANAGER }), null);
+
+  // The same 否 sent again stays one record, and the new reports show it closed
+  harness.reset();
+  await processGeneralSheet('中目黒');
+  assert.equal((await listCorrectiveActions({ company: 'example-foods', store: 'nakameguro' })).length, 1);
+  const [resent] = harness.uploadsOfKind('json');
+  assert.deepEqual({ open: resent.content.correctiveActions.open, closed: resent.content.correctiveActions.closed }, { open: 0, closed: 1 });
+  assert.equal(resent.content.correctiveActions.items[0].状態, '完了');
+  const [text] = harness.uploadsOfKind('text');
+  assert.match(text.content, /改善措置（2025-05）：対応中 0件 \/ 完了 1件/);
+});
+
+test('a 否 corrected on review withdraws its action and a corrected 否 opens one', async () => {
+  const submission = await processGeneralSheet('恵比寿', { C3D2NG: { valueSelectionMark: 'unselected' }, C5D1NG: { valueSelectionMark: 'selected' }, C5D1G: { valueSelectionMark: 'unselected' } });
+  const [opened] = await listCorrectiveActions({ company: 'example-foods', store: 'ebisu' });
+  assert.equal(opened.field, 'Cat5Status');
+  assert.deepEqual(opened.notes.map(note => note.text), ['問題なし']);
+
+  await applyCorrections(context, {
+    submissionId: submission.submissionId,
+    reviewer: MANAGER,
+    corrections: [{ row: 0, field: 'Cat5Status', value: '良' }, { row: 1, field: 'Cat3Status', value: '否' }]
+  });
+  harness.reset();
+  await approveReview(context, { submissionId: submission.submissionId, reviewer: MANAGER });
+
+  const actions = await listCorrectiveActions({ company: 'example-foods', store: 'ebisu' });
+  assert.deepEqual(actions.map(action => [action.field, action.state]), [['Cat3Status', 'open']]);
+  const [withdrawn] = await listCorrectiveActions({ company: 'example-foods', store: 'ebisu', state: 'withdrawn' });
+  assert.equal(withdrawn.field, 'Cat5Status');
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.deepEqual(json.content.correctiveActions.items.map(item => item.項目), ['Cat 3']);
+});
+
+test('a resent 否 corrected on review withdraws the action the first sheet opened', async () => {
+  await processGeneralSheet('代官山');
+  const resent = await processGeneralSheet('代官山');
+  const [action] = await listCorrectiveActions({ company: 'example-foods', store: '代官山' });
+  assert.equal(action.submissionId, resent.submissionId);
+
+  await applyCorrections(context, { submissionId: resent.submissionId, reviewer: MANAGER, corrections: [{ row: 1, field: 'Cat3Status', value: '良' }] });
+  await approveReview(context, { submissionId: resent.submissionId, reviewer: MANAGER });
+
+  assert.deepEqual(await listCorrectiveActions({ company: 'example-foods', store: '代官山' }), []);
+  const [withdrawn] = await listCorrectiveActions({ company: 'example-foods', store: '代官山', state: 'withdrawn' });
+  assert.equal(withdrawn.actionId, action.actionId);
+});
+
+test('the action taken is escaped in the HTML report', async () => {
+  await processGeneralSheet('自由が丘');
+  const [action] = await listCorrectiveActions({ company: 'example-foods', store: '自由が丘' });
+  await recordActionTaken(context, { actionId: action.actionId, by: MANAGER, action: '<script>alert("x")</script> & 再指導' });
+
+  harness.reset();
+  await processGeneralSheet('自由が丘');
+  const [html] = harness.uploadsOfKind('html');
+  assert.ok(html.content.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; 再指導'));
+  assert.ok(!html.content.includes('<script>alert'));
+});
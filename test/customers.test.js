@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRegistry, isSenderAllowed, isSenderBlocked } = require('../src/functions/customers');
+
+test('registry lookups are case-insensitive and keep each customer once', () => {
+  const registry = buildRegistry([
+    { id: 'example-foods', displayName: 'Example Foods', domains: ['Example.co.jp'], senders: ['Store@Gmail.com'] },
+    { id: 'sakura', senders: ['sakura@gmail.com'] }
+  ]);
+
+  assert.equal(registry.byDomain.get('example.co.jp').id, 'example-foods');
+  assert.equal(registry.bySender.get('store@gmail.com').id, 'example-foods');
+  assert.equal(registry.customers.get('sakura').displayName, 'sakura');
+});
+
+test('an address or domain listed for two customers is a configuration error', () => {
+  assert.throws(
+    () => buildRegistry([{ id: 'a', domains: ['shared.jp'] }, { id: 'b', domains: ['SHARED.jp'] }]),
+    /Domain "shared.jp" is listed for both "a" and "b"/
+  );
+  assert.throws(() => buildRegistry([{ id: 'a' }, { id: 'a' }]), /listed twice/);
+  assert.throws(() => buildRegistry([{ id: 'a/b' }]), /path separators/);
+  assert.throws(
+    () => buildRegistry([{ id: 'a', stores: [{ id: 'shibuya', name: '渋谷', expectedSheets: { general: 'weekly' } }] }]),
+    /Store "shibuya" of "a": expectedSheets.general must be one of week, month/
+  );
+});
+
+test('allow and block lists match full addresses and *@domain entries', () => {
+  const { customers } = buildRegistry([{
+    id: 'example-foods',
+    domains: ['example.co.jp'],
+    settings: { allowedSenders: ['*@Example.co.jp', 'owner@gmail.com'], blockedSenders: ['former@example.co.jp'] }
+  }]);
+  const customer = customers.get('example-foods');
+
+  assert.equal(isSenderAllowed(customer, 'store01@example.co.jp'), true);
+  assert.equal(isSenderAllowed(customer, 'Owner@Gmail.com'), true);
+  assert.equal(isSenderAllowed(customer, 'someone@gmail.com'), false);
+  assert.equal(isSenderBlocked(customer, 'former@example.co.jp'), true);
+  assert.equal(isSenderBlocked(customer, 'store01@example.co.jp'), false);
+  assert.equal(isSenderAllowed(buildRegistry([{ id: 'open' }]).customers.get('open'), 'anyone@gmail.com'), true);
+});
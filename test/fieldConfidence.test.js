@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  fieldConfidence,
+  getConfidenceThreshold,
+  findLowConfidenceFields
+} = require('../src/functions/docIntelligence/fieldConfidence');
+
+test('a value read from several fields takes the lowest confidence', () => {
+  assert.equal(fieldConfidence({ confidence: 0.9 }, { confidence: 0.6 }), 0.6);
+  assert.equal(fieldConfidence(undefined, { confidence: 0.7 }), 0.7);
+  assert.equal(fieldConfidence(undefined, {}), null);
+});
+
+test('the threshold comes from the customer, then the environment, then the default', () => {
+  const previous = process.env.REVIEW_CONFIDENCE_THRESHOLD;
+  try {
+    delete process.env.REVIEW_CONFIDENCE_THRESHOLD;
+    assert.equal(getConfidenceThreshold(), DEFAULT_CONFIDENCE_THRESHOLD);
+
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = '0.65';
+    assert.equal(getConfidenceThreshold({ settings: {} }), 0.65);
+    assert.equal(getConfidenceThreshold({ settings: { reviewConfidenceThreshold: 0.9 } }), 0.9);
+
+    process.env.REVIEW_CONFIDENCE_THRESHOLD = 'high';
+    assert.equal(getConfidenceThreshold({ settings: { reviewConfidenceThreshold: 5 } }), DEFAULT_CONFIDENCE_THRESHOLD);
+  } finally {
+    if (previous === undefined) delete process.env.REVIEW_CONFIDENCE_THRESHOLD;
+    else process.env.REVIEW_CONFIDENCE_THRESHOLD = previous;
+  }
+});
+
+test('values below the threshold are listed with their day', () => {
+  const structuredData = {
+    metadata: { location: '中目黒', confidence: { year: 0.95, month: 0.95, location: 0.512 } },
+    dailyRecords: [
+      { day: 10, confidence: { day: 0.95, Cat1Status: 0.9, comment: null } },
+      { day: 11, confidence: { day: 0.95, Cat1Status: 0.42 } }
+    ]
+  };
+  assert.deepEqual(findLowConfidenceFields(structuredData, 0.8), [
+    { day: null, field: 'location', confidence: 0.51 },
+    { day: 11, field: 'Cat1Status', confidence: 0.42 }
+  ]);
+  assert.deepEqual(findLowConfidenceFields(structuredData, 0.4), []);
+});
@@ -0,0 +1,721 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas } = require('@napi-rs/canvas');
+const { createPipelineHarness } = require('./helpers/pipelineHarness');
+const { buildZip, buildEml, buildMsg, base64Lines } = require('./helpers/containers');
+
+const harness = createPipelineHarness();
+const SENDER = 'store01@example.co.jp';
+// Customer id the registry in the harness maps example.co.jp to
+const COMPANY = 'example-foods';
+
+let sequence = 0;
+
+// Every test submits different bytes so dedup and the analysis cache do not link them
+function sheet(label) {
+  sequence++;
+  return Buffer.from(`${label} #${sequence}`);
+}
+
+function blobName(fileName) {
+  return `2025-05-10T03:21:45.${String(sequence).padStart(3, '0')}Z(${SENDER})${fileName}`;
+}
+
+// General management extraction with some fields read differently; `undefined` leaves a field unread
+function generalExtractionWithFields(values) {
+  const response = structuredClone(require('../fixtures/document-intelligence/general-management-extractor/default.json'));
+  const fields = response.analyzeResult.documents[0].fields;
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) delete fields[name];
+    else Object.assign(fields[name], { valueString: value, content: value });
+  }
+  return response;
+}
+
+// General management extraction that read `location` from the store field
+function generalExtractionWithLocation(location) {
+  return generalExtractionWithFields({ location });
+}
+
+function layoutWithContent(content, tables = []) {
+  return { status: 'succeeded', analyzeResult: { content, pages: [{ pageNumber: 1, lines: [] }], tables } };
+}
+
+// Layout result with one entry per page; each page's text is located through its span
+function layoutWithPages(pageTexts) {
+  let content = '';
+  const pages = pageTexts.map((text, index) => {
+    const span = { offset: content.length, length: text.length };
+    content += `${text}\n`;
+    return { pageNumber: index + 1, spans: [span], lines: [] };
+  });
+  return { status: 'succeeded', analyzeResult: { content, pages, tables: [] } };
+}
+
+test.beforeEach(() => harness.reset());
+
+test('invalid file name is moved to invalid-attachments and rejected', async () => {
+  const { submission } = await harness.processBlob('no-sender-info.jpg', sheet('invalid'));
+
+  assert.deepEqual(harness.calls.moves, [{
+    blobName: 'no-sender-info.jpg',
+    container: 'invalid-attachments',
+    subfolder: 'invalid-filename'
+  }]);
+  assert.equal(submission.state, 'rejected');
+  assert.equal(submission.error, 'invalid-filename');
+  assert.equal(harness.calls.uploads.length, 0);
+});
+
+test('unsupported file type is moved to the company invalid-attachments folder', async () => {
+  const buffer = sheet('unsupported');
+  const name = blobName('notes.docx');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{
+    blobName: name,
+    container: 'processed-attachments',
+    subfolder: `${COMPANY}/invalid-attachments`
+  }]);
+  assert.equal(submission.state, 'rejected');
+  assert.equal(submission.error, 'invalid-file-type');
+});
+
+test('general management sheet is extracted, reported and archived', async () => {
+  const buffer = sheet('general');
+  const name = blobName('general.jpg');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/中目黒');
+  assert.equal(json.content.storeName, '中目黒');
+  assert.equal(json.content.yearMonth, '2025-05');
+  assert.equal(json.content.layout, 'weekly');
+  assert.equal(json.content.categories.length, 7);
+  assert.equal(json.content.dailyData.length, 7);
+  assert.equal(json.content.dailyData[1]['Cat 3'], '否');
+  assert.equal(json.content.dailyData[1].特記事項, 'まな板の使い分けを再指導');
+
+  const [text] = harness.uploadsOfKind('text');
+  assert.match(text.content, /中目黒/);
+  const [html] = harness.uploadsOfKind('html');
+  assert.match(html.content, /<html/i);
+  assert.match(html.content, /まな板の使い分けを再指導/);
+  assert.equal(harness.uploadsOfKind('original')[0].fileName, `original-${name}`);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.detectedTitle, '一般衛生管理シート');
+  assert.equal(submission.extraction.location, '中目黒');
+  assert.equal(submission.sharePoint.files.length, 4);
+});
+
+test('important management sheet is detected and reported', async () => {
+  const buffer = sheet('important');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithContent('重要管理の実施記録 2025年5月'));
+  const name = blobName('important.pdf');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/重要衛生管理の実施記録/2025/05/中目黒');
+  assert.equal(json.content.storeName, '中目黒');
+  assert.equal(harness.uploadsOfKind('html').length, 1);
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.detectedTitle, '重要管理シート');
+});
+
+test('a store name written another way is filed under the canonical store', async () => {
+  const buffer = sheet('store alias');
+  harness.addFixture('general-management-extractor', buffer, generalExtractionWithLocation('ナカメグロ店'));
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/中目黒');
+  assert.equal(json.content.storeName, '中目黒');
+  assert.equal(json.content.storeId, 'nakameguro');
+  assert.deepEqual(
+    { location: submission.extraction.location, storeId: submission.extraction.storeId, storeMatch: submission.extraction.storeMatch, rawLocation: submission.extraction.rawLocation },
+    { location: '中目黒', storeId: 'nakameguro', storeMatch: 'alias', rawLocation: 'ナカメグロ店' }
+  );
+  assert.equal(submission.needsReview, false);
+});
+
+test('a store missing from the store master is filed for review instead of a new folder', async () => {
+  const buffer = sheet('unknown store');
+  harness.addFixture('general-management-extractor', buffer, generalExtractionWithLocation('新宿三丁目'));
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/店舗未確認');
+  assert.equal(json.content.storeName, '新宿三丁目');
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.extraction.storeMatch, 'unresolved');
+  assert.equal(submission.needsReview, true);
+  assert.deepEqual(submission.reviewReasons, ['unresolved-store']);
+});
+
+test('era years and full-width dates on the sheet are filed under the Western date', async () => {
+  const buffer = sheet('era year');
+  harness.addFixture('general-management-extractor', buffer, generalExtractionWithFields({ year: '令和7年', month: '５月', Day1: '１０日' }));
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/中目黒');
+  assert.equal(json.content.yearMonth, '2025-05');
+  assert.equal(json.content.dailyData[0].日付, '10');
+  assert.equal(submission.extraction.yearInferred, undefined);
+});
+
+test('a sheet without a year takes it from the submission date', async () => {
+  const buffer = sheet('no year');
+  harness.addFixture('general-management-extractor', buffer, generalExtractionWithFields({ year: undefined }));
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/中目黒');
+  assert.equal(submission.extraction.yearMonth, '2025-05');
+  assert.equal(submission.extraction.yearInferred, true);
+});
+
+test('a week crossing into the next month is dated correctly and impossible days are sent for review', async () => {
+  const buffer = sheet('month end');
+  harness.addFixture('general-management-extractor', buffer, generalExtractionWithFields({
+    month: '6', Day1: '28', Day2: '29', Day3: '30', Day4: '31', Day5: '1', Day6: '2', Day7: '3'
+  }));
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.needsReview, true);
+  assert.deepEqual(submission.reviewReasons, ['date-issues']);
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/06/中目黒');
+});
+
+// Monthly 一般管理 sheet for June: every category 良 on days 1-20, the rest of the month left blank
+function monthlyGeneralExtraction() {
+  const selection = selected => ({ type: 'selectionMark', valueSelectionMark: selected ? 'selected' : 'unselected', confidence: 0.97 });
+  const fields = {
+    year: { type: 'string', valueString: '2025', confidence: 0.96 },
+    month: { type: 'string', valueString: '6', confidence: 0.96 },
+    location: { type: 'string', valueString: '恵比寿', confidence: 0.95 },
+    D3comment: { type: 'string', valueString: '冷蔵庫の霜取り', confidence: 0.93 }
+  };
+  for (let day = 1; day <= 31; day++) {
+    for (let category = 1; category <= 7; category++) {
+      fields[`C${category}D${day}G`] = selection(day <= 20);
+      fields[`C${category}D${day}NG`] = selection(false);
+    }
+    fields[`D${day}Approver`] = selection(day <= 20);
+  }
+  return { status: 'succeeded', analyzeResult: { documents: [{ fields }] } };
+}
+
+test('a monthly sheet is detected from its day rows and read with the monthly model', async () => {
+  const buffer = sheet('monthly');
+  const dayTable = { rowCount: 32, columnCount: 10, cells: [], boundingRegions: [{ pageNumber: 1 }] };
+  harness.addFixture('prebuilt-layout', buffer, layoutWithContent('一般管理の実施記録 2025年6月', [dayTable]));
+  harness.addFixture('general-management-monthly-extractor', buffer, monthlyGeneralExtraction());
+  const { submission } = await harness.processBlob(blobName('monthly.pdf'), buffer);
+
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.extraction.layout, 'monthly');
+  // June has 30 days; days 21-30 were left blank and are not counted or sent for review
+  assert.equal(submission.extraction.dailyRecords, 30);
+  assert.equal(submission.extraction.recordedDays, 20);
+  assert.equal(submission.extraction.approvedDays, 20);
+  assert.equal(submission.needsReview, false);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/06/恵比寿');
+  assert.equal(json.content.layout, 'monthly');
+  assert.equal(json.content.dailyData.length, 30);
+  assert.deepEqual([json.content.dailyData[2].特記事項, json.content.dailyData[29].日付, json.content.dailyData[29].未記入], ['冷蔵庫の霜取り', '30', true]);
+  const [text] = harness.uploadsOfKind('text');
+  assert.match(text.content, /年月：2025-06（月間シート）/);
+  const [html] = harness.uploadsOfKind('html');
+  assert.equal(html.content.match(/class="data-row blank-day"/g).length, 10);
+});
+
+// Layout result of a temperature log: 日付 | 冷蔵庫① | 冷凍庫 | ワインセラー | 備考 | 確認者
+function temperatureLogLayout(rows, words = []) {
+  const headers = ['日付', '冷蔵庫①', '冷凍庫', 'ワインセラー', '備考', '確認者'];
+  const cells = [headers, ...rows].flatMap((row, rowIndex) => row.map((value, columnIndex) => (typeof value === 'object'
+    ? { rowIndex, columnIndex, ...value }
+    : { rowIndex, columnIndex, content: value })));
+  const table = { rowCount: rows.length + 1, columnCount: headers.length, cells, boundingRegions: [{ pageNumber: 1 }] };
+  return {
+    status: 'succeeded',
+    analyzeResult: { content: '冷蔵庫・冷凍庫 温度記録表\n2025年6月\n店舗名：恵比寿', pages: [{ pageNumber: 1, lines: [], words }], tables: [table] }
+  };
+}
+
+test('a temperature log is read from its table and readings outside the limits are reported as deviations', async () => {
+  const buffer = sheet('temperature');
+  harness.addFixture('prebuilt-layout', buffer, temperatureLogLayout([
+    ['1', '3.5℃', '-18', '12', '', '山田'],
+    ['2', { content: '11.5', spans: [{ offset: 200, length: 4 }] }, '▲12', '14', '扉の閉め忘れ、温度を再確認', '山田'],
+    ['3', '4', 'l8', '16', '', '佐藤']
+  ], [{ content: '11.5', span: { offset: 200, length: 4 }, confidence: 0.62 }]));
+  const { submission } = await harness.processBlob(blobName('temperature.jpg'), buffer);
+
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.detectedTitle, '温度記録表');
+  assert.equal(submission.extraction.deviations, 3);
+  assert.deepEqual(submission.reviewReasons, ['unreadable-reading', 'low-confidence']);
+  assert.deepEqual(submission.lowConfidenceFields, [{ day: 2, field: 'Temp1Reading', confidence: 0.62 }]);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/温度管理記録/2025/06/恵比寿');
+  assert.deepEqual(json.content.equipment.map(item => item.threshold), ['≤ 10℃', '≤ -15℃', '10〜15℃']);
+  assert.deepEqual(json.content.dailyData[2], { 日付: '03', '冷蔵庫①': '4', 冷凍庫: '判読不可', ワインセラー: '16', 備考: '--', 確認者: '佐藤', 逸脱: ['ワインセラー'] });
+  assert.deepEqual(json.content.deviations.map(({ 日付, 機器, 温度, 判定 }) => [日付, 機器, 温度, 判定]), [
+    ['02', '冷蔵庫①', 11.5, '上限超過'],
+    ['02', '冷凍庫', -12, '上限超過'],
+    ['03', 'ワインセラー', 16, '上限超過']
+  ]);
+  const [text] = harness.uploadsOfKind('text');
+  assert.match(text.content, /11\.5!\?/);
+  const [html] = harness.uploadsOfKind('html');
+  // Three cells in the daily table and three rows in the deviation list
+  assert.equal(html.content.match(/class="reading-cell reading-deviation/g).length, 6);
+  assert.match(html.content, /class="reading-cell reading-deviation low-confidence" title="上限超過（基準 ≤ 10℃）"/);
+});
+
+test('a health check flags staff unfit for food handling and keeps their names out of the ledger and logs', async () => {
+  const buffer = sheet('health');
+  const cells = [
+    ['氏名', '体温', '下痢・嘔吐', '手指の傷'],
+    ['山田 太郎', '36.5', '○', '○'],
+    ['佐藤 花子', '37.8', '○', '○'],
+    ['鈴木 一郎', '36.4', '×', '○']
+  ].flatMap((row, rowIndex) => row.map((content, columnIndex) => ({ rowIndex, columnIndex, content })));
+  harness.addFixture('prebuilt-layout', buffer, layoutWithContent('従業員健康チェック表 2025年6月12日 店舗名：中目黒', [
+    { rowCount: 4, columnCount: 4, cells, boundingRegions: [{ pageNumber: 1 }] }
+  ]));
+  const { submission, logs } = await harness.processBlob(blobName('health.jpg'), buffer);
+
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.detectedTitle, '従業員健康チェック表');
+  assert.equal(submission.extraction.unfitEntries, 2);
+  assert.equal(submission.needsReview, false);
+  for (const name of ['山田', '佐藤', '鈴木']) {
+    assert.ok(!JSON.stringify(submission).includes(name));
+    assert.ok(!logs.some(line => line.includes(name)));
+  }
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/従業員健康チェック/2025/06/中目黒');
+  assert.deepEqual(json.content.unfitForWork, [
+    { 日付: '12', 氏名: '佐藤 花子', 症状: ['発熱'], 体温: 37.8 },
+    { 日付: '12', 氏名: '鈴木 一郎', 症状: ['下痢・嘔吐'], 体温: 36.4 }
+  ]);
+  assert.deepEqual(json.content.dailyData[0].従業員[0], { 氏名: '山田 太郎', 発熱: '無', '下痢・嘔吐': '無', 手指の傷: '無', 体温: 36.5, 判定: '就業可' });
+  const [html] = harness.uploadsOfKind('html');
+  assert.equal(html.content.match(/status-badge status-bad">✕/g).length, 2);
+});
+
+test('values read with low confidence are highlighted in the reports and sent for review', async () => {
+  const buffer = sheet('low confidence');
+  const response = generalExtractionWithFields({});
+  const fields = response.analyzeResult.documents[0].fields;
+  fields.C3D2NG.confidence = 0.41;
+  fields.D2comment.confidence = 0.55;
+  harness.addFixture('general-management-extractor', buffer, response);
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.needsReview, true);
+  assert.deepEqual(submission.reviewReasons, ['low-confidence']);
+  assert.deepEqual(submission.lowConfidenceFields, [
+    { day: 11, field: 'Cat3Status', confidence: 0.41 },
+    { day: 11, field: 'comment', confidence: 0.55 }
+  ]);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.content.confidenceThreshold, 0.8);
+  assert.deepEqual(json.content.lowConfidenceCells, [
+    { 日付: '11', column: 'Cat 3', confidence: 0.41 },
+    { 日付: '11', column: '特記事項', confidence: 0.55 }
+  ]);
+  const [text] = harness.uploadsOfKind('text');
+  assert.match(text.content, /否\?/);
+  const [html] = harness.uploadsOfKind('html');
+  assert.equal(html.content.match(/class="low-confidence"/g).length, 1);
+  assert.match(html.content, /class="comment-cell low-confidence" title="読み取り信頼度 55%/);
+});
+
+test('the ledger caps low-confidence lists and history to stay within table entity limits', async () => {
+  const { recordSubmissionEvent, getSubmission } = require('../src/functions/submissions/ledger');
+  const context = { log: () => {} };
+  const lowConfidenceFields = Array.from({ length: 500 }, (_, n) => ({ day: n % 31 + 1, field: `Cat${n}Status`, confidence: 0.3 }));
+  const submissionId = 'ledger-limits';
+  for (let retry = 0; retry < 40; retry++) {
+    await recordSubmissionEvent(context, submissionId, { state: 'processing' });
+    await recordSubmissionEvent(context, submissionId, { state: 'requeued' });
+  }
+  await recordSubmissionEvent(context, submissionId, {
+    state: 'processed',
+    lowConfidenceFields,
+    sheets: [{ pages: '1', state: 'processed', lowConfidenceFields }, { pages: '2', state: 'extraction-error' }]
+  });
+
+  const submission = await getSubmission(submissionId);
+  assert.deepEqual(submission.lowConfidenceFields, lowConfidenceFields.slice(0, 20));
+  assert.equal(submission.lowConfidenceCount, 500);
+  assert.equal(submission.sheets[0].lowConfidenceFields.length, 20);
+  assert.equal(submission.sheets[0].lowConfidenceCount, 500);
+  assert.equal(submission.sheets[1].lowConfidenceCount, undefined);
+  assert.equal(submission.history.length, 50);
+  assert.equal(submission.history.at(-1).state, 'processed');
+});
+
+test('unknown document with tables goes through general table extraction', async () => {
+  const buffer = sheet('unknown-with-tables');
+  const defaultLayout = require('../fixtures/document-intelligence/prebuilt-layout/default.json');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithContent('仕入れ記録', defaultLayout.analyzeResult.tables));
+  const name = blobName('invoice.png');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.match(json.fileName, /^テーブル抽出データ-invoice-/);
+  assert.equal(json.content.metadata.totalTableCells, 4);
+  assert.deepEqual(json.content.extractedData.tableCells.map(cell => cell.content), ['原材料の受入の確認', '良', '庫内温度の確認', '否']);
+  assert.equal(json.content.extractedData.tableCells[1].symbolResult.predictions[0].tagName, 'circle');
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/general-extraction` }]);
+  assert.equal(submission.state, 'general-extraction');
+  assert.equal(submission.extraction.tableCells, 4);
+});
+
+test('unknown document without tables ends in extraction-errors', async () => {
+  const buffer = sheet('unknown-no-tables');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithContent('メモ'));
+  const name = blobName('memo.jpg');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/extraction-errors` }]);
+  assert.equal(submission.state, 'extraction-error');
+  assert.equal(harness.calls.uploads.length, 0);
+});
+
+test('a failed custom-model analysis ends in extraction-errors instead of an empty report', async () => {
+  const buffer = sheet('model-failed');
+  harness.addFixture('general-management-extractor', buffer, {
+    status: 'failed',
+    error: { code: 'InvalidContent', message: 'The file is corrupted' }
+  });
+  const name = blobName('broken.jpg');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/extraction-errors` }]);
+  assert.equal(submission.state, 'extraction-error');
+  assert.match(submission.error, /The file is corrupted/);
+  assert.equal(harness.calls.uploads.length, 0);
+});
+
+test('an analysis that never finishes ends in extraction-timeout', async () => {
+  const buffer = sheet('timeout');
+  harness.addFixture('prebuilt-layout', buffer, { status: 'running' });
+  const name = blobName('slow.jpg');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/extraction-timeout` }]);
+  assert.equal(submission.state, 'extraction-timeout');
+  assert.equal(harness.calls.uploads.length, 0);
+});
+
+test('a photographed sheet is straightened before analysis and archived as JPEG', async () => {
+  sequence++;
+  const canvas = createCanvas(800, 600);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#303030';
+  ctx.fillRect(0, 0, 800, 600);
+  ctx.fillStyle = '#f0f0f0';
+  ctx.beginPath();
+  ctx.moveTo(150, 80 + sequence);
+  ctx.lineTo(680, 120);
+  ctx.lineTo(640, 540);
+  ctx.lineTo(110, 500);
+  ctx.closePath();
+  ctx.fill();
+  const name = blobName('photo.png');
+  const { submission } = await harness.processBlob(name, await canvas.encode('png'));
+
+  assert.deepEqual(submission.preprocessing, ['perspective']);
+  assert.equal(harness.uploadsOfKind('original')[0].fileName, `original-${name.replace(/\.png$/, '.jpg')}`);
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+});
+
+test('each sheet of a multi-sheet PDF is extracted and reported on its own', async () => {
+  const buffer = sheet('multi-sheet');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithPages([
+    '一般管理の実施記録 2025年5月 第1週',
+    '重要管理の実施記録 2025年5月',
+    '（続き）特記事項'
+  ]));
+  const name = blobName('may.pdf');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  const reports = harness.uploadsOfKind('json');
+  assert.deepEqual(reports.map(report => report.folderPath), [
+    '衛生管理日誌/一般衛生管理の実施記録/2025/05/中目黒',
+    '衛生管理日誌/重要衛生管理の実施記録/2025/05/中目黒'
+  ]);
+  assert.match(reports[0].fileName, /-p1-/);
+  assert.match(reports[1].fileName, /-p2-3-/);
+  // Both sheets link back to the same attachment
+  assert.deepEqual(harness.uploadsOfKind('original').map(upload => upload.fileName), [`original-${name}`, `original-${name}`]);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.deepEqual(submission.sheets.map(({ pages, detectedTitle, state }) => ({ pages, detectedTitle, state })), [
+    { pages: '1', detectedTitle: '一般衛生管理シート', state: 'processed' },
+    { pages: '2-3', detectedTitle: '重要管理シート', state: 'processed' }
+  ]);
+  assert.equal(submission.sharePoint.files.length, 8);
+});
+
+test('a sheet that cannot be extracted does not hold back the other sheets', async () => {
+  const buffer = sheet('multi-sheet-partial');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithPages([
+    '一般管理の実施記録 第1週',
+    '一般管理の実施記録 第2週'
+  ]));
+  harness.addFixture('general-management-extractor', buffer, {
+    status: 'failed',
+    error: { code: 'InvalidContent', message: 'Page is blank' }
+  }, { pages: '2' });
+  const name = blobName('weeks.pdf');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.equal(harness.uploadsOfKind('json').length, 1);
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.deepEqual(submission.sheets.map(sheet => sheet.state), ['processed', 'extraction-error']);
+  assert.match(submission.sheets[1].error, /Page is blank/);
+});
+
+test('a multi-sheet PDF where no sheet can be extracted ends in extraction-errors', async () => {
+  const buffer = sheet('multi-sheet-failed');
+  harness.addFixture('prebuilt-layout', buffer, layoutWithPages(['一般管理の実施記録', '一般管理の実施記録']));
+  harness.addFixture('general-management-extractor', buffer, { status: 'failed', error: { message: 'Unreadable' } });
+  const name = blobName('unreadable.pdf');
+  const { submission } = await harness.processBlob(name, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/extraction-errors` }]);
+  assert.equal(submission.state, 'extraction-error');
+  assert.equal(submission.sheets.length, 2);
+  assert.equal(harness.calls.uploads.length, 0);
+});
+
+test('a zip archive is unpacked and each sheet re-enters the pipeline under the same sender', async () => {
+  const pdf = sheet('zipped');
+  const photo = sheet('zipped-photo');
+  const name = blobName('May sheets.zip');
+  const zip = buildZip([
+    { path: '5月/general.pdf', data: pdf },
+    { path: 'photo.jpg', data: photo },
+    { path: 'notes.docx', data: sheet('docx') },
+    { path: '__MACOSX/._photo.jpg', data: sheet('resource fork') }
+  ]);
+  const { submission } = await harness.processBlob(name, zip);
+
+  const timestamp = name.slice(0, name.indexOf('('));
+  const members = harness.calls.blobUploads.filter(upload => upload.container === 'incoming-emails');
+  assert.deepEqual(members.map(member => member.blobName), [
+    `${timestamp}(${SENDER})May sheets-5月_general.pdf`,
+    `${timestamp}(${SENDER})May sheets-photo.jpg`
+  ]);
+  assert.deepEqual(members[0].buffer, pdf);
+  assert.equal(members[0].metadata.source, 'archive');
+  assert.equal(members[0].metadata.parentsubmissionid, submission.submissionId);
+
+  const manifestUpload = harness.calls.blobUploads.find(upload => upload.container === 'processed-attachments');
+  assert.equal(manifestUpload.blobName, `${COMPANY}/unpacked/${name}.manifest.json`);
+  const manifest = JSON.parse(manifestUpload.buffer.toString());
+  assert.deepEqual(manifest.rejected.map(member => [member.path, member.reason]), [
+    ['notes.docx', 'invalid-file-type'],
+    ['__MACOSX/._photo.jpg', 'system-file']
+  ]);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/unpacked` }]);
+  assert.equal(submission.state, 'unpacked');
+  assert.equal(submission.manifest.accepted.length, 2);
+  assert.equal(submission.manifest.rejected.length, 2);
+  assert.equal(harness.calls.uploads.length, 0);
+
+  // The trigger then fires for each re-emitted file
+  harness.reset();
+  const { submission: member } = await harness.processBlob(members[1].blobName, members[1].buffer, members[1].metadata);
+  assert.equal(member.state, 'processed');
+  assert.equal(member.source, 'archive');
+  assert.equal(member.parentSubmissionId, submission.submissionId);
+  assert.equal(member.senderEmail, `${SENDER}`);
+  assert.equal(member.submissionId, manifest.accepted[1].submissionId);
+});
+
+test('zip members over the size limit are rejected before they are inflated', async () => {
+  const pdf = sheet('zipped-small');
+  const oversize = Buffer.alloc(20 * 1024 * 1024 + 1);
+  const name = blobName('Large scans.zip');
+  const zip = buildZip([{ path: 'large.pdf', data: oversize }, { path: 'general.pdf', data: pdf }]);
+  const { submission } = await harness.processBlob(name, zip);
+
+  const members = harness.calls.blobUploads.filter(upload => upload.container === 'incoming-emails');
+  assert.deepEqual(members.map(member => member.buffer), [pdf]);
+  const manifestUpload = harness.calls.blobUploads.find(upload => upload.container === 'processed-attachments');
+  assert.deepEqual(JSON.parse(manifestUpload.buffer.toString()).rejected, [{ path: 'large.pdf', size: oversize.length, reason: 'too-large' }]);
+  assert.equal(submission.state, 'unpacked');
+});
+
+test('a forwarded .eml is unpacked into its attachments', async () => {
+  const pdf = sheet('eml');
+  const eml = buildEml({
+    parts: [
+      { headers: ['Content-Type: text/plain; charset=utf-8'], body: 'Forwarding last week\'s sheet.' },
+      {
+        headers: [
+          'Content-Type: application/pdf; name="=?ISO-2022-JP?B?GyRCOCEyORsoQi5wZGY=?="',
+          'Content-Transfer-Encoding: base64'
+        ],
+        body: base64Lines(pdf)
+      }
+    ]
+  });
+  const name = blobName('Fwd.eml');
+  const { submission } = await harness.processBlob(name, eml);
+
+  const [member] = harness.calls.blobUploads.filter(upload => upload.container === 'incoming-emails');
+  assert.ok(member.blobName.endsWith(`(${SENDER})Fwd-検温.pdf`));
+  assert.deepEqual(member.buffer, pdf);
+  assert.equal(submission.state, 'unpacked');
+});
+
+test('a .msg holding only unsupported files is rejected as an empty container', async () => {
+  const name = blobName('Outlook.msg');
+  const msg = buildMsg([{ name: 'notes.docx', data: sheet('msg-docx') }, { name: 'Re: 報告' }]);
+  const { submission } = await harness.processBlob(name, msg);
+
+  assert.equal(harness.calls.blobUploads.filter(upload => upload.container === 'incoming-emails').length, 0);
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/invalid-attachments` }]);
+  assert.equal(submission.state, 'rejected');
+  assert.equal(submission.error, 'empty-container');
+  assert.deepEqual(submission.manifest.rejected.map(member => member.reason), ['invalid-file-type', 'embedded-message']);
+});
+
+test('an unreadable archive is moved to invalid-attachments', async () => {
+  const name = blobName('broken.zip');
+  const { submission } = await harness.processBlob(name, sheet('not a zip'));
+
+  assert.equal(harness.calls.blobUploads.length, 0);
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: `${COMPANY}/invalid-attachments` }]);
+  assert.equal(submission.state, 'rejected');
+  assert.equal(submission.error, 'unreadable-container');
+});
+
+test('a franchisee on a free-mail address is filed under the customer that lists the address', async () => {
+  const name = blobName('general.jpg').replace(SENDER, 'Nakameguro.Store@gmail.com');
+  const { submission } = await harness.processBlob(name, sheet('franchisee'));
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.companyName, COMPANY);
+  assert.equal(submission.customerName, 'Example Foods');
+});
+
+test('an unknown sender is quarantined without analysis or a company folder', async () => {
+  const name = blobName('general.jpg').replace(SENDER, 'someone@gmail.com');
+  const { submission, logs } = await harness.processBlob(name, sheet('unknown sender'));
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'quarantine', subfolder: 'unknown-sender' }]);
+  assert.equal(harness.calls.uploads.length, 0);
+  assert.equal(submission.state, 'quarantined');
+  assert.equal(submission.error, 'unknown-sender');
+  assert.equal(submission.companyName, null);
+  assert.deepEqual(submission.finalLocation, { container: 'quarantine', path: `unknown-sender/${name}` });
+  assert.ok(logs.some(line => line.includes('Attachment quarantined') && line.includes('someone@gmail.com')));
+  assert.deepEqual(submission.history.map(entry => entry.state), ['received', 'quarantined']);
+});
+
+test('blocked and non-allowlisted senders of a known customer are quarantined', async () => {
+  const blocked = blobName('general.jpg').replace(SENDER, 'former.manager@example.co.jp');
+  const { submission: blockedSubmission } = await harness.processBlob(blocked, sheet('blocked'));
+  const notAllowed = blobName('general.jpg').replace(SENDER, 'ikebukuro@sakura-tei.jp');
+  const { submission: notAllowedSubmission } = await harness.processBlob(notAllowed, sheet('not allowed'));
+
+  assert.deepEqual(harness.calls.moves, [
+    { blobName: blocked, container: 'quarantine', subfolder: 'blocked-sender' },
+    { blobName: notAllowed, container: 'quarantine', subfolder: 'sender-not-allowed' }
+  ]);
+  assert.equal(blockedSubmission.state, 'quarantined');
+  assert.equal(notAllowedSubmission.error, 'sender-not-allowed');
+  assert.equal(harness.calls.uploads.length, 0);
+
+  harness.reset();
+  const allowed = blobName('general.jpg').replace(SENDER, 'shibuya@sakura-tei.jp');
+  const { submission } = await harness.processBlob(allowed, sheet('allowed'));
+  assert.deepEqual(harness.calls.moves, [{ blobName: allowed, container: 'processed-attachments', subfolder: 'sakura-tei' }]);
+  assert.equal(submission.state, 'processed');
+});
+
+test('an approved quarantined file is processed under the company the operator chose', async () => {
+  const name = blobName('general.jpg').replace(SENDER, 'new.store@gmail.com');
+  const { submission } = await harness.processBlob(name, sheet('approved'), {
+    company: 'example-foods',
+    quarantineapproved: '2025-05-11T00:00:00.000Z'
+  });
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: name, container: 'processed-attachments', subfolder: COMPANY }]);
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.companyName, COMPANY);
+});
+
+test('a SharePoint failure leaves the blob in place and marks the submission failed', async () => {
+  harness.failures.sharePoint = true;
+  const buffer = sheet('sharepoint-down');
+  const { submission } = await harness.processBlob(blobName('general.jpg'), buffer);
+
+  assert.equal(harness.calls.moves.length, 0);
+  assert.equal(submission.state, 'failed');
+  assert.match(submission.error, /SharePoint unavailable/);
+});
+
+test('the same file sent twice is linked to the first submission', async () => {
+  const buffer = sheet('resent');
+  const first = await harness.processBlob(blobName('general.jpg'), buffer);
+  harness.reset();
+
+  const secondName = blobName('general-again.jpg');
+  const { submission } = await harness.processBlob(secondName, buffer);
+
+  assert.deepEqual(harness.calls.moves, [{ blobName: secondName, container: 'processed-attachments', subfolder: `${COMPANY}/duplicates` }]);
+  assert.equal(submission.state, 'duplicate');
+  assert.equal(submission.duplicateOf, first.submission.submissionId);
+  assert.equal(submission.sharePoint, undefined);
+  assert.equal(harness.calls.uploads.length, 0);
+
+  // Reprocessing the duplicate reports it again without superseding the original's reports
+  harness.reset();
+  const { submission: reprocessed } = await harness.processBlob(secondName, buffer, { source: 'reprocess' });
+  assert.equal(reprocessed.state, 'processed');
+  assert.ok(harness.calls.uploads.length > 0);
+  assert.deepEqual(harness.calls.deletes, []);
+});
+
+test('a reprocess request forces the form type and supersedes the previous reports', async () => {
+  const buffer = sheet('reprocess');
+  const name = blobName('retake.jpg');
+  const first = await harness.processBlob(name, buffer);
+  harness.reset();
+
+  const { submission } = await harness.processBlob(name, buffer, { source: 'reprocess', forcedformtype: 'general' });
+
+  assert.equal(submission.submissionId, first.submission.submissionId);
+  assert.equal(submission.state, 'processed');
+  assert.equal(submission.source, 'reprocess');
+  // The original document keeps its name and is overwritten; the timestamped reports are replaced
+  const replacedReports = first.submission.sharePoint.files.filter(file => !file.includes('/original-'));
+  assert.deepEqual(harness.calls.deletes.sort(), replacedReports.sort());
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHealthCheck, maskEmployeeName, maskEmployeeNames } = require('../src/functions/docIntelligence/healthCheckExtractor');
+
+// Monthly matrix: 氏名 | 1 (発熱 / 下痢 / 手の傷) | 2 (発熱 / 下痢 / 手の傷) ...
+function monthlyMatrix(rows, days) {
+  const cells = [{ rowIndex: 0, columnIndex: 0, rowSpan: 2, content: '氏名', kind: 'columnHeader' }];
+  for (let day = 1; day <= days; day++) {
+    const first = 1 + (day - 1) * 3;
+    cells.push({ rowIndex: 0, columnIndex: first, columnSpan: 3, content: String(day), kind: 'columnHeader' });
+    ['発熱', '下痢', '手の傷'].forEach((label, offset) => cells.push({ rowIndex: 1, columnIndex: first + offset, content: label, kind: 'columnHeader' }));
+  }
+  rows.forEach(([name, ...marks], index) => {
+    cells.push({ rowIndex: index + 2, columnIndex: 0, content: name });
+    marks.forEach((mark, column) => cells.push({ rowIndex: index + 2, columnIndex: column + 1, content: mark }));
+  });
+  return {
+    content: '従業員健康チェック表 令和7年6月 店舗名：恵比寿',
+    pages: [{ pageNumber: 1 }],
+    tables: [{ rowCount: rows.length + 2, columnCount: 1 + days * 3, cells }]
+  };
+}
+
+test('marks are read per employee, day and symptom and anyone with a symptom is unfit', () => {
+  const analyzeResult = monthlyMatrix([
+    ['山田 太郎', '○', '○', '○', '○', '×', '○'],
+    ['佐藤 花子', '○', '○', 'レ', 'なし', '○', '有'],
+    ['鈴木 一郎', '', '', '', '○', '△', '○']
+  ], 2);
+
+  const data = buildHealthCheck(analyzeResult, 'pdf');
+
+  assert.equal(data.metadata.yearMonth, '2025-06');
+  assert.deepEqual(data.employees.map(employee => employee.name), ['山田 太郎', '佐藤 花子', '鈴木 一郎']);
+  assert.deepEqual(data.dailyRecords.map(record => record.day), [1, 2]);
+  const [first, second] = data.dailyRecords;
+  assert.deepEqual([first.E1Fever, first.E2HandWound, first.E3Fever], ['無', '無', '未記入']);
+  assert.deepEqual(first.unfitEmployees, []);
+  assert.deepEqual([second.E1Digestive, second.E2HandWound, second.E3Digestive], ['有', '有', '判読不可']);
+  assert.deepEqual(second.unfitEmployees, [1, 2]);
+  assert.deepEqual(second.unreadableChecks, ['E3Digestive']);
+  assert.deepEqual(data.summary, { totalDays: 2, recordedDays: 2, employees: 3, checkedEntries: 5, unfitEntries: 2, unfitEmployees: 2, unreadableChecks: 1 });
+});
+
+test('a measured temperature at or above the fever threshold counts as a fever', () => {
+  const cells = [['氏名', '体温', '下痢・嘔吐'], ['山田', '37.6', '無'], ['佐藤', '37.2', '無'], ['鈴木', '37,5℃', '']]
+    .flatMap((row, rowIndex) => row.map((content, columnIndex) => ({ rowIndex, columnIndex, content })));
+  const analyzeResult = { content: '健康チェック 2025年6月12日', pages: [{ pageNumber: 1 }], tables: [{ rowCount: 4, columnCount: 3, cells }] };
+
+  const [record] = buildHealthCheck(analyzeResult, 'jpg').dailyRecords;
+  assert.equal(record.date, '2025-06-12');
+  assert.deepEqual([record.E1Fever, record.E2Fever, record.E3Fever], ['有', '無', '有']);
+  assert.deepEqual([record.E1BodyTemperature, record.E3BodyTemperature], [37.6, 37.5]);
+  assert.deepEqual(record.unfitEmployees, [1, 3]);
+
+  const [relaxed] = buildHealthCheck(analyzeResult, 'jpg', { feverThreshold: 38 }).dailyRecords;
+  assert.deepEqual(relaxed.unfitEmployees, []);
+});
+
+test('employee names are masked after the first character', () => {
+  assert.equal(maskEmployeeName('山田 太郎'), '山＊＊＊');
+  assert.equal(maskEmployeeName('Li'), 'L＊');
+  assert.equal(maskEmployeeName('森'), '森＊');
+  const data = { employees: [{ employeeNumber: 1, name: '佐藤 花子' }], dailyRecords: [] };
+  assert.deepEqual(maskEmployeeNames(data).employees, [{ employeeNumber: 1, name: '佐＊＊＊' }]);
+  assert.equal(data.employees[0].name, '佐藤 花子');
+});
@@ -0,0 +1,197 @@
+const zlib = require('zlib');
+
+/**
+ * Builds small ZIP, .eml and .msg files in memory so the archive tests do not
+ * depend on binary fixtures.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * @param {Array<{ path: string, data?: Buffer, nameBytes?: Buffer, stored?: boolean, encrypted?: boolean, size?: number }>} entries
+ *   `nameBytes` writes a raw (non-UTF-8) name, as old Windows tools do; paths ending in "/" are directories;
+ *   `size` declares an uncompressed size other than the real one
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const data = entry.data || Buffer.alloc(0);
+    const name = entry.nameBytes || Buffer.from(entry.path, 'utf8');
+    const flags = (entry.nameBytes ? 0 : 0x0800) | (entry.encrypted ? 0x0001 : 0);
+    const method = entry.stored ? 0 : 8;
+    const compressed = entry.stored ? data : zlib.deflateRawSync(data);
+    const size = entry.size ?? data.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * @param {{ subject?: string, parts: Array<{ headers: string[], body: string }> }} message
+ */
+function buildEml({ subject = 'Hygiene sheets', parts }) {
+  const boundary = 'hygiene-boundary';
+  const lines = [
+    'From: store01@example.co.jp',
+    'To: forms@example.com',
+    `Subject: ${subject}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    'This is a multi-part message in MIME format.'
+  ];
+  for (const part of parts) {
+    lines.push(`--${boundary}`, ...part.headers, '', part.body);
+  }
+  lines.push(`--${boundary}--`, '');
+  return Buffer.from(lines.join('\r\n'), 'latin1');
+}
+
+function base64Lines(buffer) {
+  return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+const SECTOR_SIZE = 512;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FREE_SECTOR = 0xFFFFFFFF;
+const FAT_SECTOR = 0xFFFFFFFD;
+const NO_STREAM = 0xFFFFFFFF;
+
+/**
+ * Writes a version 3 compound file with one storage per attachment. The mini
+ * stream cutoff is set to 0 so every stream lives in regular sectors.
+ *
+ * @param {Array<{ name: string, data?: Buffer }>} attachments - without `data` the attachment looks like an embedded message
+ */
+function buildMsg(attachments) {
+  const entries = [{ name: 'Root Entry', type: 5, children: [] }];
+  const addEntry = (parent, entry) => {
+    entries.push({ ...entry, children: [] });
+    parent.children.push(entries.length - 1);
+    return entries[entries.length - 1];
+  };
+
+  attachments.forEach((attachment, index) => {
+    const storage = addEntry(entries[0], { name: `__attach_version1.0_#${String(index).padStart(8, '0')}`, type: 1 });
+    addEntry(storage, { name: '__substg1.0_3707001F', type: 2, data: Buffer.from(`${attachment.name}\0`, 'utf16le') });
+    if (attachment.data) addEntry(storage, { name: '__substg1.0_37010102', type: 2, data: attachment.data });
+  });
+
+  // Stream sectors first, then the directory, then a single FAT sector
+  const fat = [];
+  const sectors = [];
+  const allocate = (buffer) => {
+    const count = Math.ceil(buffer.length / SECTOR_SIZE);
+    if (count === 0) return END_OF_CHAIN;
+    const start = fat.length;
+    for (let i = 0; i < count; i++) {
+      fat.push(i === count - 1 ? END_OF_CHAIN : start + i + 1);
+      const sector = Buffer.alloc(SECTOR_SIZE);
+      buffer.copy(sector, 0, i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE);
+      sectors.push(sector);
+    }
+    return start;
+  };
+  for (const entry of entries) {
+    entry.start = entry.data ? allocate(entry.data) : END_OF_CHAIN;
+  }
+
+  // Siblings are chained through their right pointers
+  for (const entry of entries) {
+    entry.child = entry.children.length > 0 ? entry.children[0] : NO_STREAM;
+    entry.children.forEach((childIndex, i) => {
+      entries[childIndex].left = NO_STREAM;
+      entries[childIndex].right = i + 1 < entry.children.length ? entry.children[i + 1] : NO_STREAM;
+    });
+  }
+  entries[0].left = NO_STREAM;
+  entries[0].right = NO_STREAM;
+
+  const directory = Buffer.alloc(Math.ceil(entries.length / 4) * SECTOR_SIZE);
+  entries.forEach((entry, index) => {
+    const offset = index * 128;
+    const name = Buffer.from(`${entry.name}\0`, 'utf16le');
+    name.copy(directory, offset);
+    directory.writeUInt16LE(name.length, offset + 0x40);
+    directory[offset + 0x42] = entry.type;
+    directory[offset + 0x43] = 1;
+    directory.writeUInt32LE(entry.left, offset + 0x44);
+    directory.writeUInt32LE(entry.right, offset + 0x48);
+    directory.writeUInt32LE(entry.child, offset + 0x4C);
+    directory.writeUInt32LE(entry.start, offset + 0x74);
+    directory.writeUInt32LE(entry.data ? entry.data.length : 0, offset + 0x78);
+  });
+  const directoryStart = allocate(directory);
+
+  const fatSector = fat.length;
+  fat.push(FAT_SECTOR);
+  if (fat.length > SECTOR_SIZE / 4) throw new Error('buildMsg only writes one FAT sector');
+  const fatData = Buffer.alloc(SECTOR_SIZE, 0xFF);
+  fat.forEach((value, i) => fatData.writeUInt32LE(value, i * 4));
+  sectors.push(fatData);
+
+  const header = Buffer.alloc(SECTOR_SIZE);
+  Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]).copy(header, 0);
+  header.writeUInt16LE(0x3E, 0x18);
+  header.writeUInt16LE(3, 0x1A);
+  header.writeUInt16LE(0xFFFE, 0x1C);
+  header.writeUInt16LE(9, 0x1E);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2C);
+  header.writeUInt32LE(directoryStart, 0x30);
+  header.writeUInt32LE(0, 0x38);
+  header.writeUInt32LE(END_OF_CHAIN, 0x3C);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  header.writeUInt32LE(0, 0x48);
+  for (let i = 0; i < 109; i++) header.writeUInt32LE(i === 0 ? fatSector : FREE_SECTOR, 0x4C + i * 4);
+
+  return Buffer.concat([header, ...sectors]);
+}
+
+module.exports = { buildZip, buildEml, buildMsg, base64Lines };
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHash } = require('crypto');
+
+/**
+ * Loads the FormProcessor blob handler with every outbound service stubbed:
+ *
+ * - Document Intelligence / Custom Vision: replayed from fixtures (DOCUMENT_INTELLIGENCE_MODE=fixtures),
+ *   using a temporary copy of ./fixtures/document-intelligence so tests can add per-file responses
+ * - Blob moves and uploads, SharePoint uploads and deletes: recorded in `calls`
+ * - Blob downloads: return the buffer last processed under that blob name
+ * - Azure AI Language (sentiment / translation): fixed answers
+ * - Table Storage (ledger, dedup): JSON files in a temporary directory
+ * - Customer registry: example.co.jp and one free-mail franchisee address belong to "example-foods"
+ *   (one blocked address); sakura-tei.jp belongs to "sakura-tei", which only allows shibuya@sakura-tei.jp
+ *
+ * Node caches modules, so one harness exists per test process.
+ */
+
+const SRC = path.join(__dirname, '..', '..', 'src', 'functions');
+const FIXTURE_SOURCE = path.join(__dirname, '..', '..', 'fixtures', 'document-intelligence');
+
+let harness = null;
+
+function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function createContext(blobName, metadata, logs) {
+  const log = (...args) => logs.push(args.join(' '));
+  log.error = log;
+  log.warn = log;
+  return {
+    invocationId: `test-${Date.now()}`,
+    triggerMetadata: { name: blobName, metadata },
+    log
+  };
+}
+
+function createPipelineHarness() {
+  if (harness) return harness;
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hygiene-pipeline-'));
+  const fixtureDir = path.join(workDir, 'fixtures');
+  fs.cpSync(FIXTURE_SOURCE, fixtureDir, { recursive: true });
+  const registryPath = path.join(workDir, 'customers.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    customers: [{
+      id: 'example-foods',
+      displayName: 'Example Foods',
+      domains: ['example.co.jp'],
+      senders: ['nakameguro.store@gmail.com'],
+      stores: [{ id: 'nakameguro', name: '中目黒', aliases: ['なかめぐろ'] }, { id: 'ebisu', name: '恵比寿' }],
+      settings: { blockedSenders: ['former.manager@example.co.jp'], temperatureThresholds: { ワインセラー: { min: 10, max: 15 } } }
+    }, {
+      id: 'sakura-tei',
+      displayName: 'さくら亭',
+      domains: ['sakura-tei.jp'],
+      settings: { allowedSenders: ['shibuya@sakura-tei.jp'] }
+    }]
+  }));
+
+  // Set before any module reads its configuration; dotenv never overrides these
+  Object.assign(process.env, {
+    DOCUMENT_INTELLIGENCE_MODE: 'fixtures',
+    DOCUMENT_INTELLIGENCE_FIXTURE_DIR: fixtureDir,
+    GENERAL_MANAGEMENT_EXTRACTOR_MODEL_ID: 'general-management-extractor',
+    EXTRACTOR_MODEL_ID: 'important-management-extractor',
+    GENERAL_MANAGEMENT_MONTHLY_EXTRACTOR_MODEL_ID: 'general-management-monthly-extractor',
+    IMPORTANT_MANAGEMENT_MONTHLY_EXTRACTOR_MODEL_ID: 'important-management-monthly-extractor',
+    LOCAL_TABLE_STORE_DIR: path.join(workDir, 'tables'),
+    CUSTOMER_REGISTRY_PATH: registryPath,
+    hygienemasterstorage_STORAGE: 'UseDevelopmentStorage=true'
+  });
+
+  const calls = { moves: [], blobUploads: [], folders: [], uploads: [], deletes: [] };
+  const failures = { sharePoint: false };
+  const processedBuffers = new Map();
+
+  const utils = require(path.join(SRC, 'utils'));
+  utils.moveBlob = async (context, blobName, options) => {
+    calls.moves.push({ blobName, container: options.targetContainerName, subfolder: options.targetSubfolder });
+  };
+  utils.uploadBlob = async (context, blobName, buffer, options) => {
+    calls.blobUploads.push({ blobName, buffer, container: options.containerName, metadata: options.metadata || {} });
+  };
+  utils.downloadBlob = async (context, blobPath) => {
+    const buffer = processedBuffers.get(path.posix.basename(blobPath));
+    if (!buffer) throw Object.assign(new Error(`Blob not found: ${blobPath}`), { statusCode: 404 });
+    return buffer;
+  };
+
+  const sharePoint = require(path.join(SRC, 'sharepoint', 'sendToSharePoint'));
+  const recordUpload = kind => async (content, fileName, folderPath) => {
+    if (failures.sharePoint) throw new Error('SharePoint unavailable');
+    calls.uploads.push({ kind, fileName, folderPath, content });
+    return true;
+  };
+  sharePoint.ensureSharePointFolder = async (folderPath) => {
+    if (failures.sharePoint) throw new Error('SharePoint unavailable');
+    calls.folders.push(folderPath);
+    return true;
+  };
+  sharePoint.uploadJsonToSharePoint = recordUpload('json');
+  sharePoint.uploadTextToSharePoint = recordUpload('text');
+  sharePoint.uploadHtmlToSharePoint = recordUpload('html');
+  sharePoint.uploadOriginalDocumentToSharePoint = recordUpload('original');
+  sharePoint.deleteSharePointItem = async (itemPath) => {
+    calls.deletes.push(itemPath);
+    return true;
+  };
+
+  const sentiment = require(path.join(SRC, 'analytics', 'sentimentAnalysis'));
+  sentiment.analyzeComment = async (text) => ({
+    originalComment: text,
+    detectedLanguage: 'ja',
+    japaneseTranslation: null,
+    analysisLanguage: 'ja',
+    sentiment: 'neutral',
+    confidenceScores: { positive: 0.1, neutral: 0.8, negative: 0.1 },
+    wasTranslated: false
+  });
+  sentiment.detectLanguageAndTranslate = async (text) => ({
+    originalText: text,
+    detectedLanguage: 'ja',
+    languageConfidence: 1,
+    japaneseTranslation: null,
+    needsTranslation: false
+  });
+
+  const { app } = require('@azure/functions');
+  let blobHandler = null;
+  app.storageBlob = (name, options) => {
+    if (name === 'FormProcessor') blobHandler = options.handler;
+  };
+  require(path.join(SRC, 'FormProcessor'));
+
+  const { getSubmission, getSubmissionId } = require(path.join(SRC, 'submissions', 'ledger'));
+
+  harness = {
+    calls,
+    failures,
+
+    reset() {
+      calls.moves.length = 0;
+      calls.blobUploads.length = 0;
+      calls.folders.length = 0;
+      calls.uploads.length = 0;
+      calls.deletes.length = 0;
+      failures.sharePoint = false;
+    },
+
+    /**
+     * Saves a response that is only replayed for this exact file content
+     * (and page range, when `pages` is given).
+     */
+    addFixture(modelId, buffer, response, { pages } = {}) {
+      const modelDir = path.join(fixtureDir, modelId);
+      const name = pages ? `${sha256(buffer)}.pages-${pages}` : sha256(buffer);
+      fs.mkdirSync(modelDir, { recursive: true });
+      fs.writeFileSync(path.join(modelDir, `${name}.json`), JSON.stringify(response));
+    },
+
+    /**
+     * Runs the blob trigger for `incoming-emails/{blobName}` and returns the ledger record.
+     */
+    async processBlob(blobName, buffer, metadata = {}) {
+      const logs = [];
+      processedBuffers.set(blobName, buffer);
+      await blobHandler(buffer, createContext(blobName, metadata, logs));
+      const submission = await getSubmission(getSubmissionId(blobName, metadata));
+      return { submission, logs };
+    },
+
+    uploadsOfKind(kind) {
+      return calls.uploads.filter(upload => upload.kind === kind);
+    }
+  };
+  return harness;
+}
+
+module.exports = { createPipelineHarness, sha256 };
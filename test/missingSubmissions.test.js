@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPipelineHarness } = require('./helpers/pipelineHarness');
+
+const harness = createPipelineHarness();
+const { getCustomer } = require(path.join(__dirname, '..', 'src', 'functions', 'customers'));
+const {
+  getPeriod,
+  getDuePeriod,
+  findSubmissionGaps,
+  sendSubmissionReminders
+} = require(path.join(__dirname, '..', 'src', 'functions', 'submissions', 'missingSubmissions'));
+
+const context = { log: () => {} };
+let sequence = 0;
+
+async function submit(receivedAt, fixtureModel, response) {
+  sequence++;
+  const buffer = Buffer.from(`missing submissions #${sequence}`);
+  harness.addFixture(fixtureModel, buffer, response);
+  const { submission } = await harness.processBlob(`${receivedAt}.${String(sequence).padStart(3, '0')}Z(store01@example.co.jp)sheet.jpg`, buffer);
+  assert.equal(submission.state, 'processed');
+}
+
+// June temperature log of 中目黒 with nothing written on the 3rd
+function temperatureLog() {
+  const headers = ['日付', '冷蔵庫', '冷凍庫', '備考'];
+  const rows = [['1', '3', '-18', ''], ['2', '4', '-19', ''], ['3', '', '', ''], ['4', '3', '-18', '']];
+  const cells = [headers, ...rows].flatMap((row, rowIndex) => row.map((content, columnIndex) => ({ rowIndex, columnIndex, content })));
+  return {
+    status: 'succeeded',
+    analyzeResult: {
+      content: '温度記録表\n2025年6月\n店舗名：中目黒',
+      pages: [{ pageNumber: 1, lines: [] }],
+      tables: [{ rowCount: rows.length + 1, columnCount: headers.length, cells, boundingRegions: [{ pageNumber: 1 }] }]
+    }
+  };
+}
+
+function withSettings(settings) {
+  const customer = getCustomer('example-foods');
+  return { ...customer, settings: { ...customer.settings, ...settings } };
+}
+
+test.before(async () => {
+  harness.reset();
+  // Weekly general sheet of 中目黒 for 5/10–5/16, and the June temperature log
+  await submit('2025-05-17T00:00:00', 'general-management-extractor', require('../fixtures/document-intelligence/general-management-extractor/default.json'));
+  await submit('2025-07-01T00:00:00', 'prebuilt-layout', temperatureLog());
+});
+
+test('periods run Monday to Sunday or over the calendar month, and fall due after the grace days', () => {
+  assert.deepEqual(getPeriod('week', '2025-05-14'), { type: 'week', start: '2025-05-12', end: '2025-05-18', label: '2025-05-12〜2025-05-18' });
+  assert.deepEqual(getPeriod('month', '2024-02-10'), { type: 'month', start: '2024-02-01', end: '2024-02-29', label: '2024-02' });
+  assert.equal(getDuePeriod('week', '2025-05-22', 3).start, '2025-05-12');
+  assert.equal(getDuePeriod('week', '2025-05-23', 3), null);
+  assert.equal(getDuePeriod('month', '2025-07-04', 3).label, '2025-06');
+});
+
+test('stores without a sheet for the period and days left blank are gaps', async () => {
+  const customer = withSettings({ expectedSheets: { general: 'week' } });
+  customer.stores = customer.stores.map(store => (store.id === 'nakameguro' ? { ...store, expectedSheets: { general: 'week', temperature: 'month' } } : store));
+
+  assert.deepEqual(await findSubmissionGaps(customer, getPeriod('week', '2025-05-12'), { today: '2025-05-22' }), [
+    { storeId: 'ebisu', storeName: '恵比寿', formTypeId: 'general', title: '一般衛生管理シート', type: 'missing-submission', missingDays: [] }
+  ]);
+  assert.deepEqual(await findSubmissionGaps(customer, getPeriod('month', '2025-06-01'), { today: '2025-07-04' }), [
+    { storeId: 'nakameguro', storeName: '中目黒', formTypeId: 'temperature', title: '温度記録表', type: 'missing-days', missingDays: ['2025-06-03'] }
+  ]);
+});
+
+test('due periods with gaps are sent to the customer\'s reminder channels', async () => {
+  const logFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-')), 'notifications.jsonl');
+  const customer = getCustomer('example-foods');
+  const settings = customer.settings;
+  process.env.NOTIFICATION_LOG_FILE = logFile;
+  customer.settings = { ...settings, expectedSheets: { temperature: 'month' }, reminderChannels: [{ type: 'log' }, { type: 'fax' }] };
+  try {
+    const results = await sendSubmissionReminders(context, { now: new Date('2025-07-04T01:00:00Z') });
+    const result = results.find(item => item.company === 'example-foods');
+    assert.equal(result.period.label, '2025-06');
+    assert.deepEqual(result.delivery, [{ type: 'log', delivered: true }, { type: 'fax', delivered: false }]);
+
+    const [entry] = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entry.subject, '提出漏れのお知らせ（Example Foods 2025-06）');
+    assert.match(entry.message, /・中目黒 温度記録表: 記入漏れ 6\/3/);
+    assert.match(entry.message, /・恵比寿 温度記録表: 未提出/);
+
+    // Nothing is due the next day
+    assert.deepEqual(await sendSubmissionReminders(context, { now: new Date('2025-07-05T01:00:00Z') }), []);
+  } finally {
+    customer.settings = settings;
+    delete process.env.NOTIFICATION_LOG_FILE;
+  }
+});
+
+test('a customer that fails does not stop the reminders of the others', async () => {
+  const failing = getCustomer('example-foods');
+  const other = getCustomer('sakura-tei');
+  const saved = { failing: failing.settings, other: { stores: other.stores, settings: other.settings } };
+  failing.settings = { ...failing.settings, expectedSheets: { temperature: 'month' }, reminderGraceDays: 'three' };
+  Object.assign(other, { stores: [{ id: 'shibuya', name: '渋谷' }], settings: { ...other.settings, expectedSheets: { temperature: 'month' } } });
+  const logs = [];
+  try {
+    const results = await sendSubmissionReminders({ log: line => logs.push(line) }, { now: new Date('2025-07-04T01:00:00Z') });
+    assert.deepEqual(results.map(result => [result.company, result.gaps.map(gap => gap.type)]), [['sakura-tei', ['missing-submission']]]);
+    assert.ok(logs.some(line => line.includes('example-foods')));
+  } finally {
+    failing.settings = saved.failing;
+    Object.assign(other, saved.other);
+  }
+});
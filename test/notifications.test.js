@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { notify } = require('../src/functions/notifications');
+const { sendMail, SmtpError } = require('../src/functions/notifications/smtp');
+
+const context = { log: () => {} };
+
+// SMTP server that accepts one message per connection and keeps what it was sent
+function startSmtpServer({ rejectRecipient = null } = {}) {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.write('220 test.local ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let end;
+      while (!inData && (end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test.local\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line.startsWith('RCPT') && rejectRecipient && line.includes(rejectRecipient)) socket.write('550 no such user\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port })));
+}
+
+test('email notifications are sent over SMTP with a UTF-8 subject and body', async () => {
+  const { server, sessions, port } = await startSmtpServer();
+  Object.assign(process.env, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port), SMTP_FROM: 'HygieneMaster <noreply@example.co.jp>' });
+  try {
+    const results = await notify(context, [{ type: 'email', to: ['manager@example.co.jp'] }], {
+      subject: '提出漏れのお知らせ',
+      message: '・恵比寿 温度記録表: 未提出'
+    });
+    assert.deepEqual(results, [{ type: 'email', delivered: true }]);
+
+    const [session] = sessions;
+    assert.ok(session.commands.includes('MAIL FROM:<noreply@example.co.jp>'));
+    assert.ok(session.commands.includes('RCPT TO:<manager@example.co.jp>'));
+    assert.ok(!session.commands.some(line => line.startsWith('AUTH')));
+    const [headers, body] = session.data.split('\r\n\r\n');
+    assert.match(headers, new RegExp(`Subject: =\\?UTF-8\\?B\\?${Buffer.from('提出漏れのお知らせ').toString('base64').replace(/[+/]/g, '\\$&')}\\?=`));
+    assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), '・恵比寿 温度記録表: 未提出');
+  } finally {
+    for (const name of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_FROM']) delete process.env[name];
+    server.close();
+  }
+});
+
+test('credentials are not sent to a server without STARTTLS', async () => {
+  const { server, sessions, port } = await startSmtpServer();
+  try {
+    await assert.rejects(sendMail({
+      host: '127.0.0.1',
+      port,
+      username: 'mailer',
+      password: 'secret',
+      from: 'noreply@example.co.jp',
+      to: ['manager@example.co.jp'],
+      subject: 'test',
+      text: 'test'
+    }), error => error instanceof SmtpError && /STARTTLS/.test(error.message));
+    assert.deepEqual(sessions[0].commands.filter(line => !line.startsWith('EHLO')), []);
+  } finally {
+    server.close();
+  }
+});
+
+test('a rejected recipient fails the message and an undeliverable notification is only logged', async () => {
+  const { server, port } = await startSmtpServer({ rejectRecipient: 'gone@example.co.jp' });
+  try {
+    await assert.rejects(sendMail({
+      host: '127.0.0.1',
+      port,
+      from: 'noreply@example.co.jp',
+      to: ['gone@example.co.jp'],
+      subject: 'test',
+      text: 'test'
+    }), error => error instanceof SmtpError && error.code === 550);
+
+    const logs = [];
+    const results = await notify({ log: line => logs.push(line) }, [{ type: 'email', to: ['manager@example.co.jp'] }], { subject: 'test', message: 'test' });
+    assert.deepEqual(results, [{ type: 'email', delivered: false }]);
+    assert.ok(logs.some(line => line.includes('No SMTP host configured')));
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { preprocessDocument } = require('../src/functions/imaging/photoPreprocessor');
+const { isDecodableImage, readExifOrientation } = require('../src/functions/imaging/imageHeaders');
+
+const context = { log: () => {} };
+
+function drawRuledSheet(ctx, width, height) {
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#000000';
+  for (let y = 20; y < height - 10; y += 25) ctx.fillRect(20, y, width - 40, 3);
+}
+
+// Inserts an APP1 segment with only the orientation tag right after the JPEG SOI marker
+function withExifOrientation(jpeg, orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, payload, jpeg.subarray(2)]);
+}
+
+async function decode(buffer) {
+  const image = await loadImage(buffer);
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return { width: image.width, height: image.height, pixel: (x, y) => ctx.getImageData(x, y, 1, 1).data[0] };
+}
+
+test('a sheet photographed at an angle is cut out and squared up', async () => {
+  const canvas = createCanvas(800, 600);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#303030';
+  ctx.fillRect(0, 0, 800, 600);
+  ctx.fillStyle = '#f0f0f0';
+  ctx.beginPath();
+  ctx.moveTo(150, 80);
+  ctx.lineTo(680, 120);
+  ctx.lineTo(640, 540);
+  ctx.lineTo(110, 500);
+  ctx.closePath();
+  ctx.fill();
+
+  const result = await preprocessDocument(context, await canvas.encode('png'), 'sheet.png');
+
+  assert.deepEqual(result.steps, ['perspective']);
+  assert.equal(result.fileName, 'sheet.jpg');
+  const output = await decode(result.buffer);
+  assert.ok(Math.abs(output.width - 532) <= 10, `width ${output.width}`);
+  assert.ok(Math.abs(output.height - 420) <= 10, `height ${output.height}`);
+  // The dark table around the sheet is gone, corners included
+  for (const [x, y] of [[5, 5], [output.width - 6, 5], [5, output.height - 6], [output.width - 6, output.height - 6]]) {
+    assert.ok(output.pixel(x, y) > 200, `corner ${x},${y} is ${output.pixel(x, y)}`);
+  }
+});
+
+test('text lines tilted by a few degrees are levelled', async () => {
+  const canvas = createCanvas(800, 600);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, 800, 600);
+  ctx.translate(400, 300);
+  ctx.rotate(3 * Math.PI / 180);
+  ctx.fillStyle = '#000000';
+  for (let y = -250; y < 250; y += 30) ctx.fillRect(-330, y, 660, 3);
+
+  const result = await preprocessDocument(context, await canvas.encode('jpeg', 95), 'tilted.jpg');
+  assert.deepEqual(result.steps, ['deskew:3']);
+
+  const again = await preprocessDocument(context, result.buffer, 'levelled.jpg');
+  assert.deepEqual(again.steps, []);
+});
+
+test('EXIF orientation is applied and the tag dropped', async () => {
+  const canvas = createCanvas(400, 300);
+  drawRuledSheet(canvas.getContext('2d'), 400, 300);
+  const jpeg = withExifOrientation(await canvas.encode('jpeg', 95), 6);
+  assert.equal(readExifOrientation(jpeg), 6);
+
+  const result = await preprocessDocument(context, jpeg, 'sideways.jpg');
+
+  assert.deepEqual(result.steps, ['exif-orientation:6']);
+  assert.equal(readExifOrientation(result.buffer), 1);
+  const output = await decode(result.buffer);
+  assert.equal(output.width, 300);
+  assert.equal(output.height, 400);
+});
+
+test('a dim photo has its contrast stretched', async () => {
+  const canvas = createCanvas(400, 300);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#8a8a8a';
+  ctx.fillRect(0, 0, 400, 300);
+  ctx.fillStyle = '#606060';
+  ctx.fillRect(50, 50, 300, 20);
+
+  const result = await preprocessDocument(context, await canvas.encode('jpeg', 95), 'dim.jpg');
+
+  assert.deepEqual(result.steps, ['contrast']);
+  const output = await decode(result.buffer);
+  assert.ok(output.pixel(10, 10) > 240);
+  assert.ok(output.pixel(200, 60) < 15);
+});
+
+test('clean scans, PDFs and broken files are passed through untouched', async () => {
+  const canvas = createCanvas(400, 300);
+  drawRuledSheet(canvas.getContext('2d'), 400, 300);
+  const clean = await canvas.encode('jpeg', 95);
+  const png = await canvas.encode('png');
+  const truncatedPng = png.subarray(0, 60);
+
+  for (const [buffer, fileName] of [
+    [clean, 'scan.jpg'],
+    [Buffer.from('%PDF-1.7'), 'scan.pdf'],
+    [truncatedPng, 'cut-off.png'],
+    [Buffer.from('not an image'), 'fake.jpg']
+  ]) {
+    const result = await preprocessDocument(context, buffer, fileName);
+    assert.equal(result.buffer, buffer, fileName);
+    assert.equal(result.fileName, fileName);
+    assert.deepEqual(result.steps, []);
+  }
+  assert.equal(isDecodableImage(truncatedPng), false);
+});
+
+test('PHOTO_PREPROCESSING=off disables the corrections', async (t) => {
+  const canvas = createCanvas(400, 300);
+  drawRuledSheet(canvas.getContext('2d'), 400, 300);
+  const jpeg = withExifOrientation(await canvas.encode('jpeg', 95), 6);
+
+  process.env.PHOTO_PREPROCESSING = 'off';
+  t.after(() => delete process.env.PHOTO_PREPROCESSING);
+  const result = await preprocessDocument(context, jpeg, 'sideways.jpg');
+
+  assert.equal(result.buffer, jpeg);
+  assert.deepEqual(result.steps, []);
+});
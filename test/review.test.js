@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPipelineHarness } = require('./helpers/pipelineHarness');
+
+const harness = createPipelineHarness();
+const {
+  ReviewValidationError,
+  ReviewConflictError,
+  listPendingReviews,
+  getReview,
+  applyCorrections,
+  approveReview
+} = require(path.join(__dirname, '..', 'src', 'functions', 'submissions', 'review'));
+
+const REVIEWER = 'manager@example.co.jp';
+const context = { log: () => {} };
+
+let sequence = 0;
+
+// Submits a general management sheet whose Cat 3 box on day 2 (row 1) was left blank
+async function processSheetWithBlankStatus() {
+  sequence++;
+  const buffer = Buffer.from(`review #${sequence}`);
+  const response = structuredClone(require('../fixtures/document-intelligence/general-management-extractor/default.json'));
+  response.analyzeResult.documents[0].fields.C3D2NG.valueSelectionMark = 'unselected';
+  harness.addFixture('general-management-extractor', buffer, response);
+  const name = `2025-05-11T08:00:00.${String(sequence).padStart(3, '0')}Z(store01@example.co.jp)review.jpg`;
+  const { submission } = await harness.processBlob(name, buffer);
+  return submission;
+}
+
+test.beforeEach(() => harness.reset());
+
+test('a sheet with an unreadable status is queued with its extracted data', async () => {
+  const submission = await processSheetWithBlankStatus();
+
+  assert.equal(submission.needsReview, true);
+  assert.deepEqual(submission.reviewReasons, ['unreadable-status']);
+
+  const queue = await listPendingReviews({ company: 'example-foods' });
+  const item = queue.find(entry => entry.submissionId === submission.submissionId);
+  assert.equal(item.reviewState, 'pending');
+
+  const review = await getReview(submission.submissionId);
+  assert.equal(review.sheets.length, 1);
+  assert.equal(review.sheets[0].formTypeId, 'general');
+  assert.equal(review.sheets[0].structuredData.dailyRecords[1].Cat3Status, '未選択');
+});
+
+test('corrections are audited and approval regenerates the reports', async () => {
+  const submission = await processSheetWithBlankStatus();
+  const previousReports = submission.sharePoint.files;
+  harness.reset();
+
+  const sheet = await applyCorrections(context, {
+    submissionId: submission.submissionId,
+    reviewer: REVIEWER,
+    corrections: [
+      { row: 1, field: 'Cat3Status', value: '否' },
+      { row: 1, field: 'comment', value: '冷蔵庫の温度を再確認' },
+      { field: 'location', value: '恵比寿' }
+    ]
+  });
+  assert.equal(sheet.state, 'corrected');
+  assert.deepEqual(sheet.audit.map(({ row, day, field, from, to }) => ({ row, day, field, from, to })), [
+    { row: 1, day: 11, field: 'Cat3Status', from: '未選択', to: '否' },
+    { row: 1, day: 11, field: 'comment', from: 'まな板の使い分けを再指導', to: '冷蔵庫の温度を再確認' },
+    { row: null, day: null, field: 'location', from: '中目黒', to: '恵比寿' }
+  ]);
+  assert.ok(sheet.audit.every(entry => entry.reviewer === REVIEWER));
+  assert.equal(sheet.structuredData.dailyRecords[1].confidence.Cat3Status, 1);
+
+  const result = await approveReview(context, { submissionId: submission.submissionId, reviewer: REVIEWER });
+  assert.equal(result.sheets, 1);
+
+  const [json] = harness.uploadsOfKind('json');
+  assert.equal(json.folderPath, '衛生管理日誌/一般衛生管理の実施記録/2025/05/恵比寿');
+  // The store changed, so the original document moved to the new folder as well
+  assert.deepEqual(harness.calls.deletes.sort(), [...previousReports].sort());
+
+  const { submission: approved, sheets } = await getReview(submission.submissionId);
+  assert.equal(approved.needsReview, false);
+  assert.equal(approved.reviewState, 'approved');
+  assert.equal(approved.review.approvedBy, REVIEWER);
+  assert.equal(approved.review.corrections, 3);
+  assert.equal(sheets[0].audit.at(-1).action, 'approve');
+  assert.ok(!(await listPendingReviews()).some(entry => entry.submissionId === submission.submissionId));
+
+  await assert.rejects(
+    applyCorrections(context, { submissionId: submission.submissionId, reviewer: REVIEWER, corrections: [{ row: 0, field: 'comment', value: 'x' }] }),
+    ReviewValidationError
+  );
+});
+
+test('corrections with unknown rows, fields or values are rejected', async () => {
+  const { submissionId } = await processSheetWithBlankStatus();
+  const correct = corrections => applyCorrections(context, { submissionId, reviewer: REVIEWER, corrections });
+
+  await assert.rejects(correct([{ row: 1, field: 'Cat3Status', value: 'OK' }]), ReviewValidationError);
+  await assert.rejects(correct([{ row: 9, field: 'comment', value: 'x' }]), ReviewValidationError);
+  await assert.rejects(correct([{ row: 'length', field: 'comment', value: 'x' }]), ReviewValidationError);
+  await assert.rejects(correct([{ row: '1', field: 'comment', value: 'x' }]), ReviewValidationError);
+  await assert.rejects(correct([{ row: 0, field: 'dailyCheckStatus', value: '良' }]), ReviewValidationError);
+  await assert.rejects(correct([{ field: 'month', value: 13 }]), ReviewValidationError);
+  await assert.rejects(correct([]), ReviewValidationError);
+  await assert.rejects(applyCorrections(context, { submissionId, corrections: [{ field: 'year', value: 2025 }] }), ReviewValidationError);
+
+  const { sheets } = await getReview(submissionId);
+  assert.equal(sheets[0].state, 'pending');
+  assert.deepEqual(sheets[0].audit, []);
+});
+
+test('concurrent corrections of one sheet do not overwrite each other', async () => {
+  const { submissionId } = await processSheetWithBlankStatus();
+  const correct = (reviewer, value) => applyCorrections(context, { submissionId, reviewer, corrections: [{ row: 1, field: 'comment', value }] });
+
+  const results = await Promise.allSettled([correct(REVIEWER, '一人目'), correct('chef@example.co.jp', '二人目')]);
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  const [conflict] = results.filter(result => result.status === 'rejected');
+  assert.ok(conflict.reason instanceof ReviewConflictError);
+
+  const { sheets } = await getReview(submissionId);
+  assert.equal(sheets[0].audit.length, 1);
+  assert.equal(sheets[0].structuredData.dailyRecords[1].comment, sheets[0].audit[0].to);
+});
+
+test('a corrected temperature is checked against its limits again', async () => {
+  sequence++;
+  const buffer = Buffer.from(`review #${sequence}`);
+  const cells = [['日付', '冷凍庫', '確認者'], ['1', '-20', '山田'], ['2', '-l8', '山田']]
+    .flatMap((row, rowIndex) => row.map((content, columnIndex) => ({ rowIndex, columnIndex, content })));
+  harness.addFixture('prebuilt-layout', buffer, {
+    status: 'succeeded',
+    analyzeResult: { content: '温度記録表 2025年6月 店舗名：中目黒', pages: [{ pageNumber: 1, lines: [] }], tables: [{ rowCount: 3, columnCount: 3, cells }] }
+  });
+  const name = `2025-06-03T08:00:00.${String(sequence).padStart(3, '0')}Z(store01@example.co.jp)temperature.jpg`;
+  const { submission } = await harness.processBlob(name, buffer);
+  assert.deepEqual(submission.reviewReasons, ['unreadable-reading']);
+
+  const correct = corrections => applyCorrections(context, { submissionId: submission.submissionId, reviewer: REVIEWER, corrections });
+  await assert.rejects(correct([{ row: 1, field: 'Temp1Reading', value: '寒い' }]), ReviewValidationError);
+  const sheet = await correct([{ row: 1, field: 'Temp1Reading', value: '-12℃' }]);
+
+  const record = sheet.structuredData.dailyRecords[1];
+  assert.equal(record.Temp1Reading, -12);
+  assert.deepEqual(record.unreadableReadings, []);
+  assert.deepEqual(record.deviations.map(deviation => deviation.type), ['above-max']);
+  assert.equal(sheet.structuredData.summary.deviations, 1);
+  assert.deepEqual(sheet.audit.map(({ field, from, to }) => ({ field, from, to })), [{ field: 'Temp1Reading', from: null, to: -12 }]);
+});
+
+test('health check reviews show masked employee names', async () => {
+  sequence++;
+  const buffer = Buffer.from(`review #${sequence}`);
+  const cells = [['氏名', '発熱', '下痢'], ['山田 太郎', '○', '△'], ['佐藤 花子', '○', '○']]
+    .flatMap((row, rowIndex) => row.map((content, columnIndex) => ({ rowIndex, columnIndex, content })));
+  harness.addFixture('prebuilt-layout', buffer, {
+    status: 'succeeded',
+    analyzeResult: { content: '健康チェック表 2025年6月3日 店舗名：中目黒', pages: [{ pageNumber: 1, lines: [] }], tables: [{ rowCount: 3, columnCount: 3, cells }] }
+  });
+  const name = `2025-06-03T08:00:00.${String(sequence).padStart(3, '0')}Z(store01@example.co.jp)health.jpg`;
+  const { submission } = await harness.processBlob(name, buffer);
+  assert.deepEqual(submission.reviewReasons, ['unreadable-check']);
+
+  const { sheets } = await getReview(submission.submissionId);
+  assert.deepEqual(sheets[0].structuredData.employees.map(employee => employee.name), ['山＊＊＊', '佐＊＊＊']);
+
+  const correct = corrections => applyCorrections(context, { submissionId: submission.submissionId, reviewer: REVIEWER, corrections });
+  await assert.rejects(correct([{ row: 0, field: 'E1Digestive', value: '否' }]), ReviewValidationError);
+  const sheet = await correct([{ row: 0, field: 'E1Digestive', value: '有' }]);
+  assert.equal(sheet.structuredData.employees[0].name, '山＊＊＊');
+  assert.deepEqual(sheet.structuredData.dailyRecords[0].unfitEmployees, [1]);
+  assert.equal(sheet.structuredData.summary.unreadableChecks, 0);
+
+  // The reports are rebuilt from the stored data, which keeps the names
+  harness.reset();
+  await approveReview(context, { submissionId: submission.submissionId, reviewer: REVIEWER });
+  const [json] = harness.uploadsOfKind('json');
+  assert.deepEqual(json.content.unfitForWork.map(entry => entry.氏名), ['山田 太郎']);
+});
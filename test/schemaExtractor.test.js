@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFormSchema, buildStructuredData } = require('../src/functions/docIntelligence/schemaExtractor');
+
+// A two-day, two-item sheet with an extra single checkbox per day
+const cleaningSchema = {
+  name: '清掃記録',
+  layout: 'weekly',
+  model: { endpointEnv: 'CLEANING_ENDPOINT', apiKeyEnv: 'CLEANING_API_KEY', modelIdEnv: 'CLEANING_MODEL_ID' },
+  header: { year: 'year', month: 'month', location: 'store' },
+  days: { count: 2, field: 'day_{day}' },
+  items: { count: 2, field: 'area_{item}', property: 'areas', numberProperty: 'areaNumber', nameProperty: 'areaName' },
+  recordFields: [
+    { property: 'Area{item}Status', type: 'statusPair', good: 'ok_{day}_{item}', ng: 'ng_{day}_{item}' },
+    { property: 'note', type: 'text', field: 'note_{day}' },
+    { property: 'checkedStatus', type: 'check', field: 'checked_{day}' }
+  ],
+  summary: [
+    { property: 'daysWithNotes', field: 'note' },
+    { property: 'checkedDays', field: 'checkedStatus' }
+  ]
+};
+
+const text = (value, confidence = 0.9) => ({ type: 'string', valueString: value, confidence });
+const mark = (selected, confidence = 0.9) => ({ type: 'selectionMark', valueSelectionMark: selected ? 'selected' : 'unselected', confidence });
+
+test('a new model is read through its schema alone', () => {
+  const fields = {
+    year: text('令和7年'), month: text('5'), store: text('恵比寿'),
+    area_1: text('床'), area_2: text('排水溝'),
+    day_1: text('12'), day_2: text('13'),
+    ok_1_1: mark(true), ng_1_1: mark(false), ok_1_2: mark(false, 0.5), ng_1_2: mark(true),
+    ok_2_1: mark(false), ng_2_1: mark(false), ok_2_2: mark(true), ng_2_2: mark(true),
+    note_1: text('排水溝のつまり'), checked_1: mark(true), checked_2: mark(false)
+  };
+
+  const data = validateFormSchema(cleaningSchema) && buildStructuredData(cleaningSchema, fields, 'jpg');
+
+  assert.equal(data.metadata.yearMonth, '2025-05');
+  assert.equal(data.metadata.layout, 'weekly');
+  assert.equal(data.metadata.location, '恵比寿');
+  assert.deepEqual(data.areas, [{ areaNumber: 1, areaName: '床' }, { areaNumber: 2, areaName: '排水溝' }]);
+  assert.deepEqual(data.dailyRecords.map(({ confidence, ...record }) => record), [
+    { day: 12, date: '2025-05-12', dateIssues: [], Area1Status: '良', Area2Status: '否', note: '排水溝のつまり', checkedStatus: '良' },
+    { day: 13, date: '2025-05-13', dateIssues: [], Area1Status: '未選択', Area2Status: 'エラー', note: 'not found', checkedStatus: '未選択' }
+  ]);
+  assert.deepEqual(data.dailyRecords[0].confidence, { day: 0.9, Area1Status: 0.9, Area2Status: 0.5, note: 0.9, checkedStatus: 0.9 });
+  assert.equal(data.dailyRecords[1].confidence.note, null);
+  assert.deepEqual(data.summary, { totalDays: 2, recordedDays: 2, daysWithNotes: 1, checkedDays: 1 });
+});
+
+test('schema mistakes are reported when the schema is loaded', () => {
+  const broken = {
+    ...cleaningSchema,
+    days: { count: 2, field: 'day' },
+    recordFields: [
+      { property: 'Area{item}Status', type: 'pair', good: 'ok_{day}_{item}', ng: 'ng_{day}_{item}' },
+      { property: 'note', type: 'text', field: 'note' }
+    ],
+    summary: [{ property: 'checkedDays', field: 'checkedStatus' }]
+  };
+  assert.throws(() => validateFormSchema(broken), error =>
+    /days needs a count/.test(error.message)
+    && /Area\{item\}Status: type must be one of/.test(error.message)
+    && /note: field keys must contain \{day\}/.test(error.message)
+    && /summary checkedDays/.test(error.message));
+  assert.equal(validateFormSchema(require('../src/functions/docIntelligence/formSchemas/importantManagement')).items.count, 5);
+});
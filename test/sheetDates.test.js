@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSheetYear, parseSheetMonth, parseSheetDay, buildSheetDates } = require('../src/functions/docIntelligence/sheetDates');
+
+const RECEIVED_MAY_2025 = '2025-05-20T01:00:00.000Z';
+
+test('months and days accept full-width, kanji and suffixed numbers', () => {
+  assert.equal(parseSheetMonth('５月'), '05');
+  assert.equal(parseSheetMonth('十二月'), '12');
+  assert.equal(parseSheetMonth(' 3 '), '03');
+  assert.equal(parseSheetMonth('13'), null);
+  assert.equal(parseSheetMonth(undefined), null);
+
+  assert.equal(parseSheetDay('１０日'), '10');
+  assert.equal(parseSheetDay('12日(月)'), '12');
+  assert.equal(parseSheetDay('12 月曜'), '12');
+  assert.equal(parseSheetDay('12日 月曜日'), '12');
+  assert.equal(parseSheetDay('三十一'), '31');
+  assert.equal(parseSheetDay('32'), null);
+  assert.equal(parseSheetDay('x'), null);
+});
+
+test('era years are converted to the Western calendar', () => {
+  assert.deepEqual(parseSheetYear('令和7年'), { year: '2025', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('R7'), { year: '2025', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('Ｒ．７'), { year: '2025', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('令和元年'), { year: '2019', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('平成31年'), { year: '2019', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('２０２５年'), { year: '2025', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('二〇二五'), { year: '2025', source: 'sheet' });
+});
+
+test('a bare short year is read relative to the submission date', () => {
+  assert.deepEqual(parseSheetYear('25', { receivedAt: RECEIVED_MAY_2025 }), { year: '2025', source: 'sheet' });
+  assert.deepEqual(parseSheetYear('7', { receivedAt: RECEIVED_MAY_2025 }), { year: '2025', source: 'sheet' });
+  assert.equal(parseSheetYear('7'), null);
+});
+
+test('a missing year is taken from the submission date in Japan time', () => {
+  assert.deepEqual(parseSheetYear(undefined, { month: '05', receivedAt: RECEIVED_MAY_2025 }), { year: '2025', source: 'submission' });
+  assert.deepEqual(parseSheetYear('', { month: '12', receivedAt: '2026-01-05T00:00:00.000Z' }), { year: '2025', source: 'submission' });
+  // 2025-12-31 20:00 UTC is already 2026-01-01 in Japan
+  assert.deepEqual(parseSheetYear(null, { month: '01', receivedAt: '2025-12-31T20:00:00.000Z' }), { year: '2026', source: 'submission' });
+  assert.equal(parseSheetYear('unreadable'), null);
+});
+
+test('a week running past the month end continues in the next month', () => {
+  const dates = buildSheetDates('2025', '05', ['28', '29', '30', '31', '1', '2', '3']);
+  assert.deepEqual(dates.map(entry => entry.date), ['2025-05-28', '2025-05-29', '2025-05-30', '2025-05-31', '2025-06-01', '2025-06-02', '2025-06-03']);
+  assert.ok(dates.every(entry => entry.dateIssues.length === 0));
+
+  const newYear = buildSheetDates('2025', '12', ['29', '30', '31', '1', '2', '3', '4']);
+  assert.equal(newYear[3].date, '2026-01-01');
+});
+
+test('impossible, out-of-sequence and wrong-weekday days are flagged', () => {
+  const dates = buildSheetDates('2025', '06', ['29', '30', '31', '1', '2', '', '5']);
+  assert.deepEqual(dates.map(entry => entry.dateIssues), [
+    [], [], ['invalid-date'], ['not-consecutive'], [], ['unreadable-day'], ['not-consecutive']
+  ]);
+  assert.equal(dates[2].date, '2025-06-31');
+  assert.equal(dates[5].day, 0);
+
+  // 2025-05-12 was a Monday
+  const weekdays = buildSheetDates('2025', '05', ['12日(月)', '13日(水)']);
+  assert.deepEqual(weekdays.map(entry => entry.dateIssues), [[], ['weekday-mismatch']]);
+  const weekdayNames = buildSheetDates('2025', '06', ['12 木曜', '13 月曜']);
+  assert.deepEqual(weekdayNames.map(entry => [entry.date, entry.dateIssues]), [['2025-06-12', []], ['2025-06-13', ['weekday-mismatch']]]);
+
+  assert.deepEqual(buildSheetDates('0000', '05', ['31', '1']).map(entry => entry.dateIssues), [[], []]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStoreName, findStore, resolveStoreLocation } = require('../src/functions/customers/stores');
+
+const STORES = [
+  { id: 'nakameguro', name: '中目黒', aliases: ['なかめぐろ'] },
+  { id: 'ebisu', name: '恵比寿' },
+  { id: 'shibuya', name: '渋谷' },
+  { id: 'shibuya-honten', name: '渋谷本町', aliases: ['SHIBUYA HONMACHI'] }
+];
+
+test('width, kana, spacing and the 店 suffix do not change the comparison key', () => {
+  assert.equal(normalizeStoreName('中目黒店'), '中目黒');
+  assert.equal(normalizeStoreName(' 中目黒 店舗 '), '中目黒');
+  assert.equal(normalizeStoreName('ﾅｶﾒｸﾞﾛ'), 'なかめぐろ');
+  assert.equal(normalizeStoreName('ナカメグロ支店'), 'なかめぐろ');
+  assert.equal(normalizeStoreName('ＳＨＩＢＵＹＡ　ＨＯＮＭＡＣＨＩ'), 'shibuyahonmachi');
+  // A name that is only the suffix keeps it
+  assert.equal(normalizeStoreName('店'), '店');
+});
+
+test('locations match store names, aliases and ids', () => {
+  assert.deepEqual(findStore(STORES, '中目黒店'), { store: STORES[0], matchedBy: 'name' });
+  assert.deepEqual(findStore(STORES, 'ナカメグロ'), { store: STORES[0], matchedBy: 'alias' });
+  assert.deepEqual(findStore(STORES, 'Ebisu'), { store: STORES[1], matchedBy: 'alias' });
+  assert.deepEqual(findStore(STORES, 'shibuya honmachi'), { store: STORES[3], matchedBy: 'alias' });
+});
+
+test('a one-character slip matches only when a single store is that close', () => {
+  assert.deepEqual(findStore(STORES, '中日黒'), { store: STORES[0], matchedBy: 'fuzzy' });
+  // Two-character names are too short to tell a slip from another store
+  assert.equal(findStore(STORES, '渋川'), null);
+  assert.equal(findStore(STORES, '新宿三丁目'), null);
+  assert.equal(findStore(STORES, ''), null);
+});
+
+test('resolved locations carry the store id; without a store master the location is kept', () => {
+  assert.deepEqual(resolveStoreLocation('なかめぐろ店', STORES), {
+    location: '中目黒', rawLocation: 'なかめぐろ店', storeId: 'nakameguro', storeMatch: 'alias'
+  });
+  assert.deepEqual(resolveStoreLocation('池袋', STORES), {
+    location: '池袋', rawLocation: '池袋', storeId: null, storeMatch: 'unresolved'
+  });
+  assert.deepEqual(resolveStoreLocation('池袋', []), { location: '池袋' });
+});
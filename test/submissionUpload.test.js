@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createPipelineHarness } = require('./helpers/pipelineHarness');
+
+process.env.UPLOAD_MAX_BYTES = '1024';
+const harness = createPipelineHarness();
+
+const { app } = require('@azure/functions');
+let uploadHandler = null;
+app.http = (name, options) => {
+  if (name === 'SubmissionUpload') uploadHandler = options.handler;
+};
+require(path.join(__dirname, '..', 'src', 'functions', 'SubmissionUpload'));
+
+const context = { log: () => {} };
+
+function uploadRequest(bytes) {
+  const form = new FormData();
+  form.append('file', new Blob([bytes]), 'sheet.jpg');
+  form.append('senderEmail', 'store01@example.co.jp');
+  form.append('company', 'example-foods');
+  return new Request('http://localhost/api/submissions', { method: 'POST', body: form });
+}
+
+// A body that never ends, counting how much of it was read
+function endlessRequest(headers) {
+  const stream = { chunks: 0 };
+  stream.request = {
+    headers: new Headers({ 'content-type': 'multipart/form-data; boundary=x', ...headers }),
+    body: new ReadableStream({
+      pull(controller) {
+        stream.chunks++;
+        controller.enqueue(new Uint8Array(16 * 1024));
+      }
+    })
+  };
+  return stream;
+}
+
+test('an upload within the limit is queued in incoming-emails', async () => {
+  harness.reset();
+  const response = await uploadHandler(uploadRequest(Buffer.from('jpeg bytes')), context);
+
+  assert.equal(response.status, 202);
+  const [upload] = harness.calls.blobUploads;
+  assert.equal(upload.blobName, response.jsonBody.blobName);
+  assert.equal(upload.buffer.toString(), 'jpeg bytes');
+});
+
+test('an oversize upload is rejected before its body is buffered', async () => {
+  harness.reset();
+  assert.equal((await uploadHandler(uploadRequest(Buffer.alloc(2048)), context)).status, 413);
+
+  const declared = endlessRequest({ 'content-length': String(100 * 1024 * 1024) });
+  assert.equal((await uploadHandler(declared.request, context)).status, 413);
+  assert.ok(declared.chunks <= 1);
+
+  const streamed = endlessRequest({});
+  assert.equal((await uploadHandler(streamed.request, context)).status, 413);
+  assert.ok(streamed.chunks < 10);
+  assert.equal(harness.calls.blobUploads.length, 0);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTemperature, getTemperatureThreshold, checkReading } = require('../src/functions/docIntelligence/temperatureReadings');
+const { buildTemperatureLog } = require('../src/functions/docIntelligence/temperatureLogExtractor');
+
+test('handwritten readings are parsed with their sign and decimals', () => {
+  const values = ['3.5', '3.5℃', '-18°C', '−18', '▲12', 'マイナス20', '－１８．５', '4,5', '+65度', ''].map(raw => parseTemperature(raw).value);
+  assert.deepEqual(values, [3.5, 3.5, -18, -18, -12, -20, -18.5, 4.5, 65, null]);
+  assert.deepEqual(parseTemperature(''), { value: null, readable: true });
+  assert.deepEqual(parseTemperature('l8'), { value: null, readable: false });
+  assert.deepEqual(parseTemperature('850'), { value: null, readable: false });
+});
+
+test('limits come from the customer first, then the longest matching default', () => {
+  const customer = { ワインセラー: { min: 10, max: 15 }, 冷凍庫: { max: -18 } };
+  assert.deepEqual(getTemperatureThreshold('ワインセラー', customer), { min: 10, max: 15 });
+  assert.deepEqual(getTemperatureThreshold('冷凍庫 朝', customer), { min: null, max: -18 });
+  assert.deepEqual(getTemperatureThreshold('冷凍ストッカー', customer), { min: null, max: -15 });
+  assert.deepEqual(getTemperatureThreshold('冷蔵庫②'), { min: null, max: 10 });
+  assert.deepEqual(getTemperatureThreshold('中心温度（唐揚げ）'), { min: 75, max: null });
+  assert.deepEqual(getTemperatureThreshold('室温'), { min: null, max: null });
+  assert.equal(checkReading(10, { min: null, max: 10 }), null);
+  assert.equal(checkReading(10.1, { min: null, max: 10 }), 'above-max');
+  assert.equal(checkReading(72, { min: 75, max: null }), 'below-min');
+});
+
+test('a printed monthly log keeps its blank days and drops days the month does not have', () => {
+  const cells = [
+    { rowIndex: 0, columnIndex: 0, content: '日', kind: 'columnHeader' },
+    { rowIndex: 0, columnIndex: 1, content: '冷蔵庫', kind: 'columnHeader', columnSpan: 2 },
+    { rowIndex: 1, columnIndex: 1, content: '朝', kind: 'columnHeader' },
+    { rowIndex: 1, columnIndex: 2, content: '夕', kind: 'columnHeader' }
+  ];
+  for (let day = 1; day <= 31; day++) {
+    cells.push({ rowIndex: day + 1, columnIndex: 0, content: String(day) });
+    if (day <= 2) {
+      cells.push({ rowIndex: day + 1, columnIndex: 1, content: '4' }, { rowIndex: day + 1, columnIndex: 2, content: day === 2 ? '12' : '5' });
+    }
+  }
+  const analyzeResult = { content: '冷蔵庫 温度記録 令和7年2月 店舗名：恵比寿', pages: [{ pageNumber: 1 }], tables: [{ rowCount: 33, columnCount: 3, cells }] };
+
+  const data = buildTemperatureLog(analyzeResult, 'pdf', { layout: 'monthly', stores: [{ id: 'ebisu', name: '恵比寿' }] });
+
+  assert.equal(data.metadata.yearMonth, '2025-02');
+  assert.equal(data.metadata.storeId, 'ebisu');
+  assert.deepEqual(data.equipment.map(item => item.equipmentName), ['冷蔵庫 朝', '冷蔵庫 夕']);
+  assert.equal(data.dailyRecords.length, 28);
+  assert.equal(data.dailyRecords[27].blank, true);
+  assert.deepEqual(data.dailyRecords[1].deviations, [
+    { field: 'Temp2Reading', equipmentName: '冷蔵庫 夕', value: 12, min: null, max: 10, type: 'above-max' }
+  ]);
+  assert.deepEqual(data.summary, { totalDays: 28, recordedDays: 2, readings: 4, deviations: 1, deviationDays: 1, unreadableReadings: 0, daysWithComments: 0 });
+});